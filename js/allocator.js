@@ -0,0 +1,180 @@
+/**
+ * Budget allocation across goals
+ * Distributes a fixed monthly investable budget between goals that together need more
+ */
+
+/**
+ * Priority assumed for goals without one (1 = highest)
+ * @type {number}
+ */
+const DEFAULT_PRIORITY = 2;
+
+/**
+ * Represents the share of the budget given to one goal
+ * @typedef {Object} GoalAllocation
+ * @property {string|number} goalId - Goal identifier (see Goal.id)
+ * @property {string} goalName - Goal name
+ * @property {number} priority - Goal priority used for ordering (1 = highest)
+ * @property {number} requiredSIP - SIP needed to fully fund the goal
+ * @property {number} allocatedSIP - SIP given to the goal from the budget
+ * @property {number} target - Inflation-adjusted goal target
+ * @property {number} projectedCorpus - Corpus reached with the allocated SIP
+ * @property {number} fundedPercent - Projected corpus as a percentage of the target (at most 100)
+ * @property {number} shortfall - Amount by which the projected corpus misses the target
+ */
+
+/**
+ * BudgetAllocator class splits a monthly budget between goals
+ */
+export class BudgetAllocator {
+    /**
+     * Creates a new BudgetAllocator instance
+     * @param {Object} calculator - SIPCalculator instance for SIP amounts and projections
+     */
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Allocates a monthly budget across goals
+     *
+     * Strategies:
+     * - 'priority': fully funds goals in priority order until the budget runs out
+     * - 'proportional': scales every goal's required SIP by the same fraction
+     * - 'shortfall': minimizes the total projected shortfall by funding the
+     *   goals whose SIPs grow the most per rupee first (usually the longest horizons)
+     *
+     * When the budget covers every required SIP, all goals are fully funded
+     * whatever the strategy.
+     *
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {number} budget - Total monthly investable budget
+     * @param {string} [strategy] - 'priority', 'proportional' or 'shortfall'
+     * @returns {Object} Allocation with per-goal results, totals and the unallocated budget
+     * @throws {Error} If the strategy is unknown
+     */
+    allocate(goals, budget, strategy = 'priority') {
+        const requiredSIPs = goals.map(goal => this.calculator.calculateGoalSIP(goal));
+        const totalRequired = requiredSIPs.reduce((sum, sip) => sum + sip, 0);
+        let allocatedSIPs;
+
+        if (totalRequired <= budget) {
+            allocatedSIPs = requiredSIPs;
+        } else if (strategy === 'priority') {
+            allocatedSIPs = this.allocateInOrder(goals, requiredSIPs, budget, this.getPriorityOrder(goals));
+        } else if (strategy === 'proportional') {
+            allocatedSIPs = requiredSIPs.map(sip => Math.floor(sip * budget / totalRequired));
+        } else if (strategy === 'shortfall') {
+            allocatedSIPs = this.allocateInOrder(goals, requiredSIPs, budget, this.getGrowthOrder(goals));
+        } else {
+            throw new Error(`Unknown allocation strategy "${strategy}"`);
+        }
+
+        const results = goals.map((goal, index) => this.describeAllocation(goal, requiredSIPs[index], allocatedSIPs[index]));
+        const totalAllocated = allocatedSIPs.reduce((sum, sip) => sum + sip, 0);
+
+        return {
+            budget,
+            strategy,
+            goals: results,
+            totalRequired,
+            totalAllocated,
+            unallocated: budget - totalAllocated,
+            totalShortfall: results.reduce((sum, result) => sum + result.shortfall, 0)
+        };
+    }
+
+    /**
+     * Fully funds goals one after another until the budget runs out
+     * @private
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {number[]} requiredSIPs - Required SIP of each goal
+     * @param {number} budget - Total monthly budget
+     * @param {number[]} order - Goal indexes in funding order
+     * @returns {number[]} Allocated SIP of each goal
+     */
+    allocateInOrder(goals, requiredSIPs, budget, order) {
+        const allocatedSIPs = goals.map(() => 0);
+        let remaining = budget;
+
+        order.forEach(index => {
+            const allocated = Math.min(requiredSIPs[index], remaining);
+            allocatedSIPs[index] = allocated;
+            remaining -= allocated;
+        });
+
+        return allocatedSIPs;
+    }
+
+    /**
+     * Orders goals by priority, keeping the list order for equal priorities
+     * @private
+     * @param {Array<Object>} goals - Array of goal objects
+     * @returns {number[]} Goal indexes from highest to lowest priority
+     */
+    getPriorityOrder(goals) {
+        return goals
+            .map((goal, index) => index)
+            .sort((a, b) => this.getPriority(goals[a]) - this.getPriority(goals[b]) || a - b);
+    }
+
+    /**
+     * Orders goals by how much one rupee of monthly SIP grows by the goal date
+     * @private
+     * @param {Array<Object>} goals - Array of goal objects
+     * @returns {number[]} Goal indexes from most to least growth per rupee
+     */
+    getGrowthOrder(goals) {
+        const growth = goals.map(goal => this.calculator.calculateVariableReturnFutureValue(
+            1,
+            goal.years,
+            this.calculator.getAnnualReturns(goal),
+            goal.stepUpRate || 0
+        ));
+
+        return goals
+            .map((goal, index) => index)
+            .sort((a, b) => growth[b] - growth[a] || a - b);
+    }
+
+    /**
+     * Gets a goal's priority
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {number} Priority (1 = highest)
+     */
+    getPriority(goal) {
+        return goal.priority || DEFAULT_PRIORITY;
+    }
+
+    /**
+     * Projects a goal's outcome with its allocated SIP
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} requiredSIP - SIP needed to fully fund the goal
+     * @param {number} allocatedSIP - SIP given to the goal
+     * @returns {GoalAllocation} Allocation result for the goal
+     */
+    describeAllocation(goal, requiredSIP, allocatedSIP) {
+        const target = this.calculator.calculateGoalTarget(goal);
+        const fullyFunded = allocatedSIP >= requiredSIP;
+
+        // A fully funded goal reaches its target by construction; rounding the SIP would otherwise leave a tiny gap
+        const projectedCorpus = fullyFunded
+            ? target
+            : Math.round(this.calculator.calculateGoalCorpus(goal, allocatedSIP));
+        const shortfall = Math.max(target - projectedCorpus, 0);
+
+        return {
+            goalId: goal.id,
+            goalName: goal.name,
+            priority: this.getPriority(goal),
+            requiredSIP,
+            allocatedSIP,
+            target,
+            projectedCorpus,
+            fundedPercent: target > 0 ? Math.round(Math.min(projectedCorpus / target, 1) * 1000) / 10 : 100,
+            shortfall
+        };
+    }
+}
@@ -8,45 +8,137 @@ import { SIPCalculator } from './calculator.js';
 import { Formatter } from './formatter.js';
 import { UIRenderer } from './ui.js';
 import { StorageService } from './storage.js';
+import { LocalStorageAdapter } from './local-storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { MemoryStorageAdapter } from './memory-storage-adapter.js';
 import { Exporter } from './exporter.js';
 import { Importer } from './importer.js';
 import { TemplateManager } from './templates.js';
 import { ThemeManager } from './theme.js';
 import { ChartManager } from './charts.js';
+import { InflationScheduleParser } from './inflation-schedule.js';
+import { LumpSumParser } from './lump-sums.js';
+import { MonteCarloSimulator } from './simulator.js';
+import { BudgetAllocator } from './allocator.js';
+import { RetirementPlanner } from './retirement.js';
+import { ProjectionEngine } from './projection.js';
+import { TaxCalculator } from './tax.js';
+import { ProgressTracker } from './progress.js';
+import { HistoryManager } from './history.js';
+import { SyncMerger } from './sync.js';
+import { EncryptionService } from './encryption.js';
+import { UnlockScreen } from './unlock-screen.js';
+import { ProfileManager } from './profiles.js';
+import { HouseholdManager } from './household.js';
+import { SnapshotComparer } from './snapshots.js';
+import { ImportMerger } from './import-merge.js';
+
+/**
+ * Name of the BroadcastChannel open tabs share changes on
+ * @type {string}
+ */
+const SYNC_CHANNEL_NAME = 'multigoal-sip-sync';
 
 /**
  * Application class that orchestrates all components
  */
-class MultiGoalSIPApp {
+export class MultiGoalSIPApp {
     /**
      * Creates a new MultiGoalSIPApp instance
+     * @param {Object} [storageService] - StorageService on an opened (and, if encrypted, unlocked) storage adapter
+     * @param {Object} [profileManager] - ProfileManager whose profile list is loaded and active profile open
      */
-    constructor() {
-        this.storageService = new StorageService();
+    constructor(storageService = new StorageService(), profileManager = new ProfileManager(storageService)) {
+        this.storageService = storageService;
+        this.profileManager = profileManager;
         this.themeManager = new ThemeManager(this.storageService);
         this.goalManager = new GoalManager(this.storageService);
+        this.history = new HistoryManager(this.goalManager, this.storageService);
+        this.syncMerger = new SyncMerger();
+        this.snapshotComparer = new SnapshotComparer();
+        this.importMerger = new ImportMerger();
         this.calculator = new SIPCalculator();
         this.formatter = new Formatter();
-        this.exporter = new Exporter(this.calculator);
-        this.importer = new Importer();
+        this.household = new HouseholdManager(this.profileManager, this.storageService, this.goalManager, this.history, this.calculator);
+        this.scheduleParser = new InflationScheduleParser();
+        this.lumpSumParser = new LumpSumParser();
+        this.importer = new Importer(this.scheduleParser, this.lumpSumParser);
         this.templateManager = new TemplateManager();
-        this.chartManager = new ChartManager(this.calculator, this.formatter);
-        this.ui = new UIRenderer(this.calculator, this.formatter);
+        this.retirementPlanner = new RetirementPlanner(this.calculator);
+        this.projectionEngine = new ProjectionEngine(this.calculator);
+        this.chartManager = new ChartManager(this.calculator, this.formatter, this.retirementPlanner, this.projectionEngine);
+        this.exporter = new Exporter(
+            this.calculator,
+            this.scheduleParser,
+            this.lumpSumParser,
+            new EncryptionService(),
+            this.formatter,
+            this.chartManager,
+            this.projectionEngine
+        );
+        this.simulator = new MonteCarloSimulator(this.calculator);
+        this.allocator = new BudgetAllocator(this.calculator);
+        this.taxCalculator = new TaxCalculator(this.calculator);
+        this.progressTracker = new ProgressTracker(this.calculator, this.chartManager);
+        this.ui = new UIRenderer(
+            this.calculator,
+            this.formatter,
+            this.scheduleParser,
+            this.lumpSumParser,
+            this.retirementPlanner,
+            this.taxCalculator,
+            this.progressTracker
+        );
         
         this.themeManager.initialize();
         this.checkStorageAvailability();
         this.loadSavedGoals();
+        this.history.load();
+        this.loadSettings();
         this.initializeEventListeners();
         this.render();
     }
 
     /**
-     * Checks if localStorage is available and shows warning if not
+     * Opens the best available storage adapter
+     * 
+     * IndexedDB is used when the browser supports it, with data saved in
+     * localStorage by earlier versions moved into it on first use. Otherwise
+     * localStorage is used, and memory as a last resort.
+     * 
+     * @returns {Promise<Object>} Opened storage adapter
+     */
+    static async openStorageAdapter() {
+        const localStorageAdapter = new LocalStorageAdapter();
+        const hasLocalStorage = localStorageAdapter.isAvailable();
+
+        if (IndexedDBAdapter.isSupported()) {
+            const indexedDBAdapter = new IndexedDBAdapter();
+
+            try {
+                await indexedDBAdapter.open();
+
+                if (hasLocalStorage) {
+                    await new StorageService(indexedDBAdapter).importFrom(localStorageAdapter);
+                }
+
+                return indexedDBAdapter;
+            } catch (error) {
+                console.warn(`IndexedDB could not be used, falling back to localStorage: ${error.message}`);
+                indexedDBAdapter.close();
+            }
+        }
+
+        return hasLocalStorage ? localStorageAdapter : new MemoryStorageAdapter();
+    }
+
+    /**
+     * Checks if persistent storage is available and shows warning if not
      * @private
      */
     checkStorageAvailability() {
         if (!this.storageService.isAvailable()) {
-            console.warn('localStorage is not available. Goals will not be persisted.');
+            console.warn('Persistent storage is not available. Goals will not be persisted.');
             this.showStorageWarning();
         }
     }
@@ -62,6 +154,29 @@ class MultiGoalSIPApp {
         }
     }
 
+    /**
+     * Loads saved budget and tax settings into the summary and tax cards
+     * @private
+     */
+    loadSettings() {
+        this.settings = {
+            budget: 0,
+            strategy: 'priority',
+            tax: { enabled: false, rules: this.taxCalculator.getRules() },
+            ...this.storageService.loadSettings()
+        };
+
+        try {
+            this.taxCalculator.setRules(this.settings.tax.rules);
+        } catch (error) {
+            console.warn(`Ignoring saved tax rules: ${error.message}`);
+        }
+        this.settings.tax = { enabled: Boolean(this.settings.tax.enabled), rules: this.taxCalculator.getRules() };
+
+        this.ui.setBudgetSettings(this.settings);
+        this.ui.setTaxSettings(this.settings.tax);
+    }
+
     /**
      * Shows a warning message if storage is not available
      * @private
@@ -79,11 +194,145 @@ class MultiGoalSIPApp {
     initializeEventListeners() {
         this.setupFormSubmission();
         this.setupGoalRemoval();
+        this.setupGoalEditing();
+        this.setupLedger();
         this.setupClearAll();
+        this.setupHistory();
+        this.setupSnapshots();
         this.setupExport();
         this.setupImport();
         this.setupTemplates();
         this.setupThemeToggle();
+        this.setupSimulation();
+        this.setupBudget();
+        this.setupTax();
+        this.setupSync();
+        this.setupEncryption();
+        this.setupProfiles();
+    }
+
+    /**
+     * Sets up the profile switcher in the header
+     * @private
+     */
+    setupProfiles() {
+        const profileSelect = document.getElementById('profile-select');
+        const addProfileBtn = document.getElementById('add-profile-btn');
+        const renameProfileBtn = document.getElementById('rename-profile-btn');
+        const deleteProfileBtn = document.getElementById('delete-profile-btn');
+
+        this.ui.renderProfiles(this.profileManager.getProfiles(), this.profileManager.getActiveProfile().id);
+
+        if (profileSelect) {
+            profileSelect.addEventListener('change', () => {
+                this.handleSwitchProfile(profileSelect.value);
+            });
+        }
+
+        if (addProfileBtn) {
+            addProfileBtn.addEventListener('click', () => {
+                this.handleAddProfile();
+            });
+        }
+
+        if (renameProfileBtn) {
+            renameProfileBtn.addEventListener('click', () => {
+                this.handleRenameProfile();
+            });
+        }
+
+        if (deleteProfileBtn) {
+            deleteProfileBtn.addEventListener('click', () => {
+                this.handleDeleteProfile();
+            });
+        }
+    }
+
+    /**
+     * Sets up the encryption card
+     * @private
+     */
+    setupEncryption() {
+        const encryptionForm = document.getElementById('encryption-form');
+        const disableBtn = document.getElementById('disable-encryption-btn');
+
+        this.ui.setEncryptionStatus(
+            this.storageService.isEncrypted(),
+            EncryptionService.isSupported() && this.storageService.isAvailable()
+        );
+
+        if (encryptionForm) {
+            encryptionForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleEncryptionSubmit();
+            });
+        }
+
+        if (disableBtn) {
+            disableBtn.addEventListener('click', () => {
+                this.handleDisableEncryption();
+            });
+        }
+    }
+
+    /**
+     * Starts sharing goal and theme changes with other open tabs
+     * @private
+     */
+    setupSync() {
+        if (typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+
+        this.storageService.startSync(new BroadcastChannel(SYNC_CHANNEL_NAME), (message) => {
+            this.handleExternalChange(message);
+        });
+    }
+
+    /**
+     * Sets up monthly budget and strategy handlers
+     * @private
+     */
+    setupBudget() {
+        const budgetInput = document.getElementById('monthlyBudget');
+        const strategySelect = document.getElementById('budgetStrategy');
+
+        if (budgetInput) {
+            budgetInput.addEventListener('input', () => {
+                this.handleBudgetChange();
+            });
+        }
+
+        if (strategySelect) {
+            strategySelect.addEventListener('change', () => {
+                this.handleBudgetChange();
+            });
+        }
+    }
+
+    /**
+     * Sets up tax settings handlers
+     * @private
+     */
+    setupTax() {
+        const taxSettings = document.getElementById('tax-settings');
+
+        if (taxSettings) {
+            taxSettings.addEventListener('change', () => {
+                this.handleTaxChange();
+            });
+        }
+    }
+
+    /**
+     * Sets up the contribution and valuation forms on goal cards
+     * @private
+     */
+    setupLedger() {
+        const goalsList = document.getElementById('goals-list');
+        goalsList.addEventListener('submit', (e) => {
+            this.handleLedgerEntry(e);
+        });
     }
 
     /**
@@ -109,6 +358,24 @@ class MultiGoalSIPApp {
         });
     }
 
+    /**
+     * Sets up goal edit and cancel handlers
+     * @private
+     */
+    setupGoalEditing() {
+        const goalsListEl = document.getElementById('goals-list');
+        goalsListEl.addEventListener('click', (e) => {
+            this.handleEditGoal(e);
+        });
+
+        const cancelEditBtn = document.getElementById('cancel-edit-btn');
+        if (cancelEditBtn) {
+            cancelEditBtn.addEventListener('click', () => {
+                this.ui.resetForm();
+            });
+        }
+    }
+
     /**
      * Sets up clear all goals button handler
      * @private
@@ -122,6 +389,62 @@ class MultiGoalSIPApp {
         }
     }
 
+    /**
+     * Sets up undo/redo buttons, the undo toast and keyboard shortcuts
+     * @private
+     */
+    setupHistory() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const undoToastBtn = document.getElementById('undo-toast-btn');
+
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => {
+                this.handleUndo();
+            });
+        }
+
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => {
+                this.handleRedo();
+            });
+        }
+
+        if (undoToastBtn) {
+            undoToastBtn.addEventListener('click', () => {
+                this.handleUndo();
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            this.handleHistoryShortcut(e);
+        });
+    }
+
+    /**
+     * Sets up the snapshot panel's lists and restore button
+     * @private
+     */
+    setupSnapshots() {
+        const snapshotSelect = document.getElementById('snapshot-select');
+        const compareSelect = document.getElementById('snapshot-compare-select');
+        const restoreBtn = document.getElementById('restore-snapshot-btn');
+
+        [snapshotSelect, compareSelect].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.renderSnapshots(this.goalManager.getAllGoals());
+                });
+            }
+        });
+
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                this.handleRestoreSnapshot();
+            });
+        }
+    }
+
     /**
      * Sets up export buttons handlers
      * @private
@@ -129,6 +452,12 @@ class MultiGoalSIPApp {
     setupExport() {
         const exportCSVBtn = document.getElementById('export-csv-btn');
         const exportJSONBtn = document.getElementById('export-json-btn');
+        const exportEncryptedJSONBtn = document.getElementById('export-encrypted-json-btn');
+        const exportHouseholdBtn = document.getElementById('export-household-btn');
+        const exportPDFBtn = document.getElementById('export-pdf-btn');
+        const exportXLSXBtn = document.getElementById('export-xlsx-btn');
+        const exportScheduleCSVBtn = document.getElementById('export-schedule-csv-btn');
+        const exportScheduleJSONBtn = document.getElementById('export-schedule-json-btn');
 
         if (exportCSVBtn) {
             exportCSVBtn.addEventListener('click', () => {
@@ -141,6 +470,42 @@ class MultiGoalSIPApp {
                 this.handleExportJSON();
             });
         }
+
+        if (exportEncryptedJSONBtn) {
+            exportEncryptedJSONBtn.addEventListener('click', () => {
+                this.handleExportEncryptedJSON();
+            });
+        }
+
+        if (exportHouseholdBtn) {
+            exportHouseholdBtn.addEventListener('click', () => {
+                this.handleExportHousehold();
+            });
+        }
+
+        if (exportXLSXBtn) {
+            exportXLSXBtn.addEventListener('click', () => {
+                this.handleExportXLSX();
+            });
+        }
+
+        if (exportPDFBtn) {
+            exportPDFBtn.addEventListener('click', () => {
+                this.handleExportPDF();
+            });
+        }
+
+        if (exportScheduleCSVBtn) {
+            exportScheduleCSVBtn.addEventListener('click', () => {
+                this.handleExportSchedule('csv');
+            });
+        }
+
+        if (exportScheduleJSONBtn) {
+            exportScheduleJSONBtn.addEventListener('click', () => {
+                this.handleExportSchedule('json');
+            });
+        }
     }
 
     /**
@@ -198,6 +563,20 @@ class MultiGoalSIPApp {
         }
     }
 
+    /**
+     * Sets up Monte Carlo simulation button handler
+     * @private
+     */
+    setupSimulation() {
+        const runSimulationBtn = document.getElementById('run-simulation-btn');
+
+        if (runSimulationBtn) {
+            runSimulationBtn.addEventListener('click', () => {
+                this.handleRunSimulation();
+            });
+        }
+    }
+
     /**
      * Updates theme toggle button icon
      * @private
@@ -228,19 +607,90 @@ class MultiGoalSIPApp {
             return;
         }
 
-        this.goalManager.addGoal(
-            formValues.name,
-            formValues.currentPrice,
-            formValues.inflationRate,
-            formValues.years,
-            formValues.expectedReturn,
-            formValues.stepUpRate
-        );
+        const goalValues = this.solveFormValues(formValues);
+
+        if (!goalValues) {
+            return;
+        }
+
+        const options = {
+            inflationSchedule: goalValues.inflationSchedule,
+            allocation: goalValues.allocation,
+            existingCorpus: goalValues.existingCorpus,
+            lumpSums: goalValues.lumpSums,
+            priority: goalValues.priority,
+            retirement: goalValues.retirement
+        };
+        const editingGoalId = this.ui.getEditingGoalId();
+
+        if (editingGoalId !== null) {
+            try {
+                this.history.record(`edit "${goalValues.name}"`, () => this.goalManager.updateGoal(editingGoalId, {
+                    name: goalValues.name,
+                    currentPrice: goalValues.currentPrice,
+                    inflationRate: goalValues.inflationRate,
+                    years: goalValues.years,
+                    expectedReturn: goalValues.expectedReturn,
+                    stepUpRate: goalValues.stepUpRate,
+                    ...options
+                }));
+            } catch (error) {
+                alert(`Could not update goal: ${error.message}`);
+                return;
+            }
+        } else {
+            this.history.record(`add "${goalValues.name}"`, () => this.goalManager.addGoal(
+                goalValues.name,
+                goalValues.currentPrice,
+                goalValues.inflationRate,
+                goalValues.years,
+                goalValues.expectedReturn,
+                goalValues.stepUpRate,
+                options
+            ));
+        }
 
         this.ui.resetForm();
         this.render();
     }
 
+    /**
+     * Fills in the field the form solves for from the SIP budget
+     * @private
+     * @param {Object} formValues - Values from the add goal form
+     * @returns {Object|null} Goal values with the unknown field solved, or null if the goal cannot be reached
+     */
+    solveFormValues(formValues) {
+        const unknown = formValues.solveFor;
+
+        if (!unknown || unknown === 'monthlySIP') {
+            this.ui.hideSolverResult();
+            return formValues;
+        }
+
+        const solvedValue = this.calculator.solveGoal(formValues, unknown, formValues.sipBudget);
+        this.ui.renderSolverResult(unknown, solvedValue, formValues.sipBudget, Boolean(formValues.retirement));
+
+        if (solvedValue === null) {
+            return null;
+        }
+
+        // The timeframe field holds whole years, so a partial final year is rounded up
+        const value = unknown === 'years' ? Math.max(Math.ceil(solvedValue), 1) : solvedValue;
+        return { ...formValues, [unknown]: value };
+    }
+
+    /**
+     * Finds the goal a goal card element belongs to
+     * @private
+     * @param {HTMLElement} element - Element with the goal's ID in its data-id attribute
+     * @returns {Object|null} The goal, or null if no goal has the ID
+     */
+    findGoalByElement(element) {
+        // Attributes hold IDs as text, while goals created by earlier versions have numeric IDs
+        return this.goalManager.getAllGoals().find(goal => String(goal.id) === element.dataset.id) || null;
+    }
+
     /**
      * Handles removing a goal
      * @private
@@ -253,95 +703,627 @@ class MultiGoalSIPApp {
             return;
         }
 
-        const goalId = parseInt(removeBtn.dataset.id);
-        this.goalManager.removeGoal(goalId);
+        const goal = this.findGoalByElement(removeBtn);
+
+        if (!goal) {
+            return;
+        }
+
+        this.history.record(`remove "${goal.name}"`, () => this.goalManager.removeGoal(goal.id));
         this.render();
+        this.ui.showUndoToast(`Goal "${goal.name}" removed`);
     }
 
     /**
-     * Handles clearing all goals with confirmation
+     * Handles logging a contribution or valuation from a goal card
      * @private
+     * @param {Event} event - Submit event
      */
-    handleClearAll() {
-        if (this.goalManager.getGoalCount() === 0) {
+    handleLedgerEntry(event) {
+        const ledgerForm = event.target.closest('.ledger-form');
+
+        if (!ledgerForm) {
             return;
         }
 
-        const confirmed = confirm('Are you sure you want to clear all goals? This action cannot be undone.');
-        
-        if (confirmed) {
-            this.goalManager.clearAllGoals();
-            this.render();
+        event.preventDefault();
+        const entry = this.ui.getLedgerEntry(ledgerForm);
+
+        if (!entry) {
+            return;
         }
-    }
 
-    /**
-     * Handles exporting goals to CSV
-     * @private
-     */
-    handleExportCSV() {
-        const goals = this.goalManager.getAllGoals();
-        
-        if (goals.length === 0) {
-            alert('No goals to export. Add some goals first.');
+        const goal = this.findGoalByElement(ledgerForm);
+
+        if (!goal) {
             return;
         }
 
-        this.exporter.exportCSV(goals);
+        this.history.record(`log ${entry.type}`, () => {
+            if (entry.type === 'valuation') {
+                this.goalManager.addValuation(goal.id, entry.date, entry.amount);
+            } else {
+                this.goalManager.addContribution(goal.id, entry.date, entry.amount);
+            }
+        });
+
+        this.render();
     }
 
     /**
-     * Handles exporting goals to JSON
+     * Handles editing a goal by loading it into the form
      * @private
+     * @param {Event} event - Click event
      */
-    handleExportJSON() {
-        const goals = this.goalManager.getAllGoals();
-        
-        if (goals.length === 0) {
-            alert('No goals to export. Add some goals first.');
+    handleEditGoal(event) {
+        const editBtn = event.target.closest('.edit-btn');
+
+        if (!editBtn) {
+            return;
+        }
+
+        const goal = this.findGoalByElement(editBtn);
+
+        if (!goal) {
             return;
         }
 
-        this.exporter.exportJSON(goals);
+        this.ui.populateForm(goal);
+
+        const formEl = document.getElementById('add-goal-form');
+        if (formEl.scrollIntoView) {
+            formEl.scrollIntoView({ behavior: 'smooth' });
+        }
     }
 
     /**
-     * Handles using a goal template
+     * Handles clearing all goals with confirmation
      * @private
      */
-    handleUseTemplate() {
-        const templateSelect = document.getElementById('template-select');
-        const templateId = templateSelect.value;
-        
-        if (!templateId) {
+    handleClearAll() {
+        if (this.goalManager.getGoalCount() === 0) {
             return;
         }
 
-        const goalData = this.templateManager.createGoalFromTemplate(templateId);
+        const confirmed = confirm('Are you sure you want to clear all goals? You can undo this with Ctrl+Z.');
         
-        if (!goalData) {
-            alert('Template not found');
-            return;
+        if (confirmed) {
+            this.history.record('clear all goals', () => this.goalManager.clearAllGoals());
+            this.render();
+            this.ui.showUndoToast('All goals cleared');
         }
+    }
 
-        // Populate form with template values
-        document.getElementById('goalName').value = goalData.name;
-        document.getElementById('currentPrice').value = goalData.currentPrice;
-        document.getElementById('inflationRate').value = goalData.inflationRate;
-        document.getElementById('timePeriod').value = goalData.years;
-        document.getElementById('expectedReturn').value = goalData.expectedReturn;
-        document.getElementById('stepUpRate').value = 0; // Reset step-up rate
+    /**
+     * Handles undoing the most recent goal change
+     * @private
+     */
+    handleUndo() {
+        const label = this.history.undo();
 
-        // Reset template selection
-        templateSelect.selectedIndex = 0;
+        if (label !== null) {
+            this.ui.hideUndoToast();
+            this.leaveStaleEditMode();
+            this.render();
+        }
     }
 
     /**
-     * Handles theme toggle
+     * Handles redoing the most recently undone goal change
+     * @private
+     */
+    handleRedo() {
+        const label = this.history.redo();
+
+        if (label !== null) {
+            this.ui.hideUndoToast();
+            this.leaveStaleEditMode();
+            this.render();
+        }
+    }
+
+    /**
+     * Handles restoring the goals of the snapshot chosen in the snapshot panel
+     * 
+     * The restore replaces the goals through the GoalManager like any other
+     * change, so it can be undone and is itself kept as a new snapshot.
+     * 
+     * @private
+     */
+    handleRestoreSnapshot() {
+        const { snapshotId } = this.ui.getSnapshotSelection();
+        const snapshot = snapshotId === null ? null : this.storageService.getSnapshot(snapshotId);
+
+        if (!snapshot) {
+            return;
+        }
+
+        const savedAt = this.formatter.formatDateTime(snapshot.savedAt);
+        const confirmed = confirm(`Replace your goals with the snapshot from ${savedAt}? You can undo this with Ctrl+Z.`);
+
+        if (!confirmed) {
+            return;
+        }
+
+        this.history.record(`restore snapshot from ${savedAt}`, () => this.goalManager.replaceAllGoals(snapshot.goals));
+        this.leaveStaleEditMode();
+        this.render();
+        this.ui.showUndoToast(`Restored the snapshot from ${savedAt}`);
+    }
+
+    /**
+     * Handles Ctrl+Z (undo) and Ctrl+Y or Ctrl+Shift+Z (redo), also with Cmd on macOS
+     * 
+     * Shortcuts typed in form fields are left to the browser so they undo text edits.
+     * 
+     * @private
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleHistoryShortcut(event) {
+        const target = event.target;
+        const isTextField = target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
+        if (!(event.ctrlKey || event.metaKey) || isTextField) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleUndo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    /**
+     * Leaves edit mode if undo, redo or another tab removed the goal being edited
+     * @private
+     */
+    leaveStaleEditMode() {
+        const editingGoalId = this.ui.getEditingGoalId();
+
+        if (editingGoalId !== null && !this.goalManager.getGoal(editingGoalId)) {
+            this.ui.resetForm();
+        }
+    }
+
+    /**
+     * Handles a goal, theme, profile list or encryption change made in another tab
+     * 
+     * The other tab's goal changes to the open profile are merged into
+     * this tab's goals and recorded for undo. If the merged goals include
+     * changes made here that the other tab's save lacks, they are saved so
+     * storage holds both. When both tabs changed the same goal, the toast
+     * says whose version was kept. Changes to other profiles only update
+     * the household summary.
+     * 
+     * @private
+     * @param {Object} message - Change posted by the other tab
+     */
+    async handleExternalChange(message) {
+        if (message.type === 'encryption') {
+            // This tab's key and saved data no longer match; reloading shows the unlock screen if needed
+            window.location.reload();
+            return;
+        }
+
+        if (message.type === 'profiles') {
+            if (await this.profileManager.reload()) {
+                this.openActiveProfile();
+            } else {
+                this.ui.renderProfiles(this.profileManager.getProfiles(), this.profileManager.getActiveProfile().id);
+                this.ui.renderHouseholdSummary(this.household.getHouseholdSummary(this.goalManager.getAllGoals()));
+            }
+            return;
+        }
+
+        if (message.profileId !== this.profileManager.getActiveProfile().id) {
+            if (message.type === 'goals') {
+                this.ui.renderHouseholdSummary(this.household.getHouseholdSummary(this.goalManager.getAllGoals()));
+            }
+            return;
+        }
+
+        if (message.type === 'theme') {
+            if (this.themeManager.syncTheme(message.theme)) {
+                this.refreshTheme();
+            }
+            return;
+        }
+
+        if (message.type !== 'goals') {
+            return;
+        }
+
+        const localGoals = this.goalManager.getAllGoals();
+        const { goals, conflicts } = this.syncMerger.merge(localGoals, message, this.storageService.getLastRevision());
+        const alreadySaved = JSON.stringify(goals) === JSON.stringify(message.goals);
+
+        if (JSON.stringify(goals) === JSON.stringify(localGoals) && alreadySaved) {
+            return;
+        }
+
+        this.history.record('changes from another tab', () => this.goalManager.replaceAllGoals(goals, !alreadySaved));
+        this.leaveStaleEditMode();
+        this.render();
+
+        if (conflicts.length > 0) {
+            const names = conflicts.map(conflict => `"${conflict.name}"`).join(', ');
+            const kept = conflicts[0].keptRemote ? 'the other tab' : 'this tab';
+            this.ui.showUndoToast(`${names} also changed in another tab; kept the version from ${kept}`);
+        }
+    }
+
+    /**
+     * Handles exporting goals to CSV
+     * @private
+     */
+    handleExportCSV() {
+        const goals = this.goalManager.getAllGoals();
+        
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        this.exporter.exportCSV(goals, this.getBudgetAllocation(goals));
+    }
+
+    /**
+     * Handles exporting goals to JSON
+     * @private
+     */
+    handleExportJSON() {
+        const goals = this.goalManager.getAllGoals();
+        
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        this.exporter.exportJSON(goals, this.getBudgetAllocation(goals));
+    }
+
+    /**
+     * Handles exporting goals to an Excel workbook titled with the profile name
+     * @private
+     */
+    handleExportXLSX() {
+        const goals = this.goalManager.getAllGoals();
+
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        this.exporter.exportXLSX(goals, this.getBudgetAllocation(goals), this.profileManager.getActiveProfile().name);
+    }
+
+    /**
+     * Handles exporting goals to a PDF report titled with the profile name
+     * @private
+     */
+    handleExportPDF() {
+        const goals = this.goalManager.getAllGoals();
+
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        this.exporter.exportPDF(goals, this.profileManager.getActiveProfile().name);
+    }
+
+    /**
+     * Handles exporting the cashflow schedule of goals at the interval chosen beside the buttons
+     * @private
+     * @param {string} format - 'csv' or 'json'
+     */
+    handleExportSchedule(format) {
+        const goals = this.goalManager.getAllGoals();
+        const intervalSelect = document.getElementById('schedule-interval');
+        const interval = intervalSelect ? intervalSelect.value : 'year';
+
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        if (format === 'json') {
+            this.exporter.exportScheduleJSON(goals, interval);
+        } else {
+            this.exporter.exportScheduleCSV(goals, interval);
+        }
+    }
+
+    /**
+     * Handles exporting the goals of every profile to one JSON file
+     * @private
+     */
+    handleExportHousehold() {
+        const profiles = this.household.getProfilesWithGoals(this.goalManager.getAllGoals());
+
+        if (profiles.every(profile => profile.goals.length === 0)) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        this.exporter.exportHouseholdJSON(profiles);
+    }
+
+    /**
+     * Handles opening the profile chosen in the switcher
+     * @private
+     * @param {string} profileId - Profile ID
+     */
+    async handleSwitchProfile(profileId) {
+        try {
+            await this.household.openProfile(profileId);
+        } catch (error) {
+            alert(`Could not open the profile: ${error.message}`);
+        }
+
+        this.openActiveProfile();
+    }
+
+    /**
+     * Handles creating a profile and opening it
+     * @private
+     */
+    async handleAddProfile() {
+        const name = prompt('Name of the new profile:');
+
+        if (name === null) {
+            return;
+        }
+
+        try {
+            await this.household.addProfile(name);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.openActiveProfile();
+    }
+
+    /**
+     * Handles renaming the open profile
+     * @private
+     */
+    handleRenameProfile() {
+        const profile = this.profileManager.getActiveProfile();
+        const name = prompt('New name for this profile:', profile.name);
+
+        if (name === null) {
+            return;
+        }
+
+        try {
+            this.household.renameActiveProfile(name);
+            this.ui.renderProfiles(this.profileManager.getProfiles(), profile.id);
+            this.ui.renderHouseholdSummary(this.household.getHouseholdSummary(this.goalManager.getAllGoals()));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Handles deleting the open profile and its saved data
+     * @private
+     */
+    async handleDeleteProfile() {
+        const profile = this.profileManager.getActiveProfile();
+        const confirmed = confirm(`Delete the profile "${profile.name}" with all of its goals and settings? This cannot be undone.`);
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await this.household.deleteActiveProfile();
+            this.openActiveProfile();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Loads the open profile's theme, goals, history and settings into the page
+     * @private
+     */
+    openActiveProfile() {
+        this.themeManager.reload();
+        this.updateThemeToggleIcon();
+        this.ui.resetForm();
+        this.ui.hideUndoToast();
+        this.loadSavedGoals();
+        this.history.load();
+        this.loadSettings();
+        this.ui.renderProfiles(this.profileManager.getProfiles(), this.profileManager.getActiveProfile().id);
+        this.render();
+    }
+
+    /**
+     * Handles exporting goals to JSON encrypted with a passphrase
+     * @private
+     */
+    async handleExportEncryptedJSON() {
+        const goals = this.goalManager.getAllGoals();
+        
+        if (goals.length === 0) {
+            alert('No goals to export. Add some goals first.');
+            return;
+        }
+
+        const passphrase = await this.ui.requestPassphrase('Choose a passphrase for the exported file. You will need it to import the file.');
+
+        if (passphrase === null) {
+            return;
+        }
+
+        try {
+            await this.exporter.exportEncryptedJSON(goals, passphrase, this.getBudgetAllocation(goals));
+        } catch (error) {
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handles turning on encryption or changing the passphrase from the encryption card
+     * @private
+     */
+    async handleEncryptionSubmit() {
+        const { currentPassphrase, newPassphrase, confirmPassphrase } = this.ui.getEncryptionValues();
+        const encrypted = this.storageService.isEncrypted();
+
+        if (newPassphrase !== confirmPassphrase) {
+            this.ui.showEncryptionMessage('The passphrases do not match.', true);
+            return;
+        }
+
+        this.ui.setEncryptionBusy(true);
+
+        try {
+            if (encrypted) {
+                await this.storageService.changePassphrase(currentPassphrase, newPassphrase);
+            } else {
+                await this.storageService.enableEncryption(newPassphrase);
+            }
+
+            this.ui.clearEncryptionValues();
+            this.ui.setEncryptionStatus(true);
+            this.ui.showEncryptionMessage(encrypted ? 'Passphrase changed.' : 'Saved goals are now encrypted.');
+        } catch (error) {
+            this.ui.showEncryptionMessage(error.message, true);
+        } finally {
+            this.ui.setEncryptionBusy(false);
+        }
+    }
+
+    /**
+     * Handles turning off encryption from the encryption card
+     * @private
+     */
+    async handleDisableEncryption() {
+        const { currentPassphrase } = this.ui.getEncryptionValues();
+        this.ui.setEncryptionBusy(true);
+
+        try {
+            await this.storageService.disableEncryption(currentPassphrase);
+            this.ui.clearEncryptionValues();
+            this.ui.setEncryptionStatus(false);
+            this.ui.showEncryptionMessage('Saved goals are no longer encrypted.');
+        } catch (error) {
+            this.ui.showEncryptionMessage(error.message, true);
+        } finally {
+            this.ui.setEncryptionBusy(false);
+        }
+    }
+
+    /**
+     * Handles changes to the monthly budget or strategy
+     * @private
+     */
+    handleBudgetChange() {
+        this.settings = { ...this.settings, ...this.ui.getBudgetSettings() };
+        this.storageService.saveSettings(this.settings);
+        this.ui.renderBudgetAllocation(this.getBudgetAllocation(this.goalManager.getAllGoals()));
+    }
+
+    /**
+     * Handles changes to the tax settings
+     * 
+     * Invalid rules are not applied, so goals keep showing the last valid figures.
+     * 
+     * @private
+     */
+    handleTaxChange() {
+        const taxSettings = this.ui.getTaxSettings();
+
+        if (!taxSettings) {
+            return;
+        }
+
+        try {
+            this.taxCalculator.setRules(taxSettings.rules);
+        } catch (error) {
+            console.warn(`Tax settings not applied: ${error.message}`);
+            return;
+        }
+
+        this.settings = { ...this.settings, tax: taxSettings };
+        this.storageService.saveSettings(this.settings);
+        this.render();
+    }
+
+    /**
+     * Splits the saved monthly budget between goals
+     * @private
+     * @param {Array<Object>} goals - Array of goal objects
+     * @returns {Object|null} Budget allocation, or null without a budget or goals
+     */
+    getBudgetAllocation(goals) {
+        if (!this.settings.budget || goals.length === 0) {
+            return null;
+        }
+
+        return this.allocator.allocate(goals, this.settings.budget, this.settings.strategy);
+    }
+
+    /**
+     * Handles using a goal template
+     * @private
+     */
+    handleUseTemplate() {
+        const templateSelect = document.getElementById('template-select');
+        const templateId = templateSelect.value;
+        
+        if (!templateId) {
+            return;
+        }
+
+        const goalData = this.templateManager.createGoalFromTemplate(templateId);
+        
+        if (!goalData) {
+            alert('Template not found');
+            return;
+        }
+
+        // Populate form with template values
+        document.getElementById('goalName').value = goalData.name;
+        document.getElementById('currentPrice').value = goalData.currentPrice;
+        document.getElementById('inflationRate').value = goalData.inflationRate;
+        document.getElementById('timePeriod').value = goalData.years;
+        document.getElementById('expectedReturn').value = goalData.expectedReturn;
+        document.getElementById('stepUpRate').value = 0; // Reset step-up rate
+        document.getElementById('inflationSchedule').value = '';
+        document.getElementById('existingCorpus').value = 0;
+        document.getElementById('lumpSums').value = '';
+        this.ui.toggleAllocationFields(false);
+        this.ui.toggleRetirementFields(Boolean(goalData.retirement), goalData.retirement);
+
+        // Reset template selection
+        templateSelect.selectedIndex = 0;
+    }
+
+    /**
+     * Handles theme toggle
      * @private
      */
     handleThemeToggle() {
         this.themeManager.toggleTheme();
+        this.refreshTheme();
+    }
+
+    /**
+     * Updates the theme toggle icon and chart after the theme changed
+     * @private
+     */
+    refreshTheme() {
         this.updateThemeToggleIcon();
         
         // Update chart theme if goals exist
@@ -352,8 +1334,35 @@ class MultiGoalSIPApp {
         }
     }
 
+    /**
+     * Handles running the Monte Carlo simulation for all goals
+     * @private
+     */
+    handleRunSimulation() {
+        const goals = this.goalManager.getAllGoals();
+
+        if (goals.length === 0) {
+            return;
+        }
+
+        const volatilityInput = document.getElementById('simulationVolatility');
+        const volatility = volatilityInput ? parseFloat(volatilityInput.value) : NaN;
+        const options = isNaN(volatility) || volatility < 0 ? {} : { volatility };
+
+        const result = this.simulator.simulatePlan(goals, options);
+        this.ui.renderSimulationResults(result);
+    }
+
     /**
      * Handles importing goals from file
+     * 
+     * The goals are checked and shown in a preview first, where invalid
+     * goals can be fixed or left out; nothing changes until the user
+     * confirms. Household exports skip the preview. Merging updates the
+     * goals the imported ones match (see ImportMerger) instead of adding
+     * copies of them. Excel workbooks are read from their Goals sheet,
+     * whose columns are matched like those of CSV files.
+     * 
      * @private
      * @param {Event} event - Change event from file input
      */
@@ -365,51 +1374,77 @@ class MultiGoalSIPApp {
         }
 
         try {
-            let importedGoals;
+            let preview;
+            const existingGoals = this.goalManager.getAllGoals();
             const fileExtension = file.name.split('.').pop().toLowerCase();
 
             if (fileExtension === 'csv') {
-                importedGoals = await this.importer.importCSV(file);
+                const content = await this.importer.readFile(file);
+                const columns = await this.chooseColumns(this.importer.matchCSVColumns(content));
+
+                if (columns === null) {
+                    return;
+                }
+
+                preview = this.importer.previewCSV(content, columns, existingGoals);
+            } else if (fileExtension === 'xlsx') {
+                const table = await this.importer.readXLSX(await this.importer.readFileBytes(file));
+                const columns = await this.chooseColumns(this.importer.matchXLSXColumns(table));
+
+                if (columns === null) {
+                    return;
+                }
+
+                preview = this.importer.previewXLSX(table, columns, existingGoals);
             } else if (fileExtension === 'json') {
-                importedGoals = await this.importer.importJSON(file);
+                const content = await this.importer.readFile(file);
+
+                if (this.importer.isHouseholdJSON(content)) {
+                    await this.handleImportHousehold(this.importer.parseHouseholdJSON(content));
+                    return;
+                }
+
+                const json = await this.importer.decryptJSONAskingPassphrase(content, () => this.ui.requestPassphrase('This file is encrypted. Enter the passphrase it was exported with.'));
+
+                if (json === null) {
+                    return;
+                }
+
+                preview = this.importer.previewJSON(json, existingGoals);
             } else {
-                throw new Error('Unsupported file format. Please use CSV or JSON files.');
+                throw new Error('Unsupported file format. Please use CSV, JSON or Excel (.xlsx) files.');
             }
 
-            if (importedGoals.length === 0) {
+            if (preview.rows.length === 0) {
                 alert('No valid goals found in the file.');
                 return;
             }
 
-            // Ask user if they want to replace or merge
-            const existingCount = this.goalManager.getGoalCount();
-            let shouldProceed = true;
-
-            if (existingCount > 0) {
-                const action = confirm(
-                    `Found ${importedGoals.length} goal(s) in the file.\n\n` +
-                    `You have ${existingCount} existing goal(s).\n\n` +
-                    `Click OK to ADD imported goals to existing ones.\n` +
-                    `Click Cancel to REPLACE existing goals with imported ones.`
-                );
-
-                if (!action) {
-                    // User wants to replace
-                    this.goalManager.clearAllGoals();
-                }
+            // The user fixes or drops invalid goals and chooses to add, replace or merge before anything changes
+            const choice = await this.ui.requestImportPreview(
+                preview,
+                existingGoals.length,
+                row => this.importer.checkImportRow(row, existingGoals),
+                goals => this.importMerger.plan(existingGoals, goals)
+            );
+
+            if (choice === null) {
+                return;
             }
 
-            // Add imported goals
-            importedGoals.forEach(goal => {
-                this.goalManager.addGoal(
-                    goal.name,
-                    goal.currentPrice,
-                    goal.inflationRate,
-                    goal.years,
-                    goal.expectedReturn,
-                    goal.stepUpRate || 0
-                );
-            });
+            const importedGoals = choice.goals;
+
+            // Each import is recorded as one change so a single undo reverts it
+            if (choice.mode === 'merge') {
+                const plan = this.importMerger.plan(existingGoals, importedGoals);
+                this.history.record(`merge ${importedGoals.length} goal(s)`, () => this.mergeImportedGoals(plan, choice.removeMissing));
+                this.render();
+                alert(`Merged ${importedGoals.length} goal(s): ${plan.added.length} added, ${plan.updated.length} updated` +
+                    (choice.removeMissing ? `, ${plan.missing.length} deleted.` : '.'));
+                return;
+            }
+
+            this.history.record(`import ${importedGoals.length} goal(s)`, () => this.goalManager.importGoals(importedGoals, choice.mode === 'replace'));
 
             this.render();
             alert(`Successfully imported ${importedGoals.length} goal(s)!`);
@@ -423,16 +1458,141 @@ class MultiGoalSIPApp {
         }
     }
 
+    /**
+     * Works out which goal field each column of a CSV file or Excel sheet holds
+     * 
+     * Columns are matched by their headers. If a required field is missing
+     * or a header is not recognized, the user chooses the mapping, starting
+     * from the one remembered for files with the same headers, and the
+     * choice is remembered for next time.
+     * 
+     * @private
+     * @param {Object} match - Columns matched by header, from Importer.matchCSVColumns() or matchXLSXColumns()
+     * @returns {Promise<Array<string|null>|null>} Goal field held by each column, or null if the user cancelled
+     */
+    async chooseColumns(match) {
+        if (match.missing.length === 0 && match.unknown.length === 0) {
+            return match.columns;
+        }
+
+        const remembered = this.storageService.loadCSVMapping(match.signature);
+        const columns = await this.ui.requestColumnMapping(
+            { ...match, columns: remembered && remembered.length === match.headers.length ? remembered : match.columns },
+            this.importer.getCSVFields(),
+            chosen => this.importer.validateCSVColumns(chosen)
+        );
+
+        if (columns !== null) {
+            this.storageService.saveCSVMapping(match.signature, columns);
+        }
+
+        return columns;
+    }
+
+    /**
+     * Handles importing a household file once the user confirms (see HouseholdManager.importProfiles)
+     * @private
+     * @param {Array<Object>} importedProfiles - Profiles read from the file, as { name, goals }
+     */
+    async handleImportHousehold(importedProfiles) {
+        const existingNames = importedProfiles
+            .filter(profile => this.household.findProfileByName(profile.name))
+            .map(profile => `"${profile.name}"`);
+
+        const confirmed = confirm(
+            `Found ${importedProfiles.length} profile(s) in the file.\n\n` +
+            (existingNames.length > 0 ? `Goals for ${existingNames.join(', ')} will be ADDED to the existing profile(s) with that name.\n` : '') +
+            `Other profiles will be created.\n\nContinue?`
+        );
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await this.household.importProfiles(importedProfiles);
+        } finally {
+            // Shows the profile that was open before, even if a profile failed to import
+            this.openActiveProfile();
+        }
+
+        alert(`Successfully imported ${importedProfiles.length} profile(s)!`);
+    }
+
+    /**
+     * Merges imported goals into the existing ones
+     * 
+     * The plan is applied to a copy of the goals that is not saved, so an
+     * update that fails validation leaves the goals as they were. The
+     * merged goals are then saved once.
+     * 
+     * @private
+     * @param {Object} plan - Merge plan (see ImportMerger.plan)
+     * @param {boolean} removeMissing - Whether to delete existing goals the file lacks
+     * @throws {Error} If an updated goal is invalid; nothing is saved then
+     */
+    mergeImportedGoals(plan, removeMissing) {
+        const draft = new GoalManager(null, this.goalManager.idGenerator);
+        draft.replaceAllGoals(this.goalManager.getAllGoals(), false);
+
+        plan.updated.forEach(({ goal, changes }) => draft.updateGoal(goal.id, changes));
+
+        if (removeMissing) {
+            plan.missing.forEach(goal => draft.removeGoal(goal.id));
+        }
+
+        draft.importGoals(plan.added);
+        this.goalManager.replaceAllGoals(draft.getAllGoals(), true);
+    }
+
     /**
      * Renders the entire application UI
      * @private
      */
     render() {
         const goals = this.goalManager.getAllGoals();
-        this.ui.render(goals);
+        this.ui.render(goals, this.settings.tax.enabled);
+        this.ui.renderBudgetAllocation(this.getBudgetAllocation(goals));
+        this.ui.renderHouseholdSummary(this.household.getHouseholdSummary(goals));
+        this.ui.resetSimulation(goals);
+        this.ui.updateHistoryControls(this.history.getUndoLabel(), this.history.getRedoLabel());
+        this.renderSnapshots(goals);
         this.renderChart(goals);
     }
 
+    /**
+     * Renders the snapshot lists and compares the chosen snapshot
+     * 
+     * The earlier of the two versions is always compared with the later
+     * one, so added and removed goals read the same way either way round.
+     * 
+     * @private
+     * @param {Array<Object>} goals - Current goals
+     */
+    renderSnapshots(goals) {
+        const snapshots = this.storageService.loadSnapshots();
+        this.ui.renderSnapshots(snapshots);
+
+        const { snapshotId, compareWithId } = this.ui.getSnapshotSelection();
+        const snapshot = snapshots.find(s => s.id === snapshotId);
+
+        if (!snapshot) {
+            this.ui.renderSnapshotDiff(null);
+            return;
+        }
+
+        const versions = [
+            { id: snapshot.id, label: `the snapshot from ${this.formatter.formatDateTime(snapshot.savedAt)}`, goals: snapshot.goals }
+        ];
+        const other = compareWithId === null ? null : snapshots.find(s => s.id === compareWithId);
+        versions.push(other
+            ? { id: other.id, label: `the snapshot from ${this.formatter.formatDateTime(other.savedAt)}`, goals: other.goals }
+            : { id: Infinity, label: 'the current plan', goals });
+
+        const [from, to] = versions.sort((a, b) => a.id - b.id);
+        this.ui.renderSnapshotDiff(this.snapshotComparer.compare(from.goals, to.goals), from.label, to.label);
+    }
+
     /**
      * Renders the investment growth chart
      * @private
@@ -457,7 +1617,22 @@ class MultiGoalSIPApp {
 }
 
 // Initialize the application when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new MultiGoalSIPApp();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Pages that only import the class, such as the test runner, have no planner to start
+    if (!document.getElementById('add-goal-form')) {
+        return;
+    }
+
+    const storageService = new StorageService(await MultiGoalSIPApp.openStorageAdapter());
+    const profileManager = new ProfileManager(storageService);
+    await profileManager.load();
+
+    if (storageService.isLocked()) {
+        // Themes are not encrypted, so the unlock screen can use the open profile's
+        new ThemeManager(storageService).initialize();
+        await new UnlockScreen(storageService).waitForUnlock();
+    }
+
+    new MultiGoalSIPApp(storageService, profileManager);
 });
 
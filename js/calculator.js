@@ -3,6 +3,18 @@
  * Handles all financial calculations following the Single Responsibility Principle
  */
 
+/**
+ * Longest horizon, in years, searched when solving for the timeframe
+ * @type {number}
+ */
+const MAX_SOLVER_YEARS = 50;
+
+/**
+ * Highest annual return percentage searched when solving for the return
+ * @type {number}
+ */
+const MAX_SOLVER_RETURN = 100;
+
 /**
  * Calculator class for SIP-related computations
  */
@@ -17,20 +29,132 @@ export class SIPCalculator {
      * - r = Inflation rate (annual)
      * - n = Number of years
      * 
+     * With an inflation schedule, each year compounds at the rate of the
+     * range covering it, and years outside every range use the flat rate.
+     * 
      * @param {number} currentPrice - Current market price
      * @param {number} inflationRate - Annual inflation rate percentage
      * @param {number} years - Investment period in years
+     * @param {Array<Object>} [inflationSchedule] - Optional year ranges with their own rates
      * @returns {number} Future value adjusted for inflation
      */
-    calculateInflationAdjustedAmount(currentPrice, inflationRate, years) {
+    calculateInflationAdjustedAmount(currentPrice, inflationRate, years, inflationSchedule = null) {
         if (currentPrice === 0 || years === 0) {
             return currentPrice;
         }
-        
-        const r = inflationRate / 100; // Convert percentage to decimal
-        const futureValue = currentPrice * Math.pow(1 + r, years);
-        
-        return Math.round(futureValue);
+
+        return Math.round(currentPrice * this.calculateInflationFactor(inflationRate, years, inflationSchedule));
+    }
+
+    /**
+     * Calculates how much prices grow over a period
+     * @param {number} inflationRate - Annual inflation rate percentage
+     * @param {number} years - Period in years
+     * @param {Array<Object>} [inflationSchedule] - Optional year ranges with their own rates
+     * @returns {number} Growth factor (1 means no inflation)
+     */
+    calculateInflationFactor(inflationRate, years, inflationSchedule = null) {
+        if (!inflationSchedule || inflationSchedule.length === 0) {
+            const r = inflationRate / 100; // Convert percentage to decimal
+            return Math.pow(1 + r, years);
+        }
+
+        const wholeYears = Math.floor(years);
+        let factor = 1;
+
+        for (let year = 1; year <= wholeYears; year++) {
+            factor *= 1 + this.getInflationRateForYear(year, inflationRate, inflationSchedule) / 100;
+        }
+
+        // Compound any partial final year at that year's rate
+        const fraction = years - wholeYears;
+        if (fraction > 0) {
+            const rate = this.getInflationRateForYear(wholeYears + 1, inflationRate, inflationSchedule);
+            factor *= Math.pow(1 + rate / 100, fraction);
+        }
+
+        return factor;
+    }
+
+    /**
+     * Gets the inflation rate that applies to a given year
+     * @param {number} year - Year number (1-based)
+     * @param {number} inflationRate - Flat rate used when no range covers the year
+     * @param {Array<Object>} [inflationSchedule] - Optional year ranges with their own rates
+     * @returns {number} Annual inflation rate percentage for the year
+     */
+    getInflationRateForYear(year, inflationRate, inflationSchedule = null) {
+        if (!inflationSchedule) {
+            return inflationRate;
+        }
+
+        const range = inflationSchedule.find(r => year >= r.fromYear && year <= r.toYear);
+        return range ? range.rate : inflationRate;
+    }
+
+    /**
+     * Calculates the inflation-adjusted target amount of a goal
+     * 
+     * For retirement goals the target is the corpus needed at retirement
+     * (see calculateRetirementCorpus).
+     * 
+     * @param {Object} goal - Goal object
+     * @returns {number} Future value of the goal adjusted for inflation
+     */
+    calculateGoalTarget(goal) {
+        if (goal.retirement) {
+            return this.calculateRetirementCorpus(goal);
+        }
+
+        return this.calculateInflationAdjustedAmount(
+            goal.currentPrice,
+            goal.inflationRate,
+            goal.years,
+            goal.inflationSchedule
+        );
+    }
+
+    /**
+     * Calculates the corpus a retirement goal needs on the day of retirement
+     * 
+     * A retirement goal's currentPrice is today's monthly expenses. They
+     * inflate until retirement and keep inflating at the flat inflation rate
+     * afterwards, while the remaining corpus earns the post-retirement return.
+     * 
+     * Formula (growing annuity due, withdrawals at the start of each year):
+     * C = E * [1 - ((1 + g) / (1 + r))^n] / (r - g) * (1 + r)
+     * Where:
+     * - C = Corpus at retirement
+     * - E = First year's expenses
+     * - g = Inflation rate during retirement
+     * - r = Post-retirement return
+     * - n = Years in retirement
+     * 
+     * @param {Object} goal - Retirement goal with retirement.retirementYears and retirement.postRetirementReturn
+     * @returns {number} Required corpus at retirement
+     */
+    calculateRetirementCorpus(goal) {
+        return Math.round(goal.currentPrice * this.calculateRetirementCorpusFactor(goal));
+    }
+
+    /**
+     * Calculates the retirement corpus needed per rupee of today's monthly expenses
+     * @private
+     * @param {Object} goal - Retirement goal
+     * @returns {number} Corpus factor
+     */
+    calculateRetirementCorpusFactor(goal) {
+        const { retirementYears, postRetirementReturn } = goal.retirement;
+        const firstYearFactor = 12 * this.calculateInflationFactor(goal.inflationRate, goal.years, goal.inflationSchedule);
+        const r = postRetirementReturn / 100;
+        const g = goal.inflationRate / 100;
+
+        if (Math.abs(r - g) < 1e-9) {
+            return firstYearFactor * retirementYears;
+        }
+
+        const annuityFactor = (1 - Math.pow((1 + g) / (1 + r), retirementYears)) / (r - g) * (1 + r);
+        return firstYearFactor * annuityFactor;
     }
 
     /**
@@ -47,12 +171,23 @@ export class SIPCalculator {
      * @param {number} years - Investment period in years
      * @param {number} annualRate - Expected annual return percentage
      * @param {number} [stepUpRate] - Optional annual SIP increase rate percentage
+     * @param {number[]} [annualReturns] - Optional return percentage for each year, overriding annualRate
      * @returns {number} Required monthly SIP amount
      */
-    calculateMonthlySIP(targetAmount, years, annualRate, stepUpRate = 0) {
+    calculateMonthlySIP(targetAmount, years, annualRate, stepUpRate = 0, annualReturns = null) {
         const n = years * 12; // Total months
         const i = annualRate / 12 / 100; // Monthly rate of return
 
+        if (annualReturns && annualReturns.length > 0) {
+            if (targetAmount === 0 || n === 0) {
+                return 0;
+            }
+
+            // Future value is linear in the SIP amount, so scale a unit SIP
+            const unitFutureValue = this.calculateVariableReturnFutureValue(1, years, annualReturns, stepUpRate);
+            return Math.round(targetAmount / unitFutureValue);
+        }
+
         if (targetAmount === 0 || n === 0 || i === 0) {
             return 0;
         }
@@ -132,6 +267,357 @@ export class SIPCalculator {
         return futureValue;
     }
 
+    /**
+     * Calculates future value of a SIP whose return changes every year
+     * 
+     * Contributions are made at the start of each month and grow at the
+     * monthly rate of the year they are in, matching the SIP formula.
+     * 
+     * @param {number} initialSIP - Initial monthly SIP amount
+     * @param {number} years - Investment period in years
+     * @param {number[]} annualReturns - Return percentage for each year (last value repeats)
+     * @param {number} [stepUpRate] - Optional annual SIP increase rate percentage
+     * @returns {number} Future value
+     */
+    calculateVariableReturnFutureValue(initialSIP, years, annualReturns, stepUpRate = 0) {
+        const months = Math.round(years * 12);
+        const annualStepUp = (stepUpRate || 0) / 100;
+        let futureValue = 0;
+        let currentSIP = initialSIP;
+
+        for (let month = 0; month < months; month++) {
+            const year = Math.floor(month / 12);
+
+            if (month > 0 && month % 12 === 0) {
+                currentSIP *= (1 + annualStepUp);
+            }
+
+            const annualRate = annualReturns[Math.min(year, annualReturns.length - 1)];
+            futureValue = (futureValue + currentSIP) * (1 + annualRate / 12 / 100);
+        }
+
+        return futureValue;
+    }
+
+    /**
+     * Gets the asset weights that apply in a given year of a goal
+     * 
+     * During the final glidePath.years years, glidePath.shift percentage
+     * points of equity move to debt each year (never below 0% equity).
+     * 
+     * @param {Object} allocation - Allocation with weights, returns and optional glidePath
+     * @param {number} year - Year number (1-based)
+     * @param {number} totalYears - Goal horizon in years
+     * @returns {Object} Weights as { equity, debt, gold } percentages
+     */
+    getAllocationForYear(allocation, year, totalYears) {
+        const weights = { equity: 0, debt: 0, gold: 0, ...allocation.weights };
+        const glidePath = allocation.glidePath;
+
+        if (!glidePath || !glidePath.years || !glidePath.shift) {
+            return weights;
+        }
+
+        const glideStartYear = Math.ceil(totalYears) - glidePath.years;
+        const glideYearsElapsed = year - glideStartYear;
+
+        if (glideYearsElapsed <= 0) {
+            return weights;
+        }
+
+        const shifted = Math.min(weights.equity, glidePath.shift * glideYearsElapsed);
+        return {
+            equity: weights.equity - shifted,
+            debt: weights.debt + shifted,
+            gold: weights.gold
+        };
+    }
+
+    /**
+     * Calculates the weighted return of an asset mix
+     * @param {Object} weights - Weights as { equity, debt, gold } percentages
+     * @param {Object} returns - Expected returns as { equity, debt, gold } percentages
+     * @returns {number} Blended annual return percentage
+     */
+    calculateBlendedReturn(weights, returns) {
+        return ['equity', 'debt', 'gold'].reduce((total, asset) => {
+            return total + ((weights[asset] || 0) * (returns[asset] || 0)) / 100;
+        }, 0);
+    }
+
+    /**
+     * Gets the expected return for each year of a goal
+     * @param {Object} goal - Goal object
+     * @returns {number[]} Annual return percentages, one per (partial) year
+     */
+    getAnnualReturns(goal) {
+        const yearCount = Math.max(Math.ceil(goal.years), 1);
+
+        return Array.from({ length: yearCount }, (_, index) => {
+            if (!goal.allocation) {
+                return goal.expectedReturn;
+            }
+
+            const weights = this.getAllocationForYear(goal.allocation, index + 1, goal.years);
+            return this.calculateBlendedReturn(weights, goal.allocation.returns);
+        });
+    }
+
+    /**
+     * Grows a one-time amount from one month of a goal to another
+     * @param {number} amount - Amount invested
+     * @param {number} fromMonth - Month the amount is invested (0 = today)
+     * @param {number} toMonth - Month the value is measured
+     * @param {number[]} annualReturns - Return percentage for each year (last value repeats)
+     * @returns {number} Value of the amount at toMonth
+     */
+    calculateAmountFutureValue(amount, fromMonth, toMonth, annualReturns) {
+        let value = amount;
+
+        for (let month = fromMonth; month < toMonth; month++) {
+            const annualRate = annualReturns[Math.min(Math.floor(month / 12), annualReturns.length - 1)];
+            value *= 1 + annualRate / 12 / 100;
+        }
+
+        return value;
+    }
+
+    /**
+     * Calculates the value of a goal's existing corpus and lump sums after a number of years
+     * 
+     * The existing corpus is invested today. Each lump sum is invested at
+     * the end of its year and only counts once that year has passed.
+     * 
+     * @param {Object} goal - Goal object
+     * @param {number} [years] - Point in time to value; defaults to the goal horizon
+     * @returns {number} Value of the starting balance and lump sums
+     */
+    calculateStartingBalanceValue(goal, years = goal.years) {
+        const annualReturns = this.getAnnualReturns(goal);
+        const months = Math.round(years * 12);
+        let value = 0;
+
+        if (goal.existingCorpus > 0) {
+            value += this.calculateAmountFutureValue(goal.existingCorpus, 0, months, annualReturns);
+        }
+
+        (goal.lumpSums || []).forEach(lumpSum => {
+            const investedMonth = Math.round(lumpSum.year * 12);
+
+            if (investedMonth <= months) {
+                value += this.calculateAmountFutureValue(lumpSum.amount, investedMonth, months, annualReturns);
+            }
+        });
+
+        return value;
+    }
+
+    /**
+     * Calculates the part of a goal's target that SIPs still need to fund
+     * @param {Object} goal - Goal object
+     * @returns {number} Target minus the future value of the corpus and lump sums (never negative)
+     */
+    calculateGoalShortfall(goal) {
+        const targetAmount = this.calculateGoalTarget(goal);
+        return Math.max(targetAmount - this.calculateStartingBalanceValue(goal), 0);
+    }
+
+    /**
+     * Calculates the total amount put into a goal
+     * @param {Object} goal - Goal object
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {number} SIP contributions plus existing corpus and lump sums
+     */
+    calculateGoalInvestment(goal, monthlySIP) {
+        const lumpSumTotal = (goal.lumpSums || [])
+            .filter(lumpSum => lumpSum.year <= goal.years)
+            .reduce((sum, lumpSum) => sum + lumpSum.amount, 0);
+
+        return this.calculateTotalInvestment(monthlySIP, goal.years, goal.stepUpRate || 0) +
+            (goal.existingCorpus || 0) + lumpSumTotal;
+    }
+
+    /**
+     * Calculates the monthly SIP a goal requires
+     * 
+     * Uses the goal's inflation-adjusted target less the future value of any
+     * existing corpus and lump sums and, when the goal has an asset
+     * allocation, the blended return of each year of its glide path.
+     * 
+     * @param {Object} goal - Goal object
+     * @returns {number} Required (initial) monthly SIP amount
+     */
+    calculateGoalSIP(goal) {
+        const targetAmount = this.calculateGoalShortfall(goal);
+        const annualReturns = goal.allocation ? this.getAnnualReturns(goal) : null;
+
+        return this.calculateMonthlySIP(
+            targetAmount,
+            goal.years,
+            goal.expectedReturn,
+            goal.stepUpRate || 0,
+            annualReturns
+        );
+    }
+
+    /**
+     * Calculates the corpus a goal reaches with a given SIP
+     * 
+     * Includes the goal's existing corpus and lump sums, its (blended)
+     * returns and its step-up rate.
+     * 
+     * @param {Object} goal - Goal object
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {number} Corpus at the end of the goal horizon
+     */
+    calculateGoalCorpus(goal, monthlySIP) {
+        const sipValue = this.calculateVariableReturnFutureValue(
+            monthlySIP,
+            goal.years,
+            this.getAnnualReturns(goal),
+            goal.stepUpRate || 0
+        );
+
+        return sipValue + this.calculateStartingBalanceValue(goal);
+    }
+
+    /**
+     * Finds the input at which a monotonic function reaches a desired value
+     * 
+     * Uses bisection, so the function must be increasing or decreasing
+     * between low and high.
+     * 
+     * @param {Function} evaluate - Function of one number to solve
+     * @param {number} desiredValue - Value the function should reach
+     * @param {number} low - Lower bound of the search range
+     * @param {number} high - Upper bound of the search range
+     * @param {number} [tolerance] - Width of the range at which the search stops
+     * @returns {number|null} Input reaching the desired value, or null if it is outside the range
+     */
+    goalSeek(evaluate, desiredValue, low, high, tolerance = 0.0001) {
+        const lowDifference = evaluate(low) - desiredValue;
+        const highDifference = evaluate(high) - desiredValue;
+
+        if (lowDifference === 0) {
+            return low;
+        }
+
+        if (highDifference === 0) {
+            return high;
+        }
+
+        if (Math.sign(lowDifference) === Math.sign(highDifference)) {
+            return null;
+        }
+
+        const increasing = highDifference > 0;
+
+        while (high - low > tolerance) {
+            const middle = (low + high) / 2;
+            const difference = evaluate(middle) - desiredValue;
+
+            if ((difference < 0) === increasing) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * Calculates how long a fixed SIP takes to reach a goal
+     * 
+     * The target keeps growing with inflation, so each month is checked in
+     * turn rather than assuming the gap only narrows.
+     * 
+     * @param {Object} goal - Goal object (its years are ignored)
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @param {number} [maxYears] - Longest horizon to search
+     * @returns {number|null} Years needed, to the nearest month, or null if not reachable within maxYears
+     */
+    calculateYearsToGoal(goal, monthlySIP, maxYears = MAX_SOLVER_YEARS) {
+        for (let months = 0; months <= maxYears * 12; months++) {
+            const horizon = { ...goal, years: months / 12 };
+
+            if (this.calculateGoalCorpus(horizon, monthlySIP) >= this.calculateGoalTarget(horizon)) {
+                return horizon.years;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Calculates the target a fixed SIP reaches over the goal horizon
+     * @param {Object} goal - Goal object (its currentPrice is ignored)
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {number} Achievable inflation-adjusted target
+     */
+    calculateAchievableTarget(goal, monthlySIP) {
+        return Math.round(this.calculateGoalCorpus(goal, monthlySIP));
+    }
+
+    /**
+     * Calculates the current price of a goal a fixed SIP can pay for
+     * (today's monthly expenses for retirement goals)
+     * @param {Object} goal - Goal object (its currentPrice is ignored)
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {number} Affordable price in today's money
+     */
+    calculateAffordablePrice(goal, monthlySIP) {
+        const targetFactor = goal.retirement
+            ? this.calculateRetirementCorpusFactor(goal)
+            : this.calculateInflationFactor(goal.inflationRate, goal.years, goal.inflationSchedule);
+        return Math.floor(this.calculateGoalCorpus(goal, monthlySIP) / targetFactor);
+    }
+
+    /**
+     * Calculates the minimum flat annual return a fixed SIP needs to reach a goal
+     * 
+     * Any asset allocation is ignored, since a single return is being solved for.
+     * 
+     * @param {Object} goal - Goal object (its expectedReturn is ignored)
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {number|null} Required return percentage rounded up to 2 decimals, or null if above the searchable range
+     */
+    calculateRequiredReturn(goal, monthlySIP) {
+        const { allocation, ...flatGoal } = goal;
+        const targetAmount = this.calculateGoalTarget(goal);
+        const corpusAtReturn = rate => this.calculateGoalCorpus({ ...flatGoal, expectedReturn: rate }, monthlySIP);
+
+        if (corpusAtReturn(0) >= targetAmount) {
+            return 0;
+        }
+
+        const rate = this.goalSeek(corpusAtReturn, targetAmount, 0, MAX_SOLVER_RETURN);
+        return rate === null ? null : Math.ceil(rate * 100) / 100;
+    }
+
+    /**
+     * Solves for one unknown field of a goal given a monthly SIP budget
+     * @param {Object} goal - Goal object with every field except the unknown one
+     * @param {string} unknown - Field to solve: 'monthlySIP', 'years', 'currentPrice' or 'expectedReturn'
+     * @param {number} [monthlySIP] - Monthly SIP budget (not needed when solving for monthlySIP)
+     * @returns {number|null} Solved value, or null if the goal cannot be reached
+     * @throws {Error} If the unknown field is not supported
+     */
+    solveGoal(goal, unknown, monthlySIP) {
+        switch (unknown) {
+            case 'monthlySIP':
+                return this.calculateGoalSIP(goal);
+            case 'years':
+                return this.calculateYearsToGoal(goal, monthlySIP);
+            case 'currentPrice':
+                return this.calculateAffordablePrice(goal, monthlySIP);
+            case 'expectedReturn':
+                return this.calculateRequiredReturn(goal, monthlySIP);
+            default:
+                throw new Error(`Cannot solve for unknown field "${unknown}"`);
+        }
+    }
+
     /**
      * Calculates total investment over the period
      * @param {number} monthlySIP - Monthly SIP amount
@@ -170,24 +656,21 @@ export class SIPCalculator {
     /**
      * Calculates aggregate summary for multiple goals with inflation adjustment
      * @param {Array<Object>} goals - Array of goal objects
-     * @returns {Object} Summary with totalSIP, totalFutureValue, totalInvested, totalWealthGained
+     * @returns {Object} Summary with totalSIP, totalFutureValue, totalInvested, totalWealthGained, totalExistingCorpus
      */
     calculateSummary(goals) {
         let totalSIP = 0;
         let totalFutureValue = 0;
         let totalInvested = 0;
+        let totalExistingCorpus = 0;
 
         goals.forEach(goal => {
-            const inflationAdjustedAmount = this.calculateInflationAdjustedAmount(
-                goal.currentPrice,
-                goal.inflationRate,
-                goal.years
-            );
-            const stepUpRate = goal.stepUpRate || 0;
-            const sip = this.calculateMonthlySIP(inflationAdjustedAmount, goal.years, goal.expectedReturn, stepUpRate);
+            const inflationAdjustedAmount = this.calculateGoalTarget(goal);
+            const sip = this.calculateGoalSIP(goal);
             totalSIP += sip;
             totalFutureValue += inflationAdjustedAmount;
-            totalInvested += this.calculateTotalInvestment(sip, goal.years, stepUpRate);
+            totalInvested += this.calculateGoalInvestment(goal, sip);
+            totalExistingCorpus += goal.existingCorpus || 0;
         });
 
         const totalWealthGained = this.calculateWealthGain(totalFutureValue, totalInvested);
@@ -196,7 +679,25 @@ export class SIPCalculator {
             totalSIP,
             totalFutureValue,
             totalInvested: Math.max(totalInvested, 0),
-            totalWealthGained: Math.max(totalWealthGained, 0)
+            totalWealthGained: Math.max(totalWealthGained, 0),
+            totalExistingCorpus
+        };
+    }
+
+    /**
+     * Calculates a summary for each profile and for the household as a whole
+     * @param {Array<Object>} profiles - Profiles as { id, name, goals }
+     * @returns {Object} Household summary as { profiles: [{ id, name, goalCount, summary }], combined }, where each summary comes from calculateSummary
+     */
+    calculateHouseholdSummary(profiles) {
+        return {
+            profiles: profiles.map(profile => ({
+                id: profile.id,
+                name: profile.name,
+                goalCount: profile.goals.length,
+                summary: this.calculateSummary(profile.goals)
+            })),
+            combined: this.calculateSummary(profiles.flatMap(profile => profile.goals))
         };
     }
 }
@@ -3,6 +3,9 @@
  * Handles creating and updating investment growth charts
  */
 
+import { RetirementPlanner } from './retirement.js';
+import { ProjectionEngine } from './projection.js';
+
 /**
  * ChartManager class handles chart creation and updates
  */
@@ -11,77 +14,54 @@ export class ChartManager {
      * Creates a new ChartManager instance
      * @param {Object} calculator - SIPCalculator instance
      * @param {Object} formatter - Formatter instance
+     * @param {Object} [retirementPlanner] - RetirementPlanner instance for the drawdown of retirement goals
+     * @param {Object} [projectionEngine] - ProjectionEngine instance for the year-by-year data of goals
      */
-    constructor(calculator, formatter) {
+    constructor(
+        calculator,
+        formatter,
+        retirementPlanner = new RetirementPlanner(calculator),
+        projectionEngine = new ProjectionEngine(calculator)
+    ) {
         this.calculator = calculator;
         this.formatter = formatter;
+        this.retirementPlanner = retirementPlanner;
+        this.projectionEngine = projectionEngine;
         this.chart = null;
     }
 
     /**
      * Generates year-by-year data for a goal
      * @param {Object} goal - Goal object
-     * @returns {Object} Data with years, invested amounts, and future values
+     * @returns {Object} Data with years, invested amounts, future values, and inflation-adjusted goal cost
      */
     generateGoalData(goal) {
-        const inflationAdjustedAmount = this.calculator.calculateInflationAdjustedAmount(
-            goal.currentPrice,
-            goal.inflationRate,
-            goal.years
-        );
-        
-        const stepUpRate = goal.stepUpRate || 0;
-        const monthlySIP = this.calculator.calculateMonthlySIP(
-            inflationAdjustedAmount,
-            goal.years,
-            goal.expectedReturn,
-            stepUpRate
-        );
-
-        const years = [];
-        const invested = [];
-        const futureValues = [];
-        
-        const monthlyRate = goal.expectedReturn / 12 / 100;
-        const annualStepUp = stepUpRate / 100;
-        
-        let totalInvested = 0;
-        let futureValue = 0;
-        let currentSIP = monthlySIP;
-
-        for (let year = 0; year <= goal.years; year++) {
-            years.push(year);
-            
-            if (year === 0) {
-                invested.push(0);
-                futureValues.push(0);
-                continue;
-            }
-
-            // Calculate investment for this year
-            totalInvested += currentSIP * 12;
-            invested.push(Math.round(totalInvested));
+        const rows = this.projectionEngine.projectGoal(goal, 'year');
 
-            // Calculate future value at this point
-            futureValue = 0;
-            let tempSIP = monthlySIP;
-            
-            for (let y = 0; y < year; y++) {
-                const monthsRemaining = (year - y) * 12;
-                for (let m = 0; m < 12; m++) {
-                    const totalMonths = monthsRemaining - m;
-                    futureValue += tempSIP * Math.pow(1 + monthlyRate, totalMonths);
-                }
-                tempSIP *= (1 + annualStepUp);
-            }
-            
-            futureValues.push(Math.round(futureValue));
+        return {
+            years: rows.map(row => row.period),
+            invested: rows.map(row => Math.round(row.invested)),
+            futureValues: rows.map(row => Math.round(row.value)),
+            // For retirement goals this is the corpus needed to retire in that year
+            targets: rows.map(row => row.target),
+            goalName: goal.name
+        };
+    }
 
-            // Increase SIP for next year
-            currentSIP *= (1 + annualStepUp);
-        }
+    /**
+     * Generates year-by-year corpus balances through retirement
+     * @param {Object} goal - Retirement goal
+     * @param {number} [startingCorpus] - Corpus at retirement; defaults to the required corpus
+     * @returns {Object} Data with years counted from today, the corpus left at the end of each retirement year, and the depletion year
+     */
+    generateDrawdownData(goal, startingCorpus) {
+        const plan = this.retirementPlanner.simulateWithdrawals(goal, startingCorpus);
 
-        return { years, invested, futureValues, goalName: goal.name };
+        return {
+            years: plan.schedule.map(row => goal.years + row.year),
+            balances: plan.schedule.map(row => row.closingBalance),
+            depletionYear: plan.depletionYear
+        };
     }
 
     /**
@@ -122,16 +102,41 @@ export class ChartManager {
      * @private
      */
     createSingleGoalChart(goal, ctx, currentTheme) {
+        this.chart = new Chart(ctx, this.getSingleGoalChartConfig(goal, currentTheme));
+    }
+
+    /**
+     * Builds the Chart.js configuration of a single goal's chart
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {string} currentTheme - Theme ('light' or 'dark')
+     * @returns {Object} Chart configuration
+     */
+    getSingleGoalChartConfig(goal, currentTheme) {
         const data = this.generateGoalData(goal);
         const isDark = currentTheme === 'dark';
         
         const textColor = isDark ? '#e5e7eb' : '#374151';
         const gridColor = isDark ? '#374151' : '#e5e7eb';
 
-        this.chart = new Chart(ctx, {
+        // Retirement goals continue past the goal date with the withdrawal phase
+        const corpusAtRetirement = data.futureValues[data.futureValues.length - 1];
+        const drawdown = goal.retirement ? this.generateDrawdownData(goal, corpusAtRetirement) : null;
+        const years = drawdown ? [...data.years, ...drawdown.years] : data.years;
+        const drawdownDatasets = drawdown ? [{
+            label: 'Corpus in Retirement',
+            data: [...Array(data.years.length - 1).fill(null), corpusAtRetirement, ...drawdown.balances],
+            borderColor: '#f59e0b',
+            backgroundColor: 'rgba(245, 158, 11, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.4
+        }] : [];
+
+        return {
             type: 'line',
             data: {
-                labels: data.years.map(y => `Year ${y}`),
+                labels: years.map(y => `Year ${y}`),
                 datasets: [
                     {
                         label: 'Total Invested',
@@ -150,7 +155,18 @@ export class ChartManager {
                         borderWidth: 2,
                         fill: true,
                         tension: 0.4
-                    }
+                    },
+                    {
+                        label: 'Goal Cost (inflation-adjusted)',
+                        data: data.targets,
+                        borderColor: '#6366f1',
+                        borderWidth: 2,
+                        borderDash: [6, 4],
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.4
+                    },
+                    ...drawdownDatasets
                 ]
             },
             options: {
@@ -168,7 +184,9 @@ export class ChartManager {
                     },
                     title: {
                         display: true,
-                        text: `Investment Growth: ${goal.name}`,
+                        text: drawdown
+                            ? `Accumulation & Retirement Drawdown: ${goal.name}`
+                            : `Investment Growth: ${goal.name}`,
                         color: textColor,
                         font: {
                             size: 16,
@@ -205,7 +223,7 @@ export class ChartManager {
                     }
                 }
             }
-        });
+        };
     }
 
     /**
@@ -213,6 +231,17 @@ export class ChartManager {
      * @private
      */
     createAggregatedChart(goals, ctx, currentTheme) {
+        this.chart = new Chart(ctx, this.getAggregatedChartConfig(goals, currentTheme));
+    }
+
+    /**
+     * Builds the Chart.js configuration of the combined chart of several goals
+     * @private
+     * @param {Array<Object>} goals - Goal objects
+     * @param {string} currentTheme - Theme ('light' or 'dark')
+     * @returns {Object} Chart configuration
+     */
+    getAggregatedChartConfig(goals, currentTheme) {
         // Find the maximum years
         const maxYears = Math.max(...goals.map(g => g.years));
         
@@ -237,7 +266,7 @@ export class ChartManager {
         const textColor = isDark ? '#e5e7eb' : '#374151';
         const gridColor = isDark ? '#374151' : '#e5e7eb';
 
-        this.chart = new Chart(ctx, {
+        return {
             type: 'line',
             data: {
                 labels: years.map(y => `Year ${y}`),
@@ -314,7 +343,48 @@ export class ChartManager {
                     }
                 }
             }
+        };
+    }
+
+    /**
+     * Draws the growth chart shown for the goals as a JPEG image, such as for a report
+     * 
+     * The chart is drawn off screen in the light theme on a white
+     * background, without animation, so the page's chart is left as it is.
+     * 
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {number} [width] - Image width in pixels
+     * @param {number} [height] - Image height in pixels
+     * @returns {Object|null} Image as { dataUrl, width, height }, or null if there are no goals or Chart.js is not loaded
+     */
+    renderChartImage(goals, width = 1000, height = 500) {
+        if (!goals || goals.length === 0 || typeof Chart === 'undefined' || typeof document === 'undefined') {
+            return null;
+        }
+
+        const config = goals.length > 1
+            ? this.getAggregatedChartConfig(goals, 'light')
+            : this.getSingleGoalChartConfig(goals[0], 'light');
+        const chartCanvas = document.createElement('canvas');
+        chartCanvas.width = width;
+        chartCanvas.height = height;
+
+        const chart = new Chart(chartCanvas.getContext('2d'), {
+            ...config,
+            options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 }
         });
+
+        // JPEG has no transparency, so the chart is drawn over white
+        const imageCanvas = document.createElement('canvas');
+        imageCanvas.width = width;
+        imageCanvas.height = height;
+        const imageContext = imageCanvas.getContext('2d');
+        imageContext.fillStyle = '#ffffff';
+        imageContext.fillRect(0, 0, width, height);
+        imageContext.drawImage(chartCanvas, 0, 0);
+        chart.destroy();
+
+        return { dataUrl: imageCanvas.toDataURL('image/jpeg', 0.92), width, height };
     }
 
     /**
@@ -0,0 +1,206 @@
+/**
+ * CSV column mapping
+ * Matches the columns of imported CSV files to goal fields by their headers
+ */
+
+/**
+ * Goal fields a CSV column can hold, in the order the exporter writes them,
+ * with the header names (normalized, see normalizeHeader) each is known by
+ * @type {Array<Object>}
+ */
+const FIELDS = [
+    { field: 'name', label: 'Goal name', required: true, headers: ['goal name', 'name', 'goal', 'goal title', 'title', 'description'] },
+    { field: 'currentPrice', label: 'Current price', required: true, headers: ['current price', 'price', 'current cost', 'cost', 'amount', 'goal amount', 'target amount', 'present value', 'current value'] },
+    { field: 'inflationRate', label: 'Inflation rate (%)', required: true, headers: ['inflation rate', 'inflation', 'expected inflation'] },
+    { field: 'years', label: 'Years', required: true, headers: ['years', 'time', 'time years', 'tenure', 'duration', 'horizon', 'time horizon', 'years to goal'] },
+    { field: 'expectedReturn', label: 'Expected return (%)', required: true, headers: ['expected return', 'return', 'returns', 'expected returns', 'rate of return', 'return rate'] },
+    { field: 'stepUpRate', label: 'Step-up rate (%)', required: false, headers: ['step up rate', 'step up', 'annual step up', 'sip step up', 'step up percent'] },
+    { field: 'inflationSchedule', label: 'Inflation schedule', required: false, headers: ['inflation schedule'] },
+    { field: 'equityWeight', label: 'Equity (%)', required: false, headers: ['equity', 'equity weight', 'equity allocation'] },
+    { field: 'debtWeight', label: 'Debt (%)', required: false, headers: ['debt', 'debt weight', 'debt allocation'] },
+    { field: 'goldWeight', label: 'Gold (%)', required: false, headers: ['gold', 'gold weight', 'gold allocation'] },
+    { field: 'equityReturn', label: 'Equity return (%)', required: false, headers: ['equity return'] },
+    { field: 'debtReturn', label: 'Debt return (%)', required: false, headers: ['debt return'] },
+    { field: 'goldReturn', label: 'Gold return (%)', required: false, headers: ['gold return'] },
+    { field: 'glidePathYears', label: 'Glide path years', required: false, headers: ['glide path years'] },
+    { field: 'glidePathShift', label: 'Glide path shift (%)', required: false, headers: ['glide path shift'] },
+    { field: 'existingCorpus', label: 'Existing corpus', required: false, headers: ['existing corpus', 'corpus', 'existing savings', 'current savings', 'savings'] },
+    { field: 'lumpSums', label: 'Lump sums (year:amount)', required: false, headers: ['lump sums', 'lump sum', 'lumpsums'] },
+    { field: 'priority', label: 'Priority', required: false, headers: ['priority'] },
+    { field: 'retirementYears', label: 'Retirement years', required: false, headers: ['retirement years', 'years in retirement'] },
+    { field: 'postRetirementReturn', label: 'Post-retirement return (%)', required: false, headers: ['post retirement return', 'retirement return'] },
+    { field: 'id', label: 'Goal ID', required: false, headers: ['goal id', 'id'] }
+];
+
+/**
+ * Headers of the values the exporter works out, which importing skips
+ * @type {Array<string>}
+ */
+const CALCULATED_HEADERS = [
+    'future target',
+    'future value',
+    'monthly sip',
+    'monthly sip required',
+    'total investment',
+    'wealth gain',
+    'allocated sip',
+    'funded',
+    'projected shortfall'
+];
+
+/**
+ * A goal field a CSV column can hold
+ * @typedef {Object} CSVField
+ * @property {string} field - Field name
+ * @property {string} label - Name shown to the user
+ * @property {boolean} required - Whether every file needs a column for it
+ */
+
+/**
+ * Columns of a CSV file matched to goal fields
+ * @typedef {Object} CSVColumnMatch
+ * @property {Array<string|null>} columns - Field held by each column, null for columns that are skipped
+ * @property {Array<string>} missing - Required fields no column was matched to
+ * @property {Array<number>} unknown - Indexes of the columns whose headers were not recognized
+ */
+
+/**
+ * CSVColumnMapper class matches CSV headers to goal fields and reads rows by field
+ *
+ * Headers are compared case-insensitively, ignoring punctuation, so the
+ * exporter's own "Current Price (₹)" matches "current price". A header is
+ * also tried without its parenthesized parts, so "Time (Years)" matches
+ * "time". Columns of calculated values are skipped.
+ */
+export class CSVColumnMapper {
+    /**
+     * Gets the goal fields a column can hold
+     * @returns {Array<CSVField>} Fields in the order the exporter writes them
+     */
+    getFields() {
+        return FIELDS.map(({ field, label, required }) => ({ field, label, required }));
+    }
+
+    /**
+     * Matches headers to goal fields
+     * @param {Array<string>} headers - Header row
+     * @returns {CSVColumnMatch} Field per column, unmatched required fields and unrecognized columns
+     */
+    match(headers) {
+        const used = new Set();
+        const unknown = [];
+
+        const columns = headers.map((header, index) => {
+            const names = this.normalizeHeader(header);
+            const definition = FIELDS.find(({ headers: known }) => names.some(name => known.includes(name)));
+
+            if (!definition) {
+                if (!names.some(name => CALCULATED_HEADERS.includes(name))) {
+                    unknown.push(index);
+                }
+                return null;
+            }
+
+            // A field repeated later in the file is read from its first column
+            if (used.has(definition.field)) {
+                return null;
+            }
+
+            used.add(definition.field);
+            return definition.field;
+        });
+
+        return { columns, missing: this.getMissingFields(columns), unknown };
+    }
+
+    /**
+     * Checks a mapping chosen by the user
+     * @param {Array<string|null>} columns - Field held by each column, null to skip the column
+     * @returns {Array<string|null>} The same mapping
+     * @throws {Error} If a required field has no column or a field has several
+     */
+    validate(columns) {
+        const fields = columns.filter(Boolean);
+        const unknownField = fields.find(field => !FIELDS.some(definition => definition.field === field));
+
+        if (unknownField) {
+            throw new Error(`Unknown goal field "${unknownField}"`);
+        }
+
+        const repeated = fields.find((field, index) => fields.indexOf(field) !== index);
+
+        if (repeated) {
+            throw new Error(`${this.getLabel(repeated)} is chosen for more than one column`);
+        }
+
+        const missing = this.getMissingFields(columns);
+
+        if (missing.length > 0) {
+            throw new Error(`Choose a column for ${missing.map(field => this.getLabel(field)).join(', ')}`);
+        }
+
+        return columns;
+    }
+
+    /**
+     * Reads a row's values by goal field
+     * @param {Array<string>} values - Row values
+     * @param {Array<string|null>} columns - Field held by each column
+     * @returns {Object} Values keyed by field; fields whose column the row is too short for are left out
+     */
+    readRow(values, columns) {
+        const row = {};
+
+        columns.forEach((field, index) => {
+            if (field && index < values.length) {
+                row[field] = values[index];
+            }
+        });
+
+        return row;
+    }
+
+    /**
+     * Gets a key identifying a header row, under which a mapping can be remembered
+     * @param {Array<string>} headers - Header row
+     * @returns {string} The same key for header rows that differ only in case, spacing or punctuation
+     */
+    getSignature(headers) {
+        return JSON.stringify(headers.map(header => this.normalizeHeader(header)[0]));
+    }
+
+    /**
+     * Lists the required fields no column holds
+     * @private
+     * @param {Array<string|null>} columns - Field held by each column
+     * @returns {Array<string>} Field names
+     */
+    getMissingFields(columns) {
+        return FIELDS
+            .filter(definition => definition.required && !columns.includes(definition.field))
+            .map(definition => definition.field);
+    }
+
+    /**
+     * Gets the name of a field shown to the user
+     * @private
+     * @param {string} field - Field name
+     * @returns {string} Label
+     */
+    getLabel(field) {
+        return FIELDS.find(definition => definition.field === field).label;
+    }
+
+    /**
+     * Normalizes a header for comparison
+     * @private
+     * @param {string} header - Header as written in the file
+     * @returns {Array<string>} The lower-case words of the header, then the same without parenthesized parts
+     */
+    normalizeHeader(header) {
+        const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const text = String(header);
+
+        return [normalize(text), normalize(text.replace(/\([^)]*\)/g, ' '))];
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * CSV parsing
+ * Reads RFC 4180 CSV text, including the variants spreadsheet programs write
+ */
+
+/**
+ * Delimiters recognized when sniffing, in order of preference on a tie
+ * @type {Array<string>}
+ */
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Byte order mark some programs write at the start of UTF-8 files
+ * @type {string}
+ */
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * A row of CSV values
+ * @typedef {Object} CSVRecord
+ * @property {number} line - Line number the row starts on (1-based)
+ * @property {Array<string>} values - Field values, unquoted and untrimmed
+ */
+
+/**
+ * Parsed CSV content
+ * @typedef {Object} CSVTable
+ * @property {string} delimiter - Delimiter the fields are separated by
+ * @property {Array<CSVRecord>} records - Rows in file order, header included
+ */
+
+/**
+ * CSVParser class splits CSV text into rows and fields
+ *
+ * Follows RFC 4180: quoted fields may contain delimiters, doubled quotes
+ * and line breaks, and rows may end in \r\n, \n or \r. Spreadsheet
+ * programs also write semicolon- or tab-delimited files and a leading byte
+ * order mark; the delimiter is sniffed from the header row and the mark
+ * is dropped. Whitespace around a quoted field is ignored, and a quote
+ * inside an unquoted field is kept as it is.
+ */
+export class CSVParser {
+    /**
+     * Parses CSV text into rows
+     *
+     * A line break at the very end of the text does not start another row;
+     * blank lines elsewhere are rows with one empty value.
+     *
+     * @param {string} content - CSV text
+     * @param {string} [delimiter] - Field delimiter; sniffed from the header row if omitted
+     * @returns {CSVTable} Delimiter used and the rows
+     * @throws {Error} If a quoted field is never closed or is followed by other characters
+     */
+    parse(content, delimiter = null) {
+        const text = this.stripByteOrderMark(content);
+        const separator = delimiter || this.detectDelimiter(text);
+        const records = [];
+        let values = [];
+        let field = '';
+        let state = 'start';
+        let line = 1;
+        let recordLine = 1;
+        let quoteLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (state === 'quoted') {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    state = 'closed';
+                } else {
+                    if (this.isLineBreak(text, i)) {
+                        line++;
+                    }
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === separator) {
+                values.push(field);
+                field = '';
+                state = 'start';
+            } else if (char === '\r' || char === '\n') {
+                values.push(field);
+                records.push({ line: recordLine, values });
+                values = [];
+                field = '';
+                state = 'start';
+
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                line++;
+                recordLine = line;
+            } else if (state === 'closed') {
+                if (char !== ' ' && char !== '\t') {
+                    throw new Error(`Line ${line}: Unexpected character after a closing quote`);
+                }
+            } else if (char === '"' && field.trim() === '') {
+                field = '';
+                state = 'quoted';
+                quoteLine = line;
+            } else {
+                field += char;
+                state = 'unquoted';
+            }
+        }
+
+        if (state === 'quoted') {
+            throw new Error(`Line ${quoteLine}: Quoted field is not closed`);
+        }
+
+        if (state !== 'start' || field !== '' || values.length > 0) {
+            values.push(field);
+            records.push({ line: recordLine, values });
+        }
+
+        return { delimiter: separator, records };
+    }
+
+    /**
+     * Sniffs the field delimiter from the header row
+     *
+     * Counts each recognized delimiter outside quotes in the first row
+     * and picks the most frequent; a row with none is comma-delimited.
+     *
+     * @param {string} content - CSV text
+     * @returns {string} Delimiter
+     */
+    detectDelimiter(content) {
+        const text = this.stripByteOrderMark(content);
+        const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\r' || char === '\n')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+
+        return DELIMITERS.reduce((best, delimiter) =>
+            counts.get(delimiter) > counts.get(best) ? delimiter : best);
+    }
+
+    /**
+     * Removes a leading byte order mark
+     * @private
+     * @param {string} content - CSV text
+     * @returns {string} Text without the mark
+     */
+    stripByteOrderMark(content) {
+        const text = String(content);
+        return text.startsWith(BYTE_ORDER_MARK) ? text.slice(BYTE_ORDER_MARK.length) : text;
+    }
+
+    /**
+     * Checks if the character at a position ends a line, counting \r\n once
+     * @private
+     * @param {string} text - CSV text
+     * @param {number} index - Character position
+     * @returns {boolean} True if a new line starts after this character
+     */
+    isLineBreak(text, index) {
+        return text[index] === '\n' || (text[index] === '\r' && text[index + 1] !== '\n');
+    }
+}
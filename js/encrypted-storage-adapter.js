@@ -0,0 +1,178 @@
+/**
+ * Encrypting storage adapter
+ * Wraps another storage adapter and encrypts chosen keys before they reach it
+ */
+
+/**
+ * EncryptedStorageAdapter class implements the storage adapter interface
+ * on top of another adapter, encrypting the values of chosen keys
+ *
+ * Web Crypto is asynchronous, but the app reads and writes synchronously.
+ * open() therefore decrypts the encrypted keys into memory; reads are
+ * served from that copy, and writes update it at once and are encrypted
+ * and saved in the background, in the order they were made. flush() waits
+ * until they are saved. Other keys pass straight through.
+ */
+export class EncryptedStorageAdapter {
+    /**
+     * Creates a new EncryptedStorageAdapter instance
+     * @param {Object} adapter - Opened storage adapter the encrypted values are saved through
+     * @param {Object} encryption - EncryptionService instance
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     */
+    constructor(adapter, encryption, key, encryptedKeys) {
+        this.adapter = adapter;
+        this.encryption = encryption;
+        this.key = key;
+        this.encryptedKeys = new Set(encryptedKeys);
+        this.values = new Map();
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Decrypts the encrypted keys into memory
+     *
+     * Values saved before encryption was turned on are read as they are
+     * and encrypted the next time they are written.
+     *
+     * @returns {Promise<void>} Resolves once values can be read
+     * @throws {Error} If a value cannot be decrypted with the key (rejects the promise)
+     */
+    async open() {
+        this.values = await this.decryptAll([...this.encryptedKeys]);
+    }
+
+    /**
+     * Starts encrypting more keys, decrypting any values they already have
+     *
+     * Used when keys are added after open(), such as those of a profile
+     * created since.
+     *
+     * @param {Array<string>} keys - Keys whose values are encrypted
+     * @returns {Promise<void>} Resolves once their values can be read
+     * @throws {Error} If a value cannot be decrypted with the key (rejects the promise)
+     */
+    async addKeys(keys) {
+        const newKeys = keys.filter(key => !this.encryptedKeys.has(key));
+        const values = await this.decryptAll(newKeys);
+
+        newKeys.forEach(key => {
+            this.encryptedKeys.add(key);
+
+            if (values.has(key)) {
+                this.values.set(key, values.get(key));
+            }
+        });
+    }
+
+    /**
+     * Reads a value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value, or null if none
+     */
+    getItem(key) {
+        if (!this.encryptedKeys.has(key)) {
+            return this.adapter.getItem(key);
+        }
+
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    /**
+     * Writes a value; encrypted values are saved in the background
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        if (!this.encryptedKeys.has(key)) {
+            this.adapter.setItem(key, value);
+            return;
+        }
+
+        const stringValue = String(value);
+        this.values.set(key, stringValue);
+        this.write(async () => {
+            const encrypted = await this.encryption.encrypt(this.key, stringValue);
+            this.adapter.setItem(key, JSON.stringify(encrypted));
+        });
+    }
+
+    /**
+     * Removes a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        if (!this.encryptedKeys.has(key)) {
+            this.adapter.removeItem(key);
+            return;
+        }
+
+        this.values.delete(key);
+        this.write(() => this.adapter.removeItem(key));
+    }
+
+    /**
+     * Waits until all writes made so far are saved
+     * @returns {Promise<void>} Resolves when they are saved
+     */
+    flush() {
+        return this.writes.then(() => this.adapter.flush());
+    }
+
+    /**
+     * Checks if the wrapped adapter keeps data across page loads
+     * @returns {boolean} True if data written now is kept across page loads
+     */
+    isAvailable() {
+        return this.adapter.isAvailable();
+    }
+
+    /**
+     * Queues a write behind the ones already made, so they are saved in order
+     * @private
+     * @param {Function} operation - Saves the value; may return a promise
+     */
+    write(operation) {
+        this.writes = this.writes
+            .then(operation)
+            .catch(error => console.error('Error saving encrypted data:', error));
+    }
+
+    /**
+     * Reads and decrypts the values of keys
+     * @private
+     * @param {Array<string>} keys - Keys to read
+     * @returns {Promise<Map>} Decrypted values of the keys that have one
+     */
+    async decryptAll(keys) {
+        const values = new Map();
+
+        for (const storageKey of keys) {
+            const stored = this.adapter.getItem(storageKey);
+
+            if (stored === null) {
+                continue;
+            }
+
+            const parsed = this.parse(stored);
+            values.set(storageKey, this.encryption.isEncrypted(parsed) ? await this.encryption.decrypt(this.key, parsed) : stored);
+        }
+
+        return values;
+    }
+
+    /**
+     * Parses a stored value as JSON
+     * @private
+     * @param {string} stored - Stored value
+     * @returns {*} Parsed value, or null if it is not JSON
+     */
+    parse(stored) {
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Passphrase encryption
+ * Encrypts text with an AES-GCM key derived from a passphrase with PBKDF2, using Web Crypto
+ */
+
+/**
+ * PBKDF2 iterations for new keys
+ * @type {number}
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Most PBKDF2 iterations accepted from saved parameters, so a damaged or
+ * crafted file cannot keep the browser busy deriving a key indefinitely
+ * @type {number}
+ */
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 10;
+
+/**
+ * Shortest passphrase accepted for new keys
+ * @type {number}
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Salt length in bytes
+ * @type {number}
+ */
+const SALT_BYTES = 16;
+
+/**
+ * AES-GCM initialization vector length in bytes
+ * @type {number}
+ */
+const IV_BYTES = 12;
+
+/**
+ * Marks a JSON export as encrypted
+ * @type {string}
+ */
+const ENCRYPTED_EXPORT_FORMAT = 'multigoal-sip-encrypted';
+
+/**
+ * How a key is derived from a passphrase; saved alongside encrypted data
+ * @typedef {Object} KeyParams
+ * @property {string} kdf - Key derivation function ('PBKDF2')
+ * @property {string} hash - PBKDF2 hash ('SHA-256')
+ * @property {number} iterations - PBKDF2 iterations
+ * @property {string} salt - Base64 salt
+ */
+
+/**
+ * Text encrypted with AES-GCM
+ * @typedef {Object} EncryptedText
+ * @property {string} iv - Base64 initialization vector
+ * @property {string} data - Base64 ciphertext, including the authentication tag
+ */
+
+/**
+ * EncryptionService class encrypts and decrypts text with a passphrase
+ */
+export class EncryptionService {
+    /**
+     * Creates a new EncryptionService instance
+     * @param {Crypto} [cryptoApi] - Web Crypto implementation; defaults to the browser's
+     * @param {number} [iterations] - PBKDF2 iterations for new keys
+     */
+    constructor(cryptoApi = globalThis.crypto, iterations = PBKDF2_ITERATIONS) {
+        this.cryptoApi = cryptoApi;
+        this.iterations = iterations;
+    }
+
+    /**
+     * Checks whether the browser provides Web Crypto
+     * @param {Crypto} [cryptoApi] - Web Crypto implementation to check
+     * @returns {boolean} True if encryption can be used
+     */
+    static isSupported(cryptoApi = globalThis.crypto) {
+        return Boolean(cryptoApi && cryptoApi.subtle && typeof cryptoApi.getRandomValues === 'function');
+    }
+
+    /**
+     * Derives a key from a new passphrase with a fresh salt
+     * @param {string} passphrase - Passphrase chosen by the user
+     * @returns {Promise<{key: CryptoKey, params: KeyParams}>} Key and the parameters needed to derive it again
+     * @throws {Error} If the passphrase is too short (rejects the promise)
+     */
+    async createKey(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const params = {
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: this.iterations,
+            salt: this.toBase64(this.cryptoApi.getRandomValues(new Uint8Array(SALT_BYTES)))
+        };
+
+        return { key: await this.deriveKey(passphrase, params), params };
+    }
+
+    /**
+     * Derives the key for a passphrase from saved parameters
+     * @param {string} passphrase - Passphrase entered by the user
+     * @param {KeyParams} params - Parameters saved when the key was created
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     * @throws {Error} If the parameters are not supported, including more iterations than MAX_PBKDF2_ITERATIONS (rejects the promise)
+     */
+    async deriveKey(passphrase, params) {
+        if (!params || params.kdf !== 'PBKDF2' || params.hash !== 'SHA-256' ||
+            !Number.isInteger(params.iterations) || params.iterations < 1 || params.iterations > MAX_PBKDF2_ITERATIONS ||
+            typeof params.salt !== 'string') {
+            throw new Error('Unsupported encryption settings');
+        }
+
+        const baseKey = await this.cryptoApi.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return this.cryptoApi.subtle.deriveKey(
+            { name: 'PBKDF2', hash: params.hash, iterations: params.iterations, salt: this.fromBase64(params.salt) },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypts text with a fresh initialization vector
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} plaintext - Text to encrypt
+     * @returns {Promise<EncryptedText>} Encrypted text
+     */
+    async encrypt(key, plaintext) {
+        const iv = this.cryptoApi.getRandomValues(new Uint8Array(IV_BYTES));
+        const ciphertext = await this.cryptoApi.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(ciphertext)) };
+    }
+
+    /**
+     * Decrypts text
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {EncryptedText} encrypted - Encrypted text
+     * @returns {Promise<string>} Decrypted text
+     * @throws {Error} If the key is wrong or the data was altered (rejects the promise)
+     */
+    async decrypt(key, encrypted) {
+        try {
+            const plaintext = await this.cryptoApi.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(encrypted.iv) },
+                key,
+                this.fromBase64(encrypted.data)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            throw new Error('Incorrect passphrase or damaged data');
+        }
+    }
+
+    /**
+     * Checks whether a value has the shape of encrypted text
+     * @param {*} value - Parsed value
+     * @returns {boolean} True if it is encrypted text
+     */
+    isEncrypted(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.iv === 'string' && typeof value.data === 'string';
+    }
+
+    /**
+     * Encrypts an export file's contents with a passphrase
+     * @param {string} content - File contents
+     * @param {string} passphrase - Passphrase chosen for the file
+     * @returns {Promise<Object>} Encrypted export as { format, version, kdf, hash, iterations, salt, cipher, iv, data }
+     * @throws {Error} If the passphrase is too short (rejects the promise)
+     */
+    async encryptExport(content, passphrase) {
+        const { key, params } = await this.createKey(passphrase);
+
+        return {
+            format: ENCRYPTED_EXPORT_FORMAT,
+            version: 1,
+            ...params,
+            cipher: 'AES-GCM',
+            ...await this.encrypt(key, content)
+        };
+    }
+
+    /**
+     * Decrypts an export made by encryptExport
+     * @param {Object} payload - Parsed encrypted export
+     * @param {string} passphrase - Passphrase the file was exported with
+     * @returns {Promise<string>} Original file contents
+     * @throws {Error} If the passphrase is wrong or the file is damaged (rejects the promise)
+     */
+    async decryptExport(payload, passphrase) {
+        if (!this.isEncryptedExport(payload) || payload.cipher !== 'AES-GCM') {
+            throw new Error('Unsupported encrypted file');
+        }
+
+        const key = await this.deriveKey(passphrase, payload);
+        return this.decrypt(key, payload);
+    }
+
+    /**
+     * Checks whether parsed JSON is an encrypted export
+     * @param {*} payload - Parsed JSON
+     * @returns {boolean} True if it is an encrypted export
+     */
+    isEncryptedExport(payload) {
+        return this.isEncrypted(payload) && payload.format === ENCRYPTED_EXPORT_FORMAT;
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @private
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 into bytes
+     * @private
+     * @param {string} base64 - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    fromBase64(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
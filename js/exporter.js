@@ -3,6 +3,94 @@
  * Handles exporting goals data to various formats
  */
 
+import { InflationScheduleParser } from './inflation-schedule.js';
+import { LumpSumParser } from './lump-sums.js';
+import { EncryptionService } from './encryption.js';
+import { Formatter } from './formatter.js';
+import { ChartManager } from './charts.js';
+import { PDFDocument } from './pdf.js';
+import { XLSXWorkbook } from './xlsx.js';
+import { ProjectionEngine } from './projection.js';
+
+/**
+ * Marks a JSON export as holding every profile of a household
+ * @type {string}
+ */
+const HOUSEHOLD_EXPORT_FORMAT = 'multigoal-sip-household';
+
+/**
+ * Columns of CSV exports and of the Goals sheet of Excel exports, with the
+ * cell style each has in Excel (see XLSXWorkbook)
+ * @type {Array<Object>}
+ */
+const GOAL_COLUMNS = [
+    { header: 'Goal Name', style: 'general' },
+    { header: 'Current Price (₹)', style: 'currency' },
+    { header: 'Inflation Rate (%)', style: 'percent' },
+    { header: 'Years', style: 'general' },
+    { header: 'Expected Return (%)', style: 'percent' },
+    { header: 'Step-up Rate (%)', style: 'percent' },
+    { header: 'Future Target (₹)', style: 'currency' },
+    { header: 'Monthly SIP Required (₹)', style: 'currency' },
+    { header: 'Total Investment (₹)', style: 'currency' },
+    { header: 'Wealth Gain (₹)', style: 'currency' },
+    { header: 'Inflation Schedule', style: 'general' },
+    { header: 'Equity (%)', style: 'percent' },
+    { header: 'Debt (%)', style: 'percent' },
+    { header: 'Gold (%)', style: 'percent' },
+    { header: 'Equity Return (%)', style: 'percent' },
+    { header: 'Debt Return (%)', style: 'percent' },
+    { header: 'Gold Return (%)', style: 'percent' },
+    { header: 'Glide Path Years', style: 'general' },
+    { header: 'Glide Path Shift (%)', style: 'percent' },
+    { header: 'Existing Corpus (₹)', style: 'currency' },
+    { header: 'Lump Sums (year:₹)', style: 'general' },
+    { header: 'Priority', style: 'general' },
+    { header: 'Allocated SIP (₹)', style: 'currency' },
+    { header: 'Funded (%)', style: 'percent' },
+    { header: 'Projected Shortfall (₹)', style: 'currency' },
+    { header: 'Retirement Years', style: 'general' },
+    { header: 'Post-Retirement Return (%)', style: 'percent' },
+    { header: 'Goal ID', style: 'general' }
+];
+
+/**
+ * Columns of the year-by-year schedule of each goal in PDF reports and Excel exports
+ * @type {Array<string>}
+ */
+const SCHEDULE_HEADERS = ['Year', 'Monthly SIP', 'Invested to date', 'Projected value', 'Goal cost'];
+
+/**
+ * Amount columns of cashflow schedule CSV exports, after the goal and period columns
+ * @type {Array<string>}
+ */
+const CASHFLOW_HEADERS = ['SIP Installment (₹)', 'Cumulative Invested (₹)', 'Projected Value (₹)', 'Inflation-Adjusted Target (₹)'];
+
+/**
+ * Space around the content of PDF report pages, in points
+ * @type {number}
+ */
+const REPORT_MARGIN = 40;
+
+/**
+ * Space at the bottom of PDF report pages kept for the footer, in points
+ * @type {number}
+ */
+const REPORT_FOOTER_HEIGHT = 24;
+
+/**
+ * Colors of PDF reports, as #rrggbb
+ * @type {Object<string, string>}
+ */
+const REPORT_COLORS = {
+    text: '#1f2937',
+    muted: '#6b7280',
+    accent: '#4f46e5',
+    rule: '#d1d5db',
+    tableHeader: '#eef2ff',
+    tableStripe: '#f9fafb'
+};
+
 /**
  * Exporter class handles data export operations
  */
@@ -10,65 +98,44 @@ export class Exporter {
     /**
      * Creates a new Exporter instance
      * @param {Object} calculator - SIPCalculator instance for calculations
+     * @param {Object} [scheduleParser] - InflationScheduleParser instance for schedule columns
+     * @param {Object} [lumpSumParser] - LumpSumParser instance for lump sum columns
+     * @param {Object} [encryption] - EncryptionService instance for encrypted exports
+     * @param {Object} [formatter] - Formatter instance for the amounts in PDF reports
+     * @param {Object} [chartManager] - ChartManager instance for the growth chart of PDF reports
+     * @param {Object} [projectionEngine] - ProjectionEngine instance for the schedules of goals
      */
-    constructor(calculator) {
+    constructor(
+        calculator,
+        scheduleParser = new InflationScheduleParser(),
+        lumpSumParser = new LumpSumParser(),
+        encryption = new EncryptionService(),
+        formatter = new Formatter(),
+        chartManager = new ChartManager(calculator, formatter),
+        projectionEngine = new ProjectionEngine(calculator)
+    ) {
         this.calculator = calculator;
+        this.scheduleParser = scheduleParser;
+        this.lumpSumParser = lumpSumParser;
+        this.encryption = encryption;
+        this.formatter = formatter;
+        this.chartManager = chartManager;
+        this.projectionEngine = projectionEngine;
     }
 
     /**
      * Exports goals to CSV format
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate; budget columns are left empty without it
      * @returns {string} CSV formatted string
      */
-    exportToCSV(goals) {
+    exportToCSV(goals, budgetAllocation = null) {
         if (!goals || goals.length === 0) {
             return '';
         }
 
-        // CSV headers
-        const headers = [
-            'Goal Name',
-            'Current Price (₹)',
-            'Inflation Rate (%)',
-            'Years',
-            'Expected Return (%)',
-            'Step-up Rate (%)',
-            'Future Target (₹)',
-            'Monthly SIP Required (₹)',
-            'Total Investment (₹)',
-            'Wealth Gain (₹)'
-        ];
-
-        // Create CSV rows
-        const rows = goals.map(goal => {
-            const stepUpRate = goal.stepUpRate || 0;
-            const futureValue = this.calculator.calculateInflationAdjustedAmount(
-                goal.currentPrice,
-                goal.inflationRate,
-                goal.years
-            );
-            const monthlySIP = this.calculator.calculateMonthlySIP(
-                futureValue,
-                goal.years,
-                goal.expectedReturn,
-                stepUpRate
-            );
-            const totalInvestment = this.calculator.calculateTotalInvestment(monthlySIP, goal.years, stepUpRate);
-            const wealthGain = this.calculator.calculateWealthGain(futureValue, totalInvestment);
-
-            return [
-                this.escapeCSV(goal.name),
-                goal.currentPrice,
-                goal.inflationRate,
-                goal.years,
-                goal.expectedReturn,
-                stepUpRate,
-                futureValue,
-                monthlySIP,
-                totalInvestment,
-                wealthGain
-            ];
-        });
+        const headers = GOAL_COLUMNS.map(column => column.header);
+        const rows = goals.map(goal => this.getGoalRow(goal, budgetAllocation).map(value => this.escapeCSV(value)));
 
         // Combine headers and rows
         const csvContent = [
@@ -79,18 +146,653 @@ export class Exporter {
         return csvContent;
     }
 
+    /**
+     * Gets a goal's values for the columns of GOAL_COLUMNS
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
+     * @returns {Array<number|string>} Values, unescaped; empty strings for columns the goal has no value for
+     */
+    getGoalRow(goal, budgetAllocation) {
+        const futureValue = this.calculator.calculateGoalTarget(goal);
+        const monthlySIP = this.calculator.calculateGoalSIP(goal);
+        const totalInvestment = this.calculator.calculateGoalInvestment(goal, monthlySIP);
+        const wealthGain = this.calculator.calculateWealthGain(futureValue, totalInvestment);
+
+        return [
+            goal.name,
+            goal.currentPrice,
+            goal.inflationRate,
+            goal.years,
+            goal.expectedReturn,
+            goal.stepUpRate || 0,
+            futureValue,
+            monthlySIP,
+            totalInvestment,
+            wealthGain,
+            this.scheduleParser.format(goal.inflationSchedule),
+            ...this.getAllocationColumns(goal.allocation),
+            goal.existingCorpus || 0,
+            this.lumpSumParser.format(goal.lumpSums),
+            goal.priority || '',
+            ...this.getBudgetColumns(this.findGoalAllocation(budgetAllocation, goal)),
+            goal.retirement ? goal.retirement.retirementYears : '',
+            goal.retirement ? goal.retirement.postRetirementReturn : '',
+            goal.id === undefined || goal.id === null ? '' : String(goal.id)
+        ];
+    }
+
+    /**
+     * Gets the CSV columns describing a goal's asset allocation
+     * @private
+     * @param {Object} [allocation] - Goal allocation
+     * @returns {Array<number|string>} Weights, returns and glide path, or empty cells without an allocation
+     */
+    getAllocationColumns(allocation) {
+        if (!allocation) {
+            return Array(8).fill('');
+        }
+
+        const { weights, returns } = allocation;
+        const glidePath = allocation.glidePath || {};
+
+        return [
+            weights.equity || 0,
+            weights.debt || 0,
+            weights.gold || 0,
+            returns.equity || 0,
+            returns.debt || 0,
+            returns.gold || 0,
+            glidePath.years || 0,
+            glidePath.shift || 0
+        ];
+    }
+
+    /**
+     * Finds a goal's share of a budget allocation
+     * @private
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
+     * @param {Object} goal - Goal object
+     * @returns {Object|null} The goal's allocation, or null if there is none
+     */
+    findGoalAllocation(budgetAllocation, goal) {
+        if (!budgetAllocation) {
+            return null;
+        }
+
+        return budgetAllocation.goals.find(result => result.goalId === goal.id) || null;
+    }
+
+    /**
+     * Gets the CSV columns describing a goal's share of the monthly budget
+     * @private
+     * @param {Object} [goalAllocation] - The goal's budget allocation
+     * @returns {Array<number|string>} Allocated SIP, funded percentage and shortfall, or empty cells without a budget
+     */
+    getBudgetColumns(goalAllocation) {
+        if (!goalAllocation) {
+            return ['', '', ''];
+        }
+
+        return [goalAllocation.allocatedSIP, goalAllocation.fundedPercent, goalAllocation.shortfall];
+    }
+
     /**
      * Exports goals to JSON format
+     * 
+     * With a budget allocation, each goal gets a read-only `budget` object
+     * ({ allocatedSIP, fundedPercent, shortfall }) that importing ignores.
+     * 
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
      * @returns {string} JSON formatted string
      */
-    exportToJSON(goals) {
-        return JSON.stringify(goals, null, 2);
+    exportToJSON(goals, budgetAllocation = null) {
+        if (!budgetAllocation) {
+            return JSON.stringify(goals, null, 2);
+        }
+
+        const goalsWithBudget = goals.map(goal => {
+            const goalAllocation = this.findGoalAllocation(budgetAllocation, goal);
+
+            if (!goalAllocation) {
+                return goal;
+            }
+
+            const { allocatedSIP, fundedPercent, shortfall } = goalAllocation;
+            return { ...goal, budget: { allocatedSIP, fundedPercent, shortfall } };
+        });
+
+        return JSON.stringify(goalsWithBudget, null, 2);
+    }
+
+    /**
+     * Exports goals to JSON encrypted with a passphrase
+     * 
+     * The file is JSON holding the key parameters and the encrypted
+     * exportToJSON output; Importer.parseJSON decrypts it with the passphrase.
+     * 
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} passphrase - Passphrase chosen for the file
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
+     * @returns {Promise<string>} JSON formatted string
+     * @throws {Error} If the passphrase is too short (rejects the promise)
+     */
+    async exportToEncryptedJSON(goals, passphrase, budgetAllocation = null) {
+        const encrypted = await this.encryption.encryptExport(this.exportToJSON(goals, budgetAllocation), passphrase);
+        return JSON.stringify(encrypted, null, 2);
+    }
+
+    /**
+     * Exports the goals of several profiles to one JSON file
+     * 
+     * Importer.parseHouseholdJSON reads it back into profiles.
+     * 
+     * @param {Array<Object>} profiles - Profiles as { name, goals }
+     * @returns {string} JSON formatted string
+     */
+    exportToHouseholdJSON(profiles) {
+        return JSON.stringify({
+            format: HOUSEHOLD_EXPORT_FORMAT,
+            version: 1,
+            profiles: profiles.map(profile => ({ name: profile.name, goals: profile.goals }))
+        }, null, 2);
+    }
+
+    /**
+     * Exports the cashflow schedule of goals to CSV format
+     * 
+     * Each goal has a row for today and for every month or year of its
+     * horizon (see ProjectionEngine.projectGoal), with amounts rounded to
+     * the paisa. Today's SIP installment is empty.
+     * 
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [interval] - 'month' or 'year'
+     * @returns {string} CSV formatted string, empty without goals
+     * @throws {Error} If the interval is unknown
+     */
+    exportScheduleToCSV(goals, interval = 'year') {
+        if (!goals || goals.length === 0) {
+            return '';
+        }
+
+        const rows = goals.flatMap(goal => this.projectionEngine.projectGoal(goal, interval).map(row => [
+            this.escapeCSV(goal.name),
+            goal.id === undefined || goal.id === null ? '' : String(goal.id),
+            row.period,
+            row.monthlySIP === null ? '' : this.roundAmount(row.monthlySIP),
+            this.roundAmount(row.invested),
+            this.roundAmount(row.value),
+            this.roundAmount(row.target)
+        ]));
+        const headers = ['Goal Name', 'Goal ID', interval === 'month' ? 'Month' : 'Year', ...CASHFLOW_HEADERS];
+
+        return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+    }
+
+    /**
+     * Exports the cashflow schedule of goals to JSON format
+     * 
+     * Holds the same rows as exportScheduleToCSV, as
+     * { interval, goals: [{ id, name, schedule }] } where each schedule
+     * entry is { month or year, sipInstallment, invested, projectedValue, target }.
+     * 
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [interval] - 'month' or 'year'
+     * @returns {string} JSON formatted string
+     * @throws {Error} If the interval is unknown
+     */
+    exportScheduleToJSON(goals, interval = 'year') {
+        return JSON.stringify({
+            interval,
+            goals: goals.map(goal => ({
+                id: goal.id,
+                name: goal.name,
+                schedule: this.projectionEngine.projectGoal(goal, interval).map(row => ({
+                    [interval]: row.period,
+                    sipInstallment: row.monthlySIP === null ? null : this.roundAmount(row.monthlySIP),
+                    invested: this.roundAmount(row.invested),
+                    projectedValue: this.roundAmount(row.value),
+                    target: this.roundAmount(row.target)
+                }))
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Rounds an amount to the paisa
+     * @private
+     * @param {number} amount - Amount in rupees
+     * @returns {number} Amount with at most two decimals
+     */
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Exports goals to a printable PDF report, such as to hand to a financial advisor
+     *
+     * The first page has the summary totals, the growth chart (see
+     * ChartManager.renderChartImage; left out where charts cannot be
+     * drawn) and a line per goal. Each goal then starts a page with its
+     * assumptions, required SIP and year-by-year schedule.
+     *
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [title] - Report title, such as the profile name
+     * @returns {Uint8Array} PDF file content
+     */
+    exportToPDF(goals, title = 'Goal Plan') {
+        const pdf = new PDFDocument(title);
+        const report = { pdf, y: 0 };
+
+        this.startReportPage(report);
+        pdf.drawText(title, REPORT_MARGIN, report.y + 20, { size: 20, bold: true, color: REPORT_COLORS.text });
+        pdf.drawText(`SIP goal plan, prepared on ${new Date().toISOString().split('T')[0]}`, REPORT_MARGIN, report.y + 38, {
+            size: 9,
+            color: REPORT_COLORS.muted
+        });
+        report.y += 44;
+
+        this.writeReportSummary(report, goals);
+        this.writeReportChart(report, goals);
+        this.writeReportGoalList(report, goals);
+
+        goals.forEach(goal => {
+            this.startReportPage(report);
+            this.writeReportGoal(report, goal);
+        });
+
+        this.writeReportFooters(pdf, title);
+        return pdf.toBytes();
+    }
+
+    /**
+     * Starts a new page of a PDF report
+     * @private
+     * @param {Object} report - Report being written, as { pdf, y }; y is where the next content goes
+     */
+    startReportPage(report) {
+        report.pdf.addPage();
+        report.y = REPORT_MARGIN;
+    }
+
+    /**
+     * Starts a new page of a PDF report if the current one lacks room
+     * @private
+     * @param {Object} report - Report being written
+     * @param {number} height - Height the next content needs, in points
+     * @returns {boolean} True if a page was started
+     */
+    ensureReportSpace(report, height) {
+        if (report.y + height <= report.pdf.height - REPORT_MARGIN - REPORT_FOOTER_HEIGHT) {
+            return false;
+        }
+
+        this.startReportPage(report);
+        return true;
+    }
+
+    /**
+     * Writes a section heading of a PDF report
+     * @private
+     * @param {Object} report - Report being written
+     * @param {string} text - Heading
+     * @param {number} [size] - Font size in points
+     */
+    writeReportHeading(report, text, size = 13) {
+        const { pdf } = report;
+
+        // A heading is kept on the same page as the first lines under it
+        this.ensureReportSpace(report, size + 70);
+        report.y += size + 10;
+        pdf.drawText(text, REPORT_MARGIN, report.y, { size, bold: true, color: REPORT_COLORS.accent });
+        report.y += 5;
+        pdf.drawLine(REPORT_MARGIN, report.y, pdf.width - REPORT_MARGIN, report.y, { color: REPORT_COLORS.rule });
+        report.y += 5;
+    }
+
+    /**
+     * Writes labelled values, one per line, to a PDF report
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Array<Array<string>>} pairs - Label and value of each line; long values wrap
+     */
+    writeReportPairs(report, pairs) {
+        const { pdf } = report;
+        const lineHeight = 14;
+        const valueX = REPORT_MARGIN + 170;
+        const valueWidth = pdf.width - REPORT_MARGIN - valueX;
+
+        pairs.forEach(([label, value]) => {
+            const lines = pdf.wrapText(value, valueWidth);
+
+            this.ensureReportSpace(report, lines.length * lineHeight);
+            pdf.drawText(label, REPORT_MARGIN, report.y + 10, { color: REPORT_COLORS.muted });
+            lines.forEach((line, index) => {
+                pdf.drawText(line, valueX, report.y + 10 + index * lineHeight, { color: REPORT_COLORS.text });
+            });
+            report.y += lines.length * lineHeight;
+        });
+    }
+
+    /**
+     * Writes a table to a PDF report, repeating its header on each page it continues on
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Array<Object>} columns - Columns as { label, width, align }; widths are fractions of the content width
+     * @param {Array<Array<string>>} rows - Cell text of each row; text too wide for its cell is shortened
+     */
+    writeReportTable(report, columns, rows) {
+        const { pdf } = report;
+        const rowHeight = 15;
+        const contentWidth = pdf.width - 2 * REPORT_MARGIN;
+        const cells = [];
+        let left = REPORT_MARGIN;
+
+        columns.forEach(column => {
+            const width = column.width * contentWidth;
+            cells.push({ left, width, align: column.align || 'left' });
+            left += width;
+        });
+
+        const drawRow = (values, bold) => {
+            values.forEach((value, index) => {
+                const cell = cells[index];
+                const x = cell.align === 'right' ? cell.left + cell.width - 4 : cell.left + 4;
+
+                pdf.drawText(pdf.truncateText(value, cell.width - 8, 9, bold), x, report.y + 11, {
+                    size: 9,
+                    bold,
+                    align: cell.align,
+                    color: REPORT_COLORS.text
+                });
+            });
+            report.y += rowHeight;
+        };
+        const drawHeader = () => {
+            pdf.fillRect(REPORT_MARGIN, report.y, contentWidth, rowHeight, REPORT_COLORS.tableHeader);
+            drawRow(columns.map(column => column.label), true);
+        };
+
+        this.ensureReportSpace(report, rowHeight * 3);
+        drawHeader();
+
+        rows.forEach((row, index) => {
+            if (this.ensureReportSpace(report, rowHeight)) {
+                drawHeader();
+            }
+
+            if (index % 2 === 1) {
+                pdf.fillRect(REPORT_MARGIN, report.y, contentWidth, rowHeight, REPORT_COLORS.tableStripe);
+            }
+            drawRow(row, false);
+        });
+    }
+
+    /**
+     * Writes the summary totals of all goals to a PDF report
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Array<Object>} goals - Array of goal objects
+     */
+    writeReportSummary(report, goals) {
+        const summary = this.calculator.calculateSummary(goals);
+        const pairs = [
+            ['Number of goals', String(goals.length)],
+            ['Total monthly SIP', this.formatter.formatCurrency(summary.totalSIP)],
+            ['Total future target', this.formatter.formatCurrency(summary.totalFutureValue)],
+            ['Total investment', this.formatter.formatCurrency(summary.totalInvested)],
+            ['Wealth gained', this.formatter.formatCurrency(summary.totalWealthGained)]
+        ];
+
+        if (summary.totalExistingCorpus > 0) {
+            pairs.push(['Existing corpus', this.formatter.formatCurrency(summary.totalExistingCorpus)]);
+        }
+
+        this.writeReportHeading(report, 'Summary');
+        this.writeReportPairs(report, pairs);
+    }
+
+    /**
+     * Writes the growth chart of the goals to a PDF report, if it can be drawn
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Array<Object>} goals - Array of goal objects
+     */
+    writeReportChart(report, goals) {
+        const image = this.chartManager.renderChartImage(goals);
+
+        if (!image) {
+            return;
+        }
+
+        const { pdf } = report;
+        const width = pdf.width - 2 * REPORT_MARGIN;
+        const height = width * image.height / image.width;
+
+        this.writeReportHeading(report, 'Investment Growth');
+        this.ensureReportSpace(report, height);
+        pdf.drawJPEG(image.dataUrl, image.width, image.height, REPORT_MARGIN, report.y + 4, width, height);
+        report.y += height + 4;
+    }
+
+    /**
+     * Writes a line per goal to a PDF report
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Array<Object>} goals - Array of goal objects
+     */
+    writeReportGoalList(report, goals) {
+        if (goals.length === 0) {
+            return;
+        }
+
+        this.writeReportHeading(report, 'Goals');
+        this.writeReportTable(
+            report,
+            [
+                { label: 'Goal', width: 0.4 },
+                { label: 'Years', width: 0.12, align: 'right' },
+                { label: 'Future target', width: 0.24, align: 'right' },
+                { label: 'Monthly SIP', width: 0.24, align: 'right' }
+            ],
+            goals.map(goal => [
+                goal.name,
+                String(goal.years),
+                this.formatter.formatCurrency(this.calculator.calculateGoalTarget(goal)),
+                this.formatter.formatCurrency(this.calculator.calculateGoalSIP(goal))
+            ])
+        );
+    }
+
+    /**
+     * Writes a goal's assumptions, results and year-by-year schedule to a PDF report
+     * @private
+     * @param {Object} report - Report being written
+     * @param {Object} goal - Goal object
+     */
+    writeReportGoal(report, goal) {
+        const currency = amount => this.formatter.formatCurrency(amount);
+        const monthlySIP = this.calculator.calculateGoalSIP(goal);
+        const target = this.calculator.calculateGoalTarget(goal);
+        const investment = this.calculator.calculateGoalInvestment(goal, monthlySIP);
+
+        report.pdf.drawText(goal.name, REPORT_MARGIN, report.y + 18, { size: 16, bold: true, color: REPORT_COLORS.text });
+        report.y += 22;
+
+        this.writeReportHeading(report, 'Assumptions', 12);
+        this.writeReportPairs(report, this.getReportAssumptions(goal));
+
+        this.writeReportHeading(report, 'Results', 12);
+        this.writeReportPairs(report, [
+            [goal.retirement ? 'Corpus needed at retirement' : 'Future target', currency(target)],
+            ['Required monthly SIP', currency(monthlySIP)],
+            ['Total investment', currency(investment)],
+            ['Wealth gain', currency(this.calculator.calculateWealthGain(target, investment))]
+        ]);
+
+        const widths = [0.1, 0.2, 0.24, 0.23, 0.23];
+
+        this.writeReportHeading(report, 'Year-by-Year Schedule', 12);
+        this.writeReportTable(
+            report,
+            SCHEDULE_HEADERS.map((label, index) => ({ label, width: widths[index], align: 'right' })),
+            this.getScheduleRows(goal).map(([year, sip, ...amounts]) => [
+                String(year),
+                sip === null ? '-' : currency(sip),
+                ...amounts.map(currency)
+            ])
+        );
+    }
+
+    /**
+     * Gets a goal's year-by-year schedule
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {Array<Array<number|null>>} Values for SCHEDULE_HEADERS per year from today (year 0), whose monthly SIP is null
+     */
+    getScheduleRows(goal) {
+        return this.projectionEngine.projectGoal(goal, 'year').map(row => [
+            row.period,
+            row.monthlySIP,
+            Math.round(row.invested),
+            Math.round(row.value),
+            row.target
+        ]);
+    }
+
+    /**
+     * Exports goals to an Excel workbook
+     * 
+     * The Summary sheet has the totals, the Goals sheet the same columns as
+     * CSV exports (which Importer.previewXLSX reads back), and each goal
+     * then gets a sheet with its year-by-year schedule.
+     * 
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate; budget columns are left empty without it
+     * @param {string} [title] - Title of the Summary sheet, such as the profile name
+     * @returns {Uint8Array} XLSX file content
+     */
+    exportToXLSX(goals, budgetAllocation = null, title = 'Goal Plan') {
+        const workbook = new XLSXWorkbook();
+        const summary = this.calculator.calculateSummary(goals);
+        const currency = value => ({ value, style: 'currency' });
+        const header = value => ({ value, style: 'header' });
+
+        workbook.addSheet('Summary', [
+            [{ value: title, style: 'title' }],
+            [`SIP goal plan, prepared on ${new Date().toISOString().split('T')[0]}`],
+            [],
+            [header('Total'), header('Amount')],
+            ['Number of goals', { value: goals.length, style: 'integer' }],
+            ['Total monthly SIP', currency(summary.totalSIP)],
+            ['Total future target', currency(summary.totalFutureValue)],
+            ['Total investment', currency(summary.totalInvested)],
+            ['Wealth gained', currency(summary.totalWealthGained)],
+            ['Existing corpus', currency(summary.totalExistingCorpus)]
+        ], { columnWidths: [28, 20] });
+
+        workbook.addSheet('Goals', [
+            GOAL_COLUMNS.map(column => header(column.header)),
+            ...goals.map(goal => this.getGoalRow(goal, budgetAllocation)
+                .map((value, index) => ({ value, style: GOAL_COLUMNS[index].style })))
+        ], {
+            columnWidths: GOAL_COLUMNS.map(column => Math.max(column.header.length + 2, 12)),
+            frozenRows: 1
+        });
+
+        goals.forEach(goal => {
+            workbook.addSheet(goal.name, [
+                SCHEDULE_HEADERS.map(header),
+                ...this.getScheduleRows(goal).map(([year, sip, ...amounts]) => [
+                    { value: year, style: 'integer' },
+                    currency(sip),
+                    ...amounts.map(currency)
+                ])
+            ], { columnWidths: [8, 16, 18, 18, 18], frozenRows: 1 });
+        });
+
+        return workbook.toBytes();
+    }
+
+    /**
+     * Lists a goal's assumptions for a PDF report
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {Array<Array<string>>} Label and value of each assumption the goal has
+     */
+    getReportAssumptions(goal) {
+        const currency = amount => this.formatter.formatCurrency(amount);
+        const percent = value => this.formatter.formatPercentage(Math.round(value * 100) / 100);
+        const pairs = [
+            [goal.retirement ? 'Monthly expenses today' : 'Current price', currency(goal.currentPrice)],
+            ['Inflation', this.formatter.formatInflationSchedule(goal.inflationSchedule, goal.inflationRate)],
+            [goal.retirement ? 'Years to retirement' : 'Time horizon', this.formatter.formatYears(goal.years)]
+        ];
+
+        if (goal.allocation) {
+            const { weights, returns, glidePath } = goal.allocation;
+            const blendedReturn = percent(this.calculator.calculateBlendedReturn(weights, returns));
+
+            pairs.push(['Expected return', `${blendedReturn} blended (${this.formatter.formatAllocation(weights)})`]);
+
+            if (glidePath && glidePath.years && glidePath.shift) {
+                pairs.push(['Glide path', `${percent(glidePath.shift)} equity to debt a year over the last ${this.formatter.formatYears(glidePath.years)}`]);
+            }
+        } else {
+            pairs.push(['Expected return', percent(goal.expectedReturn)]);
+        }
+
+        pairs.push(['Annual SIP step-up', percent(goal.stepUpRate || 0)]);
+
+        if (goal.existingCorpus > 0) {
+            pairs.push(['Existing corpus', currency(goal.existingCorpus)]);
+        }
+
+        if (goal.lumpSums && goal.lumpSums.length > 0) {
+            pairs.push(['Lump sums', goal.lumpSums.map(lumpSum => `Year ${lumpSum.year}: ${currency(lumpSum.amount)}`).join(', ')]);
+        }
+
+        if (goal.priority) {
+            pairs.push(['Priority', this.formatter.formatPriority(goal.priority)]);
+        }
+
+        if (goal.retirement) {
+            pairs.push(['Years in retirement', this.formatter.formatYears(goal.retirement.retirementYears)]);
+            pairs.push(['Return in retirement', percent(goal.retirement.postRetirementReturn)]);
+        }
+
+        if (goal.startDate) {
+            pairs.push(['Plan started', goal.startDate]);
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Writes the title and page number at the bottom of every page of a PDF report
+     * @private
+     * @param {Object} pdf - PDFDocument holding the report
+     * @param {string} title - Report title
+     */
+    writeReportFooters(pdf, title) {
+        const pageCount = pdf.getPageCount();
+        const y = pdf.height - REPORT_MARGIN + 10;
+
+        for (let page = 1; page <= pageCount; page++) {
+            pdf.goToPage(page);
+            pdf.drawText(title, REPORT_MARGIN, y, { size: 8, color: REPORT_COLORS.muted });
+            pdf.drawText(`Page ${page} of ${pageCount}`, pdf.width - REPORT_MARGIN, y, {
+                size: 8,
+                align: 'right',
+                color: REPORT_COLORS.muted
+            });
+        }
     }
 
     /**
      * Downloads data as a file
-     * @param {string} content - File content
+     * @param {string|Uint8Array} content - File content
      * @param {string} filename - Name of the file
      * @param {string} mimeType - MIME type of the file
      */
@@ -109,25 +811,98 @@ export class Exporter {
     /**
      * Exports and downloads goals as CSV
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
      */
-    exportCSV(goals) {
-        const csv = this.exportToCSV(goals);
+    exportCSV(goals, budgetAllocation = null) {
+        const csv = this.exportToCSV(goals, budgetAllocation);
         if (csv) {
             const timestamp = new Date().toISOString().split('T')[0];
             this.downloadFile(csv, `sip-goals-${timestamp}.csv`, 'text/csv');
         }
     }
 
+    /**
+     * Exports and downloads goals as an Excel workbook
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
+     * @param {string} [title] - Title of the Summary sheet, such as the profile name
+     */
+    exportXLSX(goals, budgetAllocation = null, title = 'Goal Plan') {
+        const workbook = this.exportToXLSX(goals, budgetAllocation, title);
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(workbook, `sip-goals-${timestamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    /**
+     * Exports and downloads the cashflow schedule of goals as CSV
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [interval] - 'month' or 'year'
+     */
+    exportScheduleCSV(goals, interval = 'year') {
+        const csv = this.exportScheduleToCSV(goals, interval);
+        if (csv) {
+            const timestamp = new Date().toISOString().split('T')[0];
+            this.downloadFile(csv, `sip-schedule-${interval}ly-${timestamp}.csv`, 'text/csv');
+        }
+    }
+
+    /**
+     * Exports and downloads the cashflow schedule of goals as JSON
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [interval] - 'month' or 'year'
+     */
+    exportScheduleJSON(goals, interval = 'year') {
+        const json = this.exportScheduleToJSON(goals, interval);
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(json, `sip-schedule-${interval}ly-${timestamp}.json`, 'application/json');
+    }
+
+    /**
+     * Exports and downloads goals as a PDF report
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} [title] - Report title, such as the profile name
+     */
+    exportPDF(goals, title = 'Goal Plan') {
+        const pdf = this.exportToPDF(goals, title);
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(pdf, `sip-plan-${timestamp}.pdf`, 'application/pdf');
+    }
+
     /**
      * Exports and downloads goals as JSON
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
      */
-    exportJSON(goals) {
-        const json = this.exportToJSON(goals);
+    exportJSON(goals, budgetAllocation = null) {
+        const json = this.exportToJSON(goals, budgetAllocation);
         const timestamp = new Date().toISOString().split('T')[0];
         this.downloadFile(json, `sip-goals-${timestamp}.json`, 'application/json');
     }
 
+    /**
+     * Exports and downloads the goals of several profiles as one JSON file
+     * @param {Array<Object>} profiles - Profiles as { name, goals }
+     */
+    exportHouseholdJSON(profiles) {
+        const json = this.exportToHouseholdJSON(profiles);
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(json, `sip-household-${timestamp}.json`, 'application/json');
+    }
+
+    /**
+     * Exports and downloads goals as JSON encrypted with a passphrase
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {string} passphrase - Passphrase chosen for the file
+     * @param {Object} [budgetAllocation] - Result of BudgetAllocator.allocate
+     * @returns {Promise<void>} Resolves once the download starts
+     * @throws {Error} If the passphrase is too short (rejects the promise)
+     */
+    async exportEncryptedJSON(goals, passphrase, budgetAllocation = null) {
+        const json = await this.exportToEncryptedJSON(goals, passphrase, budgetAllocation);
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(json, `sip-goals-${timestamp}-encrypted.json`, 'application/json');
+    }
+
     /**
      * Escapes special characters in CSV values
      * @private
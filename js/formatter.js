@@ -17,6 +17,10 @@ export class Formatter {
             minimumFractionDigits: 0,
             maximumFractionDigits: 0,
         });
+        this.dateTimeFormatter = new Intl.DateTimeFormat('en-IN', {
+            dateStyle: 'medium',
+            timeStyle: 'medium'
+        });
     }
 
     /**
@@ -37,6 +41,46 @@ export class Formatter {
         return `${percentage}%`;
     }
 
+    /**
+     * Formats asset allocation weights
+     * @param {Object} weights - Weights as { equity, debt, gold } percentages
+     * @returns {string} Formatted weights, e.g. "70% equity / 20% debt / 10% gold"
+     */
+    formatAllocation(weights) {
+        return ['equity', 'debt', 'gold']
+            .filter(asset => weights[asset] > 0)
+            .map(asset => `${this.formatPercentage(weights[asset])} ${asset}`)
+            .join(' / ');
+    }
+
+    /**
+     * Formats a probability as a percentage
+     * @param {number} probability - Probability between 0 and 1
+     * @returns {string} Formatted percentage with one decimal place
+     */
+    formatProbability(probability) {
+        return `${(probability * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Formats a goal priority
+     * @param {number} priority - Priority (1 = highest)
+     * @returns {string} 'High', 'Medium' or 'Low', or "Priority N" for other values
+     */
+    formatPriority(priority) {
+        const labels = { 1: 'High', 2: 'Medium', 3: 'Low' };
+        return labels[priority] || `Priority ${priority}`;
+    }
+
+    /**
+     * Formats a date and time in the browser's time zone
+     * @param {string|number|Date} dateTime - ISO 8601 string, milliseconds since the epoch or Date
+     * @returns {string} Formatted date and time, e.g. "15 Mar 2024, 10:30:15 am"
+     */
+    formatDateTime(dateTime) {
+        return this.dateTimeFormatter.format(new Date(dateTime));
+    }
+
     /**
      * Formats a year count
      * @param {number} years - Number of years
@@ -45,5 +89,43 @@ export class Formatter {
     formatYears(years) {
         return years === 1 ? '1 year' : `${years} years`;
     }
-}
 
+    /**
+     * Formats a fractional year count as years and months
+     * @param {number} years - Number of years, e.g. 7.25
+     * @returns {string} Formatted duration, e.g. "7 years 3 months"
+     */
+    formatDuration(years) {
+        const totalMonths = Math.round(years * 12);
+        const wholeYears = Math.floor(totalMonths / 12);
+        const months = totalMonths % 12;
+        const monthText = months === 1 ? '1 month' : `${months} months`;
+
+        if (wholeYears === 0) {
+            return monthText;
+        }
+
+        return months === 0 ? this.formatYears(wholeYears) : `${this.formatYears(wholeYears)} ${monthText}`;
+    }
+
+    /**
+     * Formats an inflation schedule for display
+     * @param {Array<Object>} schedule - Year ranges with their own rates
+     * @param {number} fallbackRate - Rate used for years outside every range
+     * @returns {string} Formatted schedule, e.g. "10% (yrs 1-5), 7% (yrs 6-15), 6% otherwise"
+     */
+    formatInflationSchedule(schedule, fallbackRate) {
+        if (!schedule || schedule.length === 0) {
+            return this.formatPercentage(fallbackRate);
+        }
+
+        const ranges = schedule.map(range => {
+            const years = range.fromYear === range.toYear
+                ? `yr ${range.fromYear}`
+                : `yrs ${range.fromYear}-${range.toYear}`;
+            return `${this.formatPercentage(range.rate)} (${years})`;
+        });
+
+        return `${ranges.join(', ')}, ${this.formatPercentage(fallbackRate)} otherwise`;
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Goal identifiers
+ * Generates the IDs that tell goals apart in storage, history, sync and imports
+ */
+
+/**
+ * GoalIdGenerator class generates goal IDs
+ *
+ * IDs are random version 4 UUIDs, so goals added in the same millisecond,
+ * in different tabs or on different devices never share one. Goals saved
+ * by earlier versions keep their numeric timestamp IDs.
+ */
+export class GoalIdGenerator {
+    /**
+     * Creates a new GoalIdGenerator instance
+     * @param {Crypto} [cryptoApi] - Web Crypto implementation; defaults to the browser's
+     */
+    constructor(cryptoApi = globalThis.crypto) {
+        this.cryptoApi = cryptoApi;
+    }
+
+    /**
+     * Generates a new goal ID
+     * @returns {string} UUID such as "3b241101-e2bb-4255-8caf-4136c566a962"
+     */
+    generate() {
+        // randomUUID is only available in secure contexts; getRandomValues is available everywhere
+        if (typeof this.cryptoApi.randomUUID === 'function') {
+            return this.cryptoApi.randomUUID();
+        }
+
+        const bytes = this.cryptoApi.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Checks if a value can be used as a goal ID
+     * @param {*} id - Value to check
+     * @returns {boolean} True for non-empty strings and finite numbers
+     */
+    isValid(id) {
+        return (typeof id === 'string' && id.trim() !== '') || (typeof id === 'number' && Number.isFinite(id));
+    }
+}
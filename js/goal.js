@@ -2,17 +2,49 @@
  * Goal data model and management
  */
 
+import { GoalIdGenerator } from './goal-ids.js';
+
 /**
  * Represents a financial goal
  * @typedef {Object} Goal
- * @property {number} id - Unique identifier for the goal
+ * @property {string|number} id - Unique identifier for the goal (a UUID; numeric for goals created by earlier versions)
  * @property {string} name - Name of the goal
  * @property {number} currentPrice - Current market price of the goal
  * @property {number} inflationRate - Expected annual inflation rate percentage
  * @property {number} years - Time period in years
  * @property {number} expectedReturn - Expected annual return percentage
  * @property {number} [stepUpRate] - Optional annual SIP increase rate percentage
+ * @property {Array<Object>} [inflationSchedule] - Optional year ranges ({fromYear, toYear, rate}) overriding inflationRate
+ * @property {Object} [allocation] - Optional asset mix ({weights, returns, glidePath}) whose blended return replaces expectedReturn
+ * @property {number} [existingCorpus] - Optional amount already invested toward the goal
+ * @property {Array<Object>} [lumpSums] - Optional one-time investments ({year, amount}) made at the end of a year
+ * @property {number} [priority] - Optional funding priority for budget allocation (1 = highest)
+ * @property {Object} [retirement] - Optional retirement settings ({retirementYears, postRetirementReturn}); currentPrice is then today's monthly expenses
+ * @property {string} [startDate] - Date the plan started (YYYY-MM-DD); the planned trajectory is measured from it
+ * @property {Array<Object>} [contributions] - Optional ledger of actual investments ({date, amount}), oldest first
+ * @property {Array<Object>} [valuations] - Optional ledger of recorded market values ({date, value}), oldest first
+ */
+
+/**
+ * Goal properties that can be changed with updateGoal and are always present
+ * @type {string[]}
  */
+const EDITABLE_FIELDS = ['name', 'currentPrice', 'inflationRate', 'years', 'expectedReturn', 'stepUpRate', 'startDate'];
+
+/**
+ * Optional goal properties, removed by updateGoal when changed to an empty value
+ * @type {string[]}
+ */
+const OPTIONAL_FIELDS = [
+    'inflationSchedule',
+    'allocation',
+    'existingCorpus',
+    'lumpSums',
+    'priority',
+    'retirement',
+    'contributions',
+    'valuations'
+];
 
 /**
  * GoalManager class handles goal operations
@@ -21,14 +53,21 @@ export class GoalManager {
     /**
      * Creates a new GoalManager instance
      * @param {Object} storageService - Optional storage service for persistence
+     * @param {GoalIdGenerator} [idGenerator] - Generates the IDs of new goals
      */
-    constructor(storageService = null) {
+    constructor(storageService = null, idGenerator = new GoalIdGenerator()) {
         this.goals = [];
         this.storageService = storageService;
+        this.idGenerator = idGenerator;
     }
 
     /**
      * Loads goals from storage service if available
+     * 
+     * Earlier versions could give goals added in the same millisecond the
+     * same ID. Every goal after the first with an ID, and any goal without
+     * a valid one, gets a new ID, and the repaired goals are saved.
+     * 
      * @returns {boolean} True if goals were loaded successfully
      */
     loadFromStorage() {
@@ -36,11 +75,36 @@ export class GoalManager {
             return false;
         }
 
-        const loadedGoals = this.storageService.loadGoals();
-        this.goals = loadedGoals;
+        const loadedGoals = this.storageService.loadGoals() || [];
+        this.goals = this.repairIds(loadedGoals);
+
+        if (this.goals.some((goal, index) => goal !== loadedGoals[index])) {
+            this.saveToStorage();
+        }
         return true;
     }
 
+    /**
+     * Gives goals with a missing or repeated ID a new one
+     * @private
+     * @param {Array<Object>} goals - Goals as loaded
+     * @returns {Array<Object>} The same goals, with copies in place of those given a new ID
+     */
+    repairIds(goals) {
+        const seen = new Set();
+
+        return goals.map(goal => {
+            if (this.idGenerator.isValid(goal.id) && !seen.has(goal.id)) {
+                seen.add(goal.id);
+                return goal;
+            }
+
+            const repaired = { ...goal, id: this.idGenerator.generate() };
+            seen.add(repaired.id);
+            return repaired;
+        });
+    }
+
     /**
      * Saves goals to storage service if available
      * @private
@@ -62,26 +126,246 @@ export class GoalManager {
      * @param {number} years - Time period in years
      * @param {number} expectedReturn - Expected annual return percentage
      * @param {number} [stepUpRate] - Optional annual SIP increase rate percentage
+     * @param {Object} [options] - Optional goal properties
+     * @param {Array<Object>} [options.inflationSchedule] - Year ranges with their own inflation rates
+     * @param {Object} [options.allocation] - Equity/debt/gold weights, returns and glide path
+     * @param {number} [options.existingCorpus] - Amount already invested toward the goal
+     * @param {Array<Object>} [options.lumpSums] - One-time future investments by year
+     * @param {number} [options.priority] - Funding priority for budget allocation (1 = highest)
+     * @param {Object} [options.retirement] - Years in retirement and post-retirement return for retirement goals
+     * @param {string} [options.startDate] - Date the plan started (YYYY-MM-DD); defaults to today
+     * @param {Array<Object>} [options.contributions] - Actual investments made so far ({date, amount})
+     * @param {Array<Object>} [options.valuations] - Recorded market values ({date, value})
+     * @param {string|number} [options.id] - ID to keep, such as an imported goal's; a new one is generated if it is missing or taken
      * @returns {Goal} The newly created goal
      */
-    addGoal(name, currentPrice, inflationRate, years, expectedReturn, stepUpRate = 0) {
+    addGoal(name, currentPrice, inflationRate, years, expectedReturn, stepUpRate = 0, options = {}) {
+        const goal = this.createGoal(name, currentPrice, inflationRate, years, expectedReturn, stepUpRate, options);
+        this.goals.push(goal);
+        this.saveToStorage();
+        return goal;
+    }
+
+    /**
+     * Creates a goal without adding it to the collection
+     * @private
+     * @param {string} name - Goal name
+     * @param {number} currentPrice - Current market price
+     * @param {number} inflationRate - Expected annual inflation rate percentage
+     * @param {number} years - Time period in years
+     * @param {number} expectedReturn - Expected annual return percentage
+     * @param {number} stepUpRate - Annual SIP increase rate percentage
+     * @param {Object} options - Optional goal properties (see addGoal)
+     * @returns {Goal} The new goal, with an ID no goal in the collection has
+     */
+    createGoal(name, currentPrice, inflationRate, years, expectedReturn, stepUpRate, options) {
+        const isFreeId = this.idGenerator.isValid(options.id) && !this.goals.some(existing => existing.id === options.id);
         const goal = {
-            id: Date.now(),
+            id: isFreeId ? options.id : this.idGenerator.generate(),
             name,
             currentPrice,
             inflationRate,
             years,
             expectedReturn,
-            stepUpRate: stepUpRate || 0
+            stepUpRate: stepUpRate || 0,
+            startDate: options.startDate || new Date().toISOString().split('T')[0]
         };
-        this.goals.push(goal);
-        this.saveToStorage();
+
+        this.applyOptions(goal, options);
         return goal;
     }
 
+    /**
+     * Adds imported goals, optionally replacing the existing ones
+     * 
+     * Goals keep the ID they were exported with, so importing the file
+     * again matches them, unless another goal already has it. The goals
+     * are saved once, after all of them are added, so the import is a
+     * single save (one snapshot, one change sent to other tabs).
+     * 
+     * @param {Array<Object>} importedGoals - Goals read from an import file
+     * @param {boolean} [shouldReplace] - Whether to clear existing goals first
+     * @returns {boolean} True if the goals were saved successfully
+     */
+    importGoals(importedGoals, shouldReplace = false) {
+        if (shouldReplace) {
+            this.goals = [];
+        }
+
+        importedGoals.forEach(goal => {
+            this.goals.push(this.createGoal(
+                goal.name,
+                goal.currentPrice,
+                goal.inflationRate,
+                goal.years,
+                goal.expectedReturn,
+                goal.stepUpRate || 0,
+                {
+                    inflationSchedule: goal.inflationSchedule,
+                    allocation: goal.allocation,
+                    existingCorpus: goal.existingCorpus,
+                    lumpSums: goal.lumpSums,
+                    priority: goal.priority,
+                    retirement: goal.retirement,
+                    startDate: goal.startDate,
+                    contributions: goal.contributions,
+                    valuations: goal.valuations,
+                    id: goal.id
+                }
+            ));
+        });
+
+        return this.saveToStorage();
+    }
+
+    /**
+     * Updates an existing goal
+     * 
+     * Only the given properties change; the ID never does. Optional
+     * properties given as an empty value (null, undefined, 0 or an empty
+     * list) are removed from the goal.
+     * 
+     * @param {string|number} goalId - The ID of the goal to update
+     * @param {Object} changes - Goal properties to change (see addGoal for the optional ones)
+     * @returns {Goal|null} The updated goal, or null if no goal has the ID
+     * @throws {Error} If the updated goal is invalid; the goal is then left unchanged
+     */
+    updateGoal(goalId, changes) {
+        const index = this.goals.findIndex(goal => goal.id === goalId);
+
+        if (index === -1) {
+            return null;
+        }
+
+        const updated = { ...this.goals[index] };
+        const optionChanges = {};
+
+        EDITABLE_FIELDS
+            .filter(field => field in changes)
+            .forEach(field => {
+                updated[field] = field === 'stepUpRate' ? changes[field] || 0 : changes[field];
+            });
+
+        OPTIONAL_FIELDS
+            .filter(field => field in changes)
+            .forEach(field => {
+                delete updated[field];
+                optionChanges[field] = changes[field];
+            });
+
+        this.validateGoal({ ...updated, ...optionChanges });
+        this.applyOptions(updated, optionChanges);
+
+        this.goals[index] = updated;
+        this.saveToStorage();
+        return updated;
+    }
+
+    /**
+     * Gets a goal by ID
+     * @param {string|number} goalId - The ID of the goal
+     * @returns {Goal|null} The goal, or null if no goal has the ID
+     */
+    getGoal(goalId) {
+        return this.goals.find(goal => goal.id === goalId) || null;
+    }
+
+    /**
+     * Copies the non-empty optional properties onto a goal
+     * @private
+     * @param {Goal} goal - Goal to add the properties to
+     * @param {Object} options - Optional goal properties (see addGoal)
+     */
+    applyOptions(goal, options) {
+        if (options.inflationSchedule && options.inflationSchedule.length > 0) {
+            goal.inflationSchedule = options.inflationSchedule.map(range => ({ ...range }));
+        }
+
+        if (options.allocation) {
+            goal.allocation = {
+                weights: { ...options.allocation.weights },
+                returns: { ...options.allocation.returns },
+                glidePath: { years: 0, shift: 0, ...options.allocation.glidePath }
+            };
+        }
+
+        if (options.existingCorpus > 0) {
+            goal.existingCorpus = options.existingCorpus;
+        }
+
+        if (options.lumpSums && options.lumpSums.length > 0) {
+            goal.lumpSums = options.lumpSums.map(lumpSum => ({ ...lumpSum }));
+        }
+
+        if (options.priority) {
+            goal.priority = options.priority;
+        }
+
+        if (options.retirement) {
+            goal.retirement = { ...options.retirement };
+        }
+
+        if (options.contributions && options.contributions.length > 0) {
+            goal.contributions = this.sortByDate(options.contributions.map(entry => ({ ...entry })));
+        }
+
+        if (options.valuations && options.valuations.length > 0) {
+            goal.valuations = this.sortByDate(options.valuations.map(entry => ({ ...entry })));
+        }
+    }
+
+    /**
+     * Validates a goal's values
+     * @private
+     * @param {Object} goal - Goal values to validate; empty optional values are skipped
+     * @throws {Error} If a value is missing or out of range
+     */
+    validateGoal(goal) {
+        if (typeof goal.name !== 'string' || goal.name.trim() === '') {
+            throw new Error('Goal name is required');
+        }
+
+        if (!(goal.currentPrice > 0)) {
+            throw new Error('Current price must be greater than 0');
+        }
+
+        if (!(goal.inflationRate >= 0)) {
+            throw new Error('Inflation rate cannot be negative');
+        }
+
+        if (!(goal.years > 0)) {
+            throw new Error('Years must be greater than 0');
+        }
+
+        if (!(goal.expectedReturn > 0)) {
+            throw new Error('Expected return must be greater than 0');
+        }
+
+        if (!(goal.stepUpRate >= 0)) {
+            throw new Error('Step-up rate cannot be negative');
+        }
+
+        if (goal.existingCorpus && !(goal.existingCorpus >= 0)) {
+            throw new Error('Existing corpus cannot be negative');
+        }
+
+        if (goal.priority && !(Number.isInteger(goal.priority) && goal.priority >= 1)) {
+            throw new Error('Priority must be a whole number of at least 1');
+        }
+
+        if (goal.allocation) {
+            const weights = Object.values(goal.allocation.weights);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+            if (weights.some(weight => weight < 0) || Math.abs(totalWeight - 100) > 0.01) {
+                throw new Error('Allocation weights must add up to 100%');
+            }
+        }
+    }
+
     /**
      * Removes a goal by ID
-     * @param {number} goalId - The ID of the goal to remove
+     * @param {string|number} goalId - The ID of the goal to remove
      * @returns {boolean} True if goal was removed, false otherwise
      */
     removeGoal(goalId) {
@@ -96,6 +380,58 @@ export class GoalManager {
         return wasRemoved;
     }
 
+    /**
+     * Records an actual investment made toward a goal
+     * @param {string|number} goalId - The ID of the goal
+     * @param {string} date - Date of the investment (YYYY-MM-DD)
+     * @param {number} amount - Amount invested
+     * @returns {Goal|null} The updated goal, or null if no goal has the ID
+     */
+    addContribution(goalId, date, amount) {
+        return this.addLedgerEntry(goalId, 'contributions', { date, amount });
+    }
+
+    /**
+     * Records the market value of a goal's investments on a date
+     * @param {string|number} goalId - The ID of the goal
+     * @param {string} date - Date of the valuation (YYYY-MM-DD)
+     * @param {number} value - Market value on that date
+     * @returns {Goal|null} The updated goal, or null if no goal has the ID
+     */
+    addValuation(goalId, date, value) {
+        return this.addLedgerEntry(goalId, 'valuations', { date, value });
+    }
+
+    /**
+     * Adds an entry to one of a goal's ledgers, keeping it in date order
+     * @private
+     * @param {string|number} goalId - The ID of the goal
+     * @param {string} ledger - 'contributions' or 'valuations'
+     * @param {Object} entry - Dated ledger entry
+     * @returns {Goal|null} The updated goal, or null if no goal has the ID
+     */
+    addLedgerEntry(goalId, ledger, entry) {
+        const goal = this.goals.find(item => item.id === goalId);
+
+        if (!goal) {
+            return null;
+        }
+
+        goal[ledger] = this.sortByDate([...(goal[ledger] || []), entry]);
+        this.saveToStorage();
+        return goal;
+    }
+
+    /**
+     * Sorts dated ledger entries from oldest to newest, keeping the order of entries on the same date
+     * @private
+     * @param {Array<Object>} entries - Entries with a YYYY-MM-DD date
+     * @returns {Array<Object>} Sorted entries
+     */
+    sortByDate(entries) {
+        return entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+
     /**
      * Gets all goals
      * @returns {Goal[]} Array of all goals
@@ -104,6 +440,17 @@ export class GoalManager {
         return [...this.goals];
     }
 
+    /**
+     * Replaces all goals, for example to restore an earlier state
+     * @param {Array<Object>} goals - Goals to keep
+     * @param {boolean} [persist] - Whether to save them; false when they are already saved (for example by another tab)
+     * @returns {boolean} True if the goals were saved successfully (always true when not saving)
+     */
+    replaceAllGoals(goals, persist = true) {
+        this.goals = [...goals];
+        return persist ? this.saveToStorage() : true;
+    }
+
     /**
      * Gets the total number of goals
      * @returns {number} Total count of goals
@@ -0,0 +1,200 @@
+/**
+ * Undo/redo history for goal changes
+ * Records a snapshot of the goals before and after each change so it can be reversed
+ */
+
+/**
+ * Default number of changes kept for undo
+ * @type {number}
+ */
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Represents one undoable change to the goals
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Description of the change (e.g. 'Remove "House"')
+ * @property {Array<Object>} before - Goals before the change
+ * @property {Array<Object>} after - Goals after the change
+ */
+
+/**
+ * HistoryManager class records goal changes and undoes or redoes them
+ */
+export class HistoryManager {
+    /**
+     * Creates a new HistoryManager instance
+     * @param {Object} goalManager - GoalManager instance whose goals are tracked
+     * @param {Object} [storageService] - Optional storage service to keep the history across reloads
+     * @param {number} [limit] - Maximum number of changes kept for undo
+     */
+    constructor(goalManager, storageService = null, limit = MAX_HISTORY_ENTRIES) {
+        this.goalManager = goalManager;
+        this.storageService = storageService;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Loads the saved history
+     *
+     * The history is dropped when the saved goals no longer match its
+     * latest state (for example after they were changed elsewhere), since
+     * undoing would then overwrite those changes.
+     *
+     * @returns {boolean} True if a saved history was restored
+     */
+    load() {
+        if (!this.storageService) {
+            return false;
+        }
+
+        const { undo, redo } = this.storageService.loadHistory();
+        const latest = undo.length > 0 ? undo[undo.length - 1].after : redo.length > 0 ? redo[redo.length - 1].before : null;
+
+        if (!latest || JSON.stringify(latest) !== JSON.stringify(this.goalManager.getAllGoals())) {
+            this.clear();
+            return false;
+        }
+
+        this.undoStack = undo.slice(-this.limit);
+        this.redoStack = redo;
+        return true;
+    }
+
+    /**
+     * Applies a change to the goals and records it for undo
+     *
+     * Changes that leave the goals as they were are not recorded. If the
+     * change throws partway through (such as a bulk import failing after
+     * some goals were added), whatever it changed is still recorded so it
+     * can be undone, and the error is passed on.
+     *
+     * @param {string} label - Description of the change
+     * @param {Function} change - Function that changes the goals through the GoalManager
+     * @returns {*} Whatever the change function returns
+     */
+    record(label, change) {
+        const before = this.snapshot();
+
+        try {
+            return change();
+        } finally {
+            const after = this.snapshot();
+
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                this.undoStack.push({ label, before, after });
+                this.undoStack = this.undoStack.slice(-this.limit);
+                this.redoStack = [];
+                this.save();
+            }
+        }
+    }
+
+    /**
+     * Reverts the most recent change
+     * @returns {string|null} Label of the undone change, or null if there is nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+
+        if (!entry) {
+            return null;
+        }
+
+        this.goalManager.replaceAllGoals(this.copy(entry.before));
+        this.redoStack.push(entry);
+        this.save();
+        return entry.label;
+    }
+
+    /**
+     * Reapplies the most recently undone change
+     * @returns {string|null} Label of the redone change, or null if there is nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+
+        if (!entry) {
+            return null;
+        }
+
+        this.goalManager.replaceAllGoals(this.copy(entry.after));
+        this.undoStack.push(entry);
+        this.save();
+        return entry.label;
+    }
+
+    /**
+     * Checks whether there is a change to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Checks whether there is a change to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Gets the label of the change undo would revert
+     * @returns {string|null} Change label, or null if there is nothing to undo
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Gets the label of the change redo would reapply
+     * @returns {string|null} Change label, or null if there is nothing to redo
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Forgets all recorded changes
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+
+    /**
+     * Takes a deep copy of the current goals
+     * @private
+     * @returns {Array<Object>} Goals
+     */
+    snapshot() {
+        return this.copy(this.goalManager.getAllGoals());
+    }
+
+    /**
+     * Deep copies goals so later in-place changes cannot alter recorded states
+     * @private
+     * @param {Array<Object>} goals - Goals to copy
+     * @returns {Array<Object>} Copied goals
+     */
+    copy(goals) {
+        return JSON.parse(JSON.stringify(goals));
+    }
+
+    /**
+     * Saves the history to the storage service if available
+     * @private
+     * @returns {boolean} True if the history was saved
+     */
+    save() {
+        if (!this.storageService) {
+            return false;
+        }
+
+        return this.storageService.saveHistory({ undo: this.undoStack, redo: this.redoStack });
+    }
+}
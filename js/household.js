@@ -0,0 +1,145 @@
+/**
+ * Household orchestration
+ * Opens, creates, renames and deletes profiles, and gathers or imports the goals of every profile
+ */
+
+/**
+ * HouseholdManager class carries out profile changes across the goals, history and storage of each profile
+ *
+ * ProfileManager keeps the profile list; this class keeps the GoalManager
+ * and HistoryManager in step with whichever profile is open, and works
+ * with the goals of profiles that are not open.
+ */
+export class HouseholdManager {
+    /**
+     * Creates a new HouseholdManager instance
+     * @param {Object} profileManager - ProfileManager with the profile list loaded
+     * @param {Object} storageService - StorageService the profiles' goals are saved through
+     * @param {Object} goalManager - GoalManager holding the open profile's goals
+     * @param {Object} history - HistoryManager holding the open profile's history
+     * @param {Object} calculator - SIPCalculator instance for the household summary
+     */
+    constructor(profileManager, storageService, goalManager, history, calculator) {
+        this.profileManager = profileManager;
+        this.storageService = storageService;
+        this.goalManager = goalManager;
+        this.history = history;
+        this.calculator = calculator;
+    }
+
+    /**
+     * Opens a profile, loading its goals and history
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} The opened profile
+     * @throws {Error} If the profile does not exist or its data cannot be opened (rejects the promise)
+     */
+    async openProfile(profileId) {
+        const profile = await this.profileManager.switchProfile(profileId);
+        this.loadOpenProfile();
+        return profile;
+    }
+
+    /**
+     * Creates a profile and opens it
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} The new profile
+     * @throws {Error} If the name is empty, too long or already used (rejects the promise)
+     */
+    async addProfile(name) {
+        const profile = this.profileManager.createProfile(name);
+        return this.openProfile(profile.id);
+    }
+
+    /**
+     * Renames the open profile
+     * @param {string} name - New name
+     * @returns {Object} The renamed profile
+     * @throws {Error} If the name is empty, too long or already used
+     */
+    renameActiveProfile(name) {
+        return this.profileManager.renameProfile(this.profileManager.getActiveProfile().id, name);
+    }
+
+    /**
+     * Deletes the open profile and its saved data, then opens the first remaining profile
+     * @returns {Promise<Object>} The profile open afterwards
+     * @throws {Error} If it is the only profile (rejects the promise)
+     */
+    async deleteActiveProfile() {
+        const profile = await this.profileManager.deleteProfile(this.profileManager.getActiveProfile().id);
+        this.loadOpenProfile();
+        return profile;
+    }
+
+    /**
+     * Gets every profile with its goals
+     * @param {Array<Object>} goals - Goals of the open profile, which may not be saved yet
+     * @returns {Array<Object>} Profiles as { id, name, goals }
+     */
+    getProfilesWithGoals(goals) {
+        const activeProfileId = this.profileManager.getActiveProfile().id;
+
+        return this.profileManager.getProfiles().map(profile => ({
+            ...profile,
+            goals: profile.id === activeProfileId ? goals : this.storageService.loadProfileGoals(profile.id)
+        }));
+    }
+
+    /**
+     * Calculates the household summary when there is more than one profile
+     * @param {Array<Object>} goals - Goals of the open profile
+     * @returns {Object|null} Household summary, or null with a single profile
+     */
+    getHouseholdSummary(goals) {
+        if (this.profileManager.getProfiles().length < 2) {
+            return null;
+        }
+
+        return this.calculator.calculateHouseholdSummary(this.getProfilesWithGoals(goals));
+    }
+
+    /**
+     * Finds a profile by name, ignoring case
+     * @param {string} name - Profile name
+     * @returns {Object|null} The profile, or null if no profile has the name
+     */
+    findProfileByName(name) {
+        return this.profileManager.getProfiles()
+            .find(profile => profile.name.toLowerCase() === name.toLowerCase()) || null;
+    }
+
+    /**
+     * Imports the profiles of a household file
+     *
+     * Each profile's goals are added to the profile with the same name,
+     * which is created if there is none. The import is recorded in each
+     * profile's own history, so it can be undone profile by profile.
+     *
+     * @param {Array<Object>} importedProfiles - Profiles read from the file, as { name, goals }
+     * @returns {Promise<void>} Resolves once every profile is imported and the profile open before is open again
+     * @throws {Error} If a profile cannot be created, opened or saved (rejects the promise); the profile open before is still reopened
+     */
+    async importProfiles(importedProfiles) {
+        const openProfileId = this.profileManager.getActiveProfile().id;
+
+        try {
+            for (const importedProfile of importedProfiles) {
+                const profile = this.findProfileByName(importedProfile.name) || this.profileManager.createProfile(importedProfile.name);
+
+                await this.openProfile(profile.id);
+                this.history.record(`import ${importedProfile.goals.length} goal(s)`, () => this.goalManager.importGoals(importedProfile.goals));
+            }
+        } finally {
+            await this.openProfile(openProfileId);
+        }
+    }
+
+    /**
+     * Loads the open profile's goals and history
+     * @private
+     */
+    loadOpenProfile() {
+        this.goalManager.loadFromStorage();
+        this.history.load();
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Import merging
+ * Works out how imported goals update the plan instead of being added as copies
+ */
+
+/**
+ * Goal properties an imported goal always sets
+ * @type {Array<string>}
+ */
+const PLAN_FIELDS = ['name', 'currentPrice', 'inflationRate', 'years', 'expectedReturn', 'stepUpRate'];
+
+/**
+ * Optional goal properties an imported goal sets, or removes by leaving them out
+ * @type {Array<string>}
+ */
+const OPTIONAL_PLAN_FIELDS = ['inflationSchedule', 'allocation', 'existingCorpus', 'lumpSums', 'priority', 'retirement'];
+
+/**
+ * Goal properties tracking progress, which CSV files do not hold; an
+ * imported goal without them keeps the existing goal's
+ * @type {Array<string>}
+ */
+const TRACKING_FIELDS = ['startDate', 'contributions', 'valuations'];
+
+/**
+ * An existing goal an imported goal changes
+ * @typedef {Object} GoalUpdate
+ * @property {Object} goal - The existing goal
+ * @property {Object} changes - Properties to change, as GoalManager.updateGoal takes them
+ * @property {Array<string>} fields - Names of the properties whose values differ
+ */
+
+/**
+ * How imported goals merge into the existing ones
+ * @typedef {Object} MergePlan
+ * @property {Array<Object>} added - Imported goals matching no existing goal
+ * @property {Array<GoalUpdate>} updated - Existing goals an imported goal changes
+ * @property {Array<Object>} unchanged - Existing goals an imported goal matches without changes
+ * @property {Array<Object>} missing - Existing goals no imported goal matches
+ */
+
+/**
+ * ImportMerger class matches imported goals to existing ones
+ *
+ * An imported goal matches the existing goal with its ID, or else the
+ * first unmatched existing goal with the same name (ignoring case and
+ * surrounding spaces). Each existing goal is matched at most once.
+ */
+export class ImportMerger {
+    /**
+     * Works out how imported goals merge into the existing ones
+     * @param {Array<Object>} existingGoals - Goals already in the plan
+     * @param {Array<Object>} importedGoals - Goals read from the import file
+     * @returns {MergePlan} Goals to add, update and leave as they are, and existing goals the file lacks
+     */
+    plan(existingGoals, importedGoals) {
+        const unmatched = [...existingGoals];
+        const plan = { added: [], updated: [], unchanged: [], missing: [] };
+        const take = (predicate) => {
+            const index = unmatched.findIndex(predicate);
+            return index === -1 ? null : unmatched.splice(index, 1)[0];
+        };
+
+        // IDs are matched first so a renamed goal is not taken by another goal's name
+        const matches = importedGoals.map(imported => take(existing => existing.id === imported.id));
+
+        importedGoals.forEach((imported, index) => {
+            const existing = matches[index] || take(existing => this.normalizeName(existing.name) === this.normalizeName(imported.name));
+
+            if (!existing) {
+                plan.added.push(imported);
+                return;
+            }
+
+            const changes = this.getChanges(existing, imported);
+            const fields = Object.keys(changes).filter(field => !this.isSameValue(existing[field], changes[field]));
+
+            if (fields.length === 0) {
+                plan.unchanged.push(existing);
+            } else {
+                plan.updated.push({ goal: existing, changes, fields });
+            }
+        });
+
+        plan.missing = unmatched;
+        return plan;
+    }
+
+    /**
+     * Gets the properties an imported goal sets on the existing goal it matches
+     * @private
+     * @param {Object} existing - Existing goal
+     * @param {Object} imported - Imported goal
+     * @returns {Object} Properties to change; optional ones the imported goal lacks are null, so they are removed
+     */
+    getChanges(existing, imported) {
+        const changes = {};
+
+        PLAN_FIELDS.forEach(field => {
+            changes[field] = imported[field];
+        });
+
+        OPTIONAL_PLAN_FIELDS.forEach(field => {
+            changes[field] = imported[field] === undefined ? null : imported[field];
+        });
+
+        TRACKING_FIELDS
+            .filter(field => imported[field] !== undefined)
+            .forEach(field => {
+                changes[field] = imported[field];
+            });
+
+        return changes;
+    }
+
+    /**
+     * Checks if two property values are the same, treating empty values alike
+     * @private
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if the values are equal, ignoring the order of object keys
+     */
+    isSameValue(a, b) {
+        const isEmpty = value => value === undefined || value === null || value === 0 || (Array.isArray(value) && value.length === 0);
+        const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+            : value);
+
+        if (isEmpty(a) || isEmpty(b)) {
+            return isEmpty(a) && isEmpty(b);
+        }
+
+        return JSON.stringify(a, sortKeys) === JSON.stringify(b, sortKeys);
+    }
+
+    /**
+     * Normalizes a goal name for matching
+     * @private
+     * @param {*} name - Goal name
+     * @returns {string} Trimmed lower-case name
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+}
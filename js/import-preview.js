@@ -0,0 +1,268 @@
+/**
+ * Import preview dialog
+ * Lists the goals of an import file for review, with editable cells, before anything is imported
+ */
+
+/**
+ * ImportPreviewDialog class shows the import preview and waits for the user's choice
+ */
+export class ImportPreviewDialog {
+    /**
+     * Creates a new ImportPreviewDialog instance
+     */
+    constructor() {
+        this.dialogEl = document.getElementById('import-preview-dialog');
+        this.formEl = document.getElementById('import-preview-form');
+        this.headEl = document.getElementById('import-preview-head');
+        this.rowsEl = document.getElementById('import-preview-rows');
+        this.summaryEl = document.getElementById('import-preview-summary');
+        this.modeEl = document.getElementById('import-preview-mode');
+        this.mergeEl = document.getElementById('import-preview-merge');
+        this.mergeSummaryEl = document.getElementById('import-preview-merge-summary');
+        this.removeMissingEl = document.getElementById('import-preview-remove-missing');
+        this.submitBtn = document.getElementById('import-preview-submit-btn');
+        this.cancelBtn = document.getElementById('import-preview-cancel-btn');
+    }
+
+    /**
+     * Shows the goals of an import file for review before they are imported
+     * 
+     * Every goal is listed with an editable cell per field; cells with
+     * problems are highlighted, and editing a cell checks the goal again.
+     * Goals without problems that do not match an existing goal start out
+     * ticked, and goals with problems cannot be ticked until fixed. With
+     * existing goals, the user also chooses whether to add, replace or
+     * merge; merging ticks the matching goals too and lists the goals it
+     * adds, updates and deletes or keeps.
+     * 
+     * @param {Object} preview - Import preview as { fields, rows } (see Importer.previewCSV)
+     * @param {number} existingCount - Number of goals already in the plan
+     * @param {Function} recheck - Called with an edited row; returns it checked again (see Importer.checkImportRow)
+     * @param {Function} planMerge - Called with the ticked goals; returns how they merge (see ImportMerger.plan)
+     * @returns {Promise<Object|null>} Choice as { goals, mode, removeMissing }: the ticked goals, 'add', 'replace' or 'merge', and whether merging deletes the goals the file lacks; null if cancelled
+     */
+    request(preview, existingCount, recheck, planMerge) {
+        if (!this.dialogEl) {
+            return Promise.resolve(null);
+        }
+
+        const { formEl, rowsEl, summaryEl, modeEl, mergeEl, mergeSummaryEl, removeMissingEl, submitBtn, cancelBtn } = this;
+        const labels = new Map(preview.fields.map(({ field, label }) => [field, label]));
+        const rows = [...preview.rows];
+        const refs = [];
+        const getMode = () => (existingCount > 0 ? formEl.elements['import-mode'].value : 'add');
+        const isTickedByDefault = row => row.goal !== null && (!row.duplicateOf || getMode() === 'merge');
+        const getSelectedGoals = () => rows.filter((row, index) => selected[index] && row.goal !== null).map(row => row.goal);
+        // The dialog opens in add mode, where matching goals start unticked
+        const selected = rows.map(row => row.goal !== null && !row.duplicateOf);
+
+        const updateSummary = () => {
+            const ready = rows.filter(row => row.goal !== null).length;
+            const duplicates = rows.filter(row => row.duplicateOf).length;
+            const count = selected.filter(Boolean).length;
+            const isMerge = getMode() === 'merge';
+
+            summaryEl.textContent = `${rows.length} goal(s): ${ready} ready, ${rows.length - ready} with errors, ` +
+                `${duplicates} matching existing goals. ${count} selected.`;
+            submitBtn.disabled = count === 0;
+            submitBtn.textContent = `${isMerge ? 'Merge' : 'Import'} ${count} goal(s)`;
+            mergeEl.classList.toggle('hidden', !isMerge);
+
+            if (isMerge) {
+                this.renderMergeSummary(mergeSummaryEl, planMerge(getSelectedGoals()), removeMissingEl.checked);
+            }
+        };
+        const onModeChange = () => {
+            // Matching goals are what a merge updates, so they are ticked while merging
+            rows.forEach((row, index) => {
+                if (row.goal !== null && row.duplicateOf) {
+                    selected[index] = getMode() === 'merge';
+                    this.updateRow(refs[index], row, selected[index], labels);
+                }
+            });
+            updateSummary();
+        };
+
+        this.renderHead(preview.fields);
+
+        rowsEl.innerHTML = '';
+        rows.forEach((row, index) => {
+            const rowRefs = this.createRow(row, preview.fields);
+
+            rowRefs.checkboxEl.addEventListener('change', () => {
+                selected[index] = rowRefs.checkboxEl.checked;
+                updateSummary();
+            });
+            rowRefs.inputEls.forEach((inputEl, field) => {
+                inputEl.addEventListener('input', () => {
+                    const wasValid = rows[index].goal !== null;
+                    rows[index] = recheck({ ...rows[index], values: { ...rows[index].values, [field]: inputEl.value } });
+
+                    if (rows[index].goal === null) {
+                        selected[index] = false;
+                    } else if (!wasValid) {
+                        selected[index] = isTickedByDefault(rows[index]);
+                    }
+
+                    this.updateRow(rowRefs, rows[index], selected[index], labels);
+                    updateSummary();
+                });
+            });
+
+            this.updateRow(rowRefs, row, selected[index], labels);
+            rowsEl.appendChild(rowRefs.rowEl);
+            refs.push(rowRefs);
+        });
+
+        modeEl.classList.toggle('hidden', existingCount === 0);
+        formEl.elements['import-mode'].value = 'add';
+        removeMissingEl.checked = false;
+        updateSummary();
+        this.dialogEl.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const close = (choice) => {
+                formEl.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                modeEl.removeEventListener('change', onModeChange);
+                removeMissingEl.removeEventListener('change', updateSummary);
+                this.dialogEl.classList.add('hidden');
+                rowsEl.innerHTML = '';
+                mergeSummaryEl.innerHTML = '';
+                resolve(choice);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                const mode = getMode();
+                close({
+                    goals: getSelectedGoals(),
+                    mode,
+                    removeMissing: mode === 'merge' && removeMissingEl.checked
+                });
+            };
+            const onCancel = () => close(null);
+
+            formEl.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+            modeEl.addEventListener('change', onModeChange);
+            removeMissingEl.addEventListener('change', updateSummary);
+        });
+    }
+
+    /**
+     * Writes the table header: a column per field shown, between the tick box and line number and the status
+     * @private
+     * @param {Array<Object>} fields - Fields shown, as { field, label }
+     */
+    renderHead(fields) {
+        const headRowEl = document.createElement('tr');
+
+        ['Import', 'Line', ...fields.map(({ label }) => label), 'Status'].forEach(text => {
+            const cellEl = document.createElement('th');
+            cellEl.className = 'py-1 pr-2 font-medium whitespace-nowrap';
+            cellEl.textContent = text;
+            headRowEl.appendChild(cellEl);
+        });
+
+        this.headEl.innerHTML = '';
+        this.headEl.appendChild(headRowEl);
+    }
+
+    /**
+     * Lists the goals a merge adds, updates and deletes or keeps
+     * @private
+     * @param {HTMLElement} listEl - List to fill
+     * @param {Object} plan - Merge plan (see ImportMerger.plan)
+     * @param {boolean} removeMissing - Whether the goals the file lacks are deleted
+     */
+    renderMergeSummary(listEl, plan, removeMissing) {
+        const names = goals => (goals.length > 0 ? `: ${goals.map(goal => goal.name).join(', ')}` : '');
+        const lines = [
+            `${plan.added.length} new goal(s) will be added${names(plan.added)}`,
+            `${plan.updated.length} goal(s) will be updated${names(plan.updated.map(update => update.goal))}` +
+                (plan.unchanged.length > 0 ? ` (${plan.unchanged.length} already up to date)` : ''),
+            `${plan.missing.length} goal(s) not in the file will be ${removeMissing ? 'deleted' : 'kept'}${names(plan.missing)}`
+        ];
+
+        listEl.innerHTML = '';
+        lines.forEach(line => {
+            const itemEl = document.createElement('li');
+            itemEl.textContent = line;
+            listEl.appendChild(itemEl);
+        });
+    }
+
+    /**
+     * Creates the table row of a goal in the import preview
+     * @private
+     * @param {Object} row - Import row (see Importer.checkImportRow)
+     * @param {Array<Object>} fields - Fields shown, as { field, label }
+     * @returns {Object} Elements as { rowEl, checkboxEl, inputEls, statusEl }; inputEls maps each field to its input
+     */
+    createRow(row, fields) {
+        const rowEl = document.createElement('tr');
+        const addCell = (childEl) => {
+            const cellEl = document.createElement('td');
+            cellEl.className = 'py-1 pr-2 align-top';
+            cellEl.appendChild(childEl);
+            rowEl.appendChild(cellEl);
+            return cellEl;
+        };
+
+        const checkboxEl = document.createElement('input');
+        checkboxEl.type = 'checkbox';
+        checkboxEl.setAttribute('aria-label', `Import line ${row.line}`);
+        addCell(checkboxEl);
+        addCell(document.createTextNode(String(row.line)));
+
+        const inputEls = new Map(fields.map(({ field, label }) => {
+            const inputEl = document.createElement('input');
+            inputEl.type = 'text';
+            inputEl.value = row.values[field] || '';
+            inputEl.className = `${field === 'name' ? 'w-40' : 'w-24'} p-1 bg-gray-50 dark:bg-gray-700 dark:text-white border rounded text-sm`;
+            inputEl.setAttribute('aria-label', `${label}, line ${row.line}`);
+            addCell(inputEl);
+            return [field, inputEl];
+        }));
+
+        const statusEl = document.createElement('span');
+        addCell(statusEl);
+
+        return { rowEl, checkboxEl, inputEls, statusEl };
+    }
+
+    /**
+     * Shows a goal's problems, duplicate and selection in its import preview row
+     * @private
+     * @param {Object} refs - Row elements (see createRow)
+     * @param {Object} row - Import row (see Importer.checkImportRow)
+     * @param {boolean} isSelected - Whether the goal is ticked
+     * @param {Map<string, string>} labels - Label of each field shown
+     */
+    updateRow(refs, row, isSelected, labels) {
+        refs.checkboxEl.disabled = row.goal === null;
+        refs.checkboxEl.checked = isSelected;
+
+        refs.inputEls.forEach((inputEl, field) => {
+            const error = row.errors.find(e => e.field === field);
+            inputEl.classList.toggle('border-red-500', Boolean(error));
+            inputEl.classList.toggle('border-gray-300', !error);
+            inputEl.classList.toggle('dark:border-gray-600', !error);
+            inputEl.title = error ? error.message : '';
+            inputEl.setAttribute('aria-invalid', String(Boolean(error)));
+        });
+
+        if (row.errors.length > 0) {
+            refs.statusEl.textContent = row.errors
+                .map(error => `${labels.get(error.field) || 'Start date and ledgers'}: ${error.message}`)
+                .join('; ');
+            refs.statusEl.className = 'text-red-600 dark:text-red-400';
+        } else if (row.duplicateOf) {
+            refs.statusEl.textContent = `Same as existing goal "${row.duplicateOf.name}"`;
+            refs.statusEl.className = 'text-amber-600 dark:text-amber-400';
+        } else {
+            refs.statusEl.textContent = 'Ready';
+            refs.statusEl.className = 'text-green-600 dark:text-green-400';
+        }
+    }
+}
@@ -3,161 +3,902 @@
  * Handles importing goals data from various formats
  */
 
+import { InflationScheduleParser } from './inflation-schedule.js';
+import { LumpSumParser } from './lump-sums.js';
+import { EncryptionService } from './encryption.js';
+import { CSVParser } from './csv.js';
+import { CSVColumnMapper } from './csv-columns.js';
+import { XLSXReader } from './xlsx-reader.js';
+
+/**
+ * CSV goal fields of the asset allocation, in the order parseAllocationColumns reads them
+ * @type {Array<string>}
+ */
+const ALLOCATION_FIELDS = [
+    'equityWeight',
+    'debtWeight',
+    'goldWeight',
+    'equityReturn',
+    'debtReturn',
+    'goldReturn',
+    'glidePathYears',
+    'glidePathShift'
+];
+
+/**
+ * Marks a JSON export as holding every profile of a household (see Exporter.exportToHouseholdJSON)
+ * @type {string}
+ */
+const HOUSEHOLD_EXPORT_FORMAT = 'multigoal-sip-household';
+
+/**
+ * Name of the sheet Excel exports keep their goals in (see Exporter.exportToXLSX)
+ * @type {string}
+ */
+const GOALS_SHEET_NAME = 'Goals';
+
+/**
+ * A number written with a decimal comma, as in semicolon-delimited files from European spreadsheets
+ * @type {RegExp}
+ */
+const DECIMAL_COMMA_PATTERN = /^-?\d+,\d+$/;
+
+/**
+ * A problem with one field of an imported goal
+ * @typedef {Object} ImportError
+ * @property {string} field - Goal field (see CSVColumnMapper.getFields), or 'ledger' for the start date and ledgers
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * A goal read from an import file, as shown in the import preview
+ * @typedef {Object} ImportRow
+ * @property {number} line - Line the goal starts on in a CSV file, or its position in a JSON file
+ * @property {string|number|null} id - ID the goal has in the file, or null; goals without one get a new ID when added
+ * @property {Object} values - Field values as text, keyed by goal field; these are what the user edits
+ * @property {Object} source - Goal as read from a JSON file, whose start date and ledgers are kept; empty for CSV
+ * @property {Object|null} goal - Goal to import, or null if the row has errors
+ * @property {Array<ImportError>} errors - Every problem found, at most one per field
+ * @property {Object|null} duplicateOf - Existing goal with the same ID or, failing that, the same name
+ */
+
+/**
+ * Rows of goals read from a file, before their columns are matched to goal fields
+ * @typedef {Object} ImportTable
+ * @property {string} source - What the rows were read from, for error messages, such as "CSV file"
+ * @property {string|null} delimiter - Delimiter of a CSV file, or null
+ * @property {Array<string>} headers - Header row
+ * @property {Array<Object>} dataRows - Goal rows as { line, values }
+ */
+
+/**
+ * Goals of an import file, checked without importing them
+ * @typedef {Object} ImportPreview
+ * @property {Array<Object>} fields - Goal fields the file has values for, as { field, label, required }
+ * @property {Array<ImportRow>} rows - One row per goal, in file order
+ */
+
 /**
  * Importer class handles data import operations
  */
 export class Importer {
     /**
      * Creates a new Importer instance
+     * @param {Object} [scheduleParser] - InflationScheduleParser instance for schedule fields
+     * @param {Object} [lumpSumParser] - LumpSumParser instance for lump sum fields
+     * @param {Object} [encryption] - EncryptionService instance for encrypted JSON files
+     * @param {Object} [csvParser] - CSVParser instance for CSV files
+     * @param {Object} [columnMapper] - CSVColumnMapper instance matching CSV and Excel columns to goal fields
+     * @param {Object} [xlsxReader] - XLSXReader instance for Excel workbooks
      */
-    constructor() {
-        // No dependencies needed
+    constructor(
+        scheduleParser = new InflationScheduleParser(),
+        lumpSumParser = new LumpSumParser(),
+        encryption = new EncryptionService(),
+        csvParser = new CSVParser(),
+        columnMapper = new CSVColumnMapper(),
+        xlsxReader = new XLSXReader()
+    ) {
+        this.scheduleParser = scheduleParser;
+        this.lumpSumParser = lumpSumParser;
+        this.encryption = encryption;
+        this.csvParser = csvParser;
+        this.columnMapper = columnMapper;
+        this.xlsxReader = xlsxReader;
     }
 
     /**
      * Parses CSV content and returns goals array
+     * 
+     * Columns are read by their headers (see CSVColumnMapper), in any
+     * order, unless a mapping is given. Comma-, semicolon- and
+     * tab-delimited files are accepted, with or without a byte order mark;
+     * in semicolon-delimited files numbers may use a decimal comma. Errors
+     * name the line the goal's row starts on.
+     * 
      * @param {string} csvContent - CSV file content
+     * @param {Array<string|null>} [columns] - Goal field held by each column, null to skip it
      * @returns {Array<Object>} Array of goal objects
-     * @throws {Error} If CSV parsing fails
+     * @throws {Error} If CSV parsing fails, or no mapping is given and the headers lack a required field
+     */
+    parseCSV(csvContent, columns = null) {
+        return this.previewCSV(csvContent, columns).rows.map(row => this.takeGoal(row));
+    }
+
+    /**
+     * Checks every goal of CSV content without stopping at the first problem
+     * @param {string} csvContent - CSV file content
+     * @param {Array<string|null>} [columns] - Goal field held by each column, null to skip it; matched by header if omitted
+     * @param {Array<Object>} [existingGoals] - Goals already in the plan, to find duplicates among
+     * @returns {ImportPreview} Fields of the mapped columns and a row per goal
+     * @throws {Error} If the content is not valid CSV, or no mapping is given and the headers lack a required field
+     */
+    previewCSV(csvContent, columns = null, existingGoals = []) {
+        return this.previewTable(this.readCSVRows(csvContent), columns, existingGoals);
+    }
+
+    /**
+     * Reads the goals sheet of an Excel workbook
+     * 
+     * Goals are read from the sheet named Goals, as Excel exports have,
+     * or else from the first sheet. Its columns are matched to goal fields
+     * by their headers, as in CSV files.
+     * 
+     * @param {Uint8Array|ArrayBuffer} content - Workbook file content
+     * @returns {Promise<ImportTable>} Header row and goal rows of the sheet, for matchXLSXColumns() and previewXLSX()
+     * @throws {Error} If the content is not an Excel workbook or the sheet has no goal rows (rejects the promise)
      */
-    parseCSV(csvContent) {
-        const lines = csvContent.trim().split('\n');
-        
-        if (lines.length < 2) {
-            throw new Error('CSV file is empty or invalid');
+    async readXLSX(content) {
+        const sheets = await this.xlsxReader.read(content);
+        const sheet = sheets.find(candidate => candidate.name.toLowerCase() === GOALS_SHEET_NAME.toLowerCase()) || sheets[0];
+
+        if (!sheet) {
+            throw new Error('Excel workbook has no sheets');
         }
 
-        // Skip header line
-        const dataLines = lines.slice(1);
-        const goals = [];
+        return this.splitHeaderRow(sheet.records, `${sheet.name} sheet`, null);
+    }
 
-        for (let i = 0; i < dataLines.length; i++) {
-            const line = dataLines[i].trim();
-            if (!line) continue;
+    /**
+     * Parses the goals sheet of an Excel workbook and returns goals array
+     * @param {ImportTable} table - Rows read by readXLSX()
+     * @param {Array<string|null>} [columns] - Goal field held by each column, null to skip it
+     * @returns {Array<Object>} Array of goal objects
+     * @throws {Error} If a goal is invalid, or no mapping is given and the headers lack a required field
+     */
+    parseXLSX(table, columns = null) {
+        return this.previewXLSX(table, columns).rows.map(row => this.takeGoal(row));
+    }
 
-            const values = this.parseCSVLine(line);
-            
-            if (values.length < 5) {
-                throw new Error(`Invalid CSV format on line ${i + 2}`);
-            }
+    /**
+     * Checks every goal of an Excel workbook's goals sheet without stopping at the first problem
+     * @param {ImportTable} table - Rows read by readXLSX()
+     * @param {Array<string|null>} [columns] - Goal field held by each column, null to skip it; matched by header if omitted
+     * @param {Array<Object>} [existingGoals] - Goals already in the plan, to find duplicates among
+     * @returns {ImportPreview} Fields of the mapped columns and a row per goal
+     * @throws {Error} If no mapping is given and the headers lack a required field
+     */
+    previewXLSX(table, columns = null, existingGoals = []) {
+        return this.previewTable(table, columns, existingGoals);
+    }
 
-            const goal = {
-                id: Date.now() + i, // Generate unique ID
-                name: values[0],
-                currentPrice: parseFloat(values[1]),
-                inflationRate: parseFloat(values[2]),
-                years: parseFloat(values[3]),
-                expectedReturn: parseFloat(values[4]),
-                stepUpRate: values[5] ? parseFloat(values[5]) : 0
-            };
+    /**
+     * Checks every goal of rows read from a CSV file or Excel sheet
+     * @private
+     * @param {ImportTable} table - Header row and goal rows
+     * @param {Array<string|null>} [columns] - Goal field held by each column; matched by header if omitted
+     * @param {Array<Object>} existingGoals - Goals already in the plan, to find duplicates among
+     * @returns {ImportPreview} Fields of the mapped columns and a row per goal
+     * @throws {Error} If no mapping is given and the headers lack a required field
+     */
+    previewTable(table, columns, existingGoals) {
+        const columnFields = columns ? this.columnMapper.validate(columns) : this.matchRequiredColumns(table.headers, table.source);
+
+        const rows = table.dataRows.map(dataRow => {
+            const values = this.columnMapper.readRow(this.normalizeCSVValues(dataRow.values, table.delimiter), columnFields);
+
+            return this.checkImportRow({ line: dataRow.line, id: this.readId(values.id, true), values, source: {} }, existingGoals);
+        });
+
+        return { fields: this.getPreviewFields(field => columnFields.includes(field)), rows };
+    }
+
+    /**
+     * Checks every goal of JSON content without stopping at the first problem
+     * 
+     * Start dates and ledgers are kept from the file but not shown as
+     * fields. Encrypted exports must be decrypted first (see
+     * decryptJSONAskingPassphrase).
+     * 
+     * @param {string} jsonContent - JSON file content holding an array of goals
+     * @param {Array<Object>} [existingGoals] - Goals already in the plan, to find duplicates among
+     * @returns {ImportPreview} Fields the goals have values for and a row per goal
+     * @throws {Error} If the content is not JSON, is encrypted or is not an array
+     */
+    previewJSON(jsonContent, existingGoals = []) {
+        const data = this.readJSON(jsonContent);
+
+        if (this.encryption.isEncryptedExport(data)) {
+            throw new Error('This file is encrypted; enter its passphrase to import it');
+        }
 
-            // Validate goal data
-            this.validateGoal(goal, i + 2);
-            goals.push(goal);
+        if (!Array.isArray(data)) {
+            throw new Error('JSON must contain an array of goals');
         }
 
-        return goals;
+        const rows = data.map((goal, index) => {
+            const source = goal && typeof goal === 'object' ? goal : {};
+
+            return this.checkImportRow({
+                line: index + 1,
+                id: this.readId(source.id),
+                values: this.goalToValues(source),
+                source
+            }, existingGoals);
+        });
+
+        return { fields: this.getPreviewFields(field => rows.some(row => row.values[field] !== '')), rows };
+    }
+
+    /**
+     * Checks an import row again, such as after the user edited its values
+     * @param {ImportRow} row - Row whose values are checked; only line, id, values and source are read
+     * @param {Array<Object>} [existingGoals] - Goals already in the plan, to find duplicates among
+     * @returns {ImportRow} New row with the goal, errors and duplicate worked out from the values
+     */
+    checkImportRow(row, existingGoals = []) {
+        const { goal, errors } = this.buildGoal(this.valuesToSource(row.values, row.source), row.id);
+        const name = String(row.values.name || '').trim().toLowerCase();
+        const duplicateOf = existingGoals.find(existing => row.id !== null && existing.id === row.id) ||
+            existingGoals.find(existing => name !== '' && String(existing.name).trim().toLowerCase() === name) || null;
+
+        return {
+            line: row.line,
+            id: row.id,
+            values: { ...row.values },
+            source: row.source,
+            goal: errors.length > 0 ? null : goal,
+            errors,
+            duplicateOf
+        };
+    }
+
+    /**
+     * Matches the columns of CSV content to goal fields by their headers
+     * 
+     * When a required field is missing or a header is not recognized, the
+     * user can choose the mapping instead and pass it to parseCSV().
+     * 
+     * @param {string} csvContent - CSV file content
+     * @returns {Object} Match as { headers, samples, signature, columns, missing, unknown }: the header row, the first goal's values, a key to remember a mapping under, and the CSVColumnMapper.match() result
+     * @throws {Error} If the content is not valid CSV or has no goal rows
+     */
+    matchCSVColumns(csvContent) {
+        return this.matchTableColumns(this.readCSVRows(csvContent));
+    }
+
+    /**
+     * Matches the columns of an Excel workbook's goals sheet to goal fields by their headers
+     * @param {ImportTable} table - Rows read by readXLSX()
+     * @returns {Object} Match as { headers, samples, signature, columns, missing, unknown }, as matchCSVColumns() returns
+     */
+    matchXLSXColumns(table) {
+        return this.matchTableColumns(table);
     }
 
     /**
-     * Parses a single CSV line handling quoted values
+     * Matches the columns of rows read from a CSV file or Excel sheet to goal fields
      * @private
-     * @param {string} line - CSV line to parse
-     * @returns {Array<string>} Array of values
+     * @param {ImportTable} table - Header row and goal rows
+     * @returns {Object} Match as { headers, samples, signature, columns, missing, unknown }
      */
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
+    matchTableColumns({ headers, dataRows }) {
+        return {
+            headers,
+            samples: dataRows[0].values.map(value => value.trim()),
+            signature: this.columnMapper.getSignature(headers),
+            ...this.columnMapper.match(headers)
+        };
+    }
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
+    /**
+     * Checks a column mapping chosen by the user
+     * @param {Array<string|null>} columns - Goal field held by each column, null to skip it
+     * @returns {Array<string|null>} The same mapping
+     * @throws {Error} If a required field has no column or a field has several
+     */
+    validateCSVColumns(columns) {
+        return this.columnMapper.validate(columns);
+    }
 
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    current += '"';
-                    i++; // Skip next quote
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+    /**
+     * Gets the goal fields a CSV column can be mapped to
+     * @returns {Array<Object>} Fields as { field, label, required }
+     */
+    getCSVFields() {
+        return this.columnMapper.getFields();
+    }
+
+    /**
+     * Splits CSV content into its header row and goal rows, skipping blank rows
+     * @private
+     * @param {string} csvContent - CSV file content
+     * @returns {ImportTable} Header row and goal rows
+     * @throws {Error} If the content is not valid CSV or has no goal rows
+     */
+    readCSVRows(csvContent) {
+        const { delimiter, records } = this.csvParser.parse(csvContent);
+        return this.splitHeaderRow(records, 'CSV file', delimiter);
+    }
+
+    /**
+     * Splits rows into the header row and goal rows, skipping blank rows
+     * @private
+     * @param {Array<Object>} records - Rows as { line, values }
+     * @param {string} source - What the rows were read from, such as "CSV file"
+     * @param {string|null} delimiter - Delimiter of a CSV file, or null
+     * @returns {ImportTable} Header row and goal rows
+     * @throws {Error} If there are no goal rows
+     */
+    splitHeaderRow(records, source, delimiter) {
+        const rows = records.filter(record => record.values.some(value => value.trim() !== ''));
+
+        if (rows.length < 2) {
+            throw new Error(`${source} is empty or invalid`);
+        }
+
+        return {
+            source,
+            delimiter,
+            headers: rows[0].values.map(value => value.trim()),
+            dataRows: rows.slice(1)
+        };
+    }
+
+    /**
+     * Matches headers to goal fields, requiring every required field
+     * @private
+     * @param {Array<string>} headers - Header row
+     * @param {string} source - What the headers were read from, such as "CSV file"
+     * @returns {Array<string|null>} Goal field held by each column
+     * @throws {Error} If a required field has no column
+     */
+    matchRequiredColumns(headers, source) {
+        const { columns, missing } = this.columnMapper.match(headers);
+
+        if (missing.length > 0) {
+            const labels = this.columnMapper.getFields()
+                .filter(({ field }) => missing.includes(field))
+                .map(({ label }) => label);
+            throw new Error(`${source} has no column for ${labels.join(', ')}`);
+        }
+
+        return columns;
+    }
+
+    /**
+     * Lists the goal fields shown in an import preview
+     * @private
+     * @param {Function} isUsed - Called with each optional field; returns true if the file has it
+     * @returns {Array<Object>} Fields as { field, label, required }: the required ones and those the file has
+     */
+    getPreviewFields(isUsed) {
+        // The ID is kept with the row rather than edited
+        return this.columnMapper.getFields().filter(({ field, required }) => field !== 'id' && (required || isUsed(field)));
+    }
+
+    /**
+     * Reads the ID a goal has in an import file
+     * @private
+     * @param {*} value - ID as read from JSON, or as text from a CSV column
+     * @param {boolean} [isText] - Whether the value is CSV text, where whole numbers are the numeric IDs of older goals
+     * @returns {string|number|null} The ID, or null if there is none
+     */
+    readId(value, isText = false) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+
+        if (isText && /^\d+$/.test(value.trim()) && Number.isSafeInteger(Number(value))) {
+            return Number(value);
+        }
+
+        return isText ? value.trim() : value;
+    }
+
+    /**
+     * Gets the goal of a checked row, failing on its first problem
+     * @private
+     * @param {Object} row - Checked row as { line, goal, errors }
+     * @returns {Object} The goal
+     * @throws {Error} If the row has errors
+     */
+    takeGoal(row) {
+        if (row.errors.length > 0) {
+            throw new Error(`Line ${row.line}: ${row.errors[0].message}`);
         }
 
-        values.push(current.trim());
-        return values;
+        return row.goal;
+    }
+
+    /**
+     * Trims the values of a CSV row and, in semicolon-delimited files,
+     * turns decimal commas into decimal points
+     * @private
+     * @param {Array<string>} values - Values as parsed
+     * @param {string|null} delimiter - Delimiter of the file, or null for an Excel sheet
+     * @returns {Array<string>} Values ready to read
+     */
+    normalizeCSVValues(values, delimiter) {
+        return values.map(value => {
+            const trimmed = value.trim();
+            return delimiter === ';' && DECIMAL_COMMA_PATTERN.test(trimmed) ? trimmed.replace(',', '.') : trimmed;
+        });
     }
 
     /**
      * Parses JSON content and returns goals array
+     * 
+     * Encrypted exports (see Exporter.exportToEncryptedJSON) are decrypted
+     * with the passphrase first. Decryption is asynchronous, so for them
+     * the goals are returned as a promise.
+     * 
      * @param {string} jsonContent - JSON file content
-     * @returns {Array<Object>} Array of goal objects
-     * @throws {Error} If JSON parsing fails
+     * @param {string} [passphrase] - Passphrase for an encrypted export
+     * @returns {Array<Object>|Promise<Array<Object>>} Array of goal objects, or a promise of it for an encrypted export
+     * @throws {Error} If JSON parsing fails, or an encrypted export has no passphrase (a wrong one rejects the promise)
      */
-    parseJSON(jsonContent) {
-        let data;
-        
+    parseJSON(jsonContent, passphrase = null) {
+        const data = this.readJSON(jsonContent);
+
+        if (this.encryption.isEncryptedExport(data)) {
+            if (!passphrase) {
+                throw new Error('This file is encrypted; enter its passphrase to import it');
+            }
+
+            return this.encryption.decryptExport(data, passphrase).then(json => this.parseJSON(json));
+        }
+
+        if (!Array.isArray(data)) {
+            throw new Error('JSON must contain an array of goals');
+        }
+
+        return this.parseGoals(data);
+    }
+
+    /**
+     * Parses JSON content
+     * @private
+     * @param {string} jsonContent - JSON file content
+     * @returns {*} Parsed JSON
+     * @throws {Error} If the content is not JSON
+     */
+    readJSON(jsonContent) {
         try {
-            data = JSON.parse(jsonContent);
+            return JSON.parse(jsonContent);
         } catch (error) {
             throw new Error('Invalid JSON format: ' + error.message);
         }
+    }
 
-        if (!Array.isArray(data)) {
-            throw new Error('JSON must contain an array of goals');
+    /**
+     * Parses a household export into its profiles
+     * @param {string} jsonContent - JSON file content
+     * @returns {Array<Object>} Profiles as { name, goals }
+     * @throws {Error} If the file is not a household export or a profile's goals are invalid
+     */
+    parseHouseholdJSON(jsonContent) {
+        const data = this.readJSON(jsonContent);
+
+        if (!this.isHousehold(data)) {
+            throw new Error('JSON is not a household export');
         }
 
-        const goals = data.map((goal, index) => {
-            // Ensure all required fields exist
-            const validatedGoal = {
-                id: goal.id || Date.now() + index,
-                name: goal.name,
-                currentPrice: parseFloat(goal.currentPrice),
-                inflationRate: parseFloat(goal.inflationRate),
-                years: parseFloat(goal.years),
-                expectedReturn: parseFloat(goal.expectedReturn),
-                stepUpRate: parseFloat(goal.stepUpRate) || 0
-            };
+        return data.profiles.map((profile, index) => {
+            const name = profile && typeof profile.name === 'string' ? profile.name.trim() : '';
 
-            this.validateGoal(validatedGoal, index + 1);
-            return validatedGoal;
+            if (!name) {
+                throw new Error(`Profile ${index + 1}: Name is required`);
+            }
+
+            if (!Array.isArray(profile.goals)) {
+                throw new Error(`Profile "${name}": Goals must be an array`);
+            }
+
+            try {
+                return { name, goals: this.parseGoals(profile.goals) };
+            } catch (error) {
+                throw new Error(`Profile "${name}": ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Checks whether JSON content is a household export
+     * @param {string} jsonContent - JSON file content
+     * @returns {boolean} True if it holds several profiles
+     */
+    isHouseholdJSON(jsonContent) {
+        try {
+            return this.isHousehold(JSON.parse(jsonContent));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks whether parsed JSON is a household export
+     * @private
+     * @param {*} data - Parsed JSON
+     * @returns {boolean} True if it is a household export
+     */
+    isHousehold(data) {
+        return Boolean(data) && data.format === HOUSEHOLD_EXPORT_FORMAT && Array.isArray(data.profiles);
+    }
+
+    /**
+     * Validates parsed JSON goals
+     * @private
+     * @param {Array<Object>} data - Goals read from JSON
+     * @returns {Array<Object>} Array of goal objects
+     * @throws {Error} If a goal is invalid
+     */
+    parseGoals(data) {
+        return data.map((goal, index) => {
+            const source = goal || {};
+            return this.takeGoal({ line: index + 1, ...this.buildGoal(source, this.readId(source.id)) });
+        });
+    }
+
+    /**
+     * Builds a goal from its values, collecting every problem instead of stopping at the first
+     * @private
+     * @param {Object} source - Goal as read from JSON, or built from text values by valuesToSource
+     * @param {string|number|null} id - ID to give the goal
+     * @returns {Object} Result as { goal, errors }; the goal is only usable if there are no errors
+     */
+    buildGoal(source, id) {
+        const errors = [];
+        const check = (field, apply) => {
+            try {
+                apply();
+            } catch (error) {
+                errors.push({ field, message: error.message });
+            }
+        };
+
+        // Ensure all required fields exist
+        const goal = {
+            id,
+            name: source.name,
+            currentPrice: parseFloat(source.currentPrice),
+            inflationRate: parseFloat(source.inflationRate),
+            years: parseFloat(source.years),
+            expectedReturn: parseFloat(source.expectedReturn),
+            stepUpRate: parseFloat(source.stepUpRate) || 0
+        };
+
+        if (!this.isBlank(source.stepUpRate) && isNaN(parseFloat(source.stepUpRate))) {
+            errors.push({ field: 'stepUpRate', message: 'Invalid step-up rate' });
+        }
+
+        check('inflationSchedule', () => {
+            const schedule = this.parseInflationSchedule(source.inflationSchedule);
+            if (schedule.length > 0) {
+                goal.inflationSchedule = schedule;
+            }
+        });
+
+        if (source.allocation) {
+            goal.allocation = this.normalizeAllocation(source.allocation);
+        }
+
+        check('existingCorpus', () => this.applyExistingCorpus(goal, source.existingCorpus));
+        check('lumpSums', () => this.applyLumpSums(goal, source.lumpSums));
+        check('priority', () => this.applyPriority(goal, source.priority));
+
+        if (source.retirement) {
+            const retirementYears = Number(source.retirement.retirementYears);
+            const postRetirementReturn = parseFloat(source.retirement.postRetirementReturn) || 0;
+
+            if (!Number.isInteger(retirementYears) || retirementYears < 1) {
+                errors.push({ field: 'retirementYears', message: 'Invalid retirement years' });
+            }
+
+            if (postRetirementReturn < 0) {
+                errors.push({ field: 'postRetirementReturn', message: 'Invalid post-retirement return' });
+            }
+
+            goal.retirement = { retirementYears, postRetirementReturn };
+        }
+
+        check('ledger', () => this.applyLedger(goal, source));
+
+        return { goal, errors: [...this.getGoalErrors(goal), ...errors] };
+    }
+
+    /**
+     * Turns the text values of an import row into a goal as read from JSON
+     * @private
+     * @param {Object} values - Field values as text, keyed by goal field
+     * @param {Object} source - Goal as read from a JSON file, or empty
+     * @returns {Object} Goal with the values in place of the file's own
+     */
+    valuesToSource(values, source) {
+        return {
+            ...source,
+            name: values.name,
+            currentPrice: values.currentPrice,
+            inflationRate: values.inflationRate,
+            years: values.years,
+            expectedReturn: values.expectedReturn,
+            stepUpRate: values.stepUpRate,
+            inflationSchedule: values.inflationSchedule,
+            allocation: values.equityWeight
+                ? this.parseAllocationColumns(ALLOCATION_FIELDS.map(field => values[field] || ''))
+                : null,
+            existingCorpus: values.existingCorpus,
+            lumpSums: values.lumpSums,
+            priority: values.priority,
+            retirement: values.retirementYears
+                ? { retirementYears: values.retirementYears, postRetirementReturn: values.postRetirementReturn }
+                : null
+        };
+    }
+
+    /**
+     * Turns a goal read from JSON into text values, as a CSV row would hold them
+     * @private
+     * @param {Object} goal - Goal as read from JSON
+     * @returns {Object} Field values as text, keyed by goal field; empty for fields the goal lacks
+     */
+    goalToValues(goal) {
+        const text = value => (this.isBlank(value) ? '' : String(value));
+        const formatList = (value, parser) => {
+            if (!Array.isArray(value)) {
+                return text(value);
+            }
+
+            // Entries the parser cannot format are kept as JSON, so checking them reports the problem
+            try {
+                return parser.format(value);
+            } catch (error) {
+                return JSON.stringify(value);
+            }
+        };
+        const allocation = goal.allocation ? this.normalizeAllocation(goal.allocation) : null;
+        const allocationValues = allocation ? [
+            allocation.weights.equity, allocation.weights.debt, allocation.weights.gold,
+            allocation.returns.equity, allocation.returns.debt, allocation.returns.gold,
+            allocation.glidePath.years, allocation.glidePath.shift
+        ] : [];
+        const retirement = goal.retirement || {};
+
+        return {
+            name: text(goal.name),
+            currentPrice: text(goal.currentPrice),
+            inflationRate: text(goal.inflationRate),
+            years: text(goal.years),
+            expectedReturn: text(goal.expectedReturn),
+            stepUpRate: text(goal.stepUpRate),
+            inflationSchedule: formatList(goal.inflationSchedule, this.scheduleParser),
+            ...Object.fromEntries(ALLOCATION_FIELDS.map((field, index) => [field, text(allocationValues[index])])),
+            existingCorpus: text(goal.existingCorpus),
+            lumpSums: formatList(goal.lumpSums, this.lumpSumParser),
+            priority: text(goal.priority),
+            retirementYears: goal.retirement ? text(retirement.retirementYears) : '',
+            postRetirementReturn: goal.retirement ? text(retirement.postRetirementReturn) : ''
+        };
+    }
+
+    /**
+     * Checks whether a value was left empty
+     * @private
+     * @param {*} value - Value from a file or the preview
+     * @returns {boolean} True for undefined, null and blank text
+     */
+    isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    /**
+     * Parses an inflation schedule given as text or as an array of ranges
+     * @private
+     * @param {string|Array<Object>} value - Schedule text or ranges
+     * @returns {Array<Object>} Validated ranges, empty if none given
+     * @throws {Error} If the schedule is invalid
+     */
+    parseInflationSchedule(value) {
+        if (!value) {
+            return [];
+        }
+
+        return Array.isArray(value)
+            ? this.scheduleParser.validate(value)
+            : this.scheduleParser.parse(value);
+    }
+
+    /**
+     * Adds the optional existing corpus to a goal
+     * @private
+     * @param {Object} goal - Goal being imported
+     * @param {string|number} existingCorpus - Existing corpus value
+     * @throws {Error} If the corpus is not a number of at least zero
+     */
+    applyExistingCorpus(goal, existingCorpus) {
+        const corpus = this.isBlank(existingCorpus) ? 0 : parseFloat(existingCorpus);
+
+        if (isNaN(corpus) || corpus < 0) {
+            throw new Error('Invalid existing corpus');
+        }
+
+        if (corpus > 0) {
+            goal.existingCorpus = corpus;
+        }
+    }
+
+    /**
+     * Adds the optional lump sums to a goal
+     * @private
+     * @param {Object} goal - Goal being imported
+     * @param {string|Array<Object>} lumpSums - Lump sum text or array
+     * @throws {Error} If the lump sums are invalid
+     */
+    applyLumpSums(goal, lumpSums) {
+        if (!lumpSums) {
+            return;
+        }
+
+        const parsed = Array.isArray(lumpSums)
+            ? this.lumpSumParser.validate(lumpSums)
+            : this.lumpSumParser.parse(lumpSums);
+
+        if (parsed.length > 0) {
+            goal.lumpSums = parsed;
+        }
+    }
+
+    /**
+     * Adds the optional budget priority to a goal
+     * @private
+     * @param {Object} goal - Goal being imported
+     * @param {string|number} priority - Priority value (1 = highest)
+     * @throws {Error} If the priority is not a positive whole number
+     */
+    applyPriority(goal, priority) {
+        if (this.isBlank(priority)) {
+            return;
+        }
+
+        const value = Number(priority);
+
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Invalid priority');
+        }
+
+        goal.priority = value;
+    }
+
+    /**
+     * Adds the optional start date and contribution and valuation ledgers to a goal
+     * @private
+     * @param {Object} goal - Goal being imported
+     * @param {Object} source - Goal as read from the file
+     * @throws {Error} If a date or amount is invalid
+     */
+    applyLedger(goal, source) {
+        const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+        if (source.startDate !== undefined) {
+            if (!isDate(source.startDate)) {
+                throw new Error('Invalid start date');
+            }
+            goal.startDate = source.startDate;
+        }
+
+        [['contributions', 'amount'], ['valuations', 'value']].forEach(([ledger, field]) => {
+            const entries = source[ledger];
+
+            if (!Array.isArray(entries) || entries.length === 0) {
+                return;
+            }
+
+            goal[ledger] = entries.map(entry => {
+                const amount = parseFloat(entry[field]);
+
+                if (!isDate(entry.date) || isNaN(amount) || amount < 0) {
+                    throw new Error(`Invalid ${ledger} entry`);
+                }
+
+                return { date: entry.date, [field]: amount };
+            });
+        });
+    }
+
+    /**
+     * Builds an allocation from the eight allocation columns
+     * @private
+     * @param {Array<string>} values - Equity/debt/gold weights, their returns, glide path years and shift
+     * @returns {Object} Allocation object
+     */
+    parseAllocationColumns(values) {
+        const [equity, debt, gold, equityReturn, debtReturn, goldReturn, glideYears, glideShift] =
+            values.map(value => parseFloat(value) || 0);
+
+        return {
+            weights: { equity, debt, gold },
+            returns: { equity: equityReturn, debt: debtReturn, gold: goldReturn },
+            glidePath: { years: glideYears, shift: glideShift }
+        };
+    }
+
+    /**
+     * Converts an allocation from JSON into numeric fields
+     * @private
+     * @param {Object} allocation - Allocation from JSON
+     * @returns {Object} Allocation with numeric weights, returns and glide path
+     */
+    normalizeAllocation(allocation) {
+        const toNumbers = (source = {}) => ({
+            equity: parseFloat(source.equity) || 0,
+            debt: parseFloat(source.debt) || 0,
+            gold: parseFloat(source.gold) || 0
         });
+        const glidePath = allocation.glidePath || {};
 
-        return goals;
+        return {
+            weights: toNumbers(allocation.weights),
+            returns: toNumbers(allocation.returns),
+            glidePath: {
+                years: parseFloat(glidePath.years) || 0,
+                shift: parseFloat(glidePath.shift) || 0
+            }
+        };
     }
 
     /**
-     * Validates a goal object
+     * Lists the problems with a goal's required fields and allocation
      * @private
-     * @param {Object} goal - Goal object to validate
-     * @param {number} lineNumber - Line number for error reporting
-     * @throws {Error} If validation fails
+     * @param {Object} goal - Goal object to check
+     * @returns {Array<ImportError>} Problems, in field order
      */
-    validateGoal(goal, lineNumber) {
+    getGoalErrors(goal) {
+        const errors = [];
+
         if (!goal.name || goal.name.trim() === '') {
-            throw new Error(`Line ${lineNumber}: Goal name is required`);
+            errors.push({ field: 'name', message: 'Goal name is required' });
         }
 
         if (isNaN(goal.currentPrice) || goal.currentPrice <= 0) {
-            throw new Error(`Line ${lineNumber}: Invalid current price`);
+            errors.push({ field: 'currentPrice', message: 'Invalid current price' });
         }
 
         if (isNaN(goal.inflationRate) || goal.inflationRate < 0) {
-            throw new Error(`Line ${lineNumber}: Invalid inflation rate`);
+            errors.push({ field: 'inflationRate', message: 'Invalid inflation rate' });
         }
 
         if (isNaN(goal.years) || goal.years <= 0) {
-            throw new Error(`Line ${lineNumber}: Invalid years`);
+            errors.push({ field: 'years', message: 'Invalid years' });
         }
 
         if (isNaN(goal.expectedReturn) || goal.expectedReturn <= 0) {
-            throw new Error(`Line ${lineNumber}: Invalid expected return`);
+            errors.push({ field: 'expectedReturn', message: 'Invalid expected return' });
+        }
+
+        if (goal.allocation) {
+            const weights = Object.values(goal.allocation.weights);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+            if (weights.some(weight => weight < 0) || Math.abs(totalWeight - 100) > 0.01) {
+                errors.push({ field: 'equityWeight', message: 'Allocation weights must add up to 100%' });
+            }
         }
+
+        return errors;
     }
 
     /**
@@ -182,23 +923,52 @@ export class Importer {
     }
 
     /**
-     * Imports goals from a CSV file
-     * @param {File} file - CSV file to import
-     * @returns {Promise<Array<Object>>} Promise that resolves with goals array
+     * Reads a file's bytes
+     * @param {File} file - File object to read
+     * @returns {Promise<Uint8Array>} Promise that resolves with file content
      */
-    async importCSV(file) {
-        const content = await this.readFile(file);
-        return this.parseCSV(content);
+    readFileBytes(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                resolve(new Uint8Array(e.target.result));
+            };
+
+            reader.onerror = () => {
+                reject(new Error('Failed to read file'));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
     }
 
     /**
-     * Imports goals from a JSON file
-     * @param {File} file - JSON file to import
-     * @returns {Promise<Array<Object>>} Promise that resolves with goals array
+     * Decrypts JSON content if it is an encrypted export, asking for the passphrase
+     * 
+     * Content that is not an encrypted export, including content that is
+     * not JSON, is returned as it is for previewJSON() to check.
+     * 
+     * @param {string} jsonContent - JSON file content
+     * @param {Function} getPassphrase - Called if the content is encrypted; returns (a promise of) its passphrase, or null to cancel
+     * @returns {Promise<string|null>} Plain JSON content, or null if no passphrase was given
+     * @throws {Error} If the passphrase is wrong (rejects the promise)
      */
-    async importJSON(file) {
-        const content = await this.readFile(file);
-        return this.parseJSON(content);
+    async decryptJSONAskingPassphrase(jsonContent, getPassphrase) {
+        let data;
+
+        try {
+            data = JSON.parse(jsonContent);
+        } catch (error) {
+            return jsonContent;
+        }
+
+        if (!this.encryption.isEncryptedExport(data)) {
+            return jsonContent;
+        }
+
+        const passphrase = await getPassphrase();
+        return passphrase ? this.encryption.decryptExport(data, passphrase) : null;
     }
 }
 
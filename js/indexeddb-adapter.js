@@ -0,0 +1,179 @@
+/**
+ * IndexedDB storage adapter
+ * Stores string values in an IndexedDB object store, which allows far more data than localStorage
+ */
+
+/**
+ * Default database name
+ * @type {string}
+ */
+const DEFAULT_DATABASE_NAME = 'multigoal-sip';
+
+/**
+ * Object store holding the values, keyed by storage key
+ * @type {string}
+ */
+const STORE_NAME = 'keyval';
+
+/**
+ * Database schema version
+ * @type {number}
+ */
+const DATABASE_VERSION = 1;
+
+/**
+ * IndexedDBAdapter class implements the storage adapter interface on IndexedDB
+ *
+ * IndexedDB is asynchronous, but the app reads and writes synchronously.
+ * open() therefore loads every value into memory; reads are served from
+ * that copy, and writes update it at once and are saved in the
+ * background. flush() waits until they are saved.
+ */
+export class IndexedDBAdapter {
+    /**
+     * Creates a new IndexedDBAdapter instance
+     * @param {string} [databaseName] - Name of the IndexedDB database
+     * @param {IDBFactory} [indexedDBFactory] - IndexedDB implementation; defaults to the browser's
+     */
+    constructor(databaseName = DEFAULT_DATABASE_NAME, indexedDBFactory = globalThis.indexedDB) {
+        this.databaseName = databaseName;
+        this.indexedDBFactory = indexedDBFactory;
+        this.db = null;
+        this.values = new Map();
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * Checks whether the browser provides IndexedDB
+     * @param {IDBFactory} [indexedDBFactory] - IndexedDB implementation to check
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    static isSupported(indexedDBFactory = globalThis.indexedDB) {
+        return Boolean(indexedDBFactory && typeof indexedDBFactory.open === 'function');
+    }
+
+    /**
+     * Opens the database and loads all stored values
+     * @returns {Promise<void>} Resolves once values can be read
+     * @throws {Error} If the database cannot be opened (rejects the promise)
+     */
+    async open() {
+        if (!IndexedDBAdapter.isSupported(this.indexedDBFactory)) {
+            throw new Error('IndexedDB is not supported');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDBFactory.open(this.databaseName, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Could not open IndexedDB'));
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+
+        this.values = await new Promise((resolve, reject) => {
+            const values = new Map();
+            const request = this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+
+                if (!cursor) {
+                    resolve(values);
+                    return;
+                }
+
+                values.set(String(cursor.key), cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Reads a value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value, or null if none
+     */
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    /**
+     * Writes a value; it is saved to the database in the background
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @throws {Error} If the database has not been opened
+     */
+    setItem(key, value) {
+        const stringValue = String(value);
+        this.values.set(key, stringValue);
+        this.write(store => store.put(stringValue, key));
+    }
+
+    /**
+     * Removes a value; it is deleted from the database in the background
+     * @param {string} key - Storage key
+     * @throws {Error} If the database has not been opened
+     */
+    removeItem(key) {
+        this.values.delete(key);
+        this.write(store => store.delete(key));
+    }
+
+    /**
+     * Waits until all writes made so far are saved
+     * @returns {Promise<void>} Resolves when they are saved, rejects if any failed
+     */
+    flush() {
+        return Promise.all([...this.pendingWrites]).then(() => undefined);
+    }
+
+    /**
+     * Checks if the database is open
+     * @returns {boolean} True if data written now is kept across page loads
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Closes the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Runs a write in its own transaction and tracks it until it completes
+     *
+     * IndexedDB runs read-write transactions on the same store in the
+     * order they are created, so writes are saved in the order they are made.
+     *
+     * @private
+     * @param {Function} operation - Receives the object store and issues the write
+     * @throws {Error} If the database has not been opened
+     */
+    write(operation) {
+        if (!this.db) {
+            throw new Error('IndexedDB has not been opened');
+        }
+
+        const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+        operation(transaction.objectStore(STORE_NAME));
+
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB write was aborted'));
+        });
+
+        this.pendingWrites.add(done);
+        done
+            .catch(error => console.error('Error saving to IndexedDB:', error))
+            .then(() => this.pendingWrites.delete(done));
+    }
+}
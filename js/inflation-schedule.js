@@ -0,0 +1,103 @@
+/**
+ * Inflation schedule parsing and serialization
+ * Converts between year-range text (e.g. "1-5:10, 6-15:7") and schedule objects
+ */
+
+/**
+ * Represents one range of a year-by-year inflation schedule
+ * @typedef {Object} InflationRange
+ * @property {number} fromYear - First year of the range (1-based, inclusive)
+ * @property {number} toYear - Last year of the range (inclusive)
+ * @property {number} rate - Annual inflation rate percentage for the range
+ */
+
+/**
+ * InflationScheduleParser class handles schedule text conversion and validation
+ */
+export class InflationScheduleParser {
+    /**
+     * Parses schedule text into an array of ranges
+     *
+     * Accepts entries separated by commas or semicolons. Each entry is either
+     * "from-to:rate" for a range of years or "year:rate" for a single year.
+     *
+     * @param {string} text - Schedule text, e.g. "1-5:10, 6-15:7"
+     * @returns {InflationRange[]} Sorted array of ranges, empty if text is blank
+     * @throws {Error} If an entry is malformed or ranges overlap
+     */
+    parse(text) {
+        if (!text || String(text).trim() === '') {
+            return [];
+        }
+
+        const entries = String(text).split(/[;,]/).map(entry => entry.trim()).filter(Boolean);
+        const schedule = entries.map(entry => {
+            const match = entry.match(/^(\d+)\s*(?:-\s*(\d+))?\s*:\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+
+            if (!match) {
+                throw new Error(`Invalid inflation schedule entry "${entry}"`);
+            }
+
+            const fromYear = parseInt(match[1], 10);
+            const toYear = match[2] ? parseInt(match[2], 10) : fromYear;
+
+            return { fromYear, toYear, rate: parseFloat(match[3]) };
+        });
+
+        return this.validate(schedule);
+    }
+
+    /**
+     * Serializes a schedule into its text form
+     * @param {InflationRange[]} schedule - Array of ranges
+     * @returns {string} Schedule text, or empty string if there are no ranges
+     */
+    format(schedule) {
+        if (!Array.isArray(schedule) || schedule.length === 0) {
+            return '';
+        }
+
+        return schedule.map(range => {
+            const years = range.fromYear === range.toYear
+                ? `${range.fromYear}`
+                : `${range.fromYear}-${range.toYear}`;
+            return `${years}:${range.rate}`;
+        }).join('; ');
+    }
+
+    /**
+     * Validates and normalizes a schedule
+     * @param {Array<Object>} schedule - Array of ranges to validate
+     * @returns {InflationRange[]} Ranges sorted by starting year
+     * @throws {Error} If a range is invalid or ranges overlap
+     */
+    validate(schedule) {
+        if (!Array.isArray(schedule)) {
+            throw new Error('Inflation schedule must be an array of ranges');
+        }
+
+        const normalized = schedule.map(range => ({
+            fromYear: Number(range.fromYear),
+            toYear: Number(range.toYear),
+            rate: Number(range.rate)
+        })).sort((a, b) => a.fromYear - b.fromYear);
+
+        normalized.forEach((range, index) => {
+            if (!Number.isInteger(range.fromYear) || !Number.isInteger(range.toYear) ||
+                range.fromYear < 1 || range.toYear < range.fromYear) {
+                throw new Error(`Invalid inflation schedule years ${range.fromYear}-${range.toYear}`);
+            }
+
+            if (isNaN(range.rate) || range.rate < 0) {
+                throw new Error(`Invalid inflation rate for years ${range.fromYear}-${range.toYear}`);
+            }
+
+            const previous = normalized[index - 1];
+            if (previous && range.fromYear <= previous.toYear) {
+                throw new Error(`Inflation schedule ranges overlap at year ${range.fromYear}`);
+            }
+        });
+
+        return normalized;
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * localStorage storage adapter
+ * Stores string values in the browser's localStorage
+ */
+
+/**
+ * LocalStorageAdapter class implements the storage adapter interface on localStorage
+ */
+export class LocalStorageAdapter {
+    /**
+     * Prepares the adapter for use; localStorage needs no setup
+     * @returns {Promise<void>} Resolves immediately
+     */
+    open() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Reads a value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value, or null if none
+     */
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * Writes a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @throws {Error} If localStorage rejects the write (for example when it is full)
+     */
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    /**
+     * Removes a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Waits for pending writes; localStorage writes are synchronous
+     * @returns {Promise<void>} Resolves immediately
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Checks if localStorage is available and working
+     * @returns {boolean} True if data written now is kept across page loads
+     */
+    isAvailable() {
+        try {
+            const testKey = '__localStorage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            console.warn('localStorage is not available:', error);
+            return false;
+        }
+    }
+}
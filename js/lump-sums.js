@@ -0,0 +1,81 @@
+/**
+ * Lump sum parsing and serialization
+ * Converts between year:amount text (e.g. "3:200000, 5:100000") and lump sum objects
+ */
+
+/**
+ * Represents a one-time investment made at the end of a goal year
+ * @typedef {Object} LumpSum
+ * @property {number} year - Year after which the amount is invested (1-based)
+ * @property {number} amount - Amount invested
+ */
+
+/**
+ * LumpSumParser class handles lump sum text conversion and validation
+ */
+export class LumpSumParser {
+    /**
+     * Parses lump sum text into an array of lump sums
+     * @param {string} text - Lump sum text, e.g. "3:200000, 5:100000"
+     * @returns {LumpSum[]} Lump sums sorted by year, empty if text is blank
+     * @throws {Error} If an entry is malformed
+     */
+    parse(text) {
+        if (!text || String(text).trim() === '') {
+            return [];
+        }
+
+        const entries = String(text).split(/[;,]/).map(entry => entry.trim()).filter(Boolean);
+        const lumpSums = entries.map(entry => {
+            const match = entry.match(/^(\d+)\s*:\s*(\d+(?:\.\d+)?)$/);
+
+            if (!match) {
+                throw new Error(`Invalid lump sum entry "${entry}"`);
+            }
+
+            return { year: parseInt(match[1], 10), amount: parseFloat(match[2]) };
+        });
+
+        return this.validate(lumpSums);
+    }
+
+    /**
+     * Serializes lump sums into their text form
+     * @param {LumpSum[]} lumpSums - Array of lump sums
+     * @returns {string} Lump sum text, or empty string if there are none
+     */
+    format(lumpSums) {
+        if (!Array.isArray(lumpSums) || lumpSums.length === 0) {
+            return '';
+        }
+
+        return lumpSums.map(lumpSum => `${lumpSum.year}:${lumpSum.amount}`).join('; ');
+    }
+
+    /**
+     * Validates and normalizes lump sums
+     * @param {Array<Object>} lumpSums - Array of lump sums to validate
+     * @returns {LumpSum[]} Lump sums sorted by year
+     * @throws {Error} If a year or amount is invalid
+     */
+    validate(lumpSums) {
+        if (!Array.isArray(lumpSums)) {
+            throw new Error('Lump sums must be an array');
+        }
+
+        return lumpSums.map(lumpSum => ({
+            year: Number(lumpSum.year),
+            amount: Number(lumpSum.amount)
+        })).map(lumpSum => {
+            if (!Number.isInteger(lumpSum.year) || lumpSum.year < 1) {
+                throw new Error(`Invalid lump sum year ${lumpSum.year}`);
+            }
+
+            if (isNaN(lumpSum.amount) || lumpSum.amount <= 0) {
+                throw new Error(`Invalid lump sum amount for year ${lumpSum.year}`);
+            }
+
+            return lumpSum;
+        }).sort((a, b) => a.year - b.year);
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * In-memory storage adapter
+ * Keeps values for the life of the page when no persistent storage is available
+ */
+
+/**
+ * MemoryStorageAdapter class implements the storage adapter interface on a Map
+ */
+export class MemoryStorageAdapter {
+    /**
+     * Creates a new MemoryStorageAdapter instance
+     * @param {Object<string, string>} [initialValues] - Values to start with
+     */
+    constructor(initialValues = {}) {
+        this.values = new Map(Object.entries(initialValues));
+    }
+
+    /**
+     * Prepares the adapter for use; memory needs no setup
+     * @returns {Promise<void>} Resolves immediately
+     */
+    open() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Reads a value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value, or null if none
+     */
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    /**
+     * Writes a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    /**
+     * Removes a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.values.delete(key);
+    }
+
+    /**
+     * Waits for pending writes; memory writes are synchronous
+     * @returns {Promise<void>} Resolves immediately
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Checks if data is kept across page loads
+     * @returns {boolean} Always false, since values live only in memory
+     */
+    isAvailable() {
+        return false;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Saved data schema migrations
+ * Upgrades goals saved by earlier versions of the app to the current data model
+ */
+
+/**
+ * Goal IDs from this time on are the Date.now() timestamp of when the goal was created
+ * @type {number}
+ */
+const EARLIEST_TIMESTAMP_ID = Date.UTC(2000, 0, 1);
+
+/**
+ * Formats a timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} ISO calendar date
+ */
+function formatDate(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Schema 0 to 1: wraps the bare goals array in a versioned envelope
+ *
+ * Goals saved before start dates were recorded get the date they were
+ * created, taken from their timestamp ID, and a missing step-up rate
+ * becomes 0.
+ *
+ * @param {Array<Object>} goals - Goals saved as a bare array
+ * @returns {Object} Schema 1 envelope
+ */
+function migrateToEnvelope(goals) {
+    return {
+        schemaVersion: 1,
+        goals: goals.map(goal => {
+            const migrated = { ...goal, stepUpRate: goal.stepUpRate || 0 };
+
+            if (!migrated.startDate && typeof goal.id === 'number' && goal.id >= EARLIEST_TIMESTAMP_ID) {
+                migrated.startDate = formatDate(goal.id);
+            }
+
+            return migrated;
+        })
+    };
+}
+
+/**
+ * Migrations in order; the migration at index N upgrades schema N to N + 1
+ * @type {Array<Function>}
+ */
+const MIGRATIONS = [
+    migrateToEnvelope
+];
+
+/**
+ * SchemaMigrator class upgrades saved goals data to the current schema
+ */
+export class SchemaMigrator {
+    /**
+     * Creates a new SchemaMigrator instance
+     * @param {Array<Function>} [migrations] - Migrations in order; the one at index N upgrades schema N to N + 1
+     */
+    constructor(migrations = MIGRATIONS) {
+        this.migrations = migrations;
+    }
+
+    /**
+     * Gets the schema version data is saved with
+     * @returns {number} Current schema version
+     */
+    getCurrentVersion() {
+        return this.migrations.length;
+    }
+
+    /**
+     * Gets the schema version of saved data
+     * @param {*} payload - Parsed saved data
+     * @returns {number} Schema version (0 for a bare goals array)
+     * @throws {Error} If the data is neither a goals array nor a versioned envelope
+     */
+    getVersion(payload) {
+        if (Array.isArray(payload)) {
+            return 0;
+        }
+
+        if (payload && typeof payload === 'object' &&
+            Number.isInteger(payload.schemaVersion) && payload.schemaVersion >= 1 &&
+            Array.isArray(payload.goals)) {
+            return payload.schemaVersion;
+        }
+
+        throw new Error('Saved goals data is not a goals array or a versioned envelope');
+    }
+
+    /**
+     * Checks whether saved data was written with an older schema
+     * @param {*} payload - Parsed saved data
+     * @returns {boolean} True if the data needs migrating
+     * @throws {Error} If the data is not recognized
+     */
+    needsMigration(payload) {
+        return this.getVersion(payload) < this.getCurrentVersion();
+    }
+
+    /**
+     * Runs every migration from the data's schema to the current one
+     * @param {*} payload - Parsed saved data
+     * @returns {Object} Envelope at the current schema version (data at or above it is returned unchanged)
+     * @throws {Error} If the data is not recognized or a migration does not produce the next schema
+     */
+    migrate(payload) {
+        let version = this.getVersion(payload);
+        let migrated = payload;
+
+        while (version < this.getCurrentVersion()) {
+            migrated = this.migrations[version](migrated);
+
+            if (this.getVersion(migrated) !== version + 1) {
+                throw new Error(`Migration from schema ${version} did not produce schema ${version + 1}`);
+            }
+
+            version++;
+        }
+
+        return migrated;
+    }
+}
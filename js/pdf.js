@@ -0,0 +1,405 @@
+/**
+ * PDF writing
+ * Builds PDF files with text, lines, boxes and JPEG images, without any library
+ */
+
+/**
+ * Width of an A4 page in points
+ * @type {number}
+ */
+const A4_WIDTH = 595.28;
+
+/**
+ * Height of an A4 page in points
+ * @type {number}
+ */
+const A4_HEIGHT = 841.89;
+
+/**
+ * Widths of Helvetica's characters from space to tilde, in thousandths of the font size
+ * @type {Array<number>}
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * Widths of Helvetica Bold's characters from space to tilde, in thousandths of the font size
+ * @type {Array<number>}
+ */
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Width assumed for characters outside printable ASCII, in thousandths of the font size
+ * @type {number}
+ */
+const DEFAULT_CHARACTER_WIDTH = 556;
+
+/**
+ * Characters the standard fonts lack, and the text written in their place
+ * @type {Object<string, string>}
+ */
+const REPLACEMENTS = {
+    '₹': 'Rs.',
+    '–': '-',
+    '—': '-',
+    '‘': "'",
+    '’': "'",
+    '“': '"',
+    '”': '"',
+    '…': '...',
+    '•': '*'
+};
+
+/**
+ * Options for drawing text
+ * @typedef {Object} PDFTextOptions
+ * @property {number} [size] - Font size in points (default 10)
+ * @property {boolean} [bold] - Whether to use the bold font
+ * @property {string} [color] - Color as #rrggbb (default black)
+ * @property {string} [align] - 'left', 'center' or 'right' of x (default 'left')
+ */
+
+/**
+ * PDFDocument class draws on the pages of a PDF file
+ *
+ * Positions are in points from the top left corner of the page, and
+ * text is placed by its baseline. Text uses the standard Helvetica
+ * fonts, which every PDF reader has, so nothing is embedded; they cover
+ * Latin-1 only, so other characters are replaced (₹ with "Rs.").
+ * Drawing goes to the page added last, or the one chosen with goToPage().
+ */
+export class PDFDocument {
+    /**
+     * Creates a new PDFDocument instance without pages
+     * @param {string} [title] - Title shown by PDF readers
+     * @param {number} [width] - Page width in points (default A4)
+     * @param {number} [height] - Page height in points (default A4)
+     */
+    constructor(title = '', width = A4_WIDTH, height = A4_HEIGHT) {
+        this.title = title;
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.images = [];
+        this.pageIndex = -1;
+    }
+
+    /**
+     * Adds a page and draws on it from then on
+     * @returns {number} Number of the new page (1-based)
+     */
+    addPage() {
+        this.pages.push({ commands: [], imageIndexes: [] });
+        this.pageIndex = this.pages.length - 1;
+        return this.pages.length;
+    }
+
+    /**
+     * Chooses the page to draw on
+     * @param {number} pageNumber - Page number (1-based)
+     * @throws {Error} If there is no such page
+     */
+    goToPage(pageNumber) {
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > this.pages.length) {
+            throw new Error(`Page ${pageNumber} does not exist`);
+        }
+
+        this.pageIndex = pageNumber - 1;
+    }
+
+    /**
+     * Gets the number of pages
+     * @returns {number} Page count
+     */
+    getPageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Measures the width of text
+     * @param {string} text - Text to measure
+     * @param {number} [size] - Font size in points
+     * @param {boolean} [bold] - Whether the bold font is used
+     * @returns {number} Width in points
+     */
+    measureText(text, size = 10, bold = false) {
+        const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        const total = [...this.replaceCharacters(text)].reduce((sum, char) => {
+            const code = char.charCodeAt(0);
+            return sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_CHARACTER_WIDTH);
+        }, 0);
+
+        return total * size / 1000;
+    }
+
+    /**
+     * Splits text into lines no wider than a width, breaking between words
+     * @param {string} text - Text to split; line breaks in it are kept
+     * @param {number} maxWidth - Widest line in points
+     * @param {number} [size] - Font size in points
+     * @param {boolean} [bold] - Whether the bold font is used
+     * @returns {Array<string>} Lines; a word wider than the width gets a line of its own
+     */
+    wrapText(text, maxWidth, size = 10, bold = false) {
+        return String(text).split('\n').flatMap(paragraph => {
+            const lines = [];
+            let line = '';
+
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+
+                if (line && this.measureText(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+
+            lines.push(line);
+            return lines;
+        });
+    }
+
+    /**
+     * Shortens text to fit a width, ending it with "..." if anything was cut
+     * @param {string} text - Text to fit
+     * @param {number} maxWidth - Widest text in points
+     * @param {number} [size] - Font size in points
+     * @param {boolean} [bold] - Whether the bold font is used
+     * @returns {string} The text, shortened if needed
+     */
+    truncateText(text, maxWidth, size = 10, bold = false) {
+        let fitted = String(text);
+
+        if (this.measureText(fitted, size, bold) <= maxWidth) {
+            return fitted;
+        }
+
+        while (fitted.length > 0 && this.measureText(`${fitted}...`, size, bold) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+
+        return `${fitted}...`;
+    }
+
+    /**
+     * Draws a line of text
+     * @param {string} text - Text to draw
+     * @param {number} x - Left edge (or center or right edge, see options.align)
+     * @param {number} y - Baseline, from the top of the page
+     * @param {PDFTextOptions} [options] - Font, color and alignment
+     */
+    drawText(text, x, y, options = {}) {
+        const { size = 10, bold = false, color = '#000000', align = 'left' } = options;
+        const width = this.measureText(text, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+        this.addCommand(
+            `BT /${bold ? 'F2' : 'F1'} ${this.formatNumber(size)} Tf ${this.formatColor(color)} rg ` +
+            `${this.formatNumber(left)} ${this.formatNumber(this.height - y)} Td (${this.encodeText(text)}) Tj ET`
+        );
+    }
+
+    /**
+     * Draws a straight line
+     * @param {number} x1 - Start, from the left of the page
+     * @param {number} y1 - Start, from the top of the page
+     * @param {number} x2 - End, from the left of the page
+     * @param {number} y2 - End, from the top of the page
+     * @param {Object} [options] - Line style
+     * @param {number} [options.width] - Line width in points (default 0.5)
+     * @param {string} [options.color] - Color as #rrggbb (default black)
+     */
+    drawLine(x1, y1, x2, y2, options = {}) {
+        const { width = 0.5, color = '#000000' } = options;
+
+        this.addCommand(
+            `q ${this.formatColor(color)} RG ${this.formatNumber(width)} w ` +
+            `${this.formatNumber(x1)} ${this.formatNumber(this.height - y1)} m ` +
+            `${this.formatNumber(x2)} ${this.formatNumber(this.height - y2)} l S Q`
+        );
+    }
+
+    /**
+     * Fills a rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Width in points
+     * @param {number} height - Height in points
+     * @param {string} color - Color as #rrggbb
+     */
+    fillRect(x, y, width, height, color) {
+        this.addCommand(
+            `q ${this.formatColor(color)} rg ${this.formatNumber(x)} ${this.formatNumber(this.height - y - height)} ` +
+            `${this.formatNumber(width)} ${this.formatNumber(height)} re f Q`
+        );
+    }
+
+    /**
+     * Draws a JPEG image
+     * @param {string} dataUrl - JPEG image as a data URL, such as canvas.toDataURL('image/jpeg') returns
+     * @param {number} pixelWidth - Image width in pixels
+     * @param {number} pixelHeight - Image height in pixels
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Width to draw in points
+     * @param {number} height - Height to draw in points
+     * @throws {Error} If the data URL does not hold a JPEG image
+     */
+    drawJPEG(dataUrl, pixelWidth, pixelHeight, x, y, width, height) {
+        const match = /^data:image\/jpeg;base64,(.*)$/.exec(String(dataUrl));
+
+        if (!match) {
+            throw new Error('Image must be a JPEG data URL');
+        }
+
+        this.images.push({ data: atob(match[1]), pixelWidth, pixelHeight });
+        this.currentPage().imageIndexes.push(this.images.length - 1);
+
+        this.addCommand(
+            `q ${this.formatNumber(width)} 0 0 ${this.formatNumber(height)} ` +
+            `${this.formatNumber(x)} ${this.formatNumber(this.height - y - height)} cm /Im${this.images.length} Do Q`
+        );
+    }
+
+    /**
+     * Writes the PDF file
+     * @returns {Uint8Array} File content
+     */
+    toBytes() {
+        const objects = [];
+        const add = (content) => {
+            objects.push(content);
+            return objects.length;
+        };
+        const stream = (dictionary, data) => `<< ${dictionary} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+        const catalogId = add('');
+        const pagesId = add('');
+        const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const imageIds = this.images.map(image => add(stream(
+            `/Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} ` +
+            '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+            image.data
+        )));
+
+        const pageIds = this.pages.map(page => {
+            const contentsId = add(stream('', page.commands.join('\n')));
+            const xObjects = page.imageIndexes.map(index => `/Im${index + 1} ${imageIds[index]} 0 R`).join(' ');
+
+            return add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.formatNumber(this.width)} ${this.formatNumber(this.height)}] ` +
+                `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> /XObject << ${xObjects} >> >> /Contents ${contentsId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = add(`<< /Title (${this.encodeText(this.title)}) /Producer (Multi-Goal SIP Calculator) >>`);
+
+        // Each character stands for one byte, so string lengths are byte offsets
+        let file = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = objects.map((content, index) => {
+            const offset = file.length;
+            file += `${index + 1} 0 obj\n${content}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = file.length;
+        file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Uint8Array.from(file, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Adds a drawing command to the current page
+     * @private
+     * @param {string} command - PDF content stream operators
+     * @throws {Error} If no page has been added
+     */
+    addCommand(command) {
+        this.currentPage().commands.push(command);
+    }
+
+    /**
+     * Gets the page being drawn on
+     * @private
+     * @returns {Object} Page as { commands, imageIndexes }
+     * @throws {Error} If no page has been added
+     */
+    currentPage() {
+        if (this.pageIndex === -1) {
+            throw new Error('Add a page before drawing');
+        }
+
+        return this.pages[this.pageIndex];
+    }
+
+    /**
+     * Replaces characters the standard fonts lack
+     * @private
+     * @param {string} text - Text to write
+     * @returns {string} Text of Latin-1 characters only
+     */
+    replaceCharacters(text) {
+        return [...String(text)]
+            .map(char => {
+                if (REPLACEMENTS[char] !== undefined) {
+                    return REPLACEMENTS[char];
+                }
+                return char.charCodeAt(0) <= 255 ? char : '?';
+            })
+            .join('');
+    }
+
+    /**
+     * Encodes text as the contents of a PDF string
+     * @private
+     * @param {string} text - Text to write
+     * @returns {string} Text with backslashes and parentheses escaped and line breaks removed
+     */
+    encodeText(text) {
+        return this.replaceCharacters(text)
+            .replace(/[\r\n]+/g, ' ')
+            .replace(/[\\()]/g, char => `\\${char}`);
+    }
+
+    /**
+     * Formats a color as PDF color operands
+     * @private
+     * @param {string} color - Color as #rrggbb
+     * @returns {string} Red, green and blue between 0 and 1
+     */
+    formatColor(color) {
+        return [1, 3, 5]
+            .map(start => this.formatNumber(parseInt(color.slice(start, start + 2), 16) / 255))
+            .join(' ');
+    }
+
+    /**
+     * Formats a number for a PDF file
+     * @private
+     * @param {number} value - Number to write
+     * @returns {string} Number with at most two decimal places, without trailing zeros
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Household profiles
+ * Keeps a list of named profiles, each with its own goals, settings, history and theme
+ */
+
+/**
+ * Name of the profile that holds goals saved before profiles existed
+ * @type {string}
+ */
+const DEFAULT_PROFILE_NAME = 'My Plan';
+
+/**
+ * Longest profile name accepted
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * A named set of goals, settings, history and theme
+ * @typedef {Object} Profile
+ * @property {string} id - Unique identifier; part of the profile's storage keys
+ * @property {string} name - Name shown in the profile switcher
+ */
+
+/**
+ * ProfileManager class creates, renames, deletes and switches profiles
+ *
+ * Which profile is open is kept per tab; the saved active profile is the
+ * one opened on the next page load.
+ */
+export class ProfileManager {
+    /**
+     * Creates a new ProfileManager instance
+     * @param {Object} storageService - StorageService the profile list and each profile's data are saved through
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+        // Until load(), the profile the storage service has open is the only one
+        this.activeProfileId = storageService.getProfileId();
+        this.profiles = [{ id: this.activeProfileId, name: DEFAULT_PROFILE_NAME }];
+    }
+
+    /**
+     * Loads the saved profile list and opens the saved active profile
+     *
+     * Without a saved list there is one profile, holding any goals saved
+     * before profiles existed.
+     *
+     * @returns {Promise<Profile>} The open profile
+     */
+    async load() {
+        const { activeProfileId, profiles } = this.storageService.loadProfiles();
+
+        this.profiles = profiles.length > 0 ? profiles : [{ id: activeProfileId, name: DEFAULT_PROFILE_NAME }];
+        this.activeProfileId = activeProfileId;
+        await this.storageService.useProfile(activeProfileId);
+
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Loads the profile list again after another tab changed it
+     *
+     * The open profile stays open unless it was deleted, in which case the
+     * first profile is opened.
+     *
+     * @returns {Promise<boolean>} True if a different profile was opened
+     */
+    async reload() {
+        const { profiles } = this.storageService.loadProfiles();
+
+        if (profiles.length === 0) {
+            return false;
+        }
+
+        this.profiles = profiles;
+
+        if (this.profiles.some(profile => profile.id === this.activeProfileId)) {
+            await this.storageService.useProfile(this.activeProfileId);
+            return false;
+        }
+
+        this.activeProfileId = this.profiles[0].id;
+        await this.storageService.useProfile(this.activeProfileId);
+        return true;
+    }
+
+    /**
+     * Gets all profiles
+     * @returns {Array<Profile>} Copies of the profiles, in the order they were created
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Gets the open profile
+     * @returns {Profile} Copy of the open profile
+     */
+    getActiveProfile() {
+        return { ...this.findProfile(this.activeProfileId) };
+    }
+
+    /**
+     * Creates a profile without opening it
+     * @param {string} name - Profile name
+     * @returns {Profile} The new profile
+     * @throws {Error} If the name is empty, too long or already used
+     */
+    createProfile(name) {
+        const profile = { id: this.generateId(), name: this.validateName(name) };
+
+        this.profiles.push(profile);
+        this.save();
+        return { ...profile };
+    }
+
+    /**
+     * Renames a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New name
+     * @returns {Profile} The renamed profile
+     * @throws {Error} If the profile does not exist or the name is empty, too long or already used
+     */
+    renameProfile(profileId, name) {
+        const profile = this.findProfile(profileId);
+        profile.name = this.validateName(name, profileId);
+
+        this.save();
+        return { ...profile };
+    }
+
+    /**
+     * Deletes a profile and all of its saved data
+     *
+     * Deleting the open profile opens the first remaining one.
+     *
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Profile>} The open profile afterwards
+     * @throws {Error} If the profile does not exist or is the only one (rejects the promise)
+     */
+    async deleteProfile(profileId) {
+        this.findProfile(profileId);
+
+        if (this.profiles.length === 1) {
+            throw new Error('The only profile cannot be deleted');
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+
+        if (profileId === this.activeProfileId) {
+            this.activeProfileId = this.profiles[0].id;
+            await this.storageService.useProfile(this.activeProfileId);
+        }
+
+        this.storageService.removeProfileData(profileId);
+        this.save();
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Opens a profile; its goals, settings, history and theme are read from then on
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Profile>} The opened profile
+     * @throws {Error} If the profile does not exist (rejects the promise)
+     */
+    async switchProfile(profileId) {
+        this.findProfile(profileId);
+        await this.storageService.useProfile(profileId);
+
+        this.activeProfileId = profileId;
+        this.save();
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Finds a profile by ID
+     * @private
+     * @param {string} profileId - Profile ID
+     * @returns {Profile} The profile itself (not a copy)
+     * @throws {Error} If the profile does not exist
+     */
+    findProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+
+        return profile;
+    }
+
+    /**
+     * Trims a profile name and checks that it can be used
+     * @private
+     * @param {string} name - Name entered by the user
+     * @param {string} [profileId] - Profile being renamed, which may keep its own name
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty, too long or used by another profile
+     */
+    validateName(name, profileId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Profile name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const taken = this.profiles.some(profile =>
+            profile.id !== profileId && profile.name.toLowerCase() === trimmed.toLowerCase());
+
+        if (taken) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Generates an ID no other profile has
+     * @private
+     * @returns {string} Profile ID
+     */
+    generateId() {
+        let id;
+
+        do {
+            id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        } while (this.profiles.some(profile => profile.id === id));
+
+        return id;
+    }
+
+    /**
+     * Saves the profile list with the open profile as the one to open next time
+     * @private
+     * @returns {boolean} True if the list was saved
+     */
+    save() {
+        return this.storageService.saveProfiles({ activeProfileId: this.activeProfileId, profiles: this.profiles });
+    }
+}
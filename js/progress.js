@@ -0,0 +1,285 @@
+/**
+ * Progress tracking against the plan
+ * Compares a goal's recorded contributions and valuations with its planned trajectory
+ */
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days per year used for elapsed time and XIRR discounting
+ * @type {number}
+ */
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Fraction of the planned value within which a goal counts as on track
+ * @type {number}
+ */
+const ON_TRACK_TOLERANCE = 0.02;
+
+/**
+ * Represents a goal's actual progress compared with its plan
+ * @typedef {Object} GoalProgress
+ * @property {string} startDate - Date the plan is measured from (YYYY-MM-DD)
+ * @property {number} elapsedYears - Years since the start date (at most the goal horizon)
+ * @property {number} totalContributed - Existing corpus plus all recorded contributions
+ * @property {number} currentValue - Latest valuation plus contributions made after it
+ * @property {number} target - Inflation-adjusted goal target
+ * @property {number} fundedPercent - Current value as a percentage of the target (at most 100)
+ * @property {number} plannedValue - Value the plan expects by now
+ * @property {number} difference - Current value minus planned value
+ * @property {string} status - 'ahead', 'on-track' or 'behind'
+ * @property {number|null} xirr - Annualized return of actual cashflows as a percentage, or null if it cannot be computed
+ * @property {number} requiredSIP - Monthly SIP needed from today to reach the target
+ */
+
+/**
+ * ProgressTracker class measures goals against their planned trajectory
+ */
+export class ProgressTracker {
+    /**
+     * Creates a new ProgressTracker instance
+     * @param {Object} calculator - SIPCalculator instance for targets, returns and SIP amounts
+     * @param {Object} chartManager - ChartManager instance whose generateGoalData gives the planned trajectory
+     */
+    constructor(calculator, chartManager) {
+        this.calculator = calculator;
+        this.chartManager = chartManager;
+    }
+
+    /**
+     * Checks whether a goal has any recorded contributions or valuations
+     * @param {Object} goal - Goal object
+     * @returns {boolean} True if the goal has ledger entries
+     */
+    hasLedger(goal) {
+        return (goal.contributions || []).length > 0 || (goal.valuations || []).length > 0;
+    }
+
+    /**
+     * Calculates a goal's progress against its plan
+     * @param {Object} goal - Goal object
+     * @param {Date} [asOf] - Date to measure progress on; defaults to now
+     * @returns {GoalProgress} Progress summary
+     */
+    calculateProgress(goal, asOf = new Date()) {
+        const startDate = this.getStartDate(goal, asOf);
+        const elapsedYears = Math.min(Math.max(this.getYearsBetween(startDate, asOf), 0), goal.years);
+        const contributions = goal.contributions || [];
+        const totalContributed = (goal.existingCorpus || 0) +
+            contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+        const currentValue = this.getCurrentValue(goal);
+        const target = this.calculator.calculateGoalTarget(goal);
+        const plannedValue = this.getPlannedValue(goal, elapsedYears);
+        const difference = currentValue - plannedValue;
+
+        let status = 'on-track';
+        if (difference > plannedValue * ON_TRACK_TOLERANCE) {
+            status = 'ahead';
+        } else if (difference < -plannedValue * ON_TRACK_TOLERANCE) {
+            status = 'behind';
+        }
+
+        return {
+            startDate,
+            elapsedYears,
+            totalContributed,
+            currentValue,
+            target,
+            fundedPercent: target > 0 ? Math.round(Math.min(currentValue / target, 1) * 1000) / 10 : 100,
+            plannedValue,
+            difference,
+            status,
+            xirr: this.calculateXIRR(this.getCashflows(goal, startDate, currentValue, asOf)),
+            requiredSIP: this.calculateRequiredSIP(goal, currentValue, elapsedYears)
+        };
+    }
+
+    /**
+     * Gets a goal's current value
+     *
+     * The latest valuation is taken as the value on its date, and
+     * contributions made after it are added at cost. Without valuations,
+     * the existing corpus and all contributions count at cost.
+     *
+     * @param {Object} goal - Goal object
+     * @returns {number} Current value of the goal's investments
+     */
+    getCurrentValue(goal) {
+        const contributions = goal.contributions || [];
+        const valuations = goal.valuations || [];
+        const latest = valuations[valuations.length - 1];
+
+        if (!latest) {
+            return (goal.existingCorpus || 0) +
+                contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+        }
+
+        return latest.value + contributions
+            .filter(contribution => contribution.date > latest.date)
+            .reduce((sum, contribution) => sum + contribution.amount, 0);
+    }
+
+    /**
+     * Calculates the annualized return (XIRR) of dated cashflows
+     *
+     * Investments are negative and the current value is positive. The
+     * rate is found by bisection on the net present value.
+     *
+     * @param {Array<Object>} cashflows - Cashflows as { date, amount }
+     * @returns {number|null} Annual return percentage rounded to 2 decimals, or null without both investments and value on different dates
+     */
+    calculateXIRR(cashflows) {
+        if (!cashflows.some(flow => flow.amount < 0) || !cashflows.some(flow => flow.amount > 0)) {
+            return null;
+        }
+
+        const firstDate = cashflows.reduce((earliest, flow) => (flow.date < earliest ? flow.date : earliest), cashflows[0].date);
+        const flows = cashflows.map(flow => ({
+            years: this.getYearsBetween(firstDate, flow.date),
+            amount: flow.amount
+        }));
+
+        if (flows.every(flow => flow.years === 0)) {
+            return null;
+        }
+
+        const netPresentValue = rate => flows.reduce(
+            (sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years),
+            0
+        );
+
+        const rate = this.calculator.goalSeek(netPresentValue, 0, -0.99, 100, 0.000001);
+
+        if (rate === null) {
+            return null;
+        }
+
+        // Adding 0 turns a rounded -0 into 0
+        return Math.round(rate * 10000) / 100 + 0;
+    }
+
+    /**
+     * Builds the cashflows of a goal for XIRR
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {string} startDate - Date the existing corpus was invested
+     * @param {number} currentValue - Current value of the investments
+     * @param {Date} asOf - Date the current value applies to
+     * @returns {Array<Object>} Cashflows as { date, amount }
+     */
+    getCashflows(goal, startDate, currentValue, asOf) {
+        const cashflows = (goal.contributions || []).map(contribution => ({
+            date: contribution.date,
+            amount: -contribution.amount
+        }));
+
+        if (goal.existingCorpus > 0) {
+            cashflows.push({ date: startDate, amount: -goal.existingCorpus });
+        }
+
+        cashflows.push({ date: this.formatDate(asOf), amount: currentValue });
+        return cashflows;
+    }
+
+    /**
+     * Interpolates the plan's corpus at a point in time
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} elapsedYears - Years since the start date
+     * @returns {number} Planned corpus after elapsedYears
+     */
+    getPlannedValue(goal, elapsedYears) {
+        const { futureValues } = this.chartManager.generateGoalData(goal);
+        const lastIndex = futureValues.length - 1;
+        const lower = Math.min(Math.floor(elapsedYears), lastIndex);
+        const upper = Math.min(lower + 1, lastIndex);
+        const weight = elapsedYears - lower;
+
+        return Math.round(futureValues[lower] + (futureValues[upper] - futureValues[lower]) * weight);
+    }
+
+    /**
+     * Calculates the monthly SIP needed from today to reach a goal's target
+     *
+     * The current value and the lump sums still to come grow at the goal's
+     * returns for the rest of the horizon; the SIP funds what is left.
+     *
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} currentValue - Current value of the investments
+     * @param {number} elapsedYears - Years since the start date
+     * @returns {number} Required (initial) monthly SIP from today
+     */
+    calculateRequiredSIP(goal, currentValue, elapsedYears) {
+        const elapsedMonths = Math.round(elapsedYears * 12);
+        const remainingMonths = Math.round(goal.years * 12) - elapsedMonths;
+
+        if (remainingMonths <= 0) {
+            return 0;
+        }
+
+        const annualReturns = this.calculator.getAnnualReturns(goal).slice(Math.floor(elapsedMonths / 12));
+        let projected = this.calculator.calculateAmountFutureValue(currentValue, 0, remainingMonths, annualReturns);
+
+        (goal.lumpSums || []).forEach(lumpSum => {
+            const month = lumpSum.year * 12 - elapsedMonths;
+
+            if (month > 0 && month <= remainingMonths) {
+                projected += this.calculator.calculateAmountFutureValue(lumpSum.amount, month, remainingMonths, annualReturns);
+            }
+        });
+
+        const shortfall = Math.max(this.calculator.calculateGoalTarget(goal) - projected, 0);
+
+        return this.calculator.calculateMonthlySIP(
+            shortfall,
+            remainingMonths / 12,
+            goal.expectedReturn,
+            goal.stepUpRate || 0,
+            annualReturns
+        );
+    }
+
+    /**
+     * Gets the date a goal's plan is measured from
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {Date} asOf - Fallback date for goals without any dates
+     * @returns {string} Start date (YYYY-MM-DD)
+     */
+    getStartDate(goal, asOf) {
+        if (goal.startDate) {
+            return goal.startDate;
+        }
+
+        // Goals saved before start dates were recorded begin at their first ledger entry
+        const dates = [...(goal.contributions || []), ...(goal.valuations || [])].map(entry => entry.date).sort();
+        return dates[0] || this.formatDate(asOf);
+    }
+
+    /**
+     * Calculates the years between two dates
+     * @private
+     * @param {string|Date} from - Start date (YYYY-MM-DD or Date)
+     * @param {string|Date} to - End date (YYYY-MM-DD or Date)
+     * @returns {number} Years between the dates (negative if to is earlier)
+     */
+    getYearsBetween(from, to) {
+        return (new Date(to) - new Date(from)) / DAY_MS / DAYS_PER_YEAR;
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD
+     * @private
+     * @param {Date} date - Date to format
+     * @returns {string} ISO calendar date
+     */
+    formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+}
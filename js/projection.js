@@ -0,0 +1,125 @@
+/**
+ * Goal projections
+ * Builds the cashflow schedule of a goal, month by month or year by year
+ */
+
+/**
+ * Number of months in each projection interval
+ * @type {Object<string, number>}
+ */
+const INTERVAL_MONTHS = {
+    month: 1,
+    year: 12
+};
+
+/**
+ * A point in a goal's schedule
+ * @typedef {Object} ProjectionRow
+ * @property {number} period - Months or years from today (0 = today)
+ * @property {number|null} monthlySIP - SIP installment paid each month of the period, stepped up every year; null for today
+ * @property {number} invested - Existing corpus, SIPs and lump sums invested by the end of the period
+ * @property {number} value - Projected value at the end of the period
+ * @property {number} target - Inflation-adjusted goal cost at the end of the period (for retirement goals, the corpus needed to retire then)
+ */
+
+/**
+ * ProjectionEngine class projects how a goal's investments grow
+ *
+ * The schedule follows the calculator's model: the required SIP (see
+ * SIPCalculator.calculateGoalSIP) is paid at the start of each month and
+ * steps up at the start of every year after the first, each month earns
+ * that year's (blended) return, the existing corpus is invested today and
+ * each lump sum at the end of its year (in the month Math.round(year * 12),
+ * as the calculator counts it). The final value therefore equals
+ * SIPCalculator.calculateGoalCorpus. Amounts are not rounded.
+ */
+export class ProjectionEngine {
+    /**
+     * Creates a new ProjectionEngine instance
+     * @param {Object} calculator - SIPCalculator instance
+     */
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Projects a goal's schedule
+     *
+     * Yearly schedules have a row for each whole year of the horizon and,
+     * when the horizon ends part way through a year, a last row at the
+     * horizon (such as period 2.5); monthly schedules run to the last month.
+     * The last row is always the end of the horizon.
+     *
+     * @param {Object} goal - Goal object
+     * @param {string} [interval] - 'month' or 'year'
+     * @returns {Array<ProjectionRow>} Rows from today to the end of the horizon
+     * @throws {Error} If the interval is unknown
+     */
+    projectGoal(goal, interval = 'year') {
+        const intervalMonths = INTERVAL_MONTHS[interval];
+
+        if (!intervalMonths) {
+            throw new Error(`Unknown projection interval "${interval}"`);
+        }
+
+        const rows = this.projectMonths(goal);
+        const lastRow = rows[rows.length - 1];
+
+        return rows
+            .filter(row => row.period % intervalMonths === 0 || row === lastRow)
+            .map(row => ({ ...row, period: row.period / intervalMonths }));
+    }
+
+    /**
+     * Projects a goal month by month
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {Array<ProjectionRow>} Row for today and for each month of the horizon
+     */
+    projectMonths(goal) {
+        const months = Math.round(goal.years * 12);
+        const annualReturns = this.calculator.getAnnualReturns(goal);
+        const annualStepUp = (goal.stepUpRate || 0) / 100;
+        const existingCorpus = goal.existingCorpus || 0;
+        let monthlySIP = this.calculator.calculateGoalSIP(goal);
+        let invested = existingCorpus;
+        let value = existingCorpus;
+
+        const rows = [{ period: 0, monthlySIP: null, invested, value, target: this.getTarget(goal, 0) }];
+
+        for (let month = 1; month <= months; month++) {
+            const yearIndex = Math.floor((month - 1) / 12);
+
+            if (month > 1 && (month - 1) % 12 === 0) {
+                monthlySIP *= 1 + annualStepUp;
+            }
+
+            const annualRate = annualReturns[Math.min(yearIndex, annualReturns.length - 1)];
+            invested += monthlySIP;
+            value = (value + monthlySIP) * (1 + annualRate / 12 / 100);
+
+            // Lump sums land in the month the calculator invests them in
+            (goal.lumpSums || [])
+                .filter(lumpSum => Math.round(lumpSum.year * 12) === month)
+                .forEach(lumpSum => {
+                    invested += lumpSum.amount;
+                    value += lumpSum.amount;
+                });
+
+            rows.push({ period: month, monthlySIP, invested, value, target: this.getTarget(goal, month / 12) });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Gets a goal's inflation-adjusted cost at a point in time
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} years - Years from today
+     * @returns {number} Goal cost then
+     */
+    getTarget(goal, years) {
+        return this.calculator.calculateGoalTarget({ ...goal, years });
+    }
+}
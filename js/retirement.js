@@ -0,0 +1,104 @@
+/**
+ * Retirement decumulation planning
+ * Simulates a systematic withdrawal plan (SWP) from a retirement corpus
+ */
+
+/**
+ * Fraction of the first year's expenses below which the corpus counts as
+ * used up, so rounding of the corpus does not leave a few rupees over
+ * @type {number}
+ */
+const DEPLETION_TOLERANCE = 0.00001;
+
+/**
+ * Represents one year of a systematic withdrawal plan
+ * @typedef {Object} WithdrawalYear
+ * @property {number} year - Year of retirement (1-based)
+ * @property {number} openingBalance - Corpus at the start of the year
+ * @property {number} withdrawal - Amount withdrawn at the start of the year
+ * @property {number} growth - Return earned on the remaining corpus
+ * @property {number} closingBalance - Corpus at the end of the year
+ */
+
+/**
+ * RetirementPlanner class handles the withdrawal phase of retirement goals
+ */
+export class RetirementPlanner {
+    /**
+     * Creates a new RetirementPlanner instance
+     * @param {Object} calculator - SIPCalculator instance for inflation and corpus calculations
+     */
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Calculates the first year's expenses at retirement
+     * @param {Object} goal - Retirement goal (currentPrice is today's monthly expenses)
+     * @returns {number} Annual expenses in the first year of retirement
+     */
+    calculateFirstYearExpenses(goal) {
+        const inflationFactor = this.calculator.calculateInflationFactor(
+            goal.inflationRate,
+            goal.years,
+            goal.inflationSchedule
+        );
+
+        return goal.currentPrice * 12 * inflationFactor;
+    }
+
+    /**
+     * Simulates withdrawals from a retirement corpus year by year
+     *
+     * Each year's expenses are withdrawn at the start of the year, the rest
+     * earns the post-retirement return, and expenses grow with inflation.
+     * The simulation stops when the corpus runs out or retirement ends.
+     *
+     * @param {Object} goal - Retirement goal
+     * @param {number} [startingCorpus] - Corpus at retirement; defaults to the required corpus
+     * @returns {Object} Plan with yearly schedule, depletionYear (null if the corpus outlasts retirement) and remaining corpus
+     */
+    simulateWithdrawals(goal, startingCorpus = this.calculator.calculateGoalTarget(goal)) {
+        const { retirementYears, postRetirementReturn } = goal.retirement;
+        const annualReturn = postRetirementReturn / 100;
+        const annualInflation = goal.inflationRate / 100;
+        const firstYearExpenses = this.calculateFirstYearExpenses(goal);
+        const schedule = [];
+        let balance = startingCorpus;
+        let expenses = firstYearExpenses;
+        let depletionYear = null;
+        const depletionThreshold = firstYearExpenses * DEPLETION_TOLERANCE;
+
+        for (let year = 1; year <= retirementYears; year++) {
+            const openingBalance = balance;
+            const withdrawal = Math.min(expenses, balance);
+            const growth = (balance - withdrawal) * annualReturn;
+            const depleted = balance - withdrawal + growth < depletionThreshold;
+            balance = depleted ? 0 : balance - withdrawal + growth;
+
+            schedule.push({
+                year,
+                openingBalance: Math.round(openingBalance),
+                withdrawal: Math.round(withdrawal),
+                growth: Math.round(growth),
+                closingBalance: Math.round(balance)
+            });
+
+            if (depleted) {
+                depletionYear = year;
+                break;
+            }
+
+            expenses *= 1 + annualInflation;
+        }
+
+        return {
+            startingCorpus: Math.round(startingCorpus),
+            firstYearExpenses: Math.round(firstYearExpenses),
+            schedule,
+            depletionYear,
+            remainingCorpus: Math.round(balance),
+            lastsFullRetirement: depletionYear === null || depletionYear >= retirementYears
+        };
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Monte Carlo simulation of goal outcomes
+ * Runs randomized monthly return paths to estimate the chance of reaching each goal
+ */
+
+/**
+ * Default number of simulated return paths
+ * @type {number}
+ */
+const DEFAULT_ITERATIONS = 2000;
+
+/**
+ * Default annual volatility (standard deviation of returns) percentage
+ * @type {number}
+ */
+const DEFAULT_VOLATILITY = 15;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * MonteCarloSimulator class estimates goal success probabilities
+ */
+export class MonteCarloSimulator {
+    /**
+     * Creates a new MonteCarloSimulator instance
+     * @param {Object} calculator - SIPCalculator instance for targets and SIP amounts
+     * @param {Object} [options] - Default simulation options
+     * @param {number} [options.iterations] - Number of simulated return paths
+     * @param {number} [options.volatility] - Annual volatility percentage
+     * @param {number} [options.seed] - Seed for reproducible results; random when omitted
+     */
+    constructor(calculator, options = {}) {
+        this.calculator = calculator;
+        this.defaults = {
+            iterations: options.iterations || DEFAULT_ITERATIONS,
+            volatility: options.volatility !== undefined ? options.volatility : DEFAULT_VOLATILITY,
+            seed: options.seed
+        };
+    }
+
+    /**
+     * Simulates a single goal
+     * @param {Object} goal - Goal object
+     * @param {Object} [options] - Simulation options (see simulatePlan)
+     * @returns {Object} Goal result with probability and percentile corpus
+     */
+    simulateGoal(goal, options = {}) {
+        return this.simulatePlan([goal], options).goals[0];
+    }
+
+    /**
+     * Simulates all goals of a plan against the same market paths
+     *
+     * Each iteration draws one sequence of monthly returns shared by every
+     * goal, so the plan succeeds only when all goals reach their targets on
+     * the same path.
+     *
+     * @param {Array<Object>} goals - Array of goal objects
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.mean] - Annual mean return percentage; defaults to each goal's (blended) expected return
+     * @param {number} [options.volatility] - Annual volatility percentage
+     * @param {number} [options.iterations] - Number of simulated return paths
+     * @param {number} [options.seed] - Seed for reproducible results
+     * @returns {Object} Plan result with per-goal results, overall probability and percentiles
+     */
+    simulatePlan(goals, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const random = createSeededRandom(
+            settings.seed !== undefined ? settings.seed : Math.floor(Math.random() * 4294967296)
+        );
+        const nextNormal = this.createNormalGenerator(random);
+
+        const plans = goals.map(goal => {
+            const target = this.calculator.calculateGoalTarget(goal);
+            const stepUpRate = goal.stepUpRate || 0;
+
+            return {
+                goal,
+                target,
+                stepUpRate,
+                monthlySIP: this.calculator.calculateGoalSIP(goal),
+                months: Math.round(goal.years * 12),
+                annualReturns: settings.mean !== undefined
+                    ? [settings.mean]
+                    : this.calculator.getAnnualReturns(goal),
+                existingCorpus: goal.existingCorpus || 0,
+                lumpSums: goal.lumpSums || [],
+                corpora: []
+            };
+        });
+
+        const maxMonths = Math.max(0, ...plans.map(plan => plan.months));
+        const monthlyVolatility = settings.volatility / 100 / Math.sqrt(12);
+        const planCorpora = [];
+        let planSuccesses = 0;
+
+        for (let iteration = 0; iteration < settings.iterations; iteration++) {
+            const shocks = Array.from({ length: maxMonths }, () => nextNormal() * monthlyVolatility);
+            let allReached = true;
+            let planCorpus = 0;
+
+            plans.forEach(plan => {
+                const corpus = this.simulatePath(plan, shocks);
+                plan.corpora.push(corpus);
+                planCorpus += corpus;
+
+                if (corpus < plan.target) {
+                    allReached = false;
+                }
+            });
+
+            planCorpora.push(planCorpus);
+            if (allReached) {
+                planSuccesses++;
+            }
+        }
+
+        const goalResults = plans.map(plan => ({
+            goalId: plan.goal.id,
+            goalName: plan.goal.name,
+            target: plan.target,
+            monthlySIP: plan.monthlySIP,
+            probability: plan.corpora.filter(corpus => corpus >= plan.target).length / settings.iterations,
+            percentiles: this.calculatePercentiles(plan.corpora)
+        }));
+
+        return {
+            goals: goalResults,
+            probability: goals.length > 0 ? planSuccesses / settings.iterations : 0,
+            totalTarget: goalResults.reduce((sum, result) => sum + result.target, 0),
+            percentiles: this.calculatePercentiles(planCorpora),
+            iterations: settings.iterations,
+            volatility: settings.volatility
+        };
+    }
+
+    /**
+     * Grows a goal's SIP contributions along one return path
+     * @private
+     * @param {Object} plan - Prepared goal plan
+     * @param {number[]} shocks - Monthly return deviations from the mean
+     * @returns {number} Corpus at the end of the goal horizon
+     */
+    simulatePath(plan, shocks) {
+        const annualStepUp = plan.stepUpRate / 100;
+        let corpus = plan.existingCorpus;
+        let currentSIP = plan.monthlySIP;
+
+        for (let month = 0; month < plan.months; month++) {
+            if (month > 0 && month % 12 === 0) {
+                currentSIP *= (1 + annualStepUp);
+                corpus += this.getLumpSumsAtMonth(plan, month);
+            }
+
+            const annualReturn = plan.annualReturns[Math.min(Math.floor(month / 12), plan.annualReturns.length - 1)];
+
+            // Contributions are made at the start of each month, matching the SIP formula
+            corpus = (corpus + currentSIP) * (1 + annualReturn / 12 / 100 + shocks[month]);
+        }
+
+        // Lump sums made at the very end of the horizon still count toward the target
+        corpus += this.getLumpSumsAtMonth(plan, plan.months);
+
+        return Math.max(corpus, 0);
+    }
+
+    /**
+     * Totals the lump sums invested at a given month
+     * @private
+     * @param {Object} plan - Prepared goal plan
+     * @param {number} month - Month number
+     * @returns {number} Lump sum amount invested at the month
+     */
+    getLumpSumsAtMonth(plan, month) {
+        return plan.lumpSums
+            .filter(lumpSum => lumpSum.year * 12 === month)
+            .reduce((sum, lumpSum) => sum + lumpSum.amount, 0);
+    }
+
+    /**
+     * Creates a standard normal generator using the Box-Muller transform
+     * @private
+     * @param {Function} random - Uniform random generator
+     * @returns {Function} Function returning standard normal samples
+     */
+    createNormalGenerator(random) {
+        let spare = null;
+
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+
+            const u1 = 1 - random(); // Avoid log(0)
+            const u2 = random();
+            const radius = Math.sqrt(-2 * Math.log(u1));
+            spare = radius * Math.sin(2 * Math.PI * u2);
+            return radius * Math.cos(2 * Math.PI * u2);
+        };
+    }
+
+    /**
+     * Calculates the 10th, 50th and 90th percentile of simulated values
+     * @param {number[]} values - Simulated corpus values
+     * @returns {Object} Rounded percentiles as { p10, p50, p90 }
+     */
+    calculatePercentiles(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+
+        return {
+            p10: Math.round(this.calculatePercentile(sorted, 10)),
+            p50: Math.round(this.calculatePercentile(sorted, 50)),
+            p90: Math.round(this.calculatePercentile(sorted, 90))
+        };
+    }
+
+    /**
+     * Calculates a percentile by linear interpolation
+     * @param {number[]} sortedValues - Values sorted in ascending order
+     * @param {number} percentile - Percentile between 0 and 100
+     * @returns {number} Interpolated percentile value, or 0 for no values
+     */
+    calculatePercentile(sortedValues, percentile) {
+        if (sortedValues.length === 0) {
+            return 0;
+        }
+
+        const position = (percentile / 100) * (sortedValues.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        const weight = position - lower;
+
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+    }
+}
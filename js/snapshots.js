@@ -0,0 +1,229 @@
+/**
+ * Goal snapshots
+ * Keeps snapshots of the goals as they were after each save, and lists
+ * how the goals changed between two snapshots of the plan
+ */
+
+import { SchemaMigrator } from './migrations.js';
+
+/**
+ * Most snapshots of the goals kept per profile
+ * @type {number}
+ */
+const MAX_SNAPSHOTS = 50;
+
+/**
+ * Most characters one profile's snapshots may take up; the oldest are dropped beyond it
+ * @type {number}
+ */
+const MAX_SNAPSHOTS_SIZE = 512 * 1024;
+
+/**
+ * The goals as they were after a save
+ * @typedef {Object} GoalsSnapshot
+ * @property {number} id - Sequence number; later snapshots of a profile have higher numbers
+ * @property {string} savedAt - When the goals were saved (ISO 8601)
+ * @property {number} schemaVersion - Schema version of the goals
+ * @property {Array<Object>} goals - Goals
+ */
+
+/**
+ * A goal kept in both versions with different values
+ * @typedef {Object} GoalChange
+ * @property {string|number} id - Goal ID
+ * @property {string} name - Goal name in the later version
+ * @property {Array<string>} fields - Names of the fields whose values differ, in the order they appear
+ * @property {Object} before - The goal in the earlier version
+ * @property {Object} after - The goal in the later version
+ */
+
+/**
+ * Differences between two versions of the goals
+ * @typedef {Object} SnapshotDiff
+ * @property {Array<Object>} added - Goals only in the later version
+ * @property {Array<Object>} removed - Goals only in the earlier version
+ * @property {Array<GoalChange>} changed - Goals in both versions whose values differ
+ * @property {number} unchanged - Number of goals identical in both versions
+ */
+
+/**
+ * SnapshotStore class keeps a profile's snapshots under one storage key
+ * 
+ * The adapter and key are passed to each call, since StorageService
+ * changes both when a profile is opened or encryption is turned on.
+ */
+export class SnapshotStore {
+    /**
+     * Creates a new SnapshotStore instance
+     * @param {Object} [migrator] - SchemaMigrator instance that upgrades snapshots saved by older versions
+     */
+    constructor(migrator = new SchemaMigrator()) {
+        this.migrator = migrator;
+    }
+
+    /**
+     * Loads the snapshots saved under a key, newest first
+     * 
+     * Goals saved with an older schema are migrated in memory only.
+     * 
+     * @param {StorageAdapter} adapter - Adapter to read through
+     * @param {string} key - Storage key of the snapshots
+     * @returns {Array<GoalsSnapshot>} Snapshots, or empty array if none found
+     */
+    load(adapter, key) {
+        try {
+            return this.read(adapter, key).reverse().map(snapshot => {
+                const { schemaVersion, goals } = this.migrator.migrate(snapshot);
+                return { ...snapshot, schemaVersion, goals };
+            });
+        } catch (error) {
+            console.error('Error loading snapshots from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Loads one of the snapshots saved under a key
+     * @param {StorageAdapter} adapter - Adapter to read through
+     * @param {string} key - Storage key of the snapshots
+     * @param {number} snapshotId - Snapshot ID
+     * @returns {GoalsSnapshot|null} The snapshot, or null if there is none with that ID
+     */
+    find(adapter, key, snapshotId) {
+        return this.load(adapter, key).find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    /**
+     * Adds a snapshot of saved goals, dropping the oldest beyond the count and size limits
+     * 
+     * A snapshot that cannot be saved is logged but does not fail the save
+     * of the goals themselves.
+     * 
+     * @param {StorageAdapter} adapter - Adapter to write through
+     * @param {string} key - Storage key of the snapshots
+     * @param {Object} envelope - Goals as saved, in their versioned envelope
+     * @returns {boolean} True if a snapshot was added
+     */
+    record(adapter, key, envelope) {
+        try {
+            const snapshots = this.read(adapter, key);
+            const latest = snapshots[snapshots.length - 1];
+
+            if (latest && JSON.stringify(latest.goals) === JSON.stringify(envelope.goals)) {
+                return false;
+            }
+
+            snapshots.push({
+                id: latest ? latest.id + 1 : 1,
+                savedAt: envelope.savedAt,
+                schemaVersion: envelope.schemaVersion,
+                goals: envelope.goals
+            });
+
+            const kept = snapshots.slice(-MAX_SNAPSHOTS);
+            let size = JSON.stringify(kept).length;
+
+            // The latest snapshot is kept even if it alone is over the limit
+            while (kept.length > 1 && size > MAX_SNAPSHOTS_SIZE) {
+                size -= JSON.stringify(kept.shift()).length + 1;
+            }
+
+            adapter.setItem(key, JSON.stringify(kept));
+            return true;
+        } catch (error) {
+            console.error('Error saving goals snapshot to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the snapshots saved under a key, oldest first
+     * @private
+     * @param {StorageAdapter} adapter - Adapter to read through
+     * @param {string} key - Storage key of the snapshots
+     * @returns {Array<GoalsSnapshot>} Snapshots; empty if none are saved or the data is invalid
+     */
+    read(adapter, key) {
+        const snapshotsJSON = adapter.getItem(key);
+
+        if (!snapshotsJSON) {
+            return [];
+        }
+
+        const snapshots = JSON.parse(snapshotsJSON);
+        const isValid = Array.isArray(snapshots) && snapshots.every(snapshot =>
+            snapshot && Number.isInteger(snapshot.id) && typeof snapshot.savedAt === 'string' &&
+            Number.isInteger(snapshot.schemaVersion) && Array.isArray(snapshot.goals));
+
+        if (!isValid) {
+            console.warn('Invalid snapshots data in storage, ignoring it');
+            return [];
+        }
+
+        return snapshots;
+    }
+}
+
+/**
+ * SnapshotComparer class compares two versions of the goals, matching goals by ID
+ */
+export class SnapshotComparer {
+    /**
+     * Compares an earlier version of the goals with a later one
+     * @param {Array<Object>} beforeGoals - Earlier goals, such as a snapshot
+     * @param {Array<Object>} afterGoals - Later goals, such as the current plan
+     * @returns {SnapshotDiff} Goals added, removed and changed in the later version
+     */
+    compare(beforeGoals, afterGoals) {
+        const beforeById = this.indexById(beforeGoals);
+        const afterById = this.indexById(afterGoals);
+        const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        afterById.forEach((after, id) => {
+            const before = beforeById.get(id);
+
+            if (!before) {
+                diff.added.push(after);
+                return;
+            }
+
+            const fields = this.getChangedFields(before, after);
+
+            if (fields.length === 0) {
+                diff.unchanged++;
+            } else {
+                diff.changed.push({ id, name: after.name, fields, before, after });
+            }
+        });
+
+        beforeById.forEach((before, id) => {
+            if (!afterById.has(id)) {
+                diff.removed.push(before);
+            }
+        });
+
+        return diff;
+    }
+
+    /**
+     * Lists the fields whose values differ between two versions of a goal
+     * @private
+     * @param {Object} before - Earlier version
+     * @param {Object} after - Later version
+     * @returns {Array<string>} Field names; a field missing from one version counts as changed
+     */
+    getChangedFields(before, after) {
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return fields.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    }
+
+    /**
+     * Indexes goals by ID
+     * @private
+     * @param {Array<Object>} goals - Goals to index
+     * @returns {Map<string|number, Object>} Goals by ID, in order
+     */
+    indexById(goals) {
+        return new Map((goals || []).map(goal => [goal.id, goal]));
+    }
+}
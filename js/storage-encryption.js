@@ -0,0 +1,209 @@
+/**
+ * Encryption of saved data
+ * Turns passphrase encryption of saved data on and off, and unlocks it
+ */
+
+import { EncryptionService } from './encryption.js';
+import { EncryptedStorageAdapter } from './encrypted-storage-adapter.js';
+
+/**
+ * Text encrypted with the key and saved with its parameters, to tell whether a passphrase is right
+ * @type {string}
+ */
+const PASSPHRASE_CHECK = 'multigoal-sip';
+
+/**
+ * StorageEncryption class keeps the key parameters of encrypted data and
+ * opens the adapters it is read and written through
+ *
+ * StorageService passes the adapter it uses and the keys whose values are
+ * encrypted, since it knows which profiles exist; each change returns the
+ * adapter to use from then on.
+ */
+export class StorageEncryption {
+    /**
+     * Creates a new StorageEncryption instance
+     * @param {StorageAdapter} adapter - Storage adapter encrypted values and the key parameters are saved through
+     * @param {Object} [encryption] - EncryptionService instance
+     * @param {string} [paramsKey] - Key the key parameters and passphrase check are saved under
+     */
+    constructor(adapter, encryption = new EncryptionService(), paramsKey = 'multigoal-sip-encryption') {
+        this.adapter = adapter;
+        this.encryption = encryption;
+        this.paramsKey = paramsKey;
+    }
+
+    /**
+     * Checks whether saved data is encrypted with a passphrase
+     * @returns {boolean} True if encryption is turned on
+     */
+    isEncrypted() {
+        return this.adapter.getItem(this.paramsKey) !== null;
+    }
+
+    /**
+     * Unlocks encrypted data with its passphrase
+     * @param {string} passphrase - Passphrase entered by the user
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<EncryptedStorageAdapter>} Opened adapter that reads and writes the data
+     * @throws {Error} If the passphrase is wrong (rejects the promise)
+     */
+    async unlock(passphrase, encryptedKeys) {
+        const key = await this.verifyPassphrase(passphrase);
+        return this.openAdapter(key, encryptedKeys);
+    }
+
+    /**
+     * Encrypts saved data with a new passphrase
+     * @param {string} passphrase - Passphrase chosen by the user
+     * @param {StorageAdapter} adapter - Adapter the data is currently read through
+     * @param {Array<string>} encryptedKeys - Keys whose values are to be encrypted
+     * @returns {Promise<EncryptedStorageAdapter>} Opened adapter that reads and writes the data
+     * @throws {Error} If data is already encrypted or the passphrase is too short (rejects the promise)
+     */
+    async enable(passphrase, adapter, encryptedKeys) {
+        if (this.isEncrypted()) {
+            throw new Error('Saved data is already encrypted');
+        }
+
+        return this.encryptAll(await this.encryption.createKey(passphrase), adapter, encryptedKeys);
+    }
+
+    /**
+     * Encrypts saved data again with a new passphrase
+     * @param {string} currentPassphrase - Passphrase the data is encrypted with
+     * @param {string} newPassphrase - Passphrase to use from now on
+     * @param {StorageAdapter} adapter - Adapter the data is currently read through
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<EncryptedStorageAdapter>} Opened adapter that reads and writes the data
+     * @throws {Error} If data is not unlocked, the current passphrase is wrong or the new one is too short (rejects the promise)
+     */
+    async changePassphrase(currentPassphrase, newPassphrase, adapter, encryptedKeys) {
+        this.checkUnlocked(adapter);
+        await this.verifyPassphrase(currentPassphrase);
+        return this.encryptAll(await this.encryption.createKey(newPassphrase), adapter, encryptedKeys);
+    }
+
+    /**
+     * Saves encrypted data unencrypted again
+     * @param {string} passphrase - Passphrase the data is encrypted with
+     * @param {StorageAdapter} adapter - Adapter the data is currently read through
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<StorageAdapter>} Adapter that reads and writes the data from now on
+     * @throws {Error} If data is not unlocked or the passphrase is wrong (rejects the promise)
+     */
+    async disable(passphrase, adapter, encryptedKeys) {
+        this.checkUnlocked(adapter);
+        await this.verifyPassphrase(passphrase);
+        await adapter.flush();
+
+        // Unencrypted values are readable while the parameters remain, so they are written first
+        this.readValues(adapter, encryptedKeys).forEach(([key, value]) => this.adapter.setItem(key, value));
+        this.adapter.removeItem(this.paramsKey);
+
+        await this.adapter.flush();
+        return this.adapter;
+    }
+
+    /**
+     * Erases encrypted data whose passphrase is lost
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<StorageAdapter>} Adapter that reads and writes the data from now on
+     */
+    async erase(encryptedKeys) {
+        [...encryptedKeys, this.paramsKey].forEach(key => this.adapter.removeItem(key));
+        await this.adapter.flush();
+        return this.adapter;
+    }
+
+    /**
+     * Throws unless encrypted data has been unlocked
+     * @private
+     * @param {StorageAdapter} adapter - Adapter the data is currently read through
+     * @throws {Error} If data is not encrypted or still locked
+     */
+    checkUnlocked(adapter) {
+        if (!this.isEncrypted() || adapter === this.adapter) {
+            throw new Error('Saved data is not unlocked');
+        }
+    }
+
+    /**
+     * Derives the key for a passphrase and checks it against the saved check value
+     * @private
+     * @param {string} passphrase - Passphrase to check
+     * @returns {Promise<CryptoKey>} Key for the saved data
+     * @throws {Error} If data is not encrypted or the passphrase is wrong (rejects the promise)
+     */
+    async verifyPassphrase(passphrase) {
+        const paramsJSON = this.adapter.getItem(this.paramsKey);
+
+        if (paramsJSON === null) {
+            throw new Error('Saved data is not encrypted');
+        }
+
+        const params = JSON.parse(paramsJSON);
+        const key = await this.encryption.deriveKey(passphrase, params);
+
+        try {
+            await this.encryption.decrypt(key, params.check);
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+
+        return key;
+    }
+
+    /**
+     * Saves every encrypted key, and the key parameters, encrypted with a new key
+     *
+     * Everything is encrypted first and then written together, so the
+     * saved values and parameters always belong to the same key.
+     *
+     * @private
+     * @param {{key: CryptoKey, params: Object}} newKey - Result of EncryptionService.createKey
+     * @param {StorageAdapter} adapter - Adapter the data is currently read through
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<EncryptedStorageAdapter>} Opened adapter that reads and writes the data
+     */
+    async encryptAll({ key, params }, adapter, encryptedKeys) {
+        await adapter.flush();
+
+        const encrypted = await Promise.all(this.readValues(adapter, encryptedKeys).map(async ([storageKey, value]) => {
+            return [storageKey, JSON.stringify(await this.encryption.encrypt(key, value))];
+        }));
+        const check = await this.encryption.encrypt(key, PASSPHRASE_CHECK);
+
+        this.adapter.setItem(this.paramsKey, JSON.stringify({ ...params, check }));
+        encrypted.forEach(([storageKey, value]) => this.adapter.setItem(storageKey, value));
+        await this.adapter.flush();
+
+        return this.openAdapter(key, encryptedKeys);
+    }
+
+    /**
+     * Opens an adapter that encrypts the given keys with a key
+     * @private
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Promise<EncryptedStorageAdapter>} Opened adapter
+     */
+    async openAdapter(key, encryptedKeys) {
+        const adapter = new EncryptedStorageAdapter(this.adapter, this.encryption, key, encryptedKeys);
+        await adapter.open();
+        return adapter;
+    }
+
+    /**
+     * Reads the current value of every encrypted key
+     * @private
+     * @param {StorageAdapter} adapter - Adapter to read through
+     * @param {Array<string>} encryptedKeys - Keys whose values are encrypted
+     * @returns {Array<Array>} [key, value] pairs for the keys that have a value
+     */
+    readValues(adapter, encryptedKeys) {
+        return encryptedKeys
+            .map(key => [key, adapter.getItem(key)])
+            .filter(([, value]) => value !== null);
+    }
+}
@@ -1,100 +1,739 @@
 /**
- * Local storage persistence service
- * Handles data persistence using browser's localStorage API
+ * Persistence service
+ * Saves each profile's goals, snapshots of them, settings, history and theme
+ * through a pluggable storage adapter, and tells other open tabs about changes
  */
 
+import { SchemaMigrator } from './migrations.js';
+import { LocalStorageAdapter } from './local-storage-adapter.js';
+import { EncryptionService } from './encryption.js';
+import { StorageEncryption } from './storage-encryption.js';
+import { SnapshotStore } from './snapshots.js';
+import { TabSync } from './tab-sync.js';
+
 /**
- * StorageService class handles localStorage operations
+ * Version of the app written into saved goals data
+ * @type {string}
+ */
+const APP_VERSION = '1.0.0';
+
+/**
+ * Profile whose data is saved under the unsuffixed keys used before profiles existed
+ * @type {string}
+ */
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Most CSV column mappings remembered; the least recently used are dropped beyond it
+ * @type {number}
+ */
+const MAX_CSV_MAPPINGS = 20;
+
+/**
+ * Storage adapter interface implemented by LocalStorageAdapter,
+ * IndexedDBAdapter and MemoryStorageAdapter
+ * @typedef {Object} StorageAdapter
+ * @property {Function} open - () => Promise<void>; prepares the adapter before first use
+ * @property {Function} getItem - (key) => string|null; reads a value
+ * @property {Function} setItem - (key, value) => void; writes a value, throwing if it cannot be stored
+ * @property {Function} removeItem - (key) => void; removes a value
+ * @property {Function} flush - () => Promise<void>; resolves once all writes made so far are saved
+ * @property {Function} isAvailable - () => boolean; whether written data is kept across page loads
+ */
+
+/**
+ * StorageService class handles persistence through a storage adapter
  */
 export class StorageService {
     /**
      * Creates a new StorageService instance
-     * @param {string} storageKey - Key used to store data in localStorage
+     * @param {StorageAdapter} [adapter] - Storage adapter to read and write through; defaults to storage
+     * @param {string} [storageKey] - Key used to store goals
+     * @param {Object} [migrator] - SchemaMigrator instance that upgrades goals saved by older versions
+     * @param {Object} [encryption] - EncryptionService instance used when saved data is encrypted
+     * @param {Object} [snapshotStore] - SnapshotStore instance that keeps the snapshots of each profile's goals
+     * @param {Object} [storageEncryption] - StorageEncryption instance that turns encryption of saved data on and off
+     * @param {Object} [tabSync] - TabSync instance that shares saved changes with other tabs
      */
-    constructor(storageKey = 'multigoal-sip-goals') {
-        this.storageKey = storageKey;
+    constructor(adapter = new LocalStorageAdapter(), storageKey = 'multigoal-sip-goals', migrator = new SchemaMigrator(), encryption = new EncryptionService(), snapshotStore = new SnapshotStore(migrator), storageEncryption = new StorageEncryption(adapter, encryption), tabSync = new TabSync()) {
+        this.baseAdapter = adapter;
+        this.adapter = adapter;
+        this.baseStorageKey = storageKey;
+        this.profilesKey = 'multigoal-sip-profiles';
+        this.csvMappingsKey = 'multigoal-sip-csv-mappings';
+        this.profileId = DEFAULT_PROFILE_ID;
+        this.applyProfileKeys(DEFAULT_PROFILE_ID);
+        this.migrator = migrator;
+        this.snapshotStore = snapshotStore;
+        this.storageEncryption = storageEncryption;
+        this.tabSync = tabSync;
+        this.tabSync.useProfile(DEFAULT_PROFILE_ID);
     }
 
     /**
-     * Saves goals to localStorage
+     * Saves goals to storage
+     * 
+     * Goals are wrapped in an envelope with the schema version, the time
+     * they were saved and the app version, so later versions can migrate them.
+     * A snapshot of them is kept unless they are the same as in the latest
+     * one. When syncing, other tabs are sent the goals before and after the
+     * save.
+     * 
      * @param {Array<Object>} goals - Array of goal objects to save
      * @returns {boolean} True if save was successful, false otherwise
      */
     saveGoals(goals) {
         try {
-            const goalsJSON = JSON.stringify(goals);
-            localStorage.setItem(this.storageKey, goalsJSON);
+            const envelope = this.createEnvelope(goals);
+            const goalsJSON = JSON.stringify(envelope);
+            this.adapter.setItem(this.storageKey, goalsJSON);
+            this.snapshotStore.record(this.adapter, this.snapshotsKey, envelope);
+            this.tabSync.goalsSaved(goals);
             return true;
         } catch (error) {
-            console.error('Error saving goals to localStorage:', error);
+            console.error('Error saving goals to storage:', error);
             return false;
         }
     }
 
     /**
-     * Loads goals from localStorage
+     * Loads goals from storage
+     * 
+     * Data saved with an older schema (including the bare goals array of
+     * earlier versions) is backed up, migrated and saved again in the
+     * current schema. Goals another tab saved since are returned instead
+     * of the adapter's copy, which may have been read before that save.
+     * 
      * @returns {Array<Object>} Array of goal objects, or empty array if none found
      */
     loadGoals() {
+        const otherTabGoals = this.tabSync.getOtherTabGoals(this.profileId);
+
+        if (otherTabGoals) {
+            this.tabSync.rememberGoals(otherTabGoals);
+            return otherTabGoals;
+        }
+
         try {
-            const goalsJSON = localStorage.getItem(this.storageKey);
+            const goalsJSON = this.adapter.getItem(this.storageKey);
             
             if (!goalsJSON) {
+                this.tabSync.rememberGoals([]);
                 return [];
             }
 
-            const goals = JSON.parse(goalsJSON);
-            
-            // Validate that the loaded data is an array
-            if (!Array.isArray(goals)) {
-                console.warn('Invalid goals data in localStorage, returning empty array');
+            const payload = JSON.parse(goalsJSON);
+            let version;
+
+            try {
+                version = this.migrator.getVersion(payload);
+            } catch (error) {
+                console.warn('Invalid goals data in storage, returning empty array');
                 return [];
             }
 
-            return goals;
+            if (version > this.migrator.getCurrentVersion()) {
+                console.warn(`Goals were saved by a newer version of the app (schema ${version}); loading them without migrating`);
+                this.tabSync.rememberGoals(payload.goals);
+                return payload.goals;
+            }
+
+            if (version < this.migrator.getCurrentVersion()) {
+                // Keep the original payload in case a migration loses data
+                this.adapter.setItem(this.backupKey, goalsJSON);
+                const { goals } = this.migrator.migrate(payload);
+                this.saveGoals(goals);
+                return goals;
+            }
+
+            this.tabSync.rememberGoals(payload.goals);
+            return payload.goals;
         } catch (error) {
-            console.error('Error loading goals from localStorage:', error);
+            console.error('Error loading goals from storage:', error);
             return [];
         }
     }
 
     /**
-     * Clears all goals from localStorage
+     * Loads the goals data saved before the most recent migration
+     * @returns {*} Parsed pre-migration data, or null if there is no backup
+     */
+    loadBackup() {
+        try {
+            const backupJSON = this.adapter.getItem(this.backupKey);
+            return backupJSON ? JSON.parse(backupJSON) : null;
+        } catch (error) {
+            console.error('Error loading goals backup from storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Loads the snapshots of the open profile's goals, newest first
+     * 
+     * Goals saved with an older schema are migrated in memory only.
+     * 
+     * @returns {Array<GoalsSnapshot>} Snapshots, or empty array if none found
+     */
+    loadSnapshots() {
+        return this.snapshotStore.load(this.adapter, this.snapshotsKey);
+    }
+
+    /**
+     * Loads one snapshot of the open profile's goals
+     * @param {number} snapshotId - Snapshot ID
+     * @returns {GoalsSnapshot|null} The snapshot, or null if there is none with that ID
+     */
+    getSnapshot(snapshotId) {
+        return this.snapshotStore.find(this.adapter, this.snapshotsKey, snapshotId);
+    }
+
+    /**
+     * Wraps goals in a versioned envelope
+     * @private
+     * @param {Array<Object>} goals - Array of goal objects
+     * @returns {Object} Envelope as { schemaVersion, savedAt, appVersion, goals }
+     */
+    createEnvelope(goals) {
+        return {
+            schemaVersion: this.migrator.getCurrentVersion(),
+            savedAt: new Date().toISOString(),
+            appVersion: APP_VERSION,
+            goals
+        };
+    }
+
+    /**
+     * Clears all goals from storage
      * @returns {boolean} True if clear was successful, false otherwise
      */
     clearGoals() {
         try {
-            localStorage.removeItem(this.storageKey);
+            this.adapter.removeItem(this.storageKey);
             return true;
         } catch (error) {
-            console.error('Error clearing goals from localStorage:', error);
+            console.error('Error clearing goals from storage:', error);
             return false;
         }
     }
 
     /**
-     * Checks if localStorage is available and working
-     * @returns {boolean} True if localStorage is available, false otherwise
+     * Saves app settings (such as the monthly budget) to storage
+     * @param {Object} settings - Settings object to save
+     * @returns {boolean} True if save was successful, false otherwise
      */
-    isAvailable() {
+    saveSettings(settings) {
         try {
-            const testKey = '__localStorage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
+            this.adapter.setItem(this.settingsKey, JSON.stringify(settings));
             return true;
         } catch (error) {
-            console.warn('localStorage is not available:', error);
+            console.error('Error saving settings to storage:', error);
             return false;
         }
     }
 
+    /**
+     * Loads app settings from storage
+     * @returns {Object} Settings object, or empty object if none found
+     */
+    loadSettings() {
+        try {
+            const settingsJSON = this.adapter.getItem(this.settingsKey);
+
+            if (!settingsJSON) {
+                return {};
+            }
+
+            const settings = JSON.parse(settingsJSON);
+
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                console.warn('Invalid settings data in storage, returning empty object');
+                return {};
+            }
+
+            return settings;
+        } catch (error) {
+            console.error('Error loading settings from storage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Saves the undo/redo history to storage
+     * @param {Object} history - History as { undo: [...], redo: [...] }
+     * @returns {boolean} True if save was successful, false otherwise
+     */
+    saveHistory(history) {
+        try {
+            this.adapter.setItem(this.historyKey, JSON.stringify(history));
+            return true;
+        } catch (error) {
+            console.error('Error saving history to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the undo/redo history from storage
+     * @returns {Object} History as { undo: [...], redo: [...] }, with empty stacks if none found
+     */
+    loadHistory() {
+        const emptyHistory = { undo: [], redo: [] };
+
+        try {
+            const historyJSON = this.adapter.getItem(this.historyKey);
+
+            if (!historyJSON) {
+                return emptyHistory;
+            }
+
+            const history = JSON.parse(historyJSON);
+
+            if (!history || !Array.isArray(history.undo) || !Array.isArray(history.redo)) {
+                console.warn('Invalid history data in storage, returning empty history');
+                return emptyHistory;
+            }
+
+            return { undo: history.undo, redo: history.redo };
+        } catch (error) {
+            console.error('Error loading history from storage:', error);
+            return emptyHistory;
+        }
+    }
+
+    /**
+     * Saves the theme preference
+     * @param {string} theme - Theme name ('light' or 'dark')
+     * @returns {boolean} True if save was successful, false otherwise
+     */
+    saveTheme(theme) {
+        try {
+            this.adapter.setItem(this.themeKey, theme);
+            this.tabSync.post({ type: 'theme', theme });
+            return true;
+        } catch (error) {
+            console.error('Error saving theme to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the theme preference
+     * @returns {string|null} Saved theme name, or null if none found
+     */
+    loadTheme() {
+        try {
+            return this.adapter.getItem(this.themeKey);
+        } catch (error) {
+            console.error('Error loading theme from storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Saves the profile list
+     * @param {Object} profiles - Profiles as { activeProfileId, profiles: [{ id, name }] }
+     * @returns {boolean} True if save was successful, false otherwise
+     */
+    saveProfiles(profiles) {
+        try {
+            this.adapter.setItem(this.profilesKey, JSON.stringify(profiles));
+            this.tabSync.post({ type: 'profiles' });
+            return true;
+        } catch (error) {
+            console.error('Error saving profiles to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the profile list
+     * @returns {Object} Profiles as { activeProfileId, profiles: [{ id, name }] }; with no saved list, the default profile is active and the list is empty
+     */
+    loadProfiles() {
+        return this.readProfiles(this.adapter);
+    }
+
+    /**
+     * Remembers the column mapping chosen for CSV files with a header row
+     * 
+     * Mappings are shared by every profile.
+     * 
+     * @param {string} signature - Key of the header row (see CSVColumnMapper.getSignature)
+     * @param {Array<string|null>} columns - Goal field held by each column, null for skipped columns
+     * @returns {boolean} True if save was successful, false otherwise
+     */
+    saveCSVMapping(signature, columns) {
+        try {
+            const mappings = this.readCSVMappings().filter(mapping => mapping.signature !== signature);
+            mappings.push({ signature, columns });
+            this.adapter.setItem(this.csvMappingsKey, JSON.stringify(mappings.slice(-MAX_CSV_MAPPINGS)));
+            return true;
+        } catch (error) {
+            console.error('Error saving CSV column mapping to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the column mapping remembered for CSV files with a header row
+     * @param {string} signature - Key of the header row (see CSVColumnMapper.getSignature)
+     * @returns {Array<string|null>|null} Goal field held by each column, or null if none was remembered
+     */
+    loadCSVMapping(signature) {
+        try {
+            const mapping = this.readCSVMappings().find(saved => saved.signature === signature);
+            return mapping ? mapping.columns : null;
+        } catch (error) {
+            console.error('Error loading CSV column mapping from storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the profile whose data is read and saved
+     * @returns {string} Profile ID
+     */
+    getProfileId() {
+        return this.profileId;
+    }
+
+    /**
+     * Reads and saves goals, settings, history and the theme of another profile from now on
+     * 
+     * When saved data is encrypted, the keys of profiles created since it
+     * was unlocked are decrypted first.
+     * 
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>} Resolves once the profile's data can be read
+     */
+    async useProfile(profileId) {
+        if (this.adapter !== this.baseAdapter) {
+            await this.adapter.addKeys(this.getEncryptedKeys([...this.getProfileIds(), profileId]));
+        }
+
+        if (profileId !== this.profileId) {
+            this.profileId = profileId;
+            this.applyProfileKeys(profileId);
+            this.tabSync.useProfile(profileId);
+        }
+    }
+
+    /**
+     * Loads the goals of any profile without opening it
+     * 
+     * Goals saved with an older schema are migrated in memory only; they
+     * are saved in the current schema when the profile is opened.
+     * 
+     * @param {string} profileId - Profile ID
+     * @returns {Array<Object>} Array of goal objects, or empty array if none found
+     */
+    loadProfileGoals(profileId) {
+        const otherTabGoals = this.tabSync.getOtherTabGoals(profileId);
+
+        if (otherTabGoals) {
+            return otherTabGoals;
+        }
+
+        try {
+            const goalsJSON = this.adapter.getItem(this.getProfileKeys(profileId).storageKey);
+            return goalsJSON ? this.migrator.migrate(JSON.parse(goalsJSON)).goals : [];
+        } catch (error) {
+            console.error('Error loading profile goals from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Removes the goals, backup, snapshots, settings, history and theme of a profile
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} True if removal was successful, false otherwise
+     */
+    removeProfileData(profileId) {
+        try {
+            Object.values(this.getProfileKeys(profileId)).forEach(key => this.adapter.removeItem(key));
+            this.tabSync.forgetProfile(profileId);
+            return true;
+        } catch (error) {
+            console.error('Error removing profile data from storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Points the goals, backup, snapshots, settings, history and theme keys at a profile
+     * @private
+     * @param {string} profileId - Profile ID
+     */
+    applyProfileKeys(profileId) {
+        const keys = this.getProfileKeys(profileId);
+        this.storageKey = keys.storageKey;
+        this.backupKey = keys.backupKey;
+        this.snapshotsKey = keys.snapshotsKey;
+        this.settingsKey = keys.settingsKey;
+        this.historyKey = keys.historyKey;
+        this.themeKey = keys.themeKey;
+    }
+
+    /**
+     * Gets the storage keys of a profile
+     * 
+     * The default profile uses the keys data was saved under before
+     * profiles existed; other profiles add their ID to them.
+     * 
+     * @private
+     * @param {string} profileId - Profile ID
+     * @returns {Object} Keys as { storageKey, backupKey, snapshotsKey, settingsKey, historyKey, themeKey }
+     */
+    getProfileKeys(profileId) {
+        const suffix = profileId === DEFAULT_PROFILE_ID ? '' : `:${profileId}`;
+
+        return {
+            storageKey: `${this.baseStorageKey}${suffix}`,
+            backupKey: `${this.baseStorageKey}-backup${suffix}`,
+            snapshotsKey: `multigoal-sip-snapshots${suffix}`,
+            settingsKey: `multigoal-sip-settings${suffix}`,
+            historyKey: `multigoal-sip-history${suffix}`,
+            themeKey: `multigoal-sip-theme${suffix}`
+        };
+    }
+
+    /**
+     * Gets the IDs of every saved profile
+     * @private
+     * @param {StorageAdapter} [adapter] - Adapter to read the profile list from
+     * @returns {Array<string>} Profile IDs; just the default profile if no list is saved
+     */
+    getProfileIds(adapter = this.adapter) {
+        const { profiles } = this.readProfiles(adapter);
+        return profiles.length > 0 ? profiles.map(profile => profile.id) : [DEFAULT_PROFILE_ID];
+    }
+
+    /**
+     * Reads the profile list through an adapter
+     * @private
+     * @param {StorageAdapter} adapter - Adapter to read from
+     * @returns {Object} Profiles as { activeProfileId, profiles }
+     */
+    readProfiles(adapter) {
+        const noProfiles = { activeProfileId: DEFAULT_PROFILE_ID, profiles: [] };
+
+        try {
+            const profilesJSON = adapter.getItem(this.profilesKey);
+
+            if (!profilesJSON) {
+                return noProfiles;
+            }
+
+            const saved = JSON.parse(profilesJSON);
+            const isValid = saved && Array.isArray(saved.profiles) && saved.profiles.every(profile =>
+                profile && typeof profile.id === 'string' && typeof profile.name === 'string');
+
+            if (!isValid) {
+                console.warn('Invalid profiles data in storage, using the default profile');
+                return noProfiles;
+            }
+
+            const activeProfileId = saved.profiles.some(profile => profile.id === saved.activeProfileId)
+                ? saved.activeProfileId
+                : (saved.profiles.length > 0 ? saved.profiles[0].id : DEFAULT_PROFILE_ID);
+
+            return { activeProfileId, profiles: saved.profiles };
+        } catch (error) {
+            console.error('Error loading profiles from storage:', error);
+            return noProfiles;
+        }
+    }
+
+    /**
+     * Reads the remembered CSV column mappings
+     * @private
+     * @returns {Array<Object>} Mappings as { signature, columns }, least recently used first
+     */
+    readCSVMappings() {
+        const mappingsJSON = this.adapter.getItem(this.csvMappingsKey);
+
+        if (!mappingsJSON) {
+            return [];
+        }
+
+        const mappings = JSON.parse(mappingsJSON);
+        const isValid = Array.isArray(mappings) && mappings.every(mapping =>
+            mapping && typeof mapping.signature === 'string' && Array.isArray(mapping.columns));
+
+        if (!isValid) {
+            console.warn('Invalid CSV column mappings in storage, ignoring them');
+            return [];
+        }
+
+        return mappings;
+    }
+
+    /**
+     * Moves data saved through another adapter into this service's adapter
+     * 
+     * Used to carry data saved in localStorage over to IndexedDB. Keys that
+     * already have a value here are left alone, and moved keys are removed
+     * from the source only once they are safely written.
+     * 
+     * @param {StorageAdapter} sourceAdapter - Adapter the data was saved through
+     * @returns {Promise<number>} Number of keys moved
+     */
+    async importFrom(sourceAdapter) {
+        const profileIds = this.getProfileIds(sourceAdapter);
+        const themeKeys = profileIds.map(profileId => this.getProfileKeys(profileId).themeKey);
+        const keys = [...this.getEncryptedKeys(profileIds), ...themeKeys, this.profilesKey, this.csvMappingsKey, this.storageEncryption.paramsKey]
+            .filter(key => sourceAdapter.getItem(key) !== null && this.adapter.getItem(key) === null);
+
+        keys.forEach(key => this.adapter.setItem(key, sourceAdapter.getItem(key)));
+        await this.adapter.flush();
+        keys.forEach(key => sourceAdapter.removeItem(key));
+
+        return keys.length;
+    }
+
+    /**
+     * Checks whether saved data is encrypted with a passphrase
+     * @returns {boolean} True if encryption is turned on
+     */
+    isEncrypted() {
+        return this.storageEncryption.isEncrypted();
+    }
+
+    /**
+     * Checks whether saved data is encrypted and has not been unlocked yet
+     * 
+     * Goals, settings and history must not be read or saved while locked.
+     * 
+     * @returns {boolean} True if unlock() is needed first
+     */
+    isLocked() {
+        return this.isEncrypted() && this.adapter === this.baseAdapter;
+    }
+
+    /**
+     * Unlocks encrypted data with its passphrase
+     * @param {string} passphrase - Passphrase entered by the user
+     * @returns {Promise<void>} Resolves once the data can be read
+     * @throws {Error} If the passphrase is wrong (rejects the promise)
+     */
+    async unlock(passphrase) {
+        this.adapter = await this.storageEncryption.unlock(passphrase, this.getEncryptedKeys());
+    }
+
+    /**
+     * Encrypts goals, settings and history with a new passphrase
+     * 
+     * Themes and the profile list stay readable so the unlock screen can
+     * use the theme and the data of every profile can be found.
+     * 
+     * @param {string} passphrase - Passphrase chosen by the user
+     * @returns {Promise<void>} Resolves once the encrypted data is saved
+     * @throws {Error} If data is already encrypted or the passphrase is too short (rejects the promise)
+     */
+    async enableEncryption(passphrase) {
+        this.adapter = await this.storageEncryption.enable(passphrase, this.adapter, this.getEncryptedKeys());
+        this.tabSync.post({ type: 'encryption' });
+    }
+
+    /**
+     * Encrypts saved data again with a new passphrase
+     * @param {string} currentPassphrase - Passphrase the data is encrypted with
+     * @param {string} newPassphrase - Passphrase to use from now on
+     * @returns {Promise<void>} Resolves once the data is saved with the new passphrase
+     * @throws {Error} If data is not unlocked, the current passphrase is wrong or the new one is too short (rejects the promise)
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        this.adapter = await this.storageEncryption.changePassphrase(currentPassphrase, newPassphrase, this.adapter, this.getEncryptedKeys());
+        this.tabSync.post({ type: 'encryption' });
+    }
+
+    /**
+     * Saves goals, settings and history unencrypted again
+     * @param {string} passphrase - Passphrase the data is encrypted with
+     * @returns {Promise<void>} Resolves once the data is saved unencrypted
+     * @throws {Error} If data is not unlocked or the passphrase is wrong (rejects the promise)
+     */
+    async disableEncryption(passphrase) {
+        this.adapter = await this.storageEncryption.disable(passphrase, this.adapter, this.getEncryptedKeys());
+        this.tabSync.post({ type: 'encryption' });
+    }
+
+    /**
+     * Erases encrypted data whose passphrase is lost, keeping the theme
+     * @returns {Promise<void>} Resolves once the data is erased
+     */
+    async eraseEncryptedData() {
+        this.adapter = await this.storageEncryption.erase(this.getEncryptedKeys());
+    }
+
+    /**
+     * Gets the keys whose values are encrypted: every profile's goals, backup, snapshots, settings and history
+     * @private
+     * @param {Array<string>} [profileIds] - Profiles to include; defaults to every saved profile
+     * @returns {Array<string>} Storage keys
+     */
+    getEncryptedKeys(profileIds = this.getProfileIds()) {
+        return profileIds.flatMap(profileId => {
+            const keys = this.getProfileKeys(profileId);
+            return [keys.storageKey, keys.backupKey, keys.snapshotsKey, keys.settingsKey, keys.historyKey];
+        });
+    }
+
+    /**
+     * Starts sharing goal and theme changes with other tabs
+     * 
+     * Every save is posted on the channel, and changes posted by other
+     * tabs are passed to the listener (see TabSync.start). The goals
+     * another tab saved for this profile are added to the snapshots here
+     * too, in case this tab's adapter read them before the other tab's save.
+     * 
+     * @param {BroadcastChannel} channel - Channel shared by every tab
+     * @param {Function} listener - Called with each change made in another tab
+     */
+    startSync(channel, listener) {
+        this.tabSync.start(channel, (message) => {
+            if (message.type === 'goals' && message.profileId === this.profileId) {
+                this.snapshotStore.record(this.adapter, this.snapshotsKey, {
+                    ...this.createEnvelope(message.goals),
+                    savedAt: new Date(message.revision.time).toISOString()
+                });
+            }
+
+            listener(message);
+        });
+    }
+
+    /**
+     * Stops sharing changes with other tabs and closes the channel
+     */
+    stopSync() {
+        this.tabSync.stop();
+    }
+
+    /**
+     * Gets the latest save of goals made by this tab
+     * @returns {Object|null} Revision as { time, tabId }, or null if this tab has not saved goals
+     */
+    getLastRevision() {
+        return this.tabSync.getLastRevision();
+    }
+
+    /**
+     * Checks if the storage adapter keeps data across page loads
+     * @returns {boolean} True if storage is available, false otherwise
+     */
+    isAvailable() {
+        return this.adapter.isAvailable();
+    }
+
     /**
      * Gets the total size of stored goals data in bytes
      * @returns {number} Size in bytes, or 0 if no data
      */
     getStorageSize() {
         try {
-            const goalsJSON = localStorage.getItem(this.storageKey);
+            const goalsJSON = this.adapter.getItem(this.storageKey);
             return goalsJSON ? new Blob([goalsJSON]).size : 0;
         } catch (error) {
             console.error('Error calculating storage size:', error);
@@ -0,0 +1,125 @@
+/**
+ * Cross-tab synchronization
+ * Merges goal changes made in another tab into this tab's goals
+ */
+
+/**
+ * Identifies a save by the time it was made and the tab that made it
+ * @typedef {Object} SyncRevision
+ * @property {number} time - Milliseconds since the epoch when the goals were saved
+ * @property {string} tabId - ID of the tab that saved them
+ */
+
+/**
+ * A goal that was changed both here and in another tab
+ * @typedef {Object} SyncConflict
+ * @property {string|number} id - Goal ID
+ * @property {string} name - Goal name (from the version that was kept, or the other if it was removed)
+ * @property {boolean} keptRemote - True if the other tab's version was kept
+ */
+
+/**
+ * SyncMerger class merges goals saved in another tab with this tab's goals
+ *
+ * Each change another tab broadcasts carries its goals before and after
+ * the save. Only goals that differ between the two were changed there;
+ * every other goal keeps this tab's version. A changed goal that this
+ * tab still has as it was before is simply replaced (or removed, or
+ * added). If this tab has changed it too, both tabs resolve the conflict
+ * the same way: the later save wins.
+ */
+export class SyncMerger {
+    /**
+     * Merges another tab's change into this tab's goals
+     * @param {Array<Object>} localGoals - This tab's goals
+     * @param {Object} change - The other tab's change
+     * @param {Array<Object>} change.previousGoals - Its goals before the save
+     * @param {Array<Object>} change.goals - Its goals after the save
+     * @param {SyncRevision} change.revision - The save
+     * @param {SyncRevision|null} localRevision - This tab's latest save, or null if it has not saved
+     * @returns {{goals: Array<Object>, conflicts: Array<SyncConflict>}} Merged goals and the conflicts resolved
+     */
+    merge(localGoals, change, localRevision) {
+        const previousById = this.indexById(change.previousGoals);
+        const remoteById = this.indexById(change.goals);
+        const localById = this.indexById(localGoals);
+        const remoteWins = this.isNewer(change.revision, localRevision);
+        const conflicts = [];
+        const merged = new Map(localById);
+
+        const changedIds = new Set([...previousById.keys(), ...remoteById.keys()]);
+        changedIds.forEach(id => {
+            const previous = previousById.get(id);
+            const remote = remoteById.get(id);
+            const local = localById.get(id);
+
+            if (this.isSame(previous, remote) || this.isSame(local, remote)) {
+                return;
+            }
+
+            if (!this.isSame(local, previous)) {
+                conflicts.push({ id, name: (remoteWins ? remote || local : local || remote).name, keptRemote: remoteWins });
+
+                if (!remoteWins) {
+                    return;
+                }
+            }
+
+            if (remote) {
+                merged.set(id, remote);
+            } else {
+                merged.delete(id);
+            }
+        });
+
+        // Follow the other tab's order, so goals that end up the same are saved the same and
+        // the tabs stop sending changes back; goals only this tab has go at the end
+        const order = [...remoteById.keys(), ...localById.keys()];
+        const goals = [...new Set(order)].filter(id => merged.has(id)).map(id => merged.get(id));
+
+        return { goals, conflicts };
+    }
+
+    /**
+     * Checks whether one save was made after another
+     *
+     * Saves made in the same millisecond are ordered by tab ID, so every
+     * tab reaches the same answer.
+     *
+     * @param {SyncRevision} revision - Save to check
+     * @param {SyncRevision|null} otherRevision - Save to compare with, or null for none
+     * @returns {boolean} True if revision is the later save
+     */
+    isNewer(revision, otherRevision) {
+        if (!otherRevision) {
+            return true;
+        }
+
+        if (revision.time !== otherRevision.time) {
+            return revision.time > otherRevision.time;
+        }
+
+        return revision.tabId > otherRevision.tabId;
+    }
+
+    /**
+     * Indexes goals by ID
+     * @private
+     * @param {Array<Object>} goals - Goals to index
+     * @returns {Map<string|number, Object>} Goals by ID, in order
+     */
+    indexById(goals) {
+        return new Map((goals || []).map(goal => [goal.id, goal]));
+    }
+
+    /**
+     * Checks whether two versions of a goal are identical (both missing counts as identical)
+     * @private
+     * @param {Object|undefined} goal - One version
+     * @param {Object|undefined} otherGoal - The other version
+     * @returns {boolean} True if they are the same
+     */
+    isSame(goal, otherGoal) {
+        return JSON.stringify(goal) === JSON.stringify(otherGoal);
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Cross-tab messaging
+ * Tells other open tabs about saved changes and keeps the goals they saved
+ */
+
+/**
+ * TabSync class posts changes on a channel shared by every tab and keeps
+ * the goals each save of this tab is compared against
+ *
+ * StorageService tells it which profile is open and hands it every save
+ * of the goals; goals another tab saved are kept per profile until this
+ * tab saves that profile's goals itself.
+ */
+export class TabSync {
+    /**
+     * Creates a new TabSync instance
+     * @param {string} [tabId] - ID this tab's messages and revisions carry; unique per tab by default
+     */
+    constructor(tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`) {
+        this.tabId = tabId;
+        this.channel = null;
+        this.profileId = null;
+        this.syncedGoals = [];
+        this.otherTabGoals = new Map();
+        this.lastRevision = null;
+    }
+
+    /**
+     * Starts sharing changes with other tabs
+     *
+     * Changes posted by other tabs are passed to the listener as { type:
+     * 'goals', revision, previousGoals, goals }, { type: 'theme', theme },
+     * { type: 'profiles' } when the profile list changed or, when
+     * encryption is turned on, off or given a new passphrase, { type:
+     * 'encryption' }. Every message also carries the profileId of the
+     * profile the other tab has open. The goals another tab saved for the
+     * open profile become the goals the next save here is compared against.
+     *
+     * @param {BroadcastChannel} channel - Channel shared by every tab
+     * @param {Function} listener - Called with each change made in another tab
+     */
+    start(channel, listener) {
+        this.stop();
+        this.channel = channel;
+        this.channel.addEventListener('message', (event) => {
+            const message = event.data;
+
+            if (!message || message.tabId === this.tabId) {
+                return;
+            }
+
+            if (message.type === 'goals') {
+                this.otherTabGoals.set(message.profileId, this.copyGoals(message.goals));
+
+                if (message.profileId === this.profileId) {
+                    this.rememberGoals(message.goals);
+                }
+            }
+
+            listener(message);
+        });
+    }
+
+    /**
+     * Stops sharing changes with other tabs and closes the channel
+     */
+    stop() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * Gets the latest save of goals made by this tab
+     * @returns {SyncRevision|null} Revision as { time, tabId }, or null if this tab has not saved the open profile's goals
+     */
+    getLastRevision() {
+        return this.lastRevision;
+    }
+
+    /**
+     * Follows another profile from now on
+     *
+     * Messages are posted with the profile's ID, and this tab's earlier
+     * saves no longer count as the latest.
+     *
+     * @param {string} profileId - Profile ID
+     */
+    useProfile(profileId) {
+        if (profileId !== this.profileId) {
+            this.profileId = profileId;
+            this.syncedGoals = [];
+            this.lastRevision = null;
+        }
+    }
+
+    /**
+     * Posts a save of the open profile's goals with the goals before it
+     * @param {Array<Object>} goals - Goals as saved
+     */
+    goalsSaved(goals) {
+        const previousGoals = this.syncedGoals;
+        this.rememberGoals(goals);
+        this.otherTabGoals.delete(this.profileId);
+        this.lastRevision = { time: Date.now(), tabId: this.tabId };
+        this.post({ type: 'goals', revision: this.lastRevision, previousGoals, goals: this.syncedGoals });
+    }
+
+    /**
+     * Keeps a copy of the goals the next save is compared against
+     *
+     * A copy, because the caller goes on to change the goals it was given.
+     *
+     * @param {Array<Object>} goals - Goals as last saved or loaded
+     */
+    rememberGoals(goals) {
+        this.syncedGoals = this.copyGoals(goals);
+    }
+
+    /**
+     * Gets the goals another tab saved for a profile since this tab last saved them
+     * @param {string} profileId - Profile ID
+     * @returns {Array<Object>|null} Copy of the goals, or null if no other tab saved them
+     */
+    getOtherTabGoals(profileId) {
+        return this.otherTabGoals.has(profileId) ? this.copyGoals(this.otherTabGoals.get(profileId)) : null;
+    }
+
+    /**
+     * Forgets the goals another tab saved for a profile
+     * @param {string} profileId - Profile ID
+     */
+    forgetProfile(profileId) {
+        this.otherTabGoals.delete(profileId);
+    }
+
+    /**
+     * Posts a change to other tabs if syncing
+     * @param {Object} message - Change to post
+     */
+    post(message) {
+        if (!this.channel) {
+            return;
+        }
+
+        try {
+            this.channel.postMessage({ ...message, tabId: this.tabId, profileId: this.profileId });
+        } catch (error) {
+            console.error('Error sending change to other tabs:', error);
+        }
+    }
+
+    /**
+     * Deep copies goals
+     * @private
+     * @param {Array<Object>} goals - Goals to copy
+     * @returns {Array<Object>} Copied goals
+     */
+    copyGoals(goals) {
+        return JSON.parse(JSON.stringify(goals));
+    }
+}
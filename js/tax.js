@@ -0,0 +1,259 @@
+/**
+ * Capital gains tax on goal redemptions
+ * Applies Indian mutual fund tax rules to the corpus redeemed at the goal date
+ */
+
+/**
+ * Default tax rules (Indian rules for redemptions from 23 July 2024)
+ *
+ * Rates are percentages and should include any surcharge and cess.
+ *
+ * @type {Object}
+ */
+const DEFAULT_TAX_RULES = {
+    equity: {
+        ltcgRate: 12.5,
+        stcgRate: 20,
+        ltcgExemption: 125000,
+        holdingPeriodMonths: 12
+    },
+    debt: {
+        slabRate: 30
+    }
+};
+
+/**
+ * Upper bound on how many times the SIP search range is doubled
+ * @type {number}
+ */
+const MAX_SEARCH_DOUBLINGS = 40;
+
+/**
+ * Represents the tax due when a goal's corpus is redeemed
+ * @typedef {Object} RedemptionTax
+ * @property {number} grossCorpus - Corpus before tax
+ * @property {number} invested - Total amount invested (cost of all units)
+ * @property {number} longTermGains - Gains on units held longer than the equity holding period
+ * @property {number} shortTermGains - Gains on units held no longer than the equity holding period
+ * @property {number} equityTax - LTCG and STCG tax on the equity share of the gains
+ * @property {number} debtTax - Slab-rate tax on the debt (and gold) share of the gains
+ * @property {number} tax - Total tax
+ * @property {number} postTaxCorpus - Corpus left after tax
+ */
+
+/**
+ * TaxCalculator class estimates tax on goal redemptions
+ */
+export class TaxCalculator {
+    /**
+     * Creates a new TaxCalculator instance
+     * @param {Object} calculator - SIPCalculator instance for returns, targets and SIP amounts
+     * @param {Object} [rules] - Tax rules; missing values fall back to DEFAULT_TAX_RULES
+     */
+    constructor(calculator, rules = DEFAULT_TAX_RULES) {
+        this.calculator = calculator;
+        this.setRules(rules);
+    }
+
+    /**
+     * Replaces the tax rules
+     * @param {Object} rules - Tax rules as { equity: {...}, debt: {...} }; missing values fall back to the defaults
+     * @throws {Error} If a rate is outside 0-100 or an amount or holding period is negative
+     */
+    setRules(rules) {
+        this.rules = this.normalizeRules(rules);
+    }
+
+    /**
+     * Gets a copy of the current tax rules
+     * @returns {Object} Tax rules
+     */
+    getRules() {
+        return {
+            equity: { ...this.rules.equity },
+            debt: { ...this.rules.debt }
+        };
+    }
+
+    /**
+     * Fills in and validates tax rules
+     * @private
+     * @param {Object} rules - Tax rules, possibly partial
+     * @returns {Object} Complete tax rules with numeric values
+     * @throws {Error} If a value is invalid
+     */
+    normalizeRules(rules = {}) {
+        const equity = { ...DEFAULT_TAX_RULES.equity, ...(rules.equity || {}) };
+        const debt = { ...DEFAULT_TAX_RULES.debt, ...(rules.debt || {}) };
+        const normalized = {
+            equity: {
+                ltcgRate: Number(equity.ltcgRate),
+                stcgRate: Number(equity.stcgRate),
+                ltcgExemption: Number(equity.ltcgExemption),
+                holdingPeriodMonths: Number(equity.holdingPeriodMonths)
+            },
+            debt: {
+                slabRate: Number(debt.slabRate)
+            }
+        };
+
+        [normalized.equity.ltcgRate, normalized.equity.stcgRate, normalized.debt.slabRate].forEach(rate => {
+            if (isNaN(rate) || rate < 0 || rate >= 100) {
+                throw new Error('Tax rates must be at least 0% and below 100%');
+            }
+        });
+
+        if (isNaN(normalized.equity.ltcgExemption) || normalized.equity.ltcgExemption < 0) {
+            throw new Error('LTCG exemption must be a non-negative amount');
+        }
+
+        if (!Number.isInteger(normalized.equity.holdingPeriodMonths) || normalized.equity.holdingPeriodMonths < 0) {
+            throw new Error('Holding period must be a whole number of months');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Calculates the tax due when a goal's corpus is redeemed at the goal date
+     *
+     * Every SIP instalment, the existing corpus and each lump sum is a
+     * separate lot, so units held no longer than the equity holding period
+     * at the goal date give short-term gains and older units long-term gains. The
+     * existing corpus is taken at its current value as cost.
+     *
+     * The equity share of the gains follows the goal's allocation at the
+     * goal date (goals without an allocation count as equity) and pays LTCG,
+     * above the exemption, and STCG. The rest is taxed at the slab rate.
+     *
+     * @param {Object} goal - Goal object
+     * @param {number} [monthlySIP] - Initial monthly SIP amount; defaults to the goal's required SIP
+     * @returns {RedemptionTax} Tax breakdown and post-tax corpus
+     */
+    calculateTax(goal, monthlySIP = this.calculator.calculateGoalSIP(goal)) {
+        const { equity, debt } = this.rules;
+        const gains = this.calculateGains(goal, monthlySIP);
+        const equityShare = this.getEquityShare(goal);
+        const totalGains = Math.max(gains.longTermGains + gains.shortTermGains, 0);
+
+        const taxableLongTerm = Math.max(gains.longTermGains * equityShare - equity.ltcgExemption, 0);
+        const equityTax = taxableLongTerm * equity.ltcgRate / 100 +
+            Math.max(gains.shortTermGains * equityShare, 0) * equity.stcgRate / 100;
+        const debtTax = totalGains * (1 - equityShare) * debt.slabRate / 100;
+        const tax = equityTax + debtTax;
+
+        return {
+            grossCorpus: Math.round(gains.corpus),
+            invested: Math.round(gains.invested),
+            longTermGains: Math.round(gains.longTermGains),
+            shortTermGains: Math.round(gains.shortTermGains),
+            equityTax: Math.round(equityTax),
+            debtTax: Math.round(debtTax),
+            tax: Math.round(tax),
+            postTaxCorpus: Math.round(gains.corpus - tax)
+        };
+    }
+
+    /**
+     * Calculates the monthly SIP a goal requires for its post-tax corpus to reach the target
+     * @param {Object} goal - Goal object
+     * @returns {number|null} Required (initial) monthly SIP, or null if the target cannot be reached
+     */
+    calculatePostTaxSIP(goal) {
+        const target = this.calculator.calculateGoalTarget(goal);
+        const evaluate = monthlySIP => this.calculateTax(goal, monthlySIP).postTaxCorpus;
+
+        if (evaluate(0) >= target) {
+            return 0;
+        }
+
+        let high = Math.max(this.calculator.calculateGoalSIP(goal), 1);
+
+        for (let doublings = 0; evaluate(high) < target; doublings++) {
+            if (doublings === MAX_SEARCH_DOUBLINGS) {
+                return null;
+            }
+            high *= 2;
+        }
+
+        const monthlySIP = this.calculator.goalSeek(evaluate, target, 0, high, 0.01);
+        return monthlySIP === null ? null : Math.ceil(monthlySIP);
+    }
+
+    /**
+     * Splits the gains of a goal's corpus into long-term and short-term gains
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} monthlySIP - Initial monthly SIP amount
+     * @returns {Object} Totals as { invested, corpus, longTermGains, shortTermGains }
+     */
+    calculateGains(goal, monthlySIP) {
+        const months = Math.round(goal.years * 12);
+        const growthFactors = this.getGrowthFactors(this.calculator.getAnnualReturns(goal), months);
+        const annualStepUp = (goal.stepUpRate || 0) / 100;
+        const lots = [];
+        let currentSIP = monthlySIP;
+
+        if (goal.existingCorpus > 0) {
+            lots.push({ month: 0, amount: goal.existingCorpus });
+        }
+
+        for (let month = 0; month < months; month++) {
+            if (month > 0 && month % 12 === 0) {
+                currentSIP *= (1 + annualStepUp);
+            }
+            lots.push({ month, amount: currentSIP });
+        }
+
+        (goal.lumpSums || [])
+            .filter(lumpSum => lumpSum.year * 12 <= months)
+            .forEach(lumpSum => lots.push({ month: lumpSum.year * 12, amount: lumpSum.amount }));
+
+        return lots.reduce((totals, lot) => {
+            const value = lot.amount * growthFactors[lot.month];
+            const isLongTerm = months - lot.month > this.rules.equity.holdingPeriodMonths;
+
+            totals.invested += lot.amount;
+            totals.corpus += value;
+            totals[isLongTerm ? 'longTermGains' : 'shortTermGains'] += value - lot.amount;
+            return totals;
+        }, { invested: 0, corpus: 0, longTermGains: 0, shortTermGains: 0 });
+    }
+
+    /**
+     * Calculates how much one rupee invested at each month grows by the goal date
+     * @private
+     * @param {number[]} annualReturns - Return percentage for each year (last value repeats)
+     * @param {number} months - Goal horizon in months
+     * @returns {number[]} Growth factor for each month from 0 to months
+     */
+    getGrowthFactors(annualReturns, months) {
+        const growthFactors = new Array(months + 1);
+        growthFactors[months] = 1;
+
+        for (let month = months - 1; month >= 0; month--) {
+            const annualRate = annualReturns[Math.min(Math.floor(month / 12), annualReturns.length - 1)];
+            growthFactors[month] = growthFactors[month + 1] * (1 + annualRate / 12 / 100);
+        }
+
+        return growthFactors;
+    }
+
+    /**
+     * Gets the share of a goal's corpus held in equity at the goal date
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {number} Equity share between 0 and 1
+     */
+    getEquityShare(goal) {
+        if (!goal.allocation) {
+            return 1;
+        }
+
+        const finalYear = Math.max(Math.ceil(goal.years), 1);
+        const weights = this.calculator.getAllocationForYear(goal.allocation, finalYear, goal.years);
+        const total = (weights.equity || 0) + (weights.debt || 0) + (weights.gold || 0);
+
+        return total > 0 ? (weights.equity || 0) / total : 0;
+    }
+}
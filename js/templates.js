@@ -45,11 +45,15 @@ export class TemplateManager {
                 id: 'retirement',
                 name: 'Retirement Fund',
                 icon: '🌴',
-                description: 'Build retirement corpus',
-                currentPrice: 10000000,
-                inflationRate: 7,
+                description: 'Corpus for monthly expenses through retirement',
+                currentPrice: 50000,
+                inflationRate: 6,
                 years: 25,
-                expectedReturn: 13
+                expectedReturn: 12,
+                retirement: {
+                    retirementYears: 25,
+                    postRetirementReturn: 8
+                }
             },
             {
                 id: 'car-purchase',
@@ -133,13 +137,19 @@ export class TemplateManager {
             return null;
         }
 
-        return {
+        const goal = {
             name: template.name,
             currentPrice: template.currentPrice,
             inflationRate: template.inflationRate,
             years: template.years,
             expectedReturn: template.expectedReturn
         };
+
+        if (template.retirement) {
+            goal.retirement = { ...template.retirement };
+        }
+
+        return goal;
     }
 
     /**
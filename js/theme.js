@@ -13,7 +13,6 @@ export class ThemeManager {
      */
     constructor(storageService) {
         this.storageService = storageService;
-        this.storageKey = 'multigoal-sip-theme';
         this.currentTheme = this.loadTheme();
     }
 
@@ -25,13 +24,9 @@ export class ThemeManager {
     loadTheme() {
         // Try to load from storage
         if (this.storageService && this.storageService.isAvailable()) {
-            try {
-                const savedTheme = localStorage.getItem(this.storageKey);
-                if (savedTheme === 'light' || savedTheme === 'dark') {
-                    return savedTheme;
-                }
-            } catch (error) {
-                console.warn('Error loading theme:', error);
+            const savedTheme = this.storageService.loadTheme();
+            if (savedTheme === 'light' || savedTheme === 'dark') {
+                return savedTheme;
             }
         }
 
@@ -49,11 +44,7 @@ export class ThemeManager {
      */
     saveTheme() {
         if (this.storageService && this.storageService.isAvailable()) {
-            try {
-                localStorage.setItem(this.storageKey, this.currentTheme);
-            } catch (error) {
-                console.warn('Error saving theme:', error);
-            }
+            this.storageService.saveTheme(this.currentTheme);
         }
     }
 
@@ -76,6 +67,16 @@ export class ThemeManager {
         this.applyTheme();
     }
 
+    /**
+     * Loads the theme again, such as after another profile was opened
+     * @returns {string} Theme name now applied
+     */
+    reload() {
+        this.currentTheme = this.loadTheme();
+        this.applyTheme();
+        return this.currentTheme;
+    }
+
     /**
      * Toggles between light and dark themes
      * @returns {string} New theme name
@@ -87,6 +88,21 @@ export class ThemeManager {
         return this.currentTheme;
     }
 
+    /**
+     * Applies a theme chosen in another tab without saving it again
+     * @param {string} theme - Theme name ('light' or 'dark')
+     * @returns {boolean} True if the theme changed
+     */
+    syncTheme(theme) {
+        if ((theme !== 'light' && theme !== 'dark') || theme === this.currentTheme) {
+            return false;
+        }
+
+        this.currentTheme = theme;
+        this.applyTheme();
+        return true;
+    }
+
     /**
      * Gets current theme
      * @returns {string} Current theme name
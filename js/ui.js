@@ -3,6 +3,68 @@
  * Handles all user interface updates following the Single Responsibility Principle
  */
 
+import { InflationScheduleParser } from './inflation-schedule.js';
+import { LumpSumParser } from './lump-sums.js';
+import { RetirementPlanner } from './retirement.js';
+import { TaxCalculator } from './tax.js';
+import { ProgressTracker } from './progress.js';
+import { ChartManager } from './charts.js';
+import { ImportPreviewDialog } from './import-preview.js';
+
+/**
+ * Form input IDs of the goal fields that can be solved from a SIP budget
+ * @type {Object<string, string>}
+ */
+const SOLVABLE_FIELD_INPUTS = {
+    years: 'timePeriod',
+    currentPrice: 'currentPrice',
+    expectedReturn: 'expectedReturn'
+};
+
+/**
+ * Tax settings input IDs by tax rule
+ * @type {Object<string, Object<string, string>>}
+ */
+const TAX_RULE_INPUTS = {
+    equity: {
+        ltcgRate: 'ltcgRate',
+        stcgRate: 'stcgRate',
+        ltcgExemption: 'ltcgExemption',
+        holdingPeriodMonths: 'holdingPeriodMonths'
+    },
+    debt: {
+        slabRate: 'slabRate'
+    }
+};
+
+/**
+ * How long the undo toast stays visible, in milliseconds
+ * @type {number}
+ */
+const UNDO_TOAST_DURATION_MS = 6000;
+
+/**
+ * How goal fields are named when comparing snapshots, and the Formatter method that shows their values
+ * @type {Object<string, {label: string, format: (string|undefined)}>}
+ */
+const SNAPSHOT_FIELDS = {
+    name: { label: 'Name' },
+    currentPrice: { label: 'Current price', format: 'formatCurrency' },
+    inflationRate: { label: 'Inflation', format: 'formatPercentage' },
+    years: { label: 'Time period', format: 'formatYears' },
+    expectedReturn: { label: 'Expected return', format: 'formatPercentage' },
+    stepUpRate: { label: 'Annual step-up', format: 'formatPercentage' },
+    startDate: { label: 'Start date' },
+    existingCorpus: { label: 'Existing corpus', format: 'formatCurrency' },
+    priority: { label: 'Priority', format: 'formatPriority' },
+    inflationSchedule: { label: 'Inflation schedule' },
+    allocation: { label: 'Asset allocation' },
+    lumpSums: { label: 'Lump sums' },
+    retirement: { label: 'Retirement' },
+    contributions: { label: 'Contributions' },
+    valuations: { label: 'Valuations' }
+};
+
 /**
  * UIRenderer class manages all DOM operations
  */
@@ -11,10 +73,31 @@ export class UIRenderer {
      * Creates a new UIRenderer instance
      * @param {Object} calculator - SIPCalculator instance
      * @param {Object} formatter - Formatter instance
+     * @param {Object} [scheduleParser] - InflationScheduleParser instance for the schedule field
+     * @param {Object} [lumpSumParser] - LumpSumParser instance for the lump sums field
+     * @param {Object} [retirementPlanner] - RetirementPlanner instance for retirement goal cards
+     * @param {Object} [taxCalculator] - TaxCalculator instance for post-tax figures
+     * @param {Object} [progressTracker] - ProgressTracker instance for progress against the plan
+     * @param {Object} [importPreviewDialog] - ImportPreviewDialog instance for reviewing imports
      */
-    constructor(calculator, formatter) {
+    constructor(
+        calculator,
+        formatter,
+        scheduleParser = new InflationScheduleParser(),
+        lumpSumParser = new LumpSumParser(),
+        retirementPlanner = new RetirementPlanner(calculator),
+        taxCalculator = new TaxCalculator(calculator),
+        progressTracker = new ProgressTracker(calculator, new ChartManager(calculator, formatter)),
+        importPreviewDialog = new ImportPreviewDialog()
+    ) {
         this.calculator = calculator;
         this.formatter = formatter;
+        this.scheduleParser = scheduleParser;
+        this.lumpSumParser = lumpSumParser;
+        this.retirementPlanner = retirementPlanner;
+        this.taxCalculator = taxCalculator;
+        this.progressTracker = progressTracker;
+        this.importPreviewDialog = importPreviewDialog;
         this.initializeDOMElements();
     }
 
@@ -28,24 +111,236 @@ export class UIRenderer {
         this.totalFutureValueEl = document.getElementById('total-future-value');
         this.totalInvestedEl = document.getElementById('total-invested');
         this.totalWealthGainedEl = document.getElementById('total-wealth-gained');
+        this.totalExistingCorpusEl = document.getElementById('total-existing-corpus');
+        this.inflationScheduleEl = document.getElementById('inflationSchedule');
+        this.lumpSumsEl = document.getElementById('lumpSums');
+        this.simulationContainerEl = document.getElementById('simulation-container');
+        this.simulationResultsEl = document.getElementById('simulation-results');
+        this.useAllocationEl = document.getElementById('useAllocation');
+        this.allocationFieldsEl = document.getElementById('allocation-fields');
+        this.useRetirementEl = document.getElementById('useRetirement');
+        this.retirementFieldsEl = document.getElementById('retirement-fields');
+        this.solveForEl = document.getElementById('solveFor');
+        this.sipBudgetFieldEl = document.getElementById('sip-budget-field');
+        this.sipBudgetEl = document.getElementById('sipBudget');
+        this.solverResultEl = document.getElementById('solver-result');
+        this.monthlyBudgetEl = document.getElementById('monthlyBudget');
+        this.budgetStrategyEl = document.getElementById('budgetStrategy');
+        this.budgetAllocationEl = document.getElementById('budget-allocation');
+        this.taxEnabledEl = document.getElementById('taxEnabled');
+        this.taxFieldsEl = document.getElementById('tax-fields');
+        this.postTaxSummaryEl = document.getElementById('post-tax-summary');
+        this.totalPostTaxSipEl = document.getElementById('total-post-tax-sip');
+        this.goalFormTitleEl = document.getElementById('goal-form-title');
+        this.submitGoalBtnEl = document.getElementById('submit-goal-btn');
+        this.cancelEditBtnEl = document.getElementById('cancel-edit-btn');
+        this.undoBtnEl = document.getElementById('undo-btn');
+        this.redoBtnEl = document.getElementById('redo-btn');
+        this.undoToastEl = document.getElementById('undo-toast');
+        this.undoToastMessageEl = document.getElementById('undo-toast-message');
+        this.undoToastTimer = null;
+        this.encryptionSettingsEl = document.getElementById('encryption-settings');
+        this.encryptionStatusEl = document.getElementById('encryption-status');
+        this.encryptionMessageEl = document.getElementById('encryption-message');
+        this.passphraseDialogEl = document.getElementById('passphrase-dialog');
+        this.columnMappingDialogEl = document.getElementById('column-mapping-dialog');
+        this.profileSelectEl = document.getElementById('profile-select');
+        this.deleteProfileBtnEl = document.getElementById('delete-profile-btn');
+        this.householdSummaryEl = document.getElementById('household-summary');
+        this.householdProfilesEl = document.getElementById('household-profiles');
+        this.snapshotsPanelEl = document.getElementById('snapshots-panel');
+        this.snapshotSelectEl = document.getElementById('snapshot-select');
+        this.snapshotCompareSelectEl = document.getElementById('snapshot-compare-select');
+        this.snapshotDiffEl = document.getElementById('snapshot-diff');
+        this.editingGoalId = null;
         this.initialPlaceholder = this.goalsListEl.innerHTML;
+
+        if (this.inflationScheduleEl) {
+            this.inflationScheduleEl.addEventListener('input', () => {
+                this.inflationScheduleEl.setCustomValidity('');
+            });
+        }
+
+        if (this.lumpSumsEl) {
+            this.lumpSumsEl.addEventListener('input', () => {
+                this.lumpSumsEl.setCustomValidity('');
+            });
+        }
+
+        if (this.useAllocationEl) {
+            this.useAllocationEl.addEventListener('change', () => {
+                this.toggleAllocationFields(this.useAllocationEl.checked);
+            });
+            this.allocationFieldsEl.addEventListener('input', () => {
+                document.getElementById('equityWeight').setCustomValidity('');
+            });
+        }
+
+        if (this.useRetirementEl) {
+            this.useRetirementEl.addEventListener('change', () => {
+                this.toggleRetirementFields(this.useRetirementEl.checked);
+            });
+            this.retirementFieldsEl.addEventListener('input', () => {
+                document.getElementById('retirementYears').setCustomValidity('');
+            });
+        }
+
+        if (this.solveForEl) {
+            this.solveForEl.addEventListener('change', () => {
+                this.toggleSolveFor(this.solveForEl.value);
+            });
+        }
+
+        if (this.taxEnabledEl) {
+            this.taxEnabledEl.addEventListener('change', () => {
+                this.taxFieldsEl.classList.toggle('hidden', !this.taxEnabledEl.checked);
+            });
+        }
+    }
+
+    /**
+     * Shows or hides the retirement fields
+     * 
+     * A retirement goal's current amount is today's monthly expenses, so the
+     * price label changes with it.
+     * 
+     * @param {boolean} enabled - Whether the goal is a retirement goal
+     * @param {Object} [retirement] - Retirement settings to fill in
+     */
+    toggleRetirementFields(enabled, retirement = null) {
+        if (!this.useRetirementEl) {
+            return;
+        }
+
+        this.useRetirementEl.checked = enabled;
+        this.retirementFieldsEl.classList.toggle('hidden', !enabled);
+        document.getElementById('currentPrice-label').textContent = enabled
+            ? 'Current Monthly Expenses (₹)'
+            : 'Current Price (₹)';
+
+        if (retirement) {
+            document.getElementById('retirementYears').value = retirement.retirementYears;
+            document.getElementById('postRetirementReturn').value = retirement.postRetirementReturn;
+        }
+    }
+
+    /**
+     * Switches which goal field the form solves for
+     * 
+     * The unknown field is disabled and the SIP budget field is shown
+     * instead. Solving for the return needs a single flat return, so the
+     * asset allocation is turned off in that mode.
+     * 
+     * @param {string} unknown - 'monthlySIP' or one of the solvable goal fields
+     */
+    toggleSolveFor(unknown) {
+        if (!this.solveForEl) {
+            return;
+        }
+
+        const usesBudget = unknown !== 'monthlySIP';
+        this.solveForEl.value = unknown;
+        this.sipBudgetFieldEl.classList.toggle('hidden', !usesBudget);
+        this.sipBudgetEl.required = usesBudget;
+
+        if (this.useAllocationEl) {
+            if (unknown === 'expectedReturn') {
+                this.toggleAllocationFields(false);
+            }
+            this.useAllocationEl.disabled = unknown === 'expectedReturn';
+        }
+
+        Object.entries(SOLVABLE_FIELD_INPUTS).forEach(([field, inputId]) => {
+            const inputEl = document.getElementById(inputId);
+            const usesBlendedReturn = field === 'expectedReturn' && this.useAllocationEl && this.useAllocationEl.checked;
+
+            inputEl.disabled = field === unknown || usesBlendedReturn;
+            inputEl.required = !inputEl.disabled;
+        });
+    }
+
+    /**
+     * Shows the outcome of solving a goal field from a SIP budget
+     * @param {string} unknown - Goal field that was solved
+     * @param {number|null} solvedValue - Solved value, or null if the goal cannot be reached
+     * @param {number} sipBudget - Monthly SIP budget used
+     * @param {boolean} [isRetirement] - Whether the goal is a retirement goal (the price is monthly expenses)
+     */
+    renderSolverResult(unknown, solvedValue, sipBudget, isRetirement = false) {
+        if (!this.solverResultEl) {
+            return;
+        }
+
+        const budget = `${this.formatter.formatCurrency(sipBudget)}/month`;
+        const unreachable = solvedValue === null;
+        let message;
+
+        if (unreachable) {
+            message = `This goal cannot be reached with ${budget}.`;
+        } else if (unknown === 'years') {
+            message = `${budget} reaches this goal in ${this.formatter.formatDuration(solvedValue)}.`;
+
+            if (!Number.isInteger(solvedValue)) {
+                message += ` Added with a ${this.formatter.formatYears(Math.ceil(solvedValue))} timeframe.`;
+            }
+        } else if (unknown === 'currentPrice' && isRetirement) {
+            message = `${budget} funds retirement expenses of ${this.formatter.formatCurrency(solvedValue)}/month in today's money.`;
+        } else if (unknown === 'currentPrice') {
+            message = `${budget} pays for a goal costing ${this.formatter.formatCurrency(solvedValue)} today.`;
+        } else {
+            message = `${budget} needs at least ${this.formatter.formatPercentage(solvedValue)} annual return.`;
+        }
+
+        this.solverResultEl.textContent = message;
+        this.solverResultEl.classList.remove('hidden');
+        this.solverResultEl.classList.toggle('bg-red-50', unreachable);
+        this.solverResultEl.classList.toggle('text-red-700', unreachable);
+        this.solverResultEl.classList.toggle('bg-indigo-50', !unreachable);
+        this.solverResultEl.classList.toggle('text-indigo-700', !unreachable);
+    }
+
+    /**
+     * Hides the solver outcome message
+     */
+    hideSolverResult() {
+        if (this.solverResultEl) {
+            this.solverResultEl.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Shows or hides the asset allocation fields
+     * @param {boolean} enabled - Whether the goal uses an asset allocation
+     */
+    toggleAllocationFields(enabled) {
+        if (!this.useAllocationEl) {
+            return;
+        }
+
+        const expectedReturnEl = document.getElementById('expectedReturn');
+        this.useAllocationEl.checked = enabled;
+        this.allocationFieldsEl.classList.toggle('hidden', !enabled);
+        expectedReturnEl.disabled = enabled;
+        expectedReturnEl.required = !enabled;
     }
 
     /**
      * Renders all goals and updates the summary
      * @param {Array<Object>} goals - Array of goal objects to render
+     * @param {boolean} [showTax] - Whether to show post-tax corpus and SIP
      */
-    render(goals) {
-        this.renderGoalsList(goals);
-        this.updateSummary(goals);
+    render(goals, showTax = false) {
+        this.renderGoalsList(goals, showTax);
+        this.updateSummary(goals, showTax);
     }
 
     /**
      * Renders the list of goal cards
      * @private
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {boolean} [showTax] - Whether to show post-tax corpus and SIP
      */
-    renderGoalsList(goals) {
+    renderGoalsList(goals, showTax = false) {
         this.goalsListEl.innerHTML = '';
 
         if (goals.length === 0) {
@@ -54,7 +349,7 @@ export class UIRenderer {
         }
 
         goals.forEach(goal => {
-            const goalCard = this.createGoalCard(goal);
+            const goalCard = this.createGoalCard(goal, showTax);
             this.goalsListEl.appendChild(goalCard);
         });
     }
@@ -63,22 +358,15 @@ export class UIRenderer {
      * Creates a single goal card element
      * @private
      * @param {Object} goal - Goal object
+     * @param {boolean} [showTax] - Whether to show post-tax corpus and SIP
      * @returns {HTMLElement} Goal card element
      */
-    createGoalCard(goal) {
-        const inflationAdjustedAmount = this.calculator.calculateInflationAdjustedAmount(
-            goal.currentPrice,
-            goal.inflationRate,
-            goal.years
-        );
+    createGoalCard(goal, showTax = false) {
+        const inflationAdjustedAmount = this.calculator.calculateGoalTarget(goal);
         
         const stepUpRate = goal.stepUpRate || 0;
-        const monthlySip = this.calculator.calculateMonthlySIP(
-            inflationAdjustedAmount, 
-            goal.years, 
-            goal.expectedReturn,
-            stepUpRate
-        );
+        const monthlySip = this.calculator.calculateGoalSIP(goal);
+        const postTaxSip = showTax ? this.taxCalculator.calculatePostTaxSIP(goal) : null;
 
         const goalCard = document.createElement('div');
         goalCard.className = 'goal-card bg-white dark:bg-gray-800 p-5 rounded-2xl shadow-lg flex items-start space-x-4';
@@ -90,40 +378,400 @@ export class UIRenderer {
             </div>
             <div class="flex-grow">
                 <div class="flex justify-between items-center">
-                    <h4 class="text-lg font-semibold text-gray-900 dark:text-white">${goal.name}</h4>
-                    <button data-id="${goal.id}" class="remove-btn text-gray-400 dark:text-gray-500 hover:text-red-500 dark:hover:text-red-400 transition-colors">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                    </button>
+                    <h4 class="text-lg font-semibold text-gray-900 dark:text-white">${goal.name}${goal.priority ? ` <span class="ml-1 text-xs font-medium px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">${this.formatter.formatPriority(goal.priority)} priority</span>` : ''}</h4>
+                    <div class="flex items-center space-x-2">
+                        <button data-id="${goal.id}" class="edit-btn text-gray-400 dark:text-gray-500 hover:text-indigo-500 dark:hover:text-indigo-400 transition-colors" title="Edit goal">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                        </button>
+                        <button data-id="${goal.id}" class="remove-btn text-gray-400 dark:text-gray-500 hover:text-red-500 dark:hover:text-red-400 transition-colors" title="Remove goal">
+                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
                 </div>
                 <div class="text-gray-500 dark:text-gray-400 text-sm space-y-1 mt-1">
-                    <p>Current Price: ${this.formatter.formatCurrency(goal.currentPrice)} | Inflation: ${goal.inflationRate}% p.a.</p>
-                    <p>Future Target: ${this.formatter.formatCurrency(inflationAdjustedAmount)} in ${goal.years} years @ ${goal.expectedReturn}% return</p>
+                    <p>${goal.retirement ? 'Monthly Expenses' : 'Current Price'}: ${this.formatter.formatCurrency(goal.currentPrice)} | Inflation: ${this.formatter.formatInflationSchedule(goal.inflationSchedule, goal.inflationRate)} p.a.</p>
+                    <p>${goal.retirement ? 'Retirement Corpus' : 'Future Target'}: ${this.formatter.formatCurrency(inflationAdjustedAmount)} in ${goal.years} years @ ${goal.allocation ? this.formatReturnRange(goal) : `${goal.expectedReturn}%`} return</p>
+                    ${this.formatRetirement(goal)}
+                    ${goal.allocation ? `<p>Allocation: ${this.formatter.formatAllocation(goal.allocation.weights)}${this.formatGlidePath(goal.allocation.glidePath)}</p>` : ''}
+                    ${this.formatStartingBalance(goal)}
                     ${stepUpRate > 0 ? `<p class="text-indigo-600 dark:text-indigo-400 font-medium">🔼 Step-up: ${stepUpRate}% annually</p>` : ''}
+                    ${showTax ? this.formatTax(goal, monthlySip) : ''}
                 </div>
                 <div class="mt-3 bg-gray-50 dark:bg-gray-700 p-3 rounded-lg flex justify-between items-center">
                     <span class="text-sm font-medium text-gray-600 dark:text-gray-300">${stepUpRate > 0 ? 'Initial' : 'Required'} Monthly SIP</span>
                     <span class="text-lg font-bold text-indigo-600 dark:text-indigo-400">${this.formatter.formatCurrency(monthlySip)}</span>
                 </div>
+                ${showTax ? `
+                <div class="mt-2 bg-gray-50 dark:bg-gray-700 p-3 rounded-lg flex justify-between items-center">
+                    <span class="text-sm font-medium text-gray-600 dark:text-gray-300">${stepUpRate > 0 ? 'Initial' : 'Required'} SIP after Tax</span>
+                    <span class="text-lg font-bold text-indigo-600 dark:text-indigo-400">${postTaxSip === null ? 'Not reachable' : this.formatter.formatCurrency(postTaxSip)}</span>
+                </div>` : ''}
+                ${this.formatProgress(goal)}
+                <form class="ledger-form mt-3 flex flex-wrap gap-2 items-center text-sm" data-id="${goal.id}">
+                    <select name="entryType" aria-label="Entry type" class="p-1.5 bg-gray-50 dark:bg-gray-700 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg">
+                        <option value="contribution">Invested</option>
+                        <option value="valuation">Valued at</option>
+                    </select>
+                    <input type="date" name="date" value="${new Date().toISOString().split('T')[0]}" required aria-label="Date" class="p-1.5 bg-gray-50 dark:bg-gray-700 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg">
+                    <input type="number" name="amount" min="0" step="any" placeholder="Amount (₹)" required aria-label="Amount" class="w-32 p-1.5 bg-gray-50 dark:bg-gray-700 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg">
+                    <button type="submit" class="px-3 py-1.5 bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 dark:text-white rounded-lg transition-colors">Log</button>
+                </form>
             </div>
         `;
 
         return goalCard;
     }
 
+    /**
+     * Formats a retirement goal's withdrawal plan for the goal card
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {string} Paragraph describing the withdrawal plan, or empty string for other goals
+     */
+    formatRetirement(goal) {
+        if (!goal.retirement) {
+            return '';
+        }
+
+        const { retirementYears, postRetirementReturn } = goal.retirement;
+        const plan = this.retirementPlanner.simulateWithdrawals(goal);
+        const duration = plan.lastsFullRetirement
+            ? `lasts all ${this.formatter.formatYears(retirementYears)}`
+            : `runs out after ${this.formatter.formatYears(plan.depletionYear)}`;
+
+        return `<p>Retirement: ${this.formatter.formatYears(retirementYears)} @ ${this.formatter.formatPercentage(postRetirementReturn)} | Withdrawals start at ${this.formatter.formatCurrency(plan.firstYearExpenses)}/year | Corpus ${duration}</p>`;
+    }
+
+    /**
+     * Formats a goal's progress against its plan for the goal card
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {string} Progress bar, plan comparison and SIP from today, or empty string without recorded entries
+     */
+    formatProgress(goal) {
+        if (!this.progressTracker.hasLedger(goal)) {
+            return '';
+        }
+
+        const progress = this.progressTracker.calculateProgress(goal);
+        const statusText = {
+            ahead: `Ahead of plan by ${this.formatter.formatCurrency(progress.difference)}`,
+            behind: `Behind plan by ${this.formatter.formatCurrency(-progress.difference)}`,
+            'on-track': 'On track'
+        }[progress.status];
+        const statusClass = {
+            ahead: 'text-green-600 dark:text-green-400',
+            behind: 'text-red-600 dark:text-red-400',
+            'on-track': 'text-indigo-600 dark:text-indigo-400'
+        }[progress.status];
+        const xirr = progress.xirr === null ? '—' : this.formatter.formatPercentage(progress.xirr);
+
+        return `
+                <div class="progress mt-3 space-y-1">
+                    <div class="flex justify-between text-sm">
+                        <span class="font-medium text-gray-700 dark:text-gray-300">${this.formatter.formatPercentage(progress.fundedPercent)} funded</span>
+                        <span class="font-medium ${statusClass}">${statusText}</span>
+                    </div>
+                    <div class="w-full h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                        <div class="h-2 bg-indigo-600 dark:bg-indigo-400 rounded-full" style="width: ${progress.fundedPercent}%"></div>
+                    </div>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">Invested ${this.formatter.formatCurrency(progress.totalContributed)} | Value ${this.formatter.formatCurrency(progress.currentValue)} | XIRR ${xirr}</p>
+                </div>
+                <div class="mt-2 bg-gray-50 dark:bg-gray-700 p-3 rounded-lg flex justify-between items-center">
+                    <span class="text-sm font-medium text-gray-600 dark:text-gray-300">Required SIP from Today</span>
+                    <span class="text-lg font-bold text-indigo-600 dark:text-indigo-400">${this.formatter.formatCurrency(progress.requiredSIP)}</span>
+                </div>`;
+    }
+
+    /**
+     * Formats a goal's pre-tax and post-tax corpus for the goal card
+     * @private
+     * @param {Object} goal - Goal object
+     * @param {number} monthlySip - Pre-tax required SIP
+     * @returns {string} Paragraph comparing the corpus before and after tax on redemption
+     */
+    formatTax(goal, monthlySip) {
+        const result = this.taxCalculator.calculateTax(goal, monthlySip);
+
+        return `<p>Pre-tax corpus: ${this.formatter.formatCurrency(result.grossCorpus)} | Post-tax: ${this.formatter.formatCurrency(result.postTaxCorpus)} after ${this.formatter.formatCurrency(result.tax)} tax</p>`;
+    }
+
+    /**
+     * Formats a goal's existing corpus and lump sums for the goal card
+     * @private
+     * @param {Object} goal - Goal object
+     * @returns {string} Paragraph describing the starting balance, or empty string if there is none
+     */
+    formatStartingBalance(goal) {
+        const parts = [];
+
+        if (goal.existingCorpus > 0) {
+            parts.push(`Existing corpus: ${this.formatter.formatCurrency(goal.existingCorpus)}`);
+        }
+
+        if (goal.lumpSums && goal.lumpSums.length > 0) {
+            const lumpSums = goal.lumpSums
+                .map(lumpSum => `${this.formatter.formatCurrency(lumpSum.amount)} after year ${lumpSum.year}`)
+                .join(', ');
+            parts.push(`Lump sums: ${lumpSums}`);
+        }
+
+        if (parts.length === 0) {
+            return '';
+        }
+
+        const shortfall = this.calculator.calculateGoalShortfall(goal);
+        return `<p>${parts.join(' | ')} | SIP funds ${this.formatter.formatCurrency(shortfall)} shortfall</p>`;
+    }
+
+    /**
+     * Formats the blended return at the start and end of a goal's glide path
+     * @private
+     * @param {Object} goal - Goal object with an allocation
+     * @returns {string} Return range, e.g. "11.1% → 8.7%"
+     */
+    formatReturnRange(goal) {
+        const annualReturns = this.calculator.getAnnualReturns(goal);
+        const first = this.formatter.formatPercentage(Number(annualReturns[0].toFixed(2)));
+        const last = this.formatter.formatPercentage(Number(annualReturns[annualReturns.length - 1].toFixed(2)));
+
+        return first === last ? `${first} blended` : `${first} → ${last} blended`;
+    }
+
+    /**
+     * Formats a glide path description for the goal card
+     * @private
+     * @param {Object} [glidePath] - Glide path with years and shift
+     * @returns {string} Description, or empty string without a glide path
+     */
+    formatGlidePath(glidePath) {
+        if (!glidePath || !glidePath.years || !glidePath.shift) {
+            return '';
+        }
+
+        return `, moving ${this.formatter.formatPercentage(glidePath.shift)} to debt each year in the final ${this.formatter.formatYears(glidePath.years)}`;
+    }
+
     /**
      * Updates the summary card with aggregated data
      * @private
      * @param {Array<Object>} goals - Array of goal objects
+     * @param {boolean} [showTax] - Whether to show the total post-tax SIP
      */
-    updateSummary(goals) {
+    updateSummary(goals, showTax = false) {
         const summary = this.calculator.calculateSummary(goals);
 
         this.totalSipEl.textContent = this.formatter.formatCurrency(summary.totalSIP);
         this.totalFutureValueEl.textContent = this.formatter.formatCurrency(summary.totalFutureValue);
         this.totalInvestedEl.textContent = this.formatter.formatCurrency(summary.totalInvested);
         this.totalWealthGainedEl.textContent = this.formatter.formatCurrency(summary.totalWealthGained);
+
+        if (this.totalExistingCorpusEl) {
+            this.totalExistingCorpusEl.textContent = this.formatter.formatCurrency(summary.totalExistingCorpus);
+        }
+
+        if (this.postTaxSummaryEl) {
+            this.postTaxSummaryEl.classList.toggle('hidden', !showTax);
+
+            if (showTax) {
+                const totalPostTaxSIP = goals.reduce((sum, goal) => sum + (this.taxCalculator.calculatePostTaxSIP(goal) || 0), 0);
+                this.totalPostTaxSipEl.textContent = this.formatter.formatCurrency(totalPostTaxSIP);
+            }
+        }
+    }
+
+    /**
+     * Gets the tax settings from the tax card
+     * @returns {Object|null} Settings as { enabled, rules }, or null if a field is blank or negative
+     */
+    getTaxSettings() {
+        if (!this.taxEnabledEl) {
+            return null;
+        }
+
+        const rules = {};
+
+        for (const [group, inputs] of Object.entries(TAX_RULE_INPUTS)) {
+            rules[group] = {};
+
+            for (const [rule, inputId] of Object.entries(inputs)) {
+                const value = parseFloat(document.getElementById(inputId).value);
+
+                if (isNaN(value) || value < 0) {
+                    return null;
+                }
+                rules[group][rule] = value;
+            }
+        }
+
+        return { enabled: this.taxEnabledEl.checked, rules };
+    }
+
+    /**
+     * Fills the tax card from saved settings
+     * @param {Object} settings - Settings as { enabled, rules }
+     */
+    setTaxSettings(settings) {
+        if (!this.taxEnabledEl) {
+            return;
+        }
+
+        this.taxEnabledEl.checked = Boolean(settings.enabled);
+        this.taxFieldsEl.classList.toggle('hidden', !settings.enabled);
+
+        Object.entries(TAX_RULE_INPUTS).forEach(([group, inputs]) => {
+            Object.entries(inputs).forEach(([rule, inputId]) => {
+                document.getElementById(inputId).value = settings.rules[group][rule];
+            });
+        });
+    }
+
+    /**
+     * Gets the monthly budget settings from the summary card
+     * @returns {Object} Settings as { budget, strategy }; budget is 0 when blank
+     */
+    getBudgetSettings() {
+        if (!this.monthlyBudgetEl) {
+            return { budget: 0, strategy: 'priority' };
+        }
+
+        const budget = parseFloat(this.monthlyBudgetEl.value);
+
+        return {
+            budget: isNaN(budget) || budget < 0 ? 0 : budget,
+            strategy: this.budgetStrategyEl.value
+        };
+    }
+
+    /**
+     * Fills the summary card budget fields from saved settings
+     * @param {Object} settings - Settings as { budget, strategy }
+     */
+    setBudgetSettings(settings) {
+        if (!this.monthlyBudgetEl) {
+            return;
+        }
+
+        this.monthlyBudgetEl.value = settings.budget > 0 ? settings.budget : '';
+        if (settings.strategy) {
+            this.budgetStrategyEl.value = settings.strategy;
+        }
+    }
+
+    /**
+     * Renders how the monthly budget is split between goals
+     * @param {Object|null} allocation - Result of BudgetAllocator.allocate, or null without a budget
+     */
+    renderBudgetAllocation(allocation) {
+        if (!this.budgetAllocationEl) {
+            return;
+        }
+
+        if (!allocation) {
+            this.budgetAllocationEl.innerHTML = '';
+            return;
+        }
+
+        const rows = allocation.goals.map(result => `
+            <div class="flex justify-between">
+                <span class="text-indigo-200">${result.goalName}</span>
+                <span class="font-semibold">${this.formatter.formatCurrency(result.allocatedSIP)} · ${this.formatter.formatPercentage(result.fundedPercent)} funded</span>
+            </div>
+            ${result.shortfall > 0 ? `<p class="text-xs text-indigo-300 text-right">Projected shortfall ${this.formatter.formatCurrency(result.shortfall)}</p>` : ''}
+        `).join('');
+
+        const footer = allocation.totalRequired > allocation.budget
+            ? `Short by ${this.formatter.formatCurrency(allocation.totalRequired - allocation.budget)}/month`
+            : `${this.formatter.formatCurrency(allocation.unallocated)}/month unallocated`;
+
+        this.budgetAllocationEl.innerHTML = `
+            ${rows}
+            <p class="pt-2 border-t border-indigo-500 text-xs text-indigo-200">${footer}</p>
+        `;
+    }
+
+    /**
+     * Shows or hides the simulation panel and clears stale results
+     * @param {Array<Object>} goals - Array of goal objects
+     */
+    resetSimulation(goals) {
+        if (!this.simulationContainerEl) {
+            return;
+        }
+
+        this.simulationContainerEl.classList.toggle('hidden', goals.length === 0);
+        this.simulationResultsEl.innerHTML = '';
+    }
+
+    /**
+     * Renders Monte Carlo simulation results
+     * @param {Object} result - Plan result from MonteCarloSimulator.simulatePlan
+     */
+    renderSimulationResults(result) {
+        if (!this.simulationResultsEl) {
+            return;
+        }
+
+        const rows = result.goals.map(goalResult => `
+            <tr class="border-t border-gray-200 dark:border-gray-700">
+                <td class="py-2 pr-4 text-gray-900 dark:text-white">${goalResult.goalName}</td>
+                <td class="py-2 pr-4 font-semibold ${this.getProbabilityClass(goalResult.probability)}">${this.formatter.formatProbability(goalResult.probability)}</td>
+                <td class="py-2 pr-4">${this.formatter.formatCurrency(goalResult.target)}</td>
+                <td class="py-2 pr-4">${this.formatter.formatCurrency(goalResult.percentiles.p10)}</td>
+                <td class="py-2 pr-4">${this.formatter.formatCurrency(goalResult.percentiles.p50)}</td>
+                <td class="py-2">${this.formatter.formatCurrency(goalResult.percentiles.p90)}</td>
+            </tr>
+        `).join('');
+
+        this.simulationResultsEl.innerHTML = `
+            <p class="text-sm text-gray-600 dark:text-gray-300 mb-3">
+                Probability of reaching every goal:
+                <span class="font-bold ${this.getProbabilityClass(result.probability)}">${this.formatter.formatProbability(result.probability)}</span>
+                <span class="text-xs text-gray-500 dark:text-gray-400">(${result.iterations} paths, ${this.formatter.formatPercentage(result.volatility)} volatility)</span>
+            </p>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm text-left text-gray-600 dark:text-gray-300">
+                    <thead class="text-xs uppercase text-gray-500 dark:text-gray-400">
+                        <tr>
+                            <th class="py-2 pr-4">Goal</th>
+                            <th class="py-2 pr-4">Success</th>
+                            <th class="py-2 pr-4">Target</th>
+                            <th class="py-2 pr-4">10th pct.</th>
+                            <th class="py-2 pr-4">Median</th>
+                            <th class="py-2">90th pct.</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                        <tr class="border-t-2 border-gray-300 dark:border-gray-600 font-semibold">
+                            <td class="py-2 pr-4 text-gray-900 dark:text-white">All goals</td>
+                            <td class="py-2 pr-4 ${this.getProbabilityClass(result.probability)}">${this.formatter.formatProbability(result.probability)}</td>
+                            <td class="py-2 pr-4">${this.formatter.formatCurrency(result.totalTarget)}</td>
+                            <td class="py-2 pr-4">${this.formatter.formatCurrency(result.percentiles.p10)}</td>
+                            <td class="py-2 pr-4">${this.formatter.formatCurrency(result.percentiles.p50)}</td>
+                            <td class="py-2">${this.formatter.formatCurrency(result.percentiles.p90)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Gets the text color class for a success probability
+     * @private
+     * @param {number} probability - Probability between 0 and 1
+     * @returns {string} Tailwind text color classes
+     */
+    getProbabilityClass(probability) {
+        if (probability >= 0.75) {
+            return 'text-green-600 dark:text-green-400';
+        }
+        return probability >= 0.5 ? 'text-yellow-600 dark:text-yellow-400' : 'text-red-600 dark:text-red-400';
     }
 
     /**
@@ -135,32 +783,701 @@ export class UIRenderer {
         const currentPrice = parseFloat(document.getElementById('currentPrice').value);
         const inflationRate = parseFloat(document.getElementById('inflationRate').value);
         const timePeriod = parseFloat(document.getElementById('timePeriod').value);
-        const expectedReturn = parseFloat(document.getElementById('expectedReturn').value);
         const stepUpRate = parseFloat(document.getElementById('stepUpRate').value) || 0;
+        const existingCorpusEl = document.getElementById('existingCorpus');
+        const existingCorpus = existingCorpusEl ? parseFloat(existingCorpusEl.value) || 0 : 0;
+        const solveFor = this.solveForEl ? this.solveForEl.value : 'monthlySIP';
+        const isKnown = field => field !== solveFor;
+        const sipBudget = isKnown('monthlySIP') ? parseFloat(this.sipBudgetEl.value) : null;
+        const allocation = this.getAllocationValue();
+        const retirement = this.getRetirementValue();
+
+        if (allocation === null || retirement === null) {
+            return null;
+        }
+
+        // With an allocation, the expected return is the blended return of the first year
+        const expectedReturn = allocation
+            ? Number(this.calculator.calculateBlendedReturn(allocation.weights, allocation.returns).toFixed(2))
+            : parseFloat(document.getElementById('expectedReturn').value);
+
+        if (!goalName || inflationRate < 0 ||
+            (isKnown('currentPrice') && currentPrice <= 0) ||
+            (isKnown('years') && timePeriod <= 0) ||
+            (isKnown('expectedReturn') && expectedReturn <= 0)) {
+            return null;
+        }
 
-        if (!goalName || currentPrice <= 0 || inflationRate < 0 || timePeriod <= 0 || expectedReturn <= 0) {
+        if (sipBudget !== null && !(sipBudget > 0)) {
             return null;
         }
 
-        if (stepUpRate < 0) {
+        if (stepUpRate < 0 || existingCorpus < 0) {
+            return null;
+        }
+
+        const inflationSchedule = this.getInflationScheduleValue();
+        const lumpSums = this.getLumpSumsValue();
+        const priorityEl = document.getElementById('priority');
+        const priority = priorityEl ? parseInt(priorityEl.value, 10) : undefined;
+
+        if (!inflationSchedule || !lumpSums) {
             return null;
         }
 
         return {
             name: goalName,
-            currentPrice,
+            currentPrice: isKnown('currentPrice') ? currentPrice : null,
             inflationRate,
-            years: timePeriod,
-            expectedReturn,
-            stepUpRate
+            years: isKnown('years') ? timePeriod : null,
+            expectedReturn: isKnown('expectedReturn') ? expectedReturn : null,
+            stepUpRate,
+            inflationSchedule,
+            allocation,
+            existingCorpus,
+            lumpSums,
+            priority,
+            retirement,
+            solveFor,
+            sipBudget
+        };
+    }
+
+    /**
+     * Reads a contribution or valuation from a goal card's ledger form
+     * @param {HTMLFormElement} form - Ledger form of a goal card
+     * @returns {Object|null} Entry as { type, date, amount }, or null if invalid
+     */
+    getLedgerEntry(form) {
+        const type = form.elements.entryType.value;
+        const date = form.elements.date.value;
+        const amount = parseFloat(form.elements.amount.value);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(amount) || amount < 0 ||
+            (type === 'contribution' && amount === 0)) {
+            return null;
+        }
+
+        return { type, date, amount };
+    }
+
+    /**
+     * Reads the retirement fields when the goal is a retirement goal
+     * @private
+     * @returns {Object|undefined|null} Retirement settings, undefined for other goals, or null if invalid
+     */
+    getRetirementValue() {
+        if (!this.useRetirementEl || !this.useRetirementEl.checked) {
+            return undefined;
+        }
+
+        const retirementYearsEl = document.getElementById('retirementYears');
+        const retirementYears = parseInt(retirementYearsEl.value, 10);
+        const postRetirementReturn = parseFloat(document.getElementById('postRetirementReturn').value) || 0;
+
+        if (!(retirementYears >= 1) || postRetirementReturn < 0) {
+            retirementYearsEl.setCustomValidity('Enter at least 1 year in retirement and a non-negative return');
+            retirementYearsEl.reportValidity();
+            return null;
+        }
+
+        return { retirementYears, postRetirementReturn };
+    }
+
+    /**
+     * Parses the optional lump sums field
+     * @private
+     * @returns {Array<Object>|null} Lump sums (empty if blank), or null if invalid
+     */
+    getLumpSumsValue() {
+        if (!this.lumpSumsEl) {
+            return [];
+        }
+
+        try {
+            return this.lumpSumParser.parse(this.lumpSumsEl.value);
+        } catch (error) {
+            this.lumpSumsEl.setCustomValidity(error.message);
+            this.lumpSumsEl.reportValidity();
+            return null;
+        }
+    }
+
+    /**
+     * Reads the optional asset allocation fields
+     * @private
+     * @returns {Object|undefined|null} Allocation, undefined if not used, or null if invalid
+     */
+    getAllocationValue() {
+        if (!this.useAllocationEl || !this.useAllocationEl.checked) {
+            return undefined;
+        }
+
+        const readNumber = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const allocation = {
+            weights: {
+                equity: readNumber('equityWeight'),
+                debt: readNumber('debtWeight'),
+                gold: readNumber('goldWeight')
+            },
+            returns: {
+                equity: readNumber('equityReturn'),
+                debt: readNumber('debtReturn'),
+                gold: readNumber('goldReturn')
+            },
+            glidePath: {
+                years: readNumber('glidePathYears'),
+                shift: readNumber('glidePathShift')
+            }
         };
+
+        const weights = Object.values(allocation.weights);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        if (weights.some(weight => weight < 0) || Math.abs(totalWeight - 100) > 0.01) {
+            const equityWeightEl = document.getElementById('equityWeight');
+            equityWeightEl.setCustomValidity('Allocation weights must add up to 100%');
+            equityWeightEl.reportValidity();
+            return null;
+        }
+
+        return allocation;
+    }
+
+    /**
+     * Parses the optional inflation schedule field
+     * @private
+     * @returns {Array<Object>|null} Schedule ranges (empty if blank), or null if invalid
+     */
+    getInflationScheduleValue() {
+        if (!this.inflationScheduleEl) {
+            return [];
+        }
+
+        try {
+            return this.scheduleParser.parse(this.inflationScheduleEl.value);
+        } catch (error) {
+            this.inflationScheduleEl.setCustomValidity(error.message);
+            this.inflationScheduleEl.reportValidity();
+            return null;
+        }
     }
 
     /**
      * Resets the form
      */
     resetForm() {
+        const solveFor = this.solveForEl ? this.solveForEl.value : 'monthlySIP';
         document.getElementById('add-goal-form').reset();
+        this.toggleAllocationFields(false);
+        this.toggleRetirementFields(false);
+        this.toggleSolveFor(solveFor);
+        this.setEditMode(null);
+    }
+
+    /**
+     * Enables the undo and redo buttons and describes what they would change
+     * @param {string|null} undoLabel - Change undo would revert, or null if there is none
+     * @param {string|null} redoLabel - Change redo would reapply, or null if there is none
+     */
+    updateHistoryControls(undoLabel, redoLabel) {
+        if (!this.undoBtnEl || !this.redoBtnEl) {
+            return;
+        }
+
+        this.undoBtnEl.disabled = undoLabel === null;
+        this.undoBtnEl.title = undoLabel === null ? 'Undo (Ctrl+Z)' : `Undo ${undoLabel} (Ctrl+Z)`;
+        this.redoBtnEl.disabled = redoLabel === null;
+        this.redoBtnEl.title = redoLabel === null ? 'Redo (Ctrl+Y)' : `Redo ${redoLabel} (Ctrl+Y)`;
+    }
+
+    /**
+     * Shows a short-lived message with an Undo button
+     * @param {string} message - Message describing the change
+     */
+    showUndoToast(message) {
+        if (!this.undoToastEl) {
+            return;
+        }
+
+        this.undoToastMessageEl.textContent = message;
+        this.undoToastEl.classList.remove('hidden');
+
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => this.hideUndoToast(), UNDO_TOAST_DURATION_MS);
+    }
+
+    /**
+     * Hides the undo toast
+     */
+    hideUndoToast() {
+        if (!this.undoToastEl) {
+            return;
+        }
+
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = null;
+        this.undoToastEl.classList.add('hidden');
     }
-}
 
+    /**
+     * Fills the add goal form with an existing goal and switches it to edit mode
+     * @param {Object} goal - Goal to edit
+     */
+    populateForm(goal) {
+        document.getElementById('add-goal-form').reset();
+        this.toggleSolveFor('monthlySIP');
+        this.hideSolverResult();
+
+        document.getElementById('goalName').value = goal.name;
+        document.getElementById('currentPrice').value = goal.currentPrice;
+        document.getElementById('inflationRate').value = goal.inflationRate;
+        document.getElementById('timePeriod').value = goal.years;
+        document.getElementById('expectedReturn').value = goal.expectedReturn;
+        document.getElementById('stepUpRate').value = goal.stepUpRate || 0;
+
+        if (this.inflationScheduleEl) {
+            this.inflationScheduleEl.value = this.scheduleParser.format(goal.inflationSchedule);
+        }
+
+        if (this.lumpSumsEl) {
+            this.lumpSumsEl.value = this.lumpSumParser.format(goal.lumpSums);
+        }
+
+        const existingCorpusEl = document.getElementById('existingCorpus');
+        if (existingCorpusEl) {
+            existingCorpusEl.value = goal.existingCorpus || 0;
+        }
+
+        const priorityEl = document.getElementById('priority');
+        if (priorityEl && goal.priority) {
+            priorityEl.value = goal.priority;
+        }
+
+        this.toggleRetirementFields(Boolean(goal.retirement), goal.retirement);
+        this.toggleAllocationFields(Boolean(goal.allocation));
+
+        if (goal.allocation) {
+            ['equity', 'debt', 'gold'].forEach(asset => {
+                document.getElementById(`${asset}Weight`).value = goal.allocation.weights[asset] || 0;
+                document.getElementById(`${asset}Return`).value = goal.allocation.returns[asset] || 0;
+            });
+            document.getElementById('glidePathYears').value = goal.allocation.glidePath ? goal.allocation.glidePath.years : 0;
+            document.getElementById('glidePathShift').value = goal.allocation.glidePath ? goal.allocation.glidePath.shift : 0;
+        }
+
+        this.setEditMode(goal.id);
+    }
+
+    /**
+     * Gets the ID of the goal being edited in the form
+     * @returns {string|number|null} Goal ID, or null when the form adds a new goal
+     */
+    getEditingGoalId() {
+        return this.editingGoalId;
+    }
+
+    /**
+     * Switches the add goal form between adding and editing
+     * @private
+     * @param {string|number|null} goalId - ID of the goal being edited, or null to add goals
+     */
+    setEditMode(goalId) {
+        this.editingGoalId = goalId;
+
+        if (!this.submitGoalBtnEl) {
+            return;
+        }
+
+        const editing = goalId !== null;
+        this.goalFormTitleEl.textContent = editing ? 'Edit Goal' : 'Add a New Goal';
+        this.submitGoalBtnEl.textContent = editing ? 'Save Changes' : 'Add Goal';
+        this.cancelEditBtnEl.classList.toggle('hidden', !editing);
+    }
+
+    /**
+     * Fills the profile switcher
+     * @param {Array<Object>} profiles - Profiles as { id, name }
+     * @param {string} activeProfileId - ID of the open profile
+     */
+    renderProfiles(profiles, activeProfileId) {
+        if (!this.profileSelectEl) {
+            return;
+        }
+
+        this.profileSelectEl.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeProfileId;
+            this.profileSelectEl.appendChild(option);
+        });
+
+        if (this.deleteProfileBtnEl) {
+            this.deleteProfileBtnEl.disabled = profiles.length < 2;
+        }
+    }
+
+    /**
+     * Renders each profile's totals and the combined household totals
+     * @param {Object|null} household - Result of SIPCalculator.calculateHouseholdSummary; hidden when null
+     */
+    renderHouseholdSummary(household) {
+        if (!this.householdSummaryEl) {
+            return;
+        }
+
+        this.householdSummaryEl.classList.toggle('hidden', !household);
+
+        if (!household) {
+            return;
+        }
+
+        this.householdProfilesEl.innerHTML = '';
+
+        household.profiles.forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between';
+            row.innerHTML = `
+                <span class="text-indigo-200"></span>
+                <span class="font-semibold">${this.formatter.formatCurrency(profile.summary.totalSIP)}/month</span>
+            `;
+            // Names are set as text since they may come from an imported file
+            row.querySelector('span').textContent = `${profile.name} (${profile.goalCount} goal${profile.goalCount === 1 ? '' : 's'})`;
+            this.householdProfilesEl.appendChild(row);
+        });
+
+        document.getElementById('household-total-sip').textContent = this.formatter.formatCurrency(household.combined.totalSIP);
+        document.getElementById('household-future-value').textContent = this.formatter.formatCurrency(household.combined.totalFutureValue);
+    }
+
+    /**
+     * Fills the snapshot lists, keeping the chosen snapshots while they still exist
+     * 
+     * At first the newest snapshot is chosen and compared with the current plan.
+     * 
+     * @param {Array<Object>} snapshots - Snapshots as { id, savedAt, goals }, newest first
+     */
+    renderSnapshots(snapshots) {
+        if (!this.snapshotsPanelEl) {
+            return;
+        }
+
+        document.getElementById('snapshots-empty').classList.toggle('hidden', snapshots.length > 0);
+        document.getElementById('snapshot-controls').classList.toggle('hidden', snapshots.length === 0);
+
+        const options = snapshots.map(snapshot => {
+            const count = snapshot.goals.length;
+            return {
+                value: String(snapshot.id),
+                label: `${this.formatter.formatDateTime(snapshot.savedAt)} (${count} goal${count === 1 ? '' : 's'})`
+            };
+        });
+
+        this.fillSelect(this.snapshotSelectEl, options);
+        this.fillSelect(this.snapshotCompareSelectEl, [{ value: 'current', label: 'Current plan' }, ...options]);
+    }
+
+    /**
+     * Gets the snapshots chosen in the snapshot panel
+     * @returns {Object} Choice as { snapshotId, compareWithId }; snapshotId is null when there are no snapshots and compareWithId is null for the current plan
+     */
+    getSnapshotSelection() {
+        if (!this.snapshotSelectEl || !this.snapshotSelectEl.value) {
+            return { snapshotId: null, compareWithId: null };
+        }
+
+        const compareWith = this.snapshotCompareSelectEl.value;
+
+        return {
+            snapshotId: Number(this.snapshotSelectEl.value),
+            compareWithId: compareWith && compareWith !== 'current' ? Number(compareWith) : null
+        };
+    }
+
+    /**
+     * Lists the differences between two versions of the goals in the snapshot panel
+     * @param {Object|null} diff - Result of SnapshotComparer.compare, from the earlier version to the later; cleared when null
+     * @param {string} [fromLabel] - Name of the earlier version
+     * @param {string} [toLabel] - Name of the later version
+     */
+    renderSnapshotDiff(diff, fromLabel = '', toLabel = '') {
+        if (!this.snapshotDiffEl) {
+            return;
+        }
+
+        this.snapshotDiffEl.innerHTML = '';
+
+        if (!diff) {
+            return;
+        }
+
+        const addLine = (text, className = '') => {
+            const line = document.createElement('p');
+            line.className = className;
+            // Goal names are set as text since they may come from an imported file
+            line.textContent = text;
+            this.snapshotDiffEl.appendChild(line);
+        };
+
+        if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+            addLine(`No differences between ${fromLabel} and ${toLabel}.`, 'text-gray-500 dark:text-gray-400');
+            return;
+        }
+
+        addLine(`From ${fromLabel} to ${toLabel}:`, 'text-gray-500 dark:text-gray-400');
+        diff.added.forEach(goal => addLine(`Added "${goal.name}"`, 'text-green-600 dark:text-green-400'));
+        diff.removed.forEach(goal => addLine(`Removed "${goal.name}"`, 'text-red-600 dark:text-red-400'));
+        diff.changed.forEach(change => {
+            const fields = change.fields.map(field => this.formatFieldChange(field, change.before[field], change.after[field]));
+            addLine(`Changed "${change.name}": ${fields.join('; ')}`);
+        });
+    }
+
+    /**
+     * Describes how one field of a goal changed
+     * @private
+     * @param {string} field - Field name
+     * @param {*} before - Earlier value, or undefined if the field was not set
+     * @param {*} after - Later value, or undefined if the field was not set
+     * @returns {string} Description, e.g. "Time period 10 years → 12 years"
+     */
+    formatFieldChange(field, before, after) {
+        const { label, format } = SNAPSHOT_FIELDS[field] || { label: field };
+
+        // Lists and nested settings are only named; their values are too long to show here
+        if ((before !== undefined && typeof before === 'object') || (after !== undefined && typeof after === 'object')) {
+            return `${label} changed`;
+        }
+
+        const formatValue = (value) => {
+            if (value === undefined) {
+                return 'none';
+            }
+
+            return format ? this.formatter[format](value) : String(value);
+        };
+
+        return `${label} ${formatValue(before)} → ${formatValue(after)}`;
+    }
+
+    /**
+     * Replaces the options of a select, keeping its value if it is still offered
+     * @private
+     * @param {HTMLSelectElement} selectEl - Select to fill
+     * @param {Array<Object>} options - Options as { value, label }; the first is chosen if the value is not offered
+     */
+    fillSelect(selectEl, options) {
+        const previous = selectEl.value;
+        selectEl.innerHTML = '';
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            selectEl.appendChild(option);
+        });
+
+        if (options.some(option => option.value === previous)) {
+            selectEl.value = previous;
+        }
+    }
+
+    /**
+     * Updates the encryption card for whether saved data is encrypted
+     * @param {boolean} encrypted - Whether encryption is turned on
+     * @param {boolean} [supported] - Whether the browser can encrypt; the card is hidden if not
+     */
+    setEncryptionStatus(encrypted, supported = true) {
+        if (!this.encryptionSettingsEl) {
+            return;
+        }
+
+        this.encryptionSettingsEl.classList.toggle('hidden', !supported);
+        this.encryptionStatusEl.textContent = encrypted
+            ? 'Saved goals are encrypted with your passphrase.'
+            : 'Saved goals are not encrypted.';
+        document.getElementById('current-passphrase-field').classList.toggle('hidden', !encrypted);
+        document.getElementById('newPassphrase-label').textContent = encrypted ? 'New passphrase' : 'Passphrase';
+        document.getElementById('encryption-submit-btn').textContent = encrypted ? 'Change Passphrase' : 'Encrypt Saved Goals';
+        document.getElementById('disable-encryption-btn').classList.toggle('hidden', !encrypted);
+    }
+
+    /**
+     * Gets the passphrases entered in the encryption card
+     * @returns {Object} Passphrases as { currentPassphrase, newPassphrase, confirmPassphrase }
+     */
+    getEncryptionValues() {
+        return {
+            currentPassphrase: document.getElementById('currentPassphrase').value,
+            newPassphrase: document.getElementById('newPassphrase').value,
+            confirmPassphrase: document.getElementById('confirmPassphrase').value
+        };
+    }
+
+    /**
+     * Clears the passphrases entered in the encryption card
+     */
+    clearEncryptionValues() {
+        ['currentPassphrase', 'newPassphrase', 'confirmPassphrase'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    /**
+     * Enables or disables the encryption card's buttons while a change is saved
+     * @param {boolean} busy - Whether a change is being saved
+     */
+    setEncryptionBusy(busy) {
+        document.getElementById('encryption-submit-btn').disabled = busy;
+        document.getElementById('disable-encryption-btn').disabled = busy;
+    }
+
+    /**
+     * Shows the outcome of an encryption change in the encryption card
+     * @param {string} message - Message to show
+     * @param {boolean} [isError] - Whether the change failed
+     */
+    showEncryptionMessage(message, isError = false) {
+        if (!this.encryptionMessageEl) {
+            return;
+        }
+
+        this.encryptionMessageEl.textContent = message;
+        this.encryptionMessageEl.className = isError
+            ? 'text-sm text-red-600 dark:text-red-400'
+            : 'text-sm text-green-600 dark:text-green-400';
+    }
+
+    /**
+     * Asks for a passphrase in a dialog that hides what is typed
+     * @param {string} message - What the passphrase is for
+     * @returns {Promise<string|null>} Passphrase entered, or null if cancelled
+     */
+    requestPassphrase(message) {
+        if (!this.passphraseDialogEl) {
+            return Promise.resolve(null);
+        }
+
+        const formEl = document.getElementById('passphrase-form');
+        const inputEl = document.getElementById('passphrase-input');
+        const cancelBtn = document.getElementById('passphrase-cancel-btn');
+
+        document.getElementById('passphrase-message').textContent = message;
+        inputEl.value = '';
+        this.passphraseDialogEl.classList.remove('hidden');
+        inputEl.focus();
+
+        return new Promise(resolve => {
+            const close = (passphrase) => {
+                formEl.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                inputEl.value = '';
+                this.passphraseDialogEl.classList.add('hidden');
+                resolve(passphrase);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                close(inputEl.value);
+            };
+            const onCancel = () => close(null);
+
+            formEl.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Asks which goal field each column of a CSV file or Excel sheet holds
+     * 
+     * Each column is listed with its value for the first goal and a choice
+     * of goal fields, starting from the given mapping. The dialog stays
+     * open until the chosen mapping passes validation or it is cancelled.
+     * 
+     * @param {Object} match - Columns as { headers, samples, columns } (see Importer.matchCSVColumns and matchXLSXColumns)
+     * @param {Array<Object>} fields - Goal fields as { field, label, required }
+     * @param {Function} validate - Called with the chosen mapping; throws an Error to reject it
+     * @returns {Promise<Array<string|null>|null>} Goal field held by each column (null to skip it), or null if cancelled
+     */
+    requestColumnMapping(match, fields, validate) {
+        if (!this.columnMappingDialogEl) {
+            return Promise.resolve(null);
+        }
+
+        const formEl = document.getElementById('column-mapping-form');
+        const rowsEl = document.getElementById('column-mapping-rows');
+        const errorEl = document.getElementById('column-mapping-error');
+        const cancelBtn = document.getElementById('column-mapping-cancel-btn');
+        const options = [
+            { value: '', label: 'Skip this column' },
+            ...fields.map(({ field, label, required }) => ({ value: field, label: required ? `${label} *` : label }))
+        ];
+
+        rowsEl.innerHTML = '';
+        const selectEls = match.headers.map((header, index) => {
+            const rowEl = document.createElement('tr');
+            const headerEl = document.createElement('td');
+            const sampleEl = document.createElement('td');
+            const fieldEl = document.createElement('td');
+            const selectEl = document.createElement('select');
+
+            headerEl.className = 'py-1 pr-2 font-medium';
+            headerEl.textContent = header || `Column ${index + 1}`;
+            sampleEl.className = 'py-1 pr-2 text-gray-500 dark:text-gray-400 break-all';
+            sampleEl.textContent = match.samples[index] || '';
+            selectEl.className = 'w-full p-1 bg-gray-50 dark:bg-gray-700 dark:text-white border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 text-sm';
+            selectEl.setAttribute('aria-label', `Goal field for ${headerEl.textContent}`);
+            this.fillSelect(selectEl, options);
+            selectEl.value = match.columns[index] || '';
+
+            fieldEl.appendChild(selectEl);
+            rowEl.append(headerEl, sampleEl, fieldEl);
+            rowsEl.appendChild(rowEl);
+            return selectEl;
+        });
+
+        errorEl.classList.add('hidden');
+        this.columnMappingDialogEl.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const close = (columns) => {
+                formEl.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                this.columnMappingDialogEl.classList.add('hidden');
+                resolve(columns);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                const columns = selectEls.map(selectEl => selectEl.value || null);
+
+                try {
+                    validate(columns);
+                } catch (error) {
+                    errorEl.textContent = error.message;
+                    errorEl.classList.remove('hidden');
+                    return;
+                }
+
+                close(columns);
+            };
+            const onCancel = () => close(null);
+
+            formEl.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Shows the goals of an import file for review before they are imported
+     * @param {Object} preview - Import preview as { fields, rows } (see Importer.previewCSV)
+     * @param {number} existingCount - Number of goals already in the plan
+     * @param {Function} recheck - Called with an edited row; returns it checked again (see Importer.checkImportRow)
+     * @param {Function} planMerge - Called with the ticked goals; returns how they merge (see ImportMerger.plan)
+     * @returns {Promise<Object|null>} Choice as { goals, mode, removeMissing }, or null if cancelled (see ImportPreviewDialog.request)
+     */
+    requestImportPreview(preview, existingCount, recheck, planMerge) {
+        return this.importPreviewDialog.request(preview, existingCount, recheck, planMerge);
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Unlock screen
+ * Asks for the passphrase of encrypted saved data before the app starts
+ */
+
+/**
+ * UnlockScreen class shows the unlock form until the right passphrase is entered
+ */
+export class UnlockScreen {
+    /**
+     * Creates a new UnlockScreen instance
+     * @param {Object} storageService - StorageService whose data is locked
+     */
+    constructor(storageService) {
+        this.storageService = storageService;
+        this.screenEl = document.getElementById('unlock-screen');
+        this.formEl = document.getElementById('unlock-form');
+        this.passphraseEl = document.getElementById('unlock-passphrase');
+        this.errorEl = document.getElementById('unlock-error');
+        this.submitBtn = document.getElementById('unlock-btn');
+        this.resetBtn = document.getElementById('unlock-reset-btn');
+    }
+
+    /**
+     * Shows the unlock screen and waits until the data is unlocked
+     *
+     * The user can instead erase the encrypted data (after confirming) if
+     * they have lost the passphrase; the app then starts empty.
+     *
+     * @returns {Promise<void>} Resolves once the data is unlocked or erased
+     */
+    waitForUnlock() {
+        this.screenEl.classList.remove('hidden');
+        this.passphraseEl.focus();
+
+        return new Promise(resolve => {
+            this.formEl.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                if (await this.tryUnlock(this.passphraseEl.value)) {
+                    this.hide();
+                    resolve();
+                }
+            });
+
+            this.resetBtn.addEventListener('click', async () => {
+                const confirmed = confirm('Erase all saved goals, settings and history? This cannot be undone.');
+
+                if (confirmed) {
+                    await this.storageService.eraseEncryptedData();
+                    this.hide();
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Tries to unlock the data, showing an error if the passphrase is wrong
+     * @private
+     * @param {string} passphrase - Passphrase entered by the user
+     * @returns {Promise<boolean>} True if the data was unlocked
+     */
+    async tryUnlock(passphrase) {
+        this.submitBtn.disabled = true;
+        this.errorEl.classList.add('hidden');
+
+        try {
+            await this.storageService.unlock(passphrase);
+            return true;
+        } catch (error) {
+            this.errorEl.textContent = error.message;
+            this.errorEl.classList.remove('hidden');
+            this.passphraseEl.select();
+            return false;
+        } finally {
+            this.submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Hides the unlock screen and clears the passphrase
+     * @private
+     */
+    hide() {
+        this.passphraseEl.value = '';
+        this.screenEl.classList.add('hidden');
+    }
+}
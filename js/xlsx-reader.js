@@ -0,0 +1,262 @@
+/**
+ * XLSX reading
+ * Reads the cell values of Excel workbooks, such as a Goals sheet to import
+ */
+
+import { ZipArchive } from './zip.js';
+
+/**
+ * Built-in number formats that show a value as a percentage
+ * @type {Array<number>}
+ */
+const PERCENT_FORMAT_IDS = [9, 10];
+
+/**
+ * A worksheet's values
+ * @typedef {Object} XLSXSheet
+ * @property {string} name - Sheet name
+ * @property {Array<Object>} records - Rows that have cells, as { line, values } like CSVParser's records; line is the row number
+ */
+
+/**
+ * XLSXReader class reads the sheets of an Excel (.xlsx) workbook
+ *
+ * Every value is read as text, the way a CSV file would hold it: numbers
+ * in full precision, TRUE/FALSE for booleans and the cached result of
+ * formulas. Numbers formatted as percentages are stored as fractions, so
+ * they are read as the percentage shown (0.12 shown as 12% reads as 12).
+ * Dates are read as Excel's day numbers. Missing cells in a row read as
+ * empty strings.
+ */
+export class XLSXReader {
+    /**
+     * Creates a new XLSXReader instance
+     * @param {Object} [zip] - ZipArchive instance the workbook is unpacked with
+     */
+    constructor(zip = new ZipArchive()) {
+        this.zip = zip;
+    }
+
+    /**
+     * Reads every sheet of a workbook
+     * @param {Uint8Array|ArrayBuffer} content - Workbook file content
+     * @returns {Promise<Array<XLSXSheet>>} Sheets in workbook order
+     * @throws {Error} If the content is not an Excel workbook (rejects the promise)
+     */
+    async read(content) {
+        let files;
+
+        try {
+            files = await this.zip.extract(content);
+        } catch (error) {
+            throw new Error('File is not an Excel workbook');
+        }
+
+        const decoder = new TextDecoder();
+        const readXML = (path) => files.has(path) ? this.parseXML(decoder.decode(files.get(path))) : null;
+        const workbook = readXML('xl/workbook.xml');
+
+        if (!workbook) {
+            throw new Error('File is not an Excel workbook');
+        }
+
+        const targets = this.readRelationships(readXML('xl/_rels/workbook.xml.rels'));
+        const sharedStrings = this.readSharedStrings(readXML('xl/sharedStrings.xml'));
+        const percentStyles = this.readPercentStyles(readXML('xl/styles.xml'));
+
+        return this.getElements(workbook, 'sheet').map(sheet => {
+            const relationshipId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+                sheet.getAttribute('r:id');
+            const target = targets.get(relationshipId) || '';
+            const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            const worksheet = readXML(path);
+
+            return {
+                name: sheet.getAttribute('name'),
+                records: worksheet ? this.readRecords(worksheet, sharedStrings, percentStyles) : []
+            };
+        });
+    }
+
+    /**
+     * Parses an XML part
+     * @private
+     * @param {string} text - XML text
+     * @returns {Document} Parsed document
+     * @throws {Error} If the XML is not well formed
+     */
+    parseXML(text) {
+        const document = new DOMParser().parseFromString(text, 'application/xml');
+
+        if (this.getElements(document, 'parsererror').length > 0) {
+            throw new Error('Excel workbook is damaged');
+        }
+
+        return document;
+    }
+
+    /**
+     * Finds elements by local name, whatever namespace prefix they are written with
+     * @private
+     * @param {Document|Element} parent - Element to search in
+     * @param {string} name - Local name
+     * @returns {Array<Element>} Matching descendants in document order
+     */
+    getElements(parent, name) {
+        return Array.from(parent.getElementsByTagNameNS('*', name));
+    }
+
+    /**
+     * Reads the targets of a relationships part
+     * @private
+     * @param {Document|null} relationships - Relationships part
+     * @returns {Map<string, string>} Target of each relationship ID
+     */
+    readRelationships(relationships) {
+        const targets = new Map();
+
+        if (relationships) {
+            this.getElements(relationships, 'Relationship').forEach(relationship => {
+                targets.set(relationship.getAttribute('Id'), relationship.getAttribute('Target'));
+            });
+        }
+
+        return targets;
+    }
+
+    /**
+     * Reads the shared strings cells refer to by index
+     * @private
+     * @param {Document|null} sharedStrings - Shared strings part
+     * @returns {Array<string>} Strings, rich text joined into plain text
+     */
+    readSharedStrings(sharedStrings) {
+        return sharedStrings ? this.getElements(sharedStrings, 'si').map(item => this.readText(item)) : [];
+    }
+
+    /**
+     * Finds the cell styles that show numbers as percentages
+     * @private
+     * @param {Document|null} styles - Styles part
+     * @returns {Set<number>} Indexes of the styles in cellXfs
+     */
+    readPercentStyles(styles) {
+        const percentStyles = new Set();
+
+        if (!styles) {
+            return percentStyles;
+        }
+
+        // A % sign outside quotes multiplies the value by 100 when shown
+        const customPercentIds = this.getElements(styles, 'numFmt')
+            .filter(format => /%/.test(format.getAttribute('formatCode').replace(/"[^"]*"|\\./g, '')))
+            .map(format => Number(format.getAttribute('numFmtId')));
+        const cellFormats = this.getElements(styles, 'cellXfs')[0];
+
+        if (cellFormats) {
+            Array.from(cellFormats.children).forEach((format, index) => {
+                const formatId = Number(format.getAttribute('numFmtId'));
+
+                if (PERCENT_FORMAT_IDS.includes(formatId) || customPercentIds.includes(formatId)) {
+                    percentStyles.add(index);
+                }
+            });
+        }
+
+        return percentStyles;
+    }
+
+    /**
+     * Reads the rows of a worksheet
+     * @private
+     * @param {Document} worksheet - Worksheet part
+     * @param {Array<string>} sharedStrings - Shared strings
+     * @param {Set<number>} percentStyles - Styles that show numbers as percentages
+     * @returns {Array<Object>} Rows that have cells, as { line, values }
+     */
+    readRecords(worksheet, sharedStrings, percentStyles) {
+        let previousLine = 0;
+
+        return this.getElements(worksheet, 'row').map(row => {
+            const line = Number(row.getAttribute('r')) || previousLine + 1;
+            const values = [];
+            previousLine = line;
+
+            this.getElements(row, 'c').forEach(cell => {
+                const reference = cell.getAttribute('r');
+                const column = reference ? this.getColumnIndex(reference) : values.length;
+
+                while (values.length < column) {
+                    values.push('');
+                }
+                values[column] = this.readCell(cell, sharedStrings, percentStyles);
+            });
+
+            return { line, values };
+        });
+    }
+
+    /**
+     * Reads a cell's value as text
+     * @private
+     * @param {Element} cell - Cell element
+     * @param {Array<string>} sharedStrings - Shared strings
+     * @param {Set<number>} percentStyles - Styles that show numbers as percentages
+     * @returns {string} Value
+     */
+    readCell(cell, sharedStrings, percentStyles) {
+        const type = cell.getAttribute('t') || 'n';
+        const valueElement = this.getElements(cell, 'v')[0];
+        const value = valueElement ? valueElement.textContent : '';
+
+        if (type === 'inlineStr') {
+            const inline = this.getElements(cell, 'is')[0];
+            return inline ? this.readText(inline) : '';
+        }
+
+        if (type === 's') {
+            return sharedStrings[Number(value)] || '';
+        }
+
+        if (type === 'b') {
+            return value === '1' ? 'TRUE' : 'FALSE';
+        }
+
+        if (type !== 'n' || value === '') {
+            return value;
+        }
+
+        const number = Number(value);
+
+        if (percentStyles.has(Number(cell.getAttribute('s')))) {
+            // Rounding drops the binary noise of fractions such as 0.07 * 100
+            return String(Number((number * 100).toPrecision(15)));
+        }
+
+        return String(number);
+    }
+
+    /**
+     * Reads the text of a string item, joining its rich text runs
+     * @private
+     * @param {Element} item - Shared string item or inline string
+     * @returns {string} Plain text, without phonetic guides
+     */
+    readText(item) {
+        return this.getElements(item, 't')
+            .filter(text => text.parentNode.localName !== 'rPh')
+            .map(text => text.textContent)
+            .join('');
+    }
+
+    /**
+     * Gets the column of a cell reference
+     * @private
+     * @param {string} reference - Cell reference, such as "AB12"
+     * @returns {number} Column index (0-based)
+     */
+    getColumnIndex(reference) {
+        const letters = /^[A-Z]+/i.exec(reference);
+        return letters ? [...letters[0].toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1 : 0;
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * XLSX writing
+ * Builds Excel workbooks with formatted sheets, without any library
+ */
+
+import { ZipArchive } from './zip.js';
+
+/**
+ * Namespace of SpreadsheetML parts
+ * @type {string}
+ */
+const SPREADSHEET_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+/**
+ * Namespace of relationship IDs
+ * @type {string}
+ */
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Index in styles.xml's cellXfs of each cell style
+ * @type {Object<string, number>}
+ */
+const CELL_STYLES = {
+    general: 0,
+    header: 1,
+    currency: 2,
+    percent: 3,
+    integer: 4,
+    title: 5
+};
+
+/**
+ * Stylesheet of written workbooks; the order of cellXfs matches CELL_STYLES.
+ * Percentages are stored as written (12 for 12%) and shown with a % sign
+ * @type {string}
+ */
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${SPREADSHEET_NAMESPACE}">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="&quot;₹&quot;#,##0"/><numFmt numFmtId="165" formatCode="General&quot;%&quot;"/></numFmts>
+<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="14"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFEEF2FF"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Longest sheet name Excel accepts
+ * @type {number}
+ */
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * A worksheet cell: a plain value, or a value with a style
+ * @typedef {string|number|null|{value: (string|number|null), style: string}} XLSXCell
+ */
+
+/**
+ * Layout options of a worksheet
+ * @typedef {Object} XLSXSheetOptions
+ * @property {Array<number>} [columnWidths] - Width of each column, in characters
+ * @property {number} [frozenRows] - Number of rows at the top that stay in view when scrolling
+ */
+
+/**
+ * XLSXWorkbook class builds an Excel (.xlsx) workbook
+ *
+ * Cells hold text or numbers; empty strings, null and non-finite numbers
+ * leave the cell empty. Styles are the keys of CELL_STYLES: 'header'
+ * (bold on a tint), 'title', 'currency' (₹ with thousands separators),
+ * 'percent' and 'integer'. Sheet names are made valid and unique the
+ * way Excel requires, so goal names can be used as they are.
+ */
+export class XLSXWorkbook {
+    /**
+     * Creates a new XLSXWorkbook instance without sheets
+     * @param {Object} [zip] - ZipArchive instance the workbook is packaged with
+     */
+    constructor(zip = new ZipArchive()) {
+        this.zip = zip;
+        this.sheets = [];
+    }
+
+    /**
+     * Adds a worksheet
+     * @param {string} name - Sheet name; characters Excel forbids are removed and long names shortened
+     * @param {Array<Array<XLSXCell>>} rows - Cells of each row, from column A
+     * @param {XLSXSheetOptions} [options] - Column widths and frozen rows
+     * @returns {string} Name the sheet was given
+     */
+    addSheet(name, rows, options = {}) {
+        const sheetName = this.getSheetName(name);
+        this.sheets.push({ name: sheetName, rows, columnWidths: options.columnWidths || [], frozenRows: options.frozenRows || 0 });
+        return sheetName;
+    }
+
+    /**
+     * Writes the workbook file
+     * @returns {Uint8Array} File content
+     * @throws {Error} If the workbook has no sheets
+     */
+    toBytes() {
+        if (this.sheets.length === 0) {
+            throw new Error('A workbook needs at least one sheet');
+        }
+
+        const sheetFiles = this.sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            data: this.getSheetXML(sheet)
+        }));
+
+        return this.zip.create([
+            { name: '[Content_Types].xml', data: this.getContentTypesXML() },
+            {
+                name: '_rels/.rels',
+                data: this.getRelationshipsXML([
+                    ['http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument', 'xl/workbook.xml']
+                ])
+            },
+            { name: 'xl/workbook.xml', data: this.getWorkbookXML() },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                data: this.getRelationshipsXML([
+                    ...this.sheets.map((sheet, index) => [
+                        'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+                        `worksheets/sheet${index + 1}.xml`
+                    ]),
+                    ['http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles', 'styles.xml']
+                ])
+            },
+            { name: 'xl/styles.xml', data: STYLES_XML },
+            ...sheetFiles
+        ]);
+    }
+
+    /**
+     * Makes a sheet name valid and unique
+     * @private
+     * @param {string} name - Name asked for
+     * @returns {string} Name without []:*?/\ and surrounding apostrophes, at most 31 characters, unique ignoring case
+     */
+    getSheetName(name) {
+        const base = String(name)
+            .replace(/[[\]:*?/\\]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .replace(/^'+|'+$/g, '')
+            .trim() || 'Sheet';
+        const isTaken = (candidate) => this.sheets.some(sheet => sheet.name.toLowerCase() === candidate.toLowerCase());
+        let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+
+        for (let number = 2; isTaken(candidate); number++) {
+            const suffix = ` (${number})`;
+            candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+        }
+
+        return candidate;
+    }
+
+    /**
+     * Builds the XML of a worksheet
+     * @private
+     * @param {Object} sheet - Sheet as { rows, columnWidths, frozenRows }
+     * @returns {string} Worksheet part
+     */
+    getSheetXML(sheet) {
+        const frozen = sheet.frozenRows > 0
+            ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.frozenRows}" topLeftCell="A${sheet.frozenRows + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+            : '';
+        const columns = sheet.columnWidths.length > 0
+            ? `<cols>${sheet.columnWidths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+            : '';
+        const rows = sheet.rows.map((cells, rowIndex) => {
+            const row = rowIndex + 1;
+            return `<row r="${row}">${cells.map((cell, columnIndex) => this.getCellXML(cell, `${this.getColumnName(columnIndex)}${row}`)).join('')}</row>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<worksheet xmlns="${SPREADSHEET_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+            `${frozen}${columns}<sheetData>${rows.join('')}</sheetData></worksheet>`;
+    }
+
+    /**
+     * Builds the XML of a cell
+     * @private
+     * @param {XLSXCell} cell - Cell value, with or without a style
+     * @param {string} reference - Cell reference, such as "B3"
+     * @returns {string} Cell element, or an empty string for an empty unstyled cell
+     */
+    getCellXML(cell, reference) {
+        const isStyled = cell !== null && typeof cell === 'object';
+        const value = isStyled ? cell.value : cell;
+        const style = isStyled && CELL_STYLES[cell.style] ? ` s="${CELL_STYLES[cell.style]}"` : '';
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${reference}"${style}><v>${value}</v></c>`;
+        }
+
+        if (typeof value === 'string' && value !== '') {
+            return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
+        }
+
+        return style ? `<c r="${reference}"${style}/>` : '';
+    }
+
+    /**
+     * Gets the letters of a column
+     * @private
+     * @param {number} index - Column index (0-based)
+     * @returns {string} Column name, such as "A" or "AB"
+     */
+    getColumnName(index) {
+        let name = '';
+
+        for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+            name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+        }
+
+        return name;
+    }
+
+    /**
+     * Builds the workbook part listing the sheets
+     * @private
+     * @returns {string} Workbook part
+     */
+    getWorkbookXML() {
+        const sheets = this.sheets
+            .map((sheet, index) => `<sheet name="${this.escapeXML(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+            .join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<workbook xmlns="${SPREADSHEET_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><sheets>${sheets}</sheets></workbook>`;
+    }
+
+    /**
+     * Builds a relationships part
+     * @private
+     * @param {Array<Array<string>>} relationships - Type and target of each relationship; IDs are rId1, rId2, ...
+     * @returns {string} Relationships part
+     */
+    getRelationshipsXML(relationships) {
+        const items = relationships
+            .map(([type, target], index) => `<Relationship Id="rId${index + 1}" Type="${type}" Target="${target}"/>`)
+            .join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${items}</Relationships>`;
+    }
+
+    /**
+     * Builds the part listing the content type of every other part
+     * @private
+     * @returns {string} Content types part
+     */
+    getContentTypesXML() {
+        const sheets = this.sheets
+            .map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+            .join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            `${sheets}</Types>`;
+    }
+
+    /**
+     * Escapes text for XML, dropping characters XML cannot hold
+     * @private
+     * @param {string} text - Text to write
+     * @returns {string} Escaped text
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * ZIP archives
+ * Writes and reads the ZIP containers that XLSX workbooks are stored in
+ */
+
+/**
+ * Signature starting each file's local header
+ * @type {number}
+ */
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Signature starting each file's entry in the central directory
+ * @type {number}
+ */
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+
+/**
+ * Signature starting the end of central directory record
+ * @type {number}
+ */
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/**
+ * Date of every written file (1 January 1980, the earliest a ZIP file can hold), in MS-DOS format
+ * @type {number}
+ */
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+/**
+ * CRC-32 of each byte value, built on first use
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * A file in a ZIP archive
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path in the archive, such as "xl/workbook.xml"
+ * @property {string|Uint8Array} data - Content; strings are written as UTF-8
+ */
+
+/**
+ * ZipArchive class writes and reads ZIP archives
+ *
+ * Written archives store their files uncompressed, so they can be built
+ * synchronously; reading also inflates deflated files (as written by
+ * Excel and most other programs) with the browser's DecompressionStream.
+ * ZIP64 and encrypted archives are not supported.
+ */
+export class ZipArchive {
+    /**
+     * Writes files into a ZIP archive
+     * @param {Array<ZipEntry>} files - Files in the order they are written
+     * @returns {Uint8Array} Archive content
+     */
+    create(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+            this.writeEntryFields(local, 4, crc, data.length, name.length);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+            central.setUint16(4, 20, true);
+            this.writeEntryFields(central, 6, crc, data.length, name.length);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_DIRECTORY_SIGNATURE, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Reads the files of a ZIP archive
+     * @param {Uint8Array|ArrayBuffer} content - Archive content
+     * @returns {Promise<Map<string, Uint8Array>>} Content of each file, keyed by its path
+     * @throws {Error} If the content is not a ZIP archive or uses an unsupported compression method (rejects the promise)
+     */
+    async extract(content) {
+        const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const endOffset = this.findEndOfDirectory(view);
+        const decoder = new TextDecoder();
+        const files = new Map();
+        let position = view.getUint32(endOffset + 16, true);
+
+        for (let index = 0; index < view.getUint16(endOffset + 10, true); index++) {
+            if (position + 46 > bytes.length || view.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+                throw new Error('ZIP archive is damaged');
+            }
+
+            const method = view.getUint16(position + 10, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+            // The local header's name and extra field can differ in length from the central directory's
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (!name.endsWith('/')) {
+                files.set(name, await this.decompress(data, method, name));
+            }
+
+            position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+        }
+
+        return files;
+    }
+
+    /**
+     * Writes the fields local headers and central directory entries share
+     * @private
+     * @param {DataView} view - Header being written
+     * @param {number} start - Offset of the "version needed" field
+     * @param {number} crc - CRC-32 of the data
+     * @param {number} size - Data length; compressed and uncompressed sizes are equal for stored files
+     * @param {number} nameLength - Length of the UTF-8 file name
+     */
+    writeEntryFields(view, start, crc, size, nameLength) {
+        view.setUint16(start, 20, true);
+        // Bit 11 marks the file name as UTF-8
+        view.setUint16(start + 2, 0x0800, true);
+        view.setUint16(start + 4, 0, true);
+        view.setUint16(start + 6, 0, true);
+        view.setUint16(start + 8, DOS_DATE, true);
+        view.setUint32(start + 10, crc, true);
+        view.setUint32(start + 14, size, true);
+        view.setUint32(start + 18, size, true);
+        view.setUint16(start + 22, nameLength, true);
+    }
+
+    /**
+     * Finds the end of central directory record
+     * @private
+     * @param {DataView} view - Archive content
+     * @returns {number} Offset of the record
+     * @throws {Error} If there is no record
+     */
+    findEndOfDirectory(view) {
+        // The record is 22 bytes plus a comment of up to 65535 bytes
+        const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+
+        for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+            if (view.getUint32(offset, true) === END_OF_DIRECTORY_SIGNATURE) {
+                return offset;
+            }
+        }
+
+        throw new Error('File is not a ZIP archive');
+    }
+
+    /**
+     * Decompresses a file's data
+     * @private
+     * @param {Uint8Array} data - Data as stored in the archive
+     * @param {number} method - Compression method: 0 (stored) or 8 (deflated)
+     * @param {string} name - File path, for the error message
+     * @returns {Promise<Uint8Array>} Uncompressed data
+     * @throws {Error} If the method is not supported (rejects the promise)
+     */
+    async decompress(data, method, name) {
+        if (method === 0) {
+            return data.slice();
+        }
+
+        if (method !== 8) {
+            throw new Error(`${name} uses an unsupported compression method`);
+        }
+
+        const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Calculates the CRC-32 checksum ZIP archives store for each file
+     * @private
+     * @param {Uint8Array} data - File content
+     * @returns {number} Checksum
+     */
+    crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+
+            for (let byte = 0; byte < 256; byte++) {
+                let crc = byte;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+                }
+                crcTable[byte] = crc >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let index = 0; index < data.length; index++) {
+            crc = crcTable[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Joins byte arrays
+     * @private
+     * @param {Array<Uint8Array>} parts - Arrays in order
+     * @returns {Uint8Array} Their bytes, one after another
+     */
+    concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+}
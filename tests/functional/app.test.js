@@ -17,7 +17,28 @@ export function runAppFunctionalTests(runner) {
         let mockLocalStorage;
         let originalLocalStorage;
 
-        const beforeEach = () => {
+        let appMarkup = null;
+        const apps = [];
+
+        // The body of the planner page, so every element the app looks up is there
+        const loadAppMarkup = async () => {
+            if (appMarkup === null) {
+                const response = await fetch(new URL('../../index.html', import.meta.url));
+                const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+                page.querySelectorAll('script').forEach(script => script.remove());
+                appMarkup = page.body.innerHTML;
+            }
+
+            return appMarkup;
+        };
+
+        const createApp = () => {
+            const app = new MultiGoalSIPApp();
+            apps.push(app);
+            return app;
+        };
+
+        const beforeEach = async () => {
             // Save original localStorage
             originalLocalStorage = window.localStorage;
             
@@ -29,34 +50,13 @@ export function runAppFunctionalTests(runner) {
                 configurable: true
             });
 
-            // Clear DOM
-            document.body.innerHTML = `
-                <form id="goal-form">
-                    <input id="goalName" value="Test Goal">
-                    <input id="currentPrice" value="1000000" type="number">
-                    <input id="inflationRate" value="6" type="number">
-                    <input id="years" value="10" type="number">
-                    <input id="expectedReturn" value="12" type="number">
-                    <input id="stepUpRate" value="0" type="number">
-                </form>
-                <div id="goals-list"></div>
-                <div id="summary-total-sip"></div>
-                <div id="summary-future-value"></div>
-                <div id="summary-total-invested"></div>
-                <div id="summary-wealth-gain"></div>
-                <button id="clear-all-btn"></button>
-                <button id="export-csv-btn"></button>
-                <button id="export-json-btn"></button>
-                <input id="import-file-input" type="file">
-                <select id="template-select"></select>
-                <button id="use-template-btn"></button>
-                <button id="theme-toggle-btn"></button>
-                <div id="chart-container" class="hidden"></div>
-                <canvas id="investment-chart"></canvas>
-            `;
+            document.body.innerHTML = await loadAppMarkup();
         };
 
         const afterEach = () => {
+            // Apps from earlier tests would otherwise receive this test's changes
+            apps.splice(0).forEach(app => app.storageService.stopSync());
+
             // Restore original localStorage
             Object.defineProperty(window, 'localStorage', {
                 value: originalLocalStorage,
@@ -69,9 +69,9 @@ export function runAppFunctionalTests(runner) {
         };
 
         runner.describe('Application Initialization', () => {
-            runner.it('should initialize all components', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should initialize all components', async () => {
+                await beforeEach();
+                const app = createApp();
                 assertNotNull(app.goalManager);
                 assertNotNull(app.calculator);
                 assertNotNull(app.formatter);
@@ -85,35 +85,40 @@ export function runAppFunctionalTests(runner) {
                 afterEach();
             });
 
-            runner.it('should load saved goals on initialization', () => {
-                beforeEach();
+            runner.it('should load saved goals on initialization', async () => {
+                await beforeEach();
                 const savedGoals = [
                     { id: '1', name: 'Test Goal', currentPrice: 1000000, inflationRate: 6, years: 10, expectedReturn: 12, stepUpRate: 0 }
                 ];
                 mockLocalStorage.setItem('multigoal-sip-goals', JSON.stringify(savedGoals));
                 
-                const app = new MultiGoalSIPApp();
+                const app = createApp();
                 assertEqual(app.goalManager.getGoalCount(), 1);
                 afterEach();
             });
         });
 
         runner.describe('Goal Management Flow', () => {
-            runner.it('should add goal and update UI', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
-                
-                // Simulate form submission
-                const form = document.getElementById('goal-form');
+            runner.it('should add goal and update UI', async () => {
+                await beforeEach();
+                const app = createApp();
+                
+                // Fill in and submit the form
+                document.getElementById('goalName').value = 'Test Goal';
+                document.getElementById('currentPrice').value = '1000000';
+                document.getElementById('inflationRate').value = '6';
+                document.getElementById('timePeriod').value = '10';
+                document.getElementById('expectedReturn').value = '12';
+                const form = document.getElementById('add-goal-form');
                 form.dispatchEvent(new Event('submit'));
                 
                 assertEqual(app.goalManager.getGoalCount(), 1);
                 afterEach();
             });
 
-            runner.it('should persist goals to storage', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should persist goals to storage', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add a goal
                 app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
@@ -122,15 +127,15 @@ export function runAppFunctionalTests(runner) {
                 const stored = mockLocalStorage.getItem('multigoal-sip-goals');
                 assertNotNull(stored);
                 
-                const goals = JSON.parse(stored);
+                const goals = JSON.parse(stored).goals;
                 assertLength(goals, 1);
                 assertEqual(goals[0].name, 'House');
                 afterEach();
             });
 
-            runner.it('should calculate summary correctly', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should calculate summary correctly', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add goals
                 app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
@@ -149,9 +154,9 @@ export function runAppFunctionalTests(runner) {
         });
 
         runner.describe('Template Integration', () => {
-            runner.it('should populate templates in dropdown', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should populate templates in dropdown', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 const select = document.getElementById('template-select');
                 const options = select.querySelectorAll('option');
@@ -161,13 +166,13 @@ export function runAppFunctionalTests(runner) {
                 afterEach();
             });
 
-            runner.it('should create goal from template', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should create goal from template', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Select a template
                 const select = document.getElementById('template-select');
-                select.value = 'education';
+                select.value = 'child-education';
                 
                 // Trigger use template
                 const btn = document.getElementById('use-template-btn');
@@ -181,9 +186,9 @@ export function runAppFunctionalTests(runner) {
         });
 
         runner.describe('Export/Import Flow', () => {
-            runner.it('should export goals to JSON', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should export goals to JSON', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add goals
                 app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
@@ -197,9 +202,9 @@ export function runAppFunctionalTests(runner) {
                 afterEach();
             });
 
-            runner.it('should export goals to CSV', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should export goals to CSV', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add goals
                 app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
@@ -216,9 +221,9 @@ export function runAppFunctionalTests(runner) {
         });
 
         runner.describe('Theme Management', () => {
-            runner.it('should toggle theme', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should toggle theme', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 const initialTheme = app.themeManager.getCurrentTheme();
                 app.themeManager.toggleTheme();
@@ -228,9 +233,9 @@ export function runAppFunctionalTests(runner) {
                 afterEach();
             });
 
-            runner.it('should persist theme preference', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should persist theme preference', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 app.themeManager.setTheme('dark');
                 
@@ -241,9 +246,9 @@ export function runAppFunctionalTests(runner) {
         });
 
         runner.describe('Clear All Functionality', () => {
-            runner.it('should clear all goals', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should clear all goals', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add goals
                 app.goalManager.addGoal('Goal 1', 1000000, 6, 10, 12, 0);
@@ -260,12 +265,12 @@ export function runAppFunctionalTests(runner) {
         });
 
         runner.describe('End-to-End Scenarios', () => {
-            runner.it('should handle complete user workflow', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should handle complete user workflow', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // 1. Add a goal
-                const goalId = app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
+                const goal = app.goalManager.addGoal('House', 5000000, 7, 10, 12, 0);
                 assertEqual(app.goalManager.getGoalCount(), 1);
                 
                 // 2. Check calculations
@@ -278,15 +283,15 @@ export function runAppFunctionalTests(runner) {
                 assertNotNull(exported);
                 
                 // 4. Clear goal
-                app.goalManager.removeGoal(goalId);
+                app.goalManager.removeGoal(goal.id);
                 assertEqual(app.goalManager.getGoalCount(), 0);
                 
                 afterEach();
             });
 
-            runner.it('should handle multiple goals with step-up SIP', () => {
-                beforeEach();
-                const app = new MultiGoalSIPApp();
+            runner.it('should handle multiple goals with step-up SIP', async () => {
+                await beforeEach();
+                const app = createApp();
                 
                 // Add goals with step-up
                 app.goalManager.addGoal('Goal 1', 5000000, 7, 10, 12, 10);
@@ -13,6 +13,34 @@ import { runExporterTests } from './unit/exporter.test.js';
 import { runImporterTests } from './unit/importer.test.js';
 import { runThemeTests } from './unit/theme.test.js';
 import { runChartsTests } from './unit/charts.test.js';
+import { runInflationScheduleTests } from './unit/inflation-schedule.test.js';
+import { runSimulatorTests } from './unit/simulator.test.js';
+import { runLumpSumTests } from './unit/lump-sums.test.js';
+import { runAllocatorTests } from './unit/allocator.test.js';
+import { runRetirementTests } from './unit/retirement.test.js';
+import { runTaxTests } from './unit/tax.test.js';
+import { runProgressTests } from './unit/progress.test.js';
+import { runHistoryTests } from './unit/history.test.js';
+import { runMigrationsTests } from './unit/migrations.test.js';
+import { runLocalStorageAdapterTests } from './unit/local-storage-adapter.test.js';
+import { runIndexedDBAdapterTests } from './unit/indexeddb-adapter.test.js';
+import { runMemoryStorageAdapterTests } from './unit/memory-storage-adapter.test.js';
+import { runSyncTests } from './unit/sync.test.js';
+import { runTabSyncTests } from './unit/tab-sync.test.js';
+import { runEncryptionTests } from './unit/encryption.test.js';
+import { runEncryptedStorageAdapterTests } from './unit/encrypted-storage-adapter.test.js';
+import { runStorageEncryptionTests } from './unit/storage-encryption.test.js';
+import { runProfileTests } from './unit/profiles.test.js';
+import { runHouseholdTests } from './unit/household.test.js';
+import { runSnapshotsTests } from './unit/snapshots.test.js';
+import { runCSVTests } from './unit/csv.test.js';
+import { runCSVColumnsTests } from './unit/csv-columns.test.js';
+import { runImportMergeTests } from './unit/import-merge.test.js';
+import { runGoalIdsTests } from './unit/goal-ids.test.js';
+import { runPDFTests } from './unit/pdf.test.js';
+import { runZipTests } from './unit/zip.test.js';
+import { runXLSXTests } from './unit/xlsx.test.js';
+import { runProjectionTests } from './unit/projection.test.js';
 import { runAppFunctionalTests } from './functional/app.test.js';
 
 /**
@@ -30,11 +58,39 @@ async function runAllTests() {
     runFormatterTests(runner);
     runGoalTests(runner);
     runStorageTests(runner);
+    runMigrationsTests(runner);
+    runLocalStorageAdapterTests(runner);
+    runIndexedDBAdapterTests(runner);
+    runMemoryStorageAdapterTests(runner);
+    runSyncTests(runner);
+    runTabSyncTests(runner);
+    runEncryptionTests(runner);
+    runEncryptedStorageAdapterTests(runner);
+    runStorageEncryptionTests(runner);
+    runProfileTests(runner);
+    runHouseholdTests(runner);
+    runSnapshotsTests(runner);
+    runCSVTests(runner);
+    runCSVColumnsTests(runner);
+    runImportMergeTests(runner);
+    runGoalIdsTests(runner);
+    runPDFTests(runner);
+    runZipTests(runner);
+    runXLSXTests(runner);
+    runProjectionTests(runner);
     runTemplatesTests(runner);
     runExporterTests(runner);
     runImporterTests(runner);
     runThemeTests(runner);
     runChartsTests(runner);
+    runInflationScheduleTests(runner);
+    runSimulatorTests(runner);
+    runLumpSumTests(runner);
+    runAllocatorTests(runner);
+    runRetirementTests(runner);
+    runTaxTests(runner);
+    runProgressTests(runner);
+    runHistoryTests(runner);
 
     // Functional Tests
     console.log('\n🔄 Running Functional Tests...\n');
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for BudgetAllocator
+ */
+
+import { BudgetAllocator } from '../../js/allocator.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import { 
+    assertEqual, 
+    assertDeepEqual,
+    assertGreaterThan,
+    assertLessThan,
+    assertTrue,
+    assertThrows
+} from '../test-runner.js';
+
+export function runAllocatorTests(runner) {
+    runner.describe('BudgetAllocator', () => {
+        let allocator;
+        let calculator;
+        let sampleGoals;
+        let totalRequired;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            allocator = new BudgetAllocator(calculator);
+            sampleGoals = [
+                {
+                    id: 1,
+                    name: 'House',
+                    currentPrice: 5000000,
+                    inflationRate: 6,
+                    years: 10,
+                    expectedReturn: 12,
+                    stepUpRate: 0,
+                    priority: 3
+                },
+                {
+                    id: 2,
+                    name: 'Education',
+                    currentPrice: 2000000,
+                    inflationRate: 6,
+                    years: 15,
+                    expectedReturn: 12,
+                    stepUpRate: 0,
+                    priority: 1
+                }
+            ];
+            totalRequired = sampleGoals.reduce((sum, goal) => sum + calculator.calculateGoalSIP(goal), 0);
+        };
+
+        runner.it('should create allocator instance', () => {
+            beforeEach();
+            assertEqual(allocator instanceof BudgetAllocator, true);
+        });
+
+        runner.describe('allocate', () => {
+            runner.it('should fully fund every goal when the budget is enough', () => {
+                beforeEach();
+                const result = allocator.allocate(sampleGoals, totalRequired + 1000, 'proportional');
+                result.goals.forEach(goal => {
+                    assertEqual(goal.allocatedSIP, goal.requiredSIP);
+                    assertEqual(goal.fundedPercent, 100);
+                    assertEqual(goal.shortfall, 0);
+                });
+                assertEqual(result.unallocated, 1000);
+                assertEqual(result.totalShortfall, 0);
+            });
+
+            runner.it('should fund higher priority goals first', () => {
+                beforeEach();
+                const educationSIP = calculator.calculateGoalSIP(sampleGoals[1]);
+                const result = allocator.allocate(sampleGoals, educationSIP + 5000, 'priority');
+                assertEqual(result.goals[1].allocatedSIP, educationSIP);
+                assertEqual(result.goals[1].fundedPercent, 100);
+                assertEqual(result.goals[0].allocatedSIP, 5000);
+                assertGreaterThan(result.goals[0].shortfall, 0);
+                assertEqual(result.unallocated, 0);
+            });
+
+            runner.it('should keep list order for goals of equal priority', () => {
+                beforeEach();
+                const goals = sampleGoals.map(goal => ({ ...goal, priority: undefined }));
+                const houseSIP = calculator.calculateGoalSIP(goals[0]);
+                const result = allocator.allocate(goals, houseSIP, 'priority');
+                assertEqual(result.goals[0].allocatedSIP, houseSIP);
+                assertEqual(result.goals[1].allocatedSIP, 0);
+                assertEqual(result.goals[1].priority, 2);
+            });
+
+            runner.it('should scale every goal by the same fraction proportionally', () => {
+                beforeEach();
+                const result = allocator.allocate(sampleGoals, totalRequired / 2, 'proportional');
+                result.goals.forEach(goal => {
+                    assertTrue(Math.abs(goal.allocatedSIP / goal.requiredSIP - 0.5) < 0.001);
+                });
+                assertTrue(result.totalAllocated <= totalRequired / 2);
+            });
+
+            runner.it('should fund the goal with the most growth per rupee first to minimize shortfall', () => {
+                beforeEach();
+                const educationSIP = calculator.calculateGoalSIP(sampleGoals[1]);
+                const goals = sampleGoals.map(goal => ({ ...goal, priority: undefined }));
+                const result = allocator.allocate(goals, educationSIP, 'shortfall');
+                assertEqual(result.goals[1].allocatedSIP, educationSIP);
+                assertEqual(result.goals[0].allocatedSIP, 0);
+            });
+
+            runner.it('should leave less total shortfall than the proportional split', () => {
+                beforeEach();
+                const budget = totalRequired / 2;
+                const shortfall = allocator.allocate(sampleGoals, budget, 'shortfall');
+                const proportional = allocator.allocate(sampleGoals, budget, 'proportional');
+                assertLessThan(shortfall.totalShortfall, proportional.totalShortfall);
+            });
+
+            runner.it('should project shortfall from the allocated SIP', () => {
+                beforeEach();
+                const result = allocator.allocate(sampleGoals, 10000, 'proportional');
+                const house = result.goals[0];
+                const corpus = Math.round(calculator.calculateGoalCorpus(sampleGoals[0], house.allocatedSIP));
+                assertEqual(house.projectedCorpus, corpus);
+                assertEqual(house.shortfall, house.target - corpus);
+                assertEqual(house.fundedPercent, Math.round(corpus / house.target * 1000) / 10);
+            });
+
+            runner.it('should report totals for the plan', () => {
+                beforeEach();
+                const result = allocator.allocate(sampleGoals, 10000, 'priority');
+                assertEqual(result.budget, 10000);
+                assertEqual(result.strategy, 'priority');
+                assertEqual(result.totalRequired, totalRequired);
+                assertEqual(result.totalAllocated, 10000);
+            });
+
+            runner.it('should throw for an unknown strategy', () => {
+                beforeEach();
+                assertThrows(() => allocator.allocate(sampleGoals, 1000, 'random'));
+            });
+
+            runner.it('should handle an empty goal list', () => {
+                beforeEach();
+                const result = allocator.allocate([], 10000);
+                assertDeepEqual(result.goals, []);
+                assertEqual(result.unallocated, 10000);
+            });
+        });
+    });
+}
@@ -4,11 +4,12 @@
 
 import { SIPCalculator } from '../../js/calculator.js';
 import { 
-    assertEqual, 
+    assertEqual,
     assertApproximately,
     assertGreaterThan,
     assertLessThan,
-    assertThrows
+    assertThrows,
+    assertTrue
 } from '../test-runner.js';
 
 export function runCalculatorTests(runner) {
@@ -273,6 +274,34 @@ export function runCalculatorTests(runner) {
             });
         });
 
+        runner.describe('calculateHouseholdSummary', () => {
+            const house = { name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 };
+            const education = { name: 'Education', currentPrice: 2000000, inflationRate: 6, years: 15, expectedReturn: 12, stepUpRate: 0 };
+
+            runner.it('should summarize each profile and the household combined', () => {
+                beforeEach();
+                const household = calculator.calculateHouseholdSummary([
+                    { id: 'default', name: 'Me', goals: [house] },
+                    { id: 'spouse', name: 'Spouse', goals: [education] }
+                ]);
+
+                assertEqual(household.profiles.length, 2);
+                assertEqual(household.profiles[1].name, 'Spouse');
+                assertEqual(household.profiles[1].goalCount, 1);
+                assertEqual(household.profiles[0].summary.totalSIP, calculator.calculateSummary([house]).totalSIP);
+                assertApproximately(household.combined.totalSIP,
+                    household.profiles[0].summary.totalSIP + household.profiles[1].summary.totalSIP, 0.01);
+                assertEqual(household.combined.totalFutureValue, calculator.calculateSummary([house, education]).totalFutureValue);
+            });
+
+            runner.it('should handle profiles without goals', () => {
+                beforeEach();
+                const household = calculator.calculateHouseholdSummary([{ id: 'default', name: 'Me', goals: [] }]);
+                assertEqual(household.profiles[0].goalCount, 0);
+                assertEqual(household.combined.totalSIP, 0);
+            });
+        });
+
         // Edge Cases
         runner.describe('Edge Cases', () => {
             runner.it('should handle very large amounts', () => {
@@ -299,6 +328,351 @@ export function runCalculatorTests(runner) {
                 assertGreaterThan(result, 0);
             });
         });
+
+        // Inflation Schedule Tests
+        runner.describe('inflation schedules', () => {
+            const schedule = [
+                { fromYear: 1, toYear: 5, rate: 10 },
+                { fromYear: 6, toYear: 10, rate: 7 }
+            ];
+
+            runner.it('should compound each year at its scheduled rate', () => {
+                beforeEach();
+                const result = calculator.calculateInflationAdjustedAmount(100000, 6, 10, schedule);
+                const expected = 100000 * Math.pow(1.10, 5) * Math.pow(1.07, 5);
+                assertApproximately(result, expected, 1);
+            });
+
+            runner.it('should use flat rate for years outside the schedule', () => {
+                beforeEach();
+                const result = calculator.calculateInflationAdjustedAmount(100000, 6, 12, schedule);
+                const expected = 100000 * Math.pow(1.10, 5) * Math.pow(1.07, 5) * Math.pow(1.06, 2);
+                assertApproximately(result, expected, 1);
+            });
+
+            runner.it('should match flat calculation for an empty schedule', () => {
+                beforeEach();
+                const flat = calculator.calculateInflationAdjustedAmount(100000, 6, 10);
+                assertEqual(calculator.calculateInflationAdjustedAmount(100000, 6, 10, []), flat);
+            });
+
+            runner.it('should compound a partial final year at that year\'s rate', () => {
+                beforeEach();
+                const result = calculator.calculateInflationAdjustedAmount(100000, 6, 5.5, schedule);
+                const expected = 100000 * Math.pow(1.10, 5) * Math.pow(1.07, 0.5);
+                assertApproximately(result, expected, 1);
+            });
+
+            runner.it('should return scheduled rate for a covered year', () => {
+                beforeEach();
+                assertEqual(calculator.getInflationRateForYear(3, 6, schedule), 10);
+                assertEqual(calculator.getInflationRateForYear(6, 6, schedule), 7);
+                assertEqual(calculator.getInflationRateForYear(11, 6, schedule), 6);
+            });
+
+            runner.it('should use the schedule in calculateGoalTarget', () => {
+                beforeEach();
+                const goal = { currentPrice: 100000, inflationRate: 6, years: 10, inflationSchedule: schedule };
+                assertEqual(
+                    calculator.calculateGoalTarget(goal),
+                    calculator.calculateInflationAdjustedAmount(100000, 6, 10, schedule)
+                );
+            });
+
+            runner.it('should use the schedule in calculateSummary', () => {
+                beforeEach();
+                const flatGoal = { currentPrice: 100000, inflationRate: 6, years: 10, expectedReturn: 12 };
+                const scheduledGoal = { ...flatGoal, inflationSchedule: schedule };
+                const flat = calculator.calculateSummary([flatGoal]);
+                const scheduled = calculator.calculateSummary([scheduledGoal]);
+                assertGreaterThan(scheduled.totalFutureValue, flat.totalFutureValue);
+                assertGreaterThan(scheduled.totalSIP, flat.totalSIP);
+            });
+        });
+
+        // Asset Allocation and Glide Path Tests
+        runner.describe('asset allocation', () => {
+            const allocation = {
+                weights: { equity: 70, debt: 20, gold: 10 },
+                returns: { equity: 12, debt: 7, gold: 8 },
+                glidePath: { years: 3, shift: 20 }
+            };
+
+            runner.it('should calculate blended return from weights', () => {
+                beforeEach();
+                const result = calculator.calculateBlendedReturn(allocation.weights, allocation.returns);
+                assertApproximately(result, 10.6, 0.0001);
+            });
+
+            runner.it('should keep initial weights before the glide path starts', () => {
+                beforeEach();
+                const weights = calculator.getAllocationForYear(allocation, 7, 10);
+                assertEqual(weights.equity, 70);
+                assertEqual(weights.debt, 20);
+            });
+
+            runner.it('should move equity to debt each year of the glide path', () => {
+                beforeEach();
+                assertEqual(calculator.getAllocationForYear(allocation, 8, 10).equity, 50);
+                assertEqual(calculator.getAllocationForYear(allocation, 9, 10).equity, 30);
+                assertEqual(calculator.getAllocationForYear(allocation, 10, 10).debt, 80);
+            });
+
+            runner.it('should never shift more equity than available', () => {
+                beforeEach();
+                const aggressive = { ...allocation, glidePath: { years: 5, shift: 40 } };
+                const weights = calculator.getAllocationForYear(aggressive, 10, 10);
+                assertEqual(weights.equity, 0);
+                assertEqual(weights.debt, 90);
+                assertEqual(weights.gold, 10);
+            });
+
+            runner.it('should return one declining return per year', () => {
+                beforeEach();
+                const goal = { years: 10, expectedReturn: 12, allocation };
+                const returns = calculator.getAnnualReturns(goal);
+                assertEqual(returns.length, 10);
+                assertApproximately(returns[0], 10.6, 0.0001);
+                assertLessThan(returns[9], returns[6]);
+            });
+
+            runner.it('should return flat expected return without allocation', () => {
+                beforeEach();
+                const returns = calculator.getAnnualReturns({ years: 5, expectedReturn: 12 });
+                assertEqual(returns.join(','), '12,12,12,12,12');
+            });
+
+            runner.it('should match standard SIP for constant annual returns', () => {
+                beforeEach();
+                const standard = calculator.calculateMonthlySIP(1000000, 10, 12, 0);
+                const variable = calculator.calculateMonthlySIP(1000000, 10, 12, 0, Array(10).fill(12));
+                assertApproximately(variable, standard, 1);
+            });
+
+            runner.it('should match step-up SIP for constant annual returns', () => {
+                beforeEach();
+                const stepUp = calculator.calculateMonthlySIP(1000000, 10, 12, 10);
+                const variable = calculator.calculateMonthlySIP(1000000, 10, 12, 10, Array(10).fill(12));
+                assertApproximately(variable, stepUp, 1);
+            });
+
+            runner.it('should require a higher SIP when the glide path de-risks', () => {
+                beforeEach();
+                const goal = { currentPrice: 1000000, inflationRate: 6, years: 10, expectedReturn: 10.6, stepUpRate: 0 };
+                const flat = calculator.calculateGoalSIP(goal);
+                const gliding = calculator.calculateGoalSIP({ ...goal, allocation });
+                assertGreaterThan(gliding, flat);
+            });
+
+            runner.it('should use the blended return in calculateSummary', () => {
+                beforeEach();
+                const goal = { currentPrice: 1000000, inflationRate: 6, years: 10, expectedReturn: 10.6, allocation };
+                const summary = calculator.calculateSummary([goal]);
+                assertEqual(summary.totalSIP, calculator.calculateGoalSIP(goal));
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            const goal = { currentPrice: 1000000, inflationRate: 6, years: 10, expectedReturn: 12, stepUpRate: 0 };
+
+            runner.it('should grow an amount month by month', () => {
+                beforeEach();
+                const value = calculator.calculateAmountFutureValue(100000, 0, 12, [12]);
+                assertApproximately(value, 100000 * Math.pow(1.01, 12), 0.01);
+            });
+
+            runner.it('should reduce the shortfall by the grown corpus', () => {
+                beforeEach();
+                const withCorpus = { ...goal, existingCorpus: 300000 };
+                const grown = calculator.calculateAmountFutureValue(300000, 0, 120, [12]);
+                assertApproximately(
+                    calculator.calculateGoalShortfall(withCorpus),
+                    calculator.calculateGoalTarget(goal) - grown,
+                    0.01
+                );
+            });
+
+            runner.it('should lower the SIP when a corpus or lump sums exist', () => {
+                beforeEach();
+                const base = calculator.calculateGoalSIP(goal);
+                assertLessThan(calculator.calculateGoalSIP({ ...goal, existingCorpus: 300000 }), base);
+                assertLessThan(calculator.calculateGoalSIP({ ...goal, lumpSums: [{ year: 3, amount: 200000 }] }), base);
+            });
+
+            runner.it('should grow lump sums only from the end of their year', () => {
+                beforeEach();
+                const value = calculator.calculateStartingBalanceValue({ ...goal, lumpSums: [{ year: 3, amount: 200000 }] });
+                assertApproximately(value, calculator.calculateAmountFutureValue(200000, 36, 120, [12]), 0.01);
+            });
+
+            runner.it('should ignore lump sums after the goal horizon', () => {
+                beforeEach();
+                const value = calculator.calculateStartingBalanceValue({ ...goal, lumpSums: [{ year: 11, amount: 200000 }] });
+                assertEqual(value, 0);
+            });
+
+            runner.it('should need no SIP when the corpus covers the target', () => {
+                beforeEach();
+                const covered = { ...goal, existingCorpus: 2000000 };
+                assertEqual(calculator.calculateGoalShortfall(covered), 0);
+                assertEqual(calculator.calculateGoalSIP(covered), 0);
+            });
+
+            runner.it('should include corpus and lump sums in total investment', () => {
+                beforeEach();
+                const withBalance = { ...goal, existingCorpus: 100000, lumpSums: [{ year: 2, amount: 50000 }] };
+                const sip = calculator.calculateGoalSIP(withBalance);
+                assertApproximately(
+                    calculator.calculateGoalInvestment(withBalance, sip),
+                    calculator.calculateTotalInvestment(sip, 10) + 150000,
+                    0.01
+                );
+            });
+
+            runner.it('should total the existing corpus in calculateSummary', () => {
+                beforeEach();
+                const summary = calculator.calculateSummary([
+                    { ...goal, existingCorpus: 100000 },
+                    { ...goal, existingCorpus: 250000 }
+                ]);
+                assertEqual(summary.totalExistingCorpus, 350000);
+            });
+        });
+
+        runner.describe('goal solver', () => {
+            const goal = { currentPrice: 1000000, inflationRate: 6, years: 10, expectedReturn: 12, stepUpRate: 0 };
+
+            runner.it('should find where a monotonic function reaches a value', () => {
+                beforeEach();
+                assertApproximately(calculator.goalSeek(x => x * x, 2, 0, 2), Math.SQRT2, 0.0001);
+                assertApproximately(calculator.goalSeek(x => 10 - x, 4, 0, 10), 6, 0.0001);
+            });
+
+            runner.it('should return null when the value is outside the range', () => {
+                beforeEach();
+                assertEqual(calculator.goalSeek(x => x, 20, 0, 10), null);
+            });
+
+            runner.it('should calculate the corpus reached with a SIP', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(goal);
+                const target = calculator.calculateGoalTarget(goal);
+                assertTrue(Math.abs(calculator.calculateGoalCorpus(goal, sip) - target) / target < 0.001);
+            });
+
+            runner.it('should solve years needed for the required SIP', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(goal);
+                assertEqual(calculator.calculateYearsToGoal(goal, sip), 10);
+            });
+
+            runner.it('should need more years with a smaller SIP', () => {
+                beforeEach();
+                const years = calculator.calculateYearsToGoal(goal, 5000);
+                assertGreaterThan(years, 10);
+                assertEqual(Math.round(years * 12), years * 12);
+            });
+
+            runner.it('should return null when the SIP never catches up', () => {
+                beforeEach();
+                assertEqual(calculator.calculateYearsToGoal(goal, 10), null);
+            });
+
+            runner.it('should need zero years when the corpus already covers the price', () => {
+                beforeEach();
+                assertEqual(calculator.calculateYearsToGoal({ ...goal, existingCorpus: 1000000 }, 1000), 0);
+            });
+
+            runner.it('should calculate the achievable target and affordable price', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(goal);
+                const target = calculator.calculateAchievableTarget(goal, sip);
+                const price = calculator.calculateAffordablePrice(goal, sip);
+                assertApproximately(target, calculator.calculateGoalTarget(goal), 100);
+                assertApproximately(price, goal.currentPrice, 100);
+            });
+
+            runner.it('should solve the required return for the required SIP', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(goal);
+                assertApproximately(calculator.calculateRequiredReturn(goal, sip), 12, 0.01);
+            });
+
+            runner.it('should require a higher return for a smaller SIP', () => {
+                beforeEach();
+                assertGreaterThan(calculator.calculateRequiredReturn(goal, 5000), 12);
+            });
+
+            runner.it('should require no return when contributions alone cover the target', () => {
+                beforeEach();
+                assertEqual(calculator.calculateRequiredReturn(goal, 20000), 0);
+            });
+
+            runner.it('should dispatch to the matching solver in solveGoal', () => {
+                beforeEach();
+                assertEqual(calculator.solveGoal(goal, 'monthlySIP'), calculator.calculateGoalSIP(goal));
+                assertEqual(calculator.solveGoal(goal, 'years', 5000), calculator.calculateYearsToGoal(goal, 5000));
+                assertEqual(calculator.solveGoal(goal, 'currentPrice', 5000), calculator.calculateAffordablePrice(goal, 5000));
+                assertEqual(calculator.solveGoal(goal, 'expectedReturn', 5000), calculator.calculateRequiredReturn(goal, 5000));
+            });
+
+            runner.it('should throw for an unknown field', () => {
+                beforeEach();
+                assertThrows(() => calculator.solveGoal(goal, 'inflationRate', 5000));
+            });
+
+            runner.it('should calculate the inflation factor', () => {
+                beforeEach();
+                assertApproximately(calculator.calculateInflationFactor(6, 10), Math.pow(1.06, 10), 0.000001);
+                assertApproximately(
+                    calculator.calculateInflationFactor(6, 2, [{ fromYear: 1, toYear: 1, rate: 10 }]),
+                    1.1 * 1.06,
+                    0.000001
+                );
+            });
+        });
+
+        runner.describe('retirement goals', () => {
+            const retirementGoal = {
+                currentPrice: 50000,
+                inflationRate: 6,
+                years: 25,
+                expectedReturn: 12,
+                stepUpRate: 0,
+                retirement: { retirementYears: 25, postRetirementReturn: 8 }
+            };
+
+            runner.it('should target the corpus that funds inflating withdrawals', () => {
+                beforeEach();
+                const firstYear = 50000 * 12 * Math.pow(1.06, 25);
+                const growth = 1.06 / 1.08;
+                const expected = firstYear * (1 - Math.pow(growth, 25)) / (0.08 - 0.06) * 1.08;
+                assertEqual(calculator.calculateGoalTarget(retirementGoal), Math.round(expected));
+                assertEqual(calculator.calculateRetirementCorpus(retirementGoal), Math.round(expected));
+            });
+
+            runner.it('should need one year of expenses per year when return equals inflation', () => {
+                beforeEach();
+                const goal = { ...retirementGoal, retirement: { retirementYears: 20, postRetirementReturn: 6 } };
+                const firstYear = 50000 * 12 * Math.pow(1.06, 25);
+                assertEqual(calculator.calculateRetirementCorpus(goal), Math.round(firstYear * 20));
+            });
+
+            runner.it('should size the SIP for the retirement corpus', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(retirementGoal);
+                const corpus = calculator.calculateGoalCorpus(retirementGoal, sip);
+                const target = calculator.calculateGoalTarget(retirementGoal);
+                assertTrue(Math.abs(corpus - target) / target < 0.001);
+            });
+
+            runner.it('should solve affordable monthly expenses', () => {
+                beforeEach();
+                const sip = calculator.calculateGoalSIP(retirementGoal);
+                const expenses = calculator.calculateAffordablePrice(retirementGoal, sip);
+                assertTrue(Math.abs(expenses - 50000) <= 1);
+            });
+        });
     });
 }
 
@@ -6,11 +6,12 @@ import { ChartManager } from '../../js/charts.js';
 import { SIPCalculator } from '../../js/calculator.js';
 import { Formatter } from '../../js/formatter.js';
 import { 
-    assertEqual, 
+    assertEqual,
     assertNotNull,
     assertTrue,
     assertLength,
-    assertGreaterThan
+    assertGreaterThan,
+    assertLessThan
 } from '../test-runner.js';
 
 export function runChartsTests(runner) {
@@ -330,6 +331,112 @@ export function runChartsTests(runner) {
                 afterEach();
             });
         });
+
+        runner.describe('inflation schedules', () => {
+            runner.it('should include inflation-adjusted goal cost for each year', () => {
+                beforeEach();
+                const data = chartManager.generateGoalData(sampleGoals[0]);
+                assertLength(data.targets, 11);
+                assertEqual(data.targets[0], sampleGoals[0].currentPrice);
+                assertEqual(data.targets[10], calculator.calculateGoalTarget(sampleGoals[0]));
+                afterEach();
+            });
+
+            runner.it('should follow the goal inflation schedule', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    inflationSchedule: [{ fromYear: 1, toYear: 5, rate: 12 }]
+                };
+                const scheduled = chartManager.generateGoalData(goal);
+                const flat = chartManager.generateGoalData(sampleGoals[0]);
+                assertGreaterThan(scheduled.targets[5], flat.targets[5]);
+                assertGreaterThan(scheduled.futureValues[10], flat.futureValues[10]);
+                afterEach();
+            });
+        });
+
+        runner.describe('asset allocation', () => {
+            runner.it('should grow to the goal target with a glide path', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    allocation: {
+                        weights: { equity: 80, debt: 20, gold: 0 },
+                        returns: { equity: 13, debt: 7, gold: 0 },
+                        glidePath: { years: 3, shift: 20 }
+                    }
+                };
+                const data = chartManager.generateGoalData(goal);
+                const target = calculator.calculateGoalTarget(goal);
+                assertTrue(Math.abs(data.futureValues[10] - target) / target < 0.001);
+                afterEach();
+            });
+
+            runner.it('should match previous values for goals without allocation', () => {
+                beforeEach();
+                const data = chartManager.generateGoalData(sampleGoals[0]);
+                const target = calculator.calculateGoalTarget(sampleGoals[0]);
+                assertTrue(Math.abs(data.futureValues[10] - target) / target < 0.001);
+                afterEach();
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            runner.it('should start from the existing corpus in year 0', () => {
+                beforeEach();
+                const data = chartManager.generateGoalData({ ...sampleGoals[0], existingCorpus: 500000 });
+                assertEqual(data.invested[0], 500000);
+                assertEqual(data.futureValues[0], 500000);
+                afterEach();
+            });
+
+            runner.it('should still reach the target with a corpus and lump sums', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], existingCorpus: 500000, lumpSums: [{ year: 4, amount: 300000 }] };
+                const data = chartManager.generateGoalData(goal);
+                const target = calculator.calculateGoalTarget(goal);
+                assertTrue(Math.abs(data.futureValues[10] - target) / target < 0.001);
+                afterEach();
+            });
+        });
+
+        runner.describe('retirement goals', () => {
+            const retirementGoal = {
+                id: 3,
+                name: 'Retirement',
+                currentPrice: 50000,
+                inflationRate: 6,
+                years: 25,
+                expectedReturn: 12,
+                stepUpRate: 0,
+                retirement: { retirementYears: 25, postRetirementReturn: 8 }
+            };
+
+            runner.it('should plot the retirement corpus as the target', () => {
+                beforeEach();
+                const data = chartManager.generateGoalData(retirementGoal);
+                assertEqual(data.targets[25], calculator.calculateGoalTarget(retirementGoal));
+            });
+
+            runner.it('should continue the years through retirement', () => {
+                beforeEach();
+                const drawdown = chartManager.generateDrawdownData(retirementGoal);
+                assertEqual(drawdown.years.length, 25);
+                assertEqual(drawdown.years[0], 26);
+                assertEqual(drawdown.years[24], 50);
+                afterEach();
+            });
+
+            runner.it('should draw the corpus down to nothing by the end of retirement', () => {
+                beforeEach();
+                const drawdown = chartManager.generateDrawdownData(retirementGoal);
+                const target = calculator.calculateGoalTarget(retirementGoal);
+                assertEqual(drawdown.depletionYear, 25);
+                assertTrue(drawdown.balances[24] < target * 0.0001);
+                afterEach();
+            });
+        });
     });
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for CSVColumnMapper
+ */
+
+import { CSVColumnMapper } from '../../js/csv-columns.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runCSVColumnsTests(runner) {
+    runner.describe('CSVColumnMapper', () => {
+        const mapper = new CSVColumnMapper();
+
+        const thrownMessage = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        runner.describe('match', () => {
+            runner.it('should match the exporter headers and skip calculated columns', () => {
+                const result = mapper.match(['Goal Name', 'Current Price (₹)', 'Inflation Rate (%)', 'Years', 'Expected Return (%)',
+                    'Step-up Rate (%)', 'Future Target (₹)', 'Monthly SIP Required (₹)', 'Lump Sums (year:₹)', 'Post-Retirement Return (%)']);
+                assertDeepEqual(result.columns, ['name', 'currentPrice', 'inflationRate', 'years', 'expectedReturn',
+                    'stepUpRate', null, null, 'lumpSums', 'postRetirementReturn']);
+                assertDeepEqual(result.missing, []);
+                assertDeepEqual(result.unknown, []);
+            });
+
+            runner.it('should match synonyms in any order and case', () => {
+                const result = mapper.match(['RETURN', 'tenure', 'Inflation', 'Cost', 'Goal', 'Time (Years)']);
+                assertDeepEqual(result.columns, ['expectedReturn', 'years', 'inflationRate', 'currentPrice', 'name', null]);
+                assertDeepEqual(result.missing, []);
+            });
+
+            runner.it('should report unknown headers and missing required fields', () => {
+                const result = mapper.match(['Goal Name', 'Notes', 'Price']);
+                assertDeepEqual(result.unknown, [1]);
+                assertDeepEqual(result.missing, ['inflationRate', 'years', 'expectedReturn']);
+            });
+
+            runner.it('should read a repeated field from its first column', () => {
+                assertDeepEqual(mapper.match(['Name', 'Goal Name']).columns, ['name', null]);
+            });
+        });
+
+        runner.describe('validate', () => {
+            const complete = ['name', 'currentPrice', 'inflationRate', 'years', 'expectedReturn'];
+
+            runner.it('should accept a mapping with every required field once', () => {
+                assertDeepEqual(mapper.validate([...complete, null]), [...complete, null]);
+            });
+
+            runner.it('should reject missing, repeated and unknown fields', () => {
+                assertEqual(thrownMessage(() => mapper.validate(['name', null, 'years'])),
+                    'Choose a column for Current price, Inflation rate (%), Expected return (%)');
+                assertEqual(thrownMessage(() => mapper.validate([...complete, 'years'])), 'Years is chosen for more than one column');
+                assertEqual(thrownMessage(() => mapper.validate([...complete, 'colour'])), 'Unknown goal field "colour"');
+            });
+        });
+
+        runner.describe('readRow', () => {
+            runner.it('should key values by field, leaving out skipped and missing columns', () => {
+                const row = mapper.readRow(['House', 'x', '5000000'], ['name', null, 'currentPrice', 'years']);
+                assertDeepEqual(row, { name: 'House', currentPrice: '5000000' });
+            });
+        });
+
+        runner.describe('getFields and getSignature', () => {
+            runner.it('should list the fields with the required ones first', () => {
+                const fields = mapper.getFields();
+                assertEqual(fields[0].field, 'name');
+                assertTrue(fields.slice(0, 5).every(field => field.required));
+                assertFalse(fields[5].required);
+            });
+
+            runner.it('should give the same signature to headers differing only in case and punctuation', () => {
+                assertEqual(mapper.getSignature(['Goal Name', 'Notes']), mapper.getSignature(['goal-name ', 'NOTES']));
+                assertTrue(mapper.getSignature(['Notes', 'Goal Name']) !== mapper.getSignature(['Goal Name', 'Notes']));
+            });
+        });
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for CSVParser
+ */
+
+import { CSVParser } from '../../js/csv.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertLength
+} from '../test-runner.js';
+
+export function runCSVTests(runner) {
+    runner.describe('CSVParser', () => {
+        const parser = new CSVParser();
+
+        const thrownMessage = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        const valuesOf = (content) => parser.parse(content).records.map(record => record.values);
+
+        runner.describe('parse', () => {
+            runner.it('should split rows and fields', () => {
+                assertDeepEqual(valuesOf('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+            });
+
+            runner.it('should not add a row for a trailing line break', () => {
+                assertLength(parser.parse('a,b\n1,2\n').records, 2);
+                assertDeepEqual(valuesOf(''), []);
+            });
+
+            runner.it('should accept \\r\\n and \\r line endings', () => {
+                assertDeepEqual(valuesOf('a,b\r\n1,2\r\n'), [['a', 'b'], ['1', '2']]);
+                assertDeepEqual(valuesOf('a,b\r1,2'), [['a', 'b'], ['1', '2']]);
+            });
+
+            runner.it('should read delimiters, doubled quotes and line breaks in quoted fields', () => {
+                assertDeepEqual(valuesOf('"House, Villa","Say ""hi""","Line 1\nLine 2"'),
+                    [['House, Villa', 'Say "hi"', 'Line 1\nLine 2']]);
+                assertDeepEqual(valuesOf('"",x'), [['', 'x']]);
+            });
+
+            runner.it('should give the line each row starts on', () => {
+                const { records } = parser.parse('name,price\n"Two\r\nlines",1\r\n\r\nCar,2');
+                assertDeepEqual(records.map(record => record.line), [1, 2, 4, 5]);
+                assertDeepEqual(records[2].values, ['']);
+            });
+
+            runner.it('should ignore whitespace around quoted fields and keep quotes inside unquoted ones', () => {
+                assertDeepEqual(valuesOf('a, "b" ,c'), [['a', 'b', 'c']]);
+                assertDeepEqual(valuesOf('5" screen,x'), [['5" screen', 'x']]);
+            });
+
+            runner.it('should drop a byte order mark', () => {
+                assertDeepEqual(valuesOf('\uFEFFname,price\nHouse,1'), [['name', 'price'], ['House', '1']]);
+            });
+
+            runner.it('should report unclosed quotes on the line they open', () => {
+                assertEqual(thrownMessage(() => parser.parse('a,b\n1,2\n"House\nmore,3')), 'Line 3: Quoted field is not closed');
+            });
+
+            runner.it('should report characters after a closing quote', () => {
+                assertEqual(thrownMessage(() => parser.parse('a,b\n"Ho"use,2')), 'Line 2: Unexpected character after a closing quote');
+            });
+
+            runner.it('should use a given delimiter', () => {
+                assertDeepEqual(parser.parse('a|b\n1|2', '|').records[1].values, ['1', '2']);
+            });
+        });
+
+        runner.describe('detectDelimiter', () => {
+            runner.it('should pick the most frequent delimiter in the header row', () => {
+                assertEqual(parser.detectDelimiter('name;price;years\n"1,5";2;3'), ';');
+                assertEqual(parser.detectDelimiter('name\tprice\n1\t2'), '\t');
+                assertEqual(parser.detectDelimiter('name,price,years\n1;2;3;4;5'), ',');
+            });
+
+            runner.it('should ignore delimiters in quoted header fields', () => {
+                assertEqual(parser.detectDelimiter('"a;b;c",d,e'), ',');
+            });
+
+            runner.it('should default to commas', () => {
+                assertEqual(parser.detectDelimiter('name'), ',');
+                assertEqual(parser.detectDelimiter('\uFEFFname'), ',');
+            });
+
+            runner.it('should be used when no delimiter is given', () => {
+                assertEqual(parser.parse('a;b\n1;2').delimiter, ';');
+            });
+        });
+    });
+}
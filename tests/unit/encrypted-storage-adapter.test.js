@@ -0,0 +1,127 @@
+/**
+ * Unit tests for EncryptedStorageAdapter
+ */
+
+import { EncryptedStorageAdapter } from '../../js/encrypted-storage-adapter.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import { EncryptionService } from '../../js/encryption.js';
+import {
+    assertEqual,
+    assertNull,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runEncryptedStorageAdapterTests(runner) {
+    runner.describe('EncryptedStorageAdapter', () => {
+        const encryption = new EncryptionService(globalThis.crypto, 1000);
+
+        const openAdapter = async (inner, key) => {
+            const adapter = new EncryptedStorageAdapter(inner, encryption, key, ['goals', 'settings']);
+            await adapter.open();
+            return adapter;
+        };
+
+        runner.it('should save encrypted values and read them back after reopening', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+
+            adapter.setItem('goals', '[{"name":"House"}]');
+            assertEqual(adapter.getItem('goals'), '[{"name":"House"}]');
+            await adapter.flush();
+
+            assertFalse(inner.getItem('goals').includes('House'));
+            assertTrue(encryption.isEncrypted(JSON.parse(inner.getItem('goals'))));
+
+            const reopened = await openAdapter(inner, key);
+            assertEqual(reopened.getItem('goals'), '[{"name":"House"}]');
+        });
+
+        runner.it('should pass other keys straight through', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+
+            adapter.setItem('theme', 'dark');
+            assertEqual(inner.getItem('theme'), 'dark');
+            assertEqual(adapter.getItem('theme'), 'dark');
+            adapter.removeItem('theme');
+            assertNull(inner.getItem('theme'));
+        });
+
+        runner.it('should save writes in the order they were made', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+
+            adapter.setItem('goals', 'first');
+            adapter.setItem('goals', 'second');
+            adapter.removeItem('settings');
+            adapter.setItem('settings', 'kept');
+            await adapter.flush();
+
+            const reopened = await openAdapter(inner, key);
+            assertEqual(reopened.getItem('goals'), 'second');
+            assertEqual(reopened.getItem('settings'), 'kept');
+        });
+
+        runner.it('should remove encrypted values', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+
+            adapter.setItem('goals', '[]');
+            adapter.removeItem('goals');
+            assertNull(adapter.getItem('goals'));
+            await adapter.flush();
+            assertNull(inner.getItem('goals'));
+        });
+
+        runner.it('should read values saved before encryption was turned on', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const adapter = await openAdapter(new MemoryStorageAdapter({ goals: '{"schemaVersion":1,"goals":[]}' }), key);
+            assertEqual(adapter.getItem('goals'), '{"schemaVersion":1,"goals":[]}');
+        });
+
+        runner.it('should fail to open with the wrong key', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const { key: otherKey } = await encryption.createKey('battery staple');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+            adapter.setItem('goals', '[]');
+            await adapter.flush();
+
+            let message = '';
+            try {
+                await openAdapter(inner, otherKey);
+            } catch (error) {
+                message = error.message;
+            }
+            assertEqual(message, 'Incorrect passphrase or damaged data');
+        });
+
+        runner.it('should encrypt keys added after opening', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+            adapter.setItem('goals:spouse', '[]');
+            assertEqual(inner.getItem('goals:spouse'), '[]');
+
+            await adapter.addKeys(['goals', 'goals:spouse']);
+            assertEqual(adapter.getItem('goals:spouse'), '[]');
+            adapter.setItem('goals:spouse', '[{"name":"Car"}]');
+            await adapter.flush();
+            assertFalse(inner.getItem('goals:spouse').includes('Car'));
+        });
+
+        runner.it('should report the wrapped adapter\'s availability', async () => {
+            const { key } = await encryption.createKey('correct horse');
+            const inner = new MemoryStorageAdapter();
+            const adapter = await openAdapter(inner, key);
+            assertFalse(adapter.isAvailable());
+            inner.isAvailable = () => true;
+            assertTrue(adapter.isAvailable());
+        });
+    });
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for EncryptionService
+ */
+
+import { EncryptionService } from '../../js/encryption.js';
+import {
+    assertEqual,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runEncryptionTests(runner) {
+    runner.describe('EncryptionService', () => {
+        // Few iterations keep the tests fast; the default is for real passphrases
+        const encryption = new EncryptionService(globalThis.crypto, 1000);
+
+        const rejectionMessage = async (promise) => {
+            try {
+                await promise;
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        runner.it('should be supported where Web Crypto is available', () => {
+            assertTrue(EncryptionService.isSupported());
+            assertFalse(EncryptionService.isSupported(null));
+            assertFalse(EncryptionService.isSupported({}));
+        });
+
+        runner.describe('keys', () => {
+            runner.it('should create a key with a fresh salt', async () => {
+                const first = await encryption.createKey('correct horse');
+                const second = await encryption.createKey('correct horse');
+                assertEqual(first.params.kdf, 'PBKDF2');
+                assertEqual(first.params.hash, 'SHA-256');
+                assertEqual(first.params.iterations, 1000);
+                assertTrue(first.params.salt !== second.params.salt);
+            });
+
+            runner.it('should reject short passphrases', async () => {
+                assertEqual(await rejectionMessage(encryption.createKey('short')), 'Passphrase must be at least 8 characters');
+                assertEqual(await rejectionMessage(encryption.createKey(null)), 'Passphrase must be at least 8 characters');
+            });
+
+            runner.it('should derive the same key from the saved parameters', async () => {
+                const { key, params } = await encryption.createKey('correct horse');
+                const encrypted = await encryption.encrypt(key, 'secret');
+                const derived = await encryption.deriveKey('correct horse', params);
+                assertEqual(await encryption.decrypt(derived, encrypted), 'secret');
+            });
+
+            runner.it('should reject unknown key parameters', async () => {
+                const { params } = await encryption.createKey('correct horse');
+                assertEqual(await rejectionMessage(encryption.deriveKey('correct horse', { ...params, kdf: 'scrypt' })), 'Unsupported encryption settings');
+                assertEqual(await rejectionMessage(encryption.deriveKey('correct horse', null)), 'Unsupported encryption settings');
+            });
+        });
+
+        runner.describe('encrypt and decrypt', () => {
+            runner.it('should round-trip text, including non-ASCII characters', async () => {
+                const { key } = await encryption.createKey('correct horse');
+                const text = JSON.stringify([{ name: 'Child’s education ₹', currentPrice: 2000000 }]);
+                const encrypted = await encryption.encrypt(key, text);
+                assertTrue(encryption.isEncrypted(encrypted));
+                assertFalse(encrypted.data.includes('education'));
+                assertEqual(await encryption.decrypt(key, encrypted), text);
+            });
+
+            runner.it('should use a fresh initialization vector each time', async () => {
+                const { key } = await encryption.createKey('correct horse');
+                const first = await encryption.encrypt(key, 'secret');
+                const second = await encryption.encrypt(key, 'secret');
+                assertTrue(first.iv !== second.iv);
+                assertTrue(first.data !== second.data);
+            });
+
+            runner.it('should fail with the wrong key or altered data', async () => {
+                const { key } = await encryption.createKey('correct horse');
+                const { key: otherKey } = await encryption.createKey('battery staple');
+                const encrypted = await encryption.encrypt(key, 'secret');
+                assertEqual(await rejectionMessage(encryption.decrypt(otherKey, encrypted)), 'Incorrect passphrase or damaged data');
+
+                const altered = { ...encrypted, data: encrypted.data.slice(0, -4) + 'AAA=' };
+                assertEqual(await rejectionMessage(encryption.decrypt(key, altered)), 'Incorrect passphrase or damaged data');
+            });
+
+            runner.it('should recognize encrypted text', () => {
+                assertTrue(encryption.isEncrypted({ iv: 'a', data: 'b' }));
+                assertFalse(encryption.isEncrypted({ schemaVersion: 1, goals: [] }));
+                assertFalse(encryption.isEncrypted(null));
+            });
+        });
+
+        runner.describe('exports', () => {
+            runner.it('should encrypt an export with its own key parameters', async () => {
+                const payload = await encryption.encryptExport('[{"name":"House"}]', 'correct horse');
+                assertTrue(encryption.isEncryptedExport(payload));
+                assertEqual(payload.cipher, 'AES-GCM');
+                assertEqual(payload.iterations, 1000);
+                assertEqual(await encryption.decryptExport(payload, 'correct horse'), '[{"name":"House"}]');
+            });
+
+            runner.it('should reject the wrong passphrase', async () => {
+                const payload = await encryption.encryptExport('[]', 'correct horse');
+                assertEqual(await rejectionMessage(encryption.decryptExport(payload, 'battery staple')), 'Incorrect passphrase or damaged data');
+            });
+
+            runner.it('should reject files asking for more iterations than a key ever needs', async () => {
+                const payload = await encryption.encryptExport('[]', 'correct horse');
+                const message = await rejectionMessage(encryption.decryptExport({ ...payload, iterations: 1e12 }, 'correct horse'));
+                assertEqual(message, 'Unsupported encryption settings');
+            });
+
+            runner.it('should only treat marked payloads as encrypted exports', () => {
+                assertFalse(encryption.isEncryptedExport({ iv: 'a', data: 'b' }));
+                assertFalse(encryption.isEncryptedExport([]));
+            });
+        });
+    });
+}
@@ -3,7 +3,9 @@
  */
 
 import { Exporter } from '../../js/exporter.js';
+import { EncryptionService } from '../../js/encryption.js';
 import { SIPCalculator } from '../../js/calculator.js';
+import { XLSXReader } from '../../js/xlsx-reader.js';
 import { 
     assertEqual, 
     assertNotNull,
@@ -305,6 +307,338 @@ export function runExporterTests(runner) {
                 assertEqual(parsed[0].stepUpRate, 0);
             });
         });
+
+        runner.describe('inflation schedules', () => {
+            runner.it('should include inflation schedule column header', () => {
+                beforeEach();
+                const csv = exporter.exportToCSV(sampleGoals);
+                assertTrue(csv.split('\n')[0].split(',').includes('Inflation Schedule'));
+            });
+
+            runner.it('should export schedule as quoted text', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    inflationSchedule: [
+                        { fromYear: 1, toYear: 5, rate: 10 },
+                        { fromYear: 6, toYear: 10, rate: 7 }
+                    ]
+                };
+                const csv = exporter.exportToCSV([goal]);
+                const column = csv.split('\n')[0].split(',').indexOf('Inflation Schedule');
+                assertEqual(csv.split('\n')[1].split(',')[column], '1-5:10; 6-10:7');
+            });
+
+            runner.it('should use scheduled target for calculated columns', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    inflationSchedule: [{ fromYear: 1, toYear: 10, rate: 10 }]
+                };
+                const row = exporter.exportToCSV([goal]).split('\n')[1].split(',');
+                assertEqual(Number(row[6]), calculator.calculateGoalTarget(goal));
+            });
+
+            runner.it('should leave schedule column empty for flat inflation', () => {
+                beforeEach();
+                const csv = exporter.exportToCSV([sampleGoals[0]]);
+                const column = csv.split('\n')[0].split(',').indexOf('Inflation Schedule');
+                assertEqual(csv.split('\n')[1].split(',')[column], '');
+            });
+        });
+
+        runner.describe('asset allocation', () => {
+            runner.it('should export allocation columns', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    allocation: {
+                        weights: { equity: 70, debt: 20, gold: 10 },
+                        returns: { equity: 12, debt: 7, gold: 8 },
+                        glidePath: { years: 3, shift: 20 }
+                    }
+                };
+                const lines = exporter.exportToCSV([goal]).split('\n');
+                const column = lines[0].split(',').indexOf('Equity (%)');
+                assertEqual(lines[1].split(',').slice(column, column + 8).join(','), '70,20,10,12,7,8,3,20');
+            });
+
+            runner.it('should leave allocation columns empty without allocation', () => {
+                beforeEach();
+                const lines = exporter.exportToCSV([sampleGoals[0]]).split('\n');
+                const column = lines[0].split(',').indexOf('Equity (%)');
+                assertEqual(lines[1].split(',').slice(column, column + 8).join(','), ',,,,,,,');
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            runner.it('should export corpus and lump sum columns', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], existingCorpus: 300000, lumpSums: [{ year: 3, amount: 200000 }, { year: 5, amount: 100000 }] };
+                const lines = exporter.exportToCSV([goal]).split('\n');
+                const headers = lines[0].split(',');
+                const values = lines[1].split(',');
+                assertEqual(values[headers.indexOf('Existing Corpus (₹)')], '300000');
+                assertEqual(values[headers.indexOf('Lump Sums (year:₹)')], '3:200000; 5:100000');
+            });
+
+            runner.it('should export zero corpus and empty lump sums by default', () => {
+                beforeEach();
+                const lines = exporter.exportToCSV([sampleGoals[0]]).split('\n');
+                const headers = lines[0].split(',');
+                const values = lines[1].split(',');
+                assertEqual(values[headers.indexOf('Existing Corpus (₹)')], '0');
+                assertEqual(values[headers.indexOf('Lump Sums (year:₹)')], '');
+            });
+        });
+
+        runner.describe('budget allocation', () => {
+            const budgetAllocation = {
+                goals: [{ goalId: 1, allocatedSIP: 12000, fundedPercent: 64.5, shortfall: 350000 }]
+            };
+
+            runner.it('should export priority and budget columns', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], id: 1, priority: 1 };
+                const lines = exporter.exportToCSV([goal], budgetAllocation).split('\n');
+                const headers = lines[0].split(',');
+                const values = lines[1].split(',');
+                assertEqual(values[headers.indexOf('Priority')], '1');
+                assertEqual(values[headers.indexOf('Allocated SIP (₹)')], '12000');
+                assertEqual(values[headers.indexOf('Funded (%)')], '64.5');
+                assertEqual(values[headers.indexOf('Projected Shortfall (₹)')], '350000');
+            });
+
+            runner.it('should export the goal ID as the last column', () => {
+                beforeEach();
+                const lines = exporter.exportToCSV([{ ...sampleGoals[0], id: 1712345678901 }]).split('\n');
+                assertEqual(lines[0].split(',').pop(), 'Goal ID');
+                assertEqual(lines[1].split(',').pop(), '1712345678901');
+            });
+
+            runner.it('should leave budget columns empty without a budget', () => {
+                beforeEach();
+                const lines = exporter.exportToCSV([sampleGoals[0]]).split('\n');
+                const column = lines[0].split(',').indexOf('Priority');
+                assertEqual(lines[1].split(',').slice(column, column + 4).join(','), ',,,');
+            });
+
+            runner.it('should add budget results to JSON goals', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], id: 1 };
+                const data = JSON.parse(exporter.exportToJSON([goal], budgetAllocation));
+                assertEqual(data[0].budget.allocatedSIP, 12000);
+                assertEqual(data[0].budget.shortfall, 350000);
+                assertEqual(data[0].name, goal.name);
+            });
+
+            runner.it('should export plain goals to JSON without a budget', () => {
+                beforeEach();
+                const data = JSON.parse(exporter.exportToJSON([sampleGoals[0]]));
+                assertTrue(!('budget' in data[0]));
+            });
+        });
+
+        runner.describe('retirement goals', () => {
+            runner.it('should export retirement columns', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], retirement: { retirementYears: 25, postRetirementReturn: 8 } };
+                const lines = exporter.exportToCSV([goal]).split('\n');
+                const headers = lines[0].split(',');
+                const values = lines[1].split(',');
+                assertEqual(values[headers.indexOf('Retirement Years')], '25');
+                assertEqual(values[headers.indexOf('Post-Retirement Return (%)')], '8');
+            });
+
+            runner.it('should leave retirement columns empty for other goals', () => {
+                beforeEach();
+                const lines = exporter.exportToCSV([sampleGoals[0]]).split('\n');
+                const headers = lines[0].split(',');
+                const values = lines[1].split(',');
+                assertEqual(values[headers.indexOf('Retirement Years')], '');
+            });
+
+            runner.it('should export retirement settings to JSON', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], retirement: { retirementYears: 25, postRetirementReturn: 8 } };
+                const data = JSON.parse(exporter.exportToJSON([goal]));
+                assertEqual(data[0].retirement.retirementYears, 25);
+            });
+        });
+
+        runner.describe('exportToEncryptedJSON', () => {
+            runner.it('should encrypt the JSON export with the passphrase', async () => {
+                beforeEach();
+                const encryption = new EncryptionService(globalThis.crypto, 1000);
+                exporter = new Exporter(calculator, undefined, undefined, encryption);
+
+                const payload = JSON.parse(await exporter.exportToEncryptedJSON(sampleGoals, 'correct horse'));
+                assertTrue(encryption.isEncryptedExport(payload));
+                assertTrue(!JSON.stringify(payload).includes('House'));
+                assertEqual(await encryption.decryptExport(payload, 'correct horse'), exporter.exportToJSON(sampleGoals));
+            });
+
+            runner.it('should reject a short passphrase', async () => {
+                beforeEach();
+                let message = '';
+                try {
+                    await exporter.exportToEncryptedJSON(sampleGoals, 'short');
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'Passphrase must be at least 8 characters');
+            });
+        });
+
+        runner.describe('exportToHouseholdJSON', () => {
+            runner.it('should export every profile\'s name and goals', () => {
+                beforeEach();
+                const data = JSON.parse(exporter.exportToHouseholdJSON([
+                    { id: 'default', name: 'Me', goals: sampleGoals },
+                    { id: 'spouse', name: 'Spouse', goals: [] }
+                ]));
+
+                assertEqual(data.format, 'multigoal-sip-household');
+                assertEqual(data.version, 1);
+                assertEqual(data.profiles.length, 2);
+                assertEqual(data.profiles[0].name, 'Me');
+                assertEqual(data.profiles[0].goals[0].name, sampleGoals[0].name);
+                assertEqual(data.profiles[1].goals.length, 0);
+                assertEqual(data.profiles[1].id, undefined);
+            });
+        });
+
+        runner.describe('cashflow schedule exports', () => {
+            runner.it('should export a CSV row per goal and year', () => {
+                beforeEach();
+                const lines = exporter.exportScheduleToCSV(sampleGoals).split('\n');
+                const sip = calculator.calculateGoalSIP(sampleGoals[0]);
+
+                assertEqual(lines[0], 'Goal Name,Goal ID,Year,SIP Installment (₹),Cumulative Invested (₹),Projected Value (₹),Inflation-Adjusted Target (₹)');
+                assertEqual(lines.length, 1 + 11 + 16);
+                assertEqual(lines[1], 'House,1,0,,0,0,5000000');
+                assertEqual(lines[2].split(',')[3], String(Math.round(sip * 100) / 100));
+                assertEqual(lines[12].split(',').slice(0, 3).join(','), 'Education,2,0');
+            });
+
+            runner.it('should export a CSV row per month', () => {
+                beforeEach();
+                const lines = exporter.exportScheduleToCSV([sampleGoals[1]], 'month').split('\n');
+                const sip = calculator.calculateGoalSIP(sampleGoals[1]);
+
+                assertTrue(lines[0].includes(',Month,'));
+                assertEqual(lines.length, 1 + 181);
+                assertEqual(Number(lines[14].split(',')[3]), Math.round(sip * 1.1 * 100) / 100);
+            });
+
+            runner.it('should export the same schedule as JSON', () => {
+                beforeEach();
+                const json = JSON.parse(exporter.exportScheduleToJSON(sampleGoals, 'month'));
+                const lines = exporter.exportScheduleToCSV(sampleGoals, 'month').split('\n');
+                const entry = json.goals[0].schedule[120];
+
+                assertEqual(json.interval, 'month');
+                assertEqual(json.goals[0].id, '1');
+                assertEqual(json.goals[0].name, 'House');
+                assertEqual(json.goals[0].schedule[0].sipInstallment, null);
+                assertEqual(
+                    ['House', '1', entry.month, entry.sipInstallment, entry.invested, entry.projectedValue, entry.target].join(','),
+                    lines[121]
+                );
+            });
+
+            runner.it('should return empty CSV without goals', () => {
+                beforeEach();
+                assertEqual(exporter.exportScheduleToCSV([]), '');
+            });
+        });
+
+        runner.describe('exportToXLSX', () => {
+            const readSheets = async (bytes) => new XLSXReader().read(bytes);
+
+            runner.it('should write Summary and Goals sheets and a schedule sheet per goal', async () => {
+                beforeEach();
+                const sheets = await readSheets(exporter.exportToXLSX(sampleGoals, null, 'Family plan'));
+
+                assertEqual(sheets.map(sheet => sheet.name).join(','), 'Summary,Goals,House,Education');
+                assertEqual(sheets[0].records[0].values[0], 'Family plan');
+                assertEqual(sheets[1].records[0].values[0], 'Goal Name');
+                assertEqual(sheets[1].records[0].values.length, 28);
+                assertEqual(sheets[1].records[2].values[0], 'Education');
+                assertEqual(sheets[2].records.length, 12);
+                assertEqual(sheets[2].records[0].values.join(','), 'Year,Monthly SIP,Invested to date,Projected value,Goal cost');
+            });
+
+            runner.it('should give the schedule the stepped-up SIP of each year', async () => {
+                beforeEach();
+                const sheets = await readSheets(exporter.exportToXLSX(sampleGoals));
+                const schedule = sheets[3].records;
+                const sip = calculator.calculateGoalSIP(sampleGoals[1]);
+
+                assertEqual(schedule[1].values[1], '');
+                assertEqual(Math.round(Number(schedule[2].values[1])), Math.round(sip));
+                assertEqual(Math.round(Number(schedule[3].values[1])), Math.round(sip * 1.1));
+            });
+
+            runner.it('should format amounts as currency and rates as percentages', async () => {
+                beforeEach();
+                const { ZipArchive } = await import('../../js/zip.js');
+                const files = await new ZipArchive().extract(exporter.exportToXLSX(sampleGoals));
+                const goalsSheet = new TextDecoder().decode(files.get('xl/worksheets/sheet2.xml'));
+
+                assertTrue(goalsSheet.includes('<c r="B2" s="2"><v>5000000</v></c>'));
+                assertTrue(goalsSheet.includes('<c r="C2" s="3"><v>7</v></c>'));
+            });
+        });
+
+        runner.describe('exportToPDF', () => {
+            const toText = (bytes) => String.fromCharCode(...bytes);
+
+            runner.it('should write a PDF with a page per goal after the summary', () => {
+                beforeEach();
+                const text = toText(exporter.exportToPDF(sampleGoals, 'Family plan'));
+
+                assertTrue(text.startsWith('%PDF-1.4'));
+                assertTrue(text.includes('/Count 3'));
+                assertTrue(text.includes('(Family plan) Tj'));
+                assertTrue(text.includes('(Page 1 of 3) Tj'));
+                assertTrue(text.includes('(Page 3 of 3) Tj'));
+            });
+
+            runner.it('should include each goal\'s assumptions, required SIP and schedule', () => {
+                beforeEach();
+                const text = toText(exporter.exportToPDF(sampleGoals));
+                const sip = Math.round(calculator.calculateGoalSIP(sampleGoals[0]));
+
+                assertTrue(text.includes('(House) Tj'));
+                assertTrue(text.includes('(Education) Tj'));
+                assertTrue(text.includes('(Required monthly SIP) Tj'));
+                assertTrue(text.includes('(Year-by-Year Schedule) Tj'));
+                assertTrue(text.includes('(10%) Tj'));
+                assertTrue(text.includes(`(Rs.${sip.toLocaleString('en-IN')}) Tj`));
+            });
+
+            runner.it('should repeat the schedule header on every page the schedule continues on', () => {
+                beforeEach();
+                const longGoal = { ...sampleGoals[0], name: 'Retirement fund', years: 60 };
+                const text = toText(exporter.exportToPDF([longGoal]));
+
+                assertTrue(text.includes('/Count 3'));
+                assertEqual(text.match(/\(Invested to date\) Tj/g).length, 2);
+            });
+
+            runner.it('should draw the growth chart when one can be rendered', () => {
+                beforeEach();
+                const chartManager = {
+                    renderChartImage: () => ({ dataUrl: `data:image/jpeg;base64,${btoa('jpeg')}`, width: 1000, height: 500 })
+                };
+                exporter = new Exporter(calculator, undefined, undefined, undefined, undefined, chartManager);
+                const text = toText(exporter.exportToPDF(sampleGoals));
+
+                assertTrue(text.includes('/Filter /DCTDecode'));
+                assertTrue(text.includes('(Investment Growth) Tj'));
+            });
+        });
     });
 }
 
@@ -126,6 +126,38 @@ export function runFormatterTests(runner) {
             });
         });
 
+        runner.describe('formatPriority', () => {
+            runner.it('should label the standard priorities', () => {
+                beforeEach();
+                assertEqual(formatter.formatPriority(1), 'High');
+                assertEqual(formatter.formatPriority(2), 'Medium');
+                assertEqual(formatter.formatPriority(3), 'Low');
+            });
+
+            runner.it('should number other priorities', () => {
+                beforeEach();
+                assertEqual(formatter.formatPriority(5), 'Priority 5');
+            });
+        });
+
+        runner.describe('formatDuration', () => {
+            runner.it('should format years and months', () => {
+                beforeEach();
+                assertEqual(formatter.formatDuration(7 + 4 / 12), '7 years 4 months');
+                assertEqual(formatter.formatDuration(1 + 1 / 12), '1 year 1 month');
+            });
+
+            runner.it('should omit zero months', () => {
+                beforeEach();
+                assertEqual(formatter.formatDuration(10), '10 years');
+            });
+
+            runner.it('should format durations under a year in months', () => {
+                beforeEach();
+                assertEqual(formatter.formatDuration(0.5), '6 months');
+            });
+        });
+
         runner.describe('Edge Cases', () => {
             runner.it('should handle very large currency amounts', () => {
                 beforeEach();
@@ -145,6 +177,47 @@ export function runFormatterTests(runner) {
                 assertTrue(result.includes('1.23'));
             });
         });
+
+        runner.describe('formatInflationSchedule', () => {
+            runner.it('should format flat rate when there is no schedule', () => {
+                beforeEach();
+                assertEqual(formatter.formatInflationSchedule(undefined, 6), '6%');
+            });
+
+            runner.it('should format ranges with fallback rate', () => {
+                beforeEach();
+                const text = formatter.formatInflationSchedule([
+                    { fromYear: 1, toYear: 5, rate: 10 },
+                    { fromYear: 6, toYear: 6, rate: 7 }
+                ], 6);
+                assertEqual(text, '10% (yrs 1-5), 7% (yr 6), 6% otherwise');
+            });
+        });
+
+        runner.describe('formatProbability', () => {
+            runner.it('should format probability as percentage', () => {
+                beforeEach();
+                assertEqual(formatter.formatProbability(0.875), '87.5%');
+                assertEqual(formatter.formatProbability(1), '100.0%');
+            });
+        });
+
+        runner.describe('formatAllocation', () => {
+            runner.it('should format non-zero weights', () => {
+                beforeEach();
+                assertEqual(formatter.formatAllocation({ equity: 70, debt: 30, gold: 0 }), '70% equity / 30% debt');
+            });
+        });
+
+        runner.describe('formatDateTime', () => {
+            runner.it('should format the date with its time', () => {
+                beforeEach();
+                const formatted = formatter.formatDateTime('2024-03-15T12:00:00Z');
+                assertTrue(formatted.includes('Mar 2024'));
+                assertTrue(formatted.includes(':'));
+                assertEqual(formatter.formatDateTime(Date.parse('2024-03-15T12:00:00Z')), formatted);
+            });
+        });
     });
 }
 
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for GoalIdGenerator
+ */
+
+import { GoalIdGenerator } from '../../js/goal-ids.js';
+import {
+    assertEqual,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runGoalIdsTests(runner) {
+    runner.describe('GoalIdGenerator', () => {
+        const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+        runner.it('should generate distinct UUIDs', () => {
+            const generator = new GoalIdGenerator();
+            const ids = new Set(Array.from({ length: 100 }, () => generator.generate()));
+
+            assertEqual(ids.size, 100);
+            assertTrue([...ids].every(id => uuidPattern.test(id)));
+        });
+
+        runner.it('should build UUIDs from random values where randomUUID is unavailable', () => {
+            const generator = new GoalIdGenerator({ getRandomValues: bytes => bytes.fill(255) });
+            assertEqual(generator.generate(), 'ffffffff-ffff-4fff-bfff-ffffffffffff');
+        });
+
+        runner.it('should accept strings and numbers as IDs', () => {
+            const generator = new GoalIdGenerator();
+            assertTrue(generator.isValid('3b241101-e2bb-4255-8caf-4136c566a962'));
+            assertTrue(generator.isValid(1712345678901));
+            assertFalse(generator.isValid('  '));
+            assertFalse(generator.isValid(null));
+            assertFalse(generator.isValid(NaN));
+        });
+    });
+}
@@ -3,12 +3,16 @@
  */
 
 import { GoalManager } from '../../js/goal.js';
+import { StorageService } from '../../js/storage.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
 import { 
-    assertEqual, 
-    assertLength, 
+    assertEqual,
+    assertDeepEqual,
+    assertLength,
     assertNotNull,
     assertTrue,
-    assertFalse
+    assertFalse,
+    assertThrows
 } from '../test-runner.js';
 import { MockHelper } from '../test-runner.js';
 
@@ -79,6 +83,46 @@ export function runGoalTests(runner) {
             });
         });
 
+        runner.describe('goal IDs', () => {
+            runner.it('should give goals added in the same millisecond different IDs', () => {
+                beforeEach();
+                const ids = [1, 2, 3].map(n => goalManager.addGoal(`Goal ${n}`, 100000, 6, 10, 12, 0).id);
+
+                assertEqual(new Set(ids).size, 3);
+                goalManager.removeGoal(ids[1]);
+                assertEqual(goalManager.getGoalCount(), 2);
+            });
+
+            runner.it('should keep a given ID unless another goal has it', () => {
+                beforeEach();
+                const kept = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { id: 1712345678901 });
+                const copy = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { id: 1712345678901 });
+
+                assertEqual(kept.id, 1712345678901);
+                assertTrue(copy.id !== kept.id);
+            });
+
+            runner.it('should repair missing and repeated IDs when loading and save the repair', () => {
+                beforeEach();
+                const goal = { name: 'Goal', currentPrice: 100000, inflationRate: 6, years: 10, expectedReturn: 12, stepUpRate: 0 };
+                mockStorage.loadGoals.returnValue = [{ ...goal, id: 7 }, { ...goal, id: 7 }, { ...goal }];
+
+                goalManager.loadFromStorage();
+                const ids = goalManager.getAllGoals().map(g => g.id);
+                assertEqual(ids[0], 7);
+                assertEqual(new Set(ids).size, 3);
+                assertEqual(mockStorage.saveGoals.callCount(), 1);
+            });
+
+            runner.it('should not save goals whose IDs need no repair', () => {
+                beforeEach();
+                mockStorage.loadGoals.returnValue = [{ id: 1, name: 'Goal 1' }, { id: '1', name: 'Goal 2' }];
+
+                goalManager.loadFromStorage();
+                assertEqual(mockStorage.saveGoals.callCount(), 0);
+            });
+        });
+
         runner.describe('removeGoal', () => {
             runner.it('should remove a goal successfully', () => {
                 beforeEach();
@@ -235,6 +279,255 @@ export function runGoalTests(runner) {
                 // Should not throw
             });
         });
+
+        runner.describe('inflation schedules', () => {
+            runner.it('should store inflation schedule from options', () => {
+                beforeEach();
+                const schedule = [{ fromYear: 1, toYear: 5, rate: 10 }];
+                const goal = goalManager.addGoal('Education', 2000000, 6, 15, 12, 0, { inflationSchedule: schedule });
+                assertEqual(goal.inflationSchedule[0].rate, 10);
+                assertTrue(goal.inflationSchedule[0] !== schedule[0]);
+            });
+
+            runner.it('should omit empty inflation schedule', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('Education', 2000000, 6, 15, 12, 0, { inflationSchedule: [] });
+                assertFalse('inflationSchedule' in goal);
+            });
+        });
+
+        runner.describe('asset allocation', () => {
+            runner.it('should store a copy of the allocation from options', () => {
+                beforeEach();
+                const allocation = {
+                    weights: { equity: 70, debt: 30, gold: 0 },
+                    returns: { equity: 12, debt: 7, gold: 0 }
+                };
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 10.5, 0, { allocation });
+                assertEqual(goal.allocation.weights.equity, 70);
+                assertEqual(goal.allocation.glidePath.years, 0);
+                assertTrue(goal.allocation.weights !== allocation.weights);
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            runner.it('should store corpus and a copy of lump sums from options', () => {
+                beforeEach();
+                const lumpSums = [{ year: 3, amount: 200000 }];
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { existingCorpus: 300000, lumpSums });
+                assertEqual(goal.existingCorpus, 300000);
+                assertEqual(goal.lumpSums[0].amount, 200000);
+                assertTrue(goal.lumpSums[0] !== lumpSums[0]);
+            });
+
+            runner.it('should omit zero corpus and empty lump sums', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { existingCorpus: 0, lumpSums: [] });
+                assertFalse('existingCorpus' in goal);
+                assertFalse('lumpSums' in goal);
+            });
+        });
+
+        runner.describe('priority', () => {
+            runner.it('should store the priority from options', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { priority: 1 });
+                assertEqual(goal.priority, 1);
+            });
+
+            runner.it('should omit priority when not given', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                assertFalse('priority' in goal);
+            });
+        });
+
+        runner.describe('retirement', () => {
+            runner.it('should store a copy of the retirement settings', () => {
+                beforeEach();
+                const retirement = { retirementYears: 25, postRetirementReturn: 8 };
+                const goal = goalManager.addGoal('Retirement', 50000, 6, 25, 12, 0, { retirement });
+                assertEqual(goal.retirement.retirementYears, 25);
+                assertEqual(goal.retirement.postRetirementReturn, 8);
+                retirement.retirementYears = 30;
+                assertEqual(goal.retirement.retirementYears, 25);
+            });
+
+            runner.it('should omit retirement when not given', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                assertFalse('retirement' in goal);
+            });
+        });
+
+        runner.describe('contribution ledger', () => {
+            runner.it('should record the start date of the plan', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                assertEqual(goal.startDate, new Date().toISOString().split('T')[0]);
+                const imported = goalManager.addGoal('Car', 1000000, 6, 5, 12, 0, { startDate: '2023-04-01' });
+                assertEqual(imported.startDate, '2023-04-01');
+            });
+
+            runner.it('should add contributions in date order and save them', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                const saves = mockStorage.saveGoals.callCount();
+                goalManager.addContribution(goal.id, '2024-03-01', 20000);
+                goalManager.addContribution(goal.id, '2024-01-01', 10000);
+                assertEqual(goal.contributions.length, 2);
+                assertEqual(goal.contributions[0].date, '2024-01-01');
+                assertEqual(goal.contributions[1].amount, 20000);
+                assertEqual(mockStorage.saveGoals.callCount(), saves + 2);
+            });
+
+            runner.it('should add valuations', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                const updated = goalManager.addValuation(goal.id, '2024-06-30', 65000);
+                assertEqual(updated.valuations[0].value, 65000);
+            });
+
+            runner.it('should return null for an unknown goal', () => {
+                beforeEach();
+                assertEqual(goalManager.addContribution(12345, '2024-01-01', 1000), null);
+            });
+
+            runner.it('should copy ledgers from options and omit empty ones', () => {
+                beforeEach();
+                const contributions = [{ date: '2024-02-01', amount: 5000 }, { date: '2024-01-01', amount: 5000 }];
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, { contributions, valuations: [] });
+                assertEqual(goal.contributions[0].date, '2024-01-01');
+                assertEqual(contributions[0].date, '2024-02-01');
+                assertFalse('valuations' in goal);
+            });
+        });
+
+        runner.describe('updateGoal', () => {
+            runner.it('should apply changes, keep the id and save', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('Hosue', 5000000, 70, 10, 12);
+                const saves = mockStorage.saveGoals.callCount();
+                const updated = goalManager.updateGoal(goal.id, { name: 'House', inflationRate: 7 });
+                assertEqual(updated.id, goal.id);
+                assertEqual(updated.name, 'House');
+                assertEqual(updated.inflationRate, 7);
+                assertEqual(updated.currentPrice, 5000000);
+                assertEqual(goalManager.getAllGoals()[0].inflationRate, 7);
+                assertEqual(mockStorage.saveGoals.callCount(), saves + 1);
+            });
+
+            runner.it('should replace and remove optional fields', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12, 0, {
+                    existingCorpus: 100000,
+                    lumpSums: [{ year: 2, amount: 50000 }]
+                });
+                const updated = goalManager.updateGoal(goal.id, { existingCorpus: 0, lumpSums: [{ year: 3, amount: 80000 }] });
+                assertFalse('existingCorpus' in updated);
+                assertEqual(updated.lumpSums[0].year, 3);
+            });
+
+            runner.it('should keep the contribution ledger', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                goalManager.addContribution(goal.id, '2024-01-01', 10000);
+                const updated = goalManager.updateGoal(goal.id, { years: 12 });
+                assertEqual(updated.contributions.length, 1);
+                assertEqual(updated.startDate, goal.startDate);
+            });
+
+            runner.it('should reject invalid changes and leave the goal unchanged', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                const saves = mockStorage.saveGoals.callCount();
+                assertThrows(() => goalManager.updateGoal(goal.id, { name: '  ' }));
+                assertThrows(() => goalManager.updateGoal(goal.id, { years: 0 }));
+                assertThrows(() => goalManager.updateGoal(goal.id, { inflationRate: -1 }));
+                assertThrows(() => goalManager.updateGoal(goal.id, { priority: 1.5 }));
+                assertThrows(() => goalManager.updateGoal(goal.id, {
+                    allocation: { weights: { equity: 50, debt: 20, gold: 0 }, returns: { equity: 12, debt: 7, gold: 8 } }
+                }));
+                assertEqual(goalManager.getGoal(goal.id).years, 10);
+                assertEqual(mockStorage.saveGoals.callCount(), saves);
+            });
+
+            runner.it('should return null for an unknown goal', () => {
+                beforeEach();
+                assertEqual(goalManager.updateGoal(12345, { name: 'House' }), null);
+                assertEqual(goalManager.getGoal(12345), null);
+            });
+        });
+
+        runner.describe('replaceAllGoals', () => {
+            runner.it('should replace the goals and save them', () => {
+                beforeEach();
+                goalManager.addGoal('House', 5000000, 7, 10, 12);
+                const saves = mockStorage.saveGoals.callCount();
+                const goals = [{ id: 1, name: 'Car', currentPrice: 1000000, inflationRate: 6, years: 5, expectedReturn: 12, stepUpRate: 0 }];
+                goalManager.replaceAllGoals(goals);
+                assertEqual(goalManager.getGoalCount(), 1);
+                assertEqual(goalManager.getGoal(1).name, 'Car');
+                assertEqual(mockStorage.saveGoals.callCount(), saves + 1);
+                goals.push({ id: 2 });
+                assertEqual(goalManager.getGoalCount(), 1);
+            });
+
+            runner.it('should not save goals that are already saved', () => {
+                beforeEach();
+                const saves = mockStorage.saveGoals.callCount();
+                assertTrue(goalManager.replaceAllGoals([{ id: 1, name: 'Car' }], false));
+                assertEqual(goalManager.getGoalCount(), 1);
+                assertEqual(mockStorage.saveGoals.callCount(), saves);
+            });
+        });
+
+        runner.describe('importGoals', () => {
+            const imported = [
+                { id: '7d1f0a52-5b8e-4c1a-9f3e-2a6b8c9d0e1f', name: 'Car', currentPrice: 1000000, inflationRate: 6, years: 5, expectedReturn: 12, lumpSums: [{ year: 2, amount: 50000 }] }
+            ];
+
+            runner.it('should add imported goals with their IDs and options', () => {
+                beforeEach();
+                goalManager.addGoal('House', 5000000, 7, 10, 12);
+                goalManager.importGoals(imported);
+                assertEqual(goalManager.getGoalCount(), 2);
+                assertEqual(goalManager.getGoal(imported[0].id).lumpSums[0].amount, 50000);
+            });
+
+            runner.it('should replace the existing goals when asked', () => {
+                beforeEach();
+                goalManager.addGoal('House', 5000000, 7, 10, 12);
+                goalManager.importGoals(imported, true);
+                assertEqual(goalManager.getAllGoals().map(goal => goal.name).join(','), 'Car');
+            });
+
+            runner.it('should keep the goals from before a large import restorable', () => {
+                const storageService = new StorageService(new MemoryStorageAdapter());
+                const manager = new GoalManager(storageService);
+                for (let index = 1; index <= 5; index++) {
+                    manager.addGoal(`Goal ${index}`, 100000, 6, 5, 12);
+                }
+                const before = manager.getAllGoals();
+
+                manager.importGoals(Array.from({ length: 60 }, (_, index) => ({ ...imported[0], id: undefined, name: `Imported ${index + 1}` })));
+
+                // One snapshot for the whole import, so the earlier ones are not pushed out
+                const snapshots = storageService.loadSnapshots();
+                assertEqual(snapshots.length, 6);
+                assertEqual(snapshots[0].goals.length, 65);
+
+                manager.replaceAllGoals(storageService.getSnapshot(snapshots[1].id).goals);
+                assertDeepEqual(manager.getAllGoals(), before);
+            });
+
+            runner.it('should save a replacing import once', () => {
+                beforeEach();
+                goalManager.addGoal('House', 5000000, 7, 10, 12);
+                goalManager.importGoals(imported, true);
+                assertEqual(mockStorage.saveGoals.callCount(), 2);
+            });
+        });
     });
 }
 
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for HistoryManager
+ */
+
+import { HistoryManager } from '../../js/history.js';
+import { GoalManager } from '../../js/goal.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertTrue,
+    assertFalse,
+    assertThrows
+} from '../test-runner.js';
+
+export function runHistoryTests(runner) {
+    runner.describe('HistoryManager', () => {
+        let goalManager;
+        let history;
+        let storage;
+
+        const createStorage = () => {
+            const data = { goals: [], history: { undo: [], redo: [] } };
+
+            return {
+                data,
+                saveGoals: goals => {
+                    data.goals = JSON.parse(JSON.stringify(goals));
+                    return true;
+                },
+                loadGoals: () => JSON.parse(JSON.stringify(data.goals)),
+                saveHistory: saved => {
+                    data.history = JSON.parse(JSON.stringify(saved));
+                    return true;
+                },
+                loadHistory: () => JSON.parse(JSON.stringify(data.history))
+            };
+        };
+
+        const beforeEach = () => {
+            storage = createStorage();
+            goalManager = new GoalManager(storage);
+            history = new HistoryManager(goalManager, storage);
+        };
+
+        const names = () => goalManager.getAllGoals().map(goal => goal.name);
+
+        runner.describe('record', () => {
+            runner.it('should apply the change and return its result', () => {
+                beforeEach();
+                const goal = history.record('add "House"', () => goalManager.addGoal('House', 5000000, 7, 10, 12));
+                assertEqual(goal.name, 'House');
+                assertTrue(history.canUndo());
+                assertEqual(history.getUndoLabel(), 'add "House"');
+            });
+
+            runner.it('should not record changes that leave the goals unchanged', () => {
+                beforeEach();
+                history.record('remove', () => goalManager.removeGoal(12345));
+                assertFalse(history.canUndo());
+            });
+
+            runner.it('should not record a change that throws', () => {
+                beforeEach();
+                assertThrows(() => history.record('fail', () => {
+                    throw new Error('Invalid goal');
+                }));
+                assertFalse(history.canUndo());
+            });
+
+            runner.it('should record what a change did before it threw', () => {
+                beforeEach();
+                assertThrows(() => history.record('import 2 goals', () => {
+                    goalManager.addGoal('House', 5000000, 7, 10, 12);
+                    throw new Error('Storage is full');
+                }));
+                assertEqual(history.getUndoLabel(), 'import 2 goals');
+                history.undo();
+                assertDeepEqual(names(), []);
+            });
+
+            runner.it('should keep at most the configured number of changes', () => {
+                beforeEach();
+                history = new HistoryManager(goalManager, storage, 2);
+                ['A', 'B', 'C'].forEach((name, index) => {
+                    history.record(`add "${name}"`, () => goalManager.addGoal(name, 1000000, 6, 5 + index, 12));
+                });
+                history.undo();
+                history.undo();
+                assertFalse(history.canUndo());
+                assertDeepEqual(names(), ['A']);
+            });
+        });
+
+        runner.describe('undo and redo', () => {
+            runner.it('should undo and redo a removal', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                history.record('remove "House"', () => goalManager.removeGoal(goal.id));
+                assertEqual(goalManager.getGoalCount(), 0);
+
+                assertEqual(history.undo(), 'remove "House"');
+                assertEqual(goalManager.getGoal(goal.id).name, 'House');
+                assertEqual(storage.data.goals.length, 1);
+                assertTrue(history.canRedo());
+
+                assertEqual(history.redo(), 'remove "House"');
+                assertEqual(goalManager.getGoalCount(), 0);
+            });
+
+            runner.it('should undo clearing all goals in one step', () => {
+                beforeEach();
+                goalManager.addGoal('House', 5000000, 7, 10, 12);
+                goalManager.replaceAllGoals([...goalManager.getAllGoals(), { ...goalManager.getAllGoals()[0], id: 2, name: 'Car' }]);
+                history.record('clear all goals', () => goalManager.clearAllGoals());
+                history.undo();
+                assertDeepEqual(names(), ['House', 'Car']);
+            });
+
+            runner.it('should restore ledger entries and edits', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                history.record('log contribution', () => goalManager.addContribution(goal.id, '2024-01-01', 10000));
+                history.record('edit "Home"', () => goalManager.updateGoal(goal.id, { name: 'Home' }));
+                history.undo();
+                assertEqual(goalManager.getGoal(goal.id).name, 'House');
+                history.undo();
+                assertFalse('contributions' in goalManager.getGoal(goal.id));
+            });
+
+            runner.it('should not let later changes alter recorded states', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                history.record('log contribution', () => goalManager.addContribution(goal.id, '2024-01-01', 10000));
+                history.undo();
+                goalManager.addContribution(goal.id, '2024-02-01', 5000);
+                history.redo();
+                assertEqual(goalManager.getGoal(goal.id).contributions.length, 1);
+                assertEqual(goalManager.getGoal(goal.id).contributions[0].date, '2024-01-01');
+            });
+
+            runner.it('should clear redo after a new change', () => {
+                beforeEach();
+                history.record('add "House"', () => goalManager.addGoal('House', 5000000, 7, 10, 12));
+                history.undo();
+                history.record('add "Car"', () => goalManager.addGoal('Car', 1000000, 6, 5, 12));
+                assertFalse(history.canRedo());
+                assertEqual(history.getRedoLabel(), null);
+            });
+
+            runner.it('should return null when there is nothing to undo or redo', () => {
+                beforeEach();
+                assertEqual(history.undo(), null);
+                assertEqual(history.redo(), null);
+                assertEqual(history.getUndoLabel(), null);
+            });
+        });
+
+        runner.describe('persistence', () => {
+            runner.it('should restore the history after a reload', () => {
+                beforeEach();
+                const goal = goalManager.addGoal('House', 5000000, 7, 10, 12);
+                history.record('remove "House"', () => goalManager.removeGoal(goal.id));
+
+                const reloadedGoals = new GoalManager(storage);
+                reloadedGoals.loadFromStorage();
+                const reloaded = new HistoryManager(reloadedGoals, storage);
+                assertTrue(reloaded.load());
+                assertEqual(reloaded.getUndoLabel(), 'remove "House"');
+                reloaded.undo();
+                assertEqual(reloadedGoals.getGoalCount(), 1);
+            });
+
+            runner.it('should restore a history with only redo entries', () => {
+                beforeEach();
+                history.record('add "House"', () => goalManager.addGoal('House', 5000000, 7, 10, 12));
+                history.undo();
+
+                const reloaded = new HistoryManager(goalManager, storage);
+                assertTrue(reloaded.load());
+                assertEqual(reloaded.getRedoLabel(), 'add "House"');
+            });
+
+            runner.it('should drop a history that no longer matches the goals', () => {
+                beforeEach();
+                history.record('add "House"', () => goalManager.addGoal('House', 5000000, 7, 10, 12));
+                goalManager.clearAllGoals();
+
+                const reloaded = new HistoryManager(goalManager, storage);
+                assertFalse(reloaded.load());
+                assertFalse(reloaded.canUndo());
+                assertDeepEqual(storage.data.history, { undo: [], redo: [] });
+            });
+
+            runner.it('should work without a storage service', () => {
+                beforeEach();
+                const manager = new GoalManager();
+                const unsaved = new HistoryManager(manager);
+                assertFalse(unsaved.load());
+                unsaved.record('add "House"', () => manager.addGoal('House', 5000000, 7, 10, 12));
+                unsaved.undo();
+                assertEqual(manager.getGoalCount(), 0);
+            });
+        });
+    });
+}
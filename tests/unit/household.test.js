@@ -0,0 +1,131 @@
+/**
+ * Unit tests for HouseholdManager
+ */
+
+import { HouseholdManager } from '../../js/household.js';
+import { ProfileManager } from '../../js/profiles.js';
+import { StorageService } from '../../js/storage.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import { GoalManager } from '../../js/goal.js';
+import { HistoryManager } from '../../js/history.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertNull,
+    assertTrue
+} from '../test-runner.js';
+
+export function runHouseholdTests(runner) {
+    runner.describe('HouseholdManager', () => {
+        let storageService;
+        let profileManager;
+        let goalManager;
+        let history;
+        let household;
+
+        const beforeEach = async () => {
+            storageService = new StorageService(new MemoryStorageAdapter());
+            profileManager = new ProfileManager(storageService);
+            await profileManager.load();
+            goalManager = new GoalManager(storageService);
+            history = new HistoryManager(goalManager, storageService);
+            household = new HouseholdManager(profileManager, storageService, goalManager, history, new SIPCalculator());
+            goalManager.addGoal('House', 5000000, 7, 10, 12);
+        };
+
+        const goal = (name) => ({ name, currentPrice: 1000000, inflationRate: 6, years: 5, expectedReturn: 12 });
+        const names = () => goalManager.getAllGoals().map(g => g.name);
+
+        const rejectionMessage = async (promise) => {
+            try {
+                await promise;
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        runner.describe('profiles', () => {
+            runner.it('should open a new profile with its own goals', async () => {
+                await beforeEach();
+                const profile = await household.addProfile('Partner');
+
+                assertEqual(profileManager.getActiveProfile().id, profile.id);
+                assertDeepEqual(names(), []);
+            });
+
+            runner.it('should load the goals of the profile it opens', async () => {
+                await beforeEach();
+                const first = profileManager.getActiveProfile();
+                await household.addProfile('Partner');
+                await household.openProfile(first.id);
+
+                assertDeepEqual(names(), ['House']);
+            });
+
+            runner.it('should open the first remaining profile after deleting the open one', async () => {
+                await beforeEach();
+                await household.addProfile('Partner');
+                const open = await household.deleteActiveProfile();
+
+                assertEqual(open.name, 'My Plan');
+                assertDeepEqual(names(), ['House']);
+            });
+
+            runner.it('should summarize the household only with more than one profile', async () => {
+                await beforeEach();
+                assertNull(household.getHouseholdSummary(goalManager.getAllGoals()));
+
+                const first = profileManager.getActiveProfile();
+                await household.addProfile('Partner');
+                goalManager.addGoal('Car', 800000, 5, 4, 10);
+                await household.openProfile(first.id);
+
+                const summary = household.getHouseholdSummary(goalManager.getAllGoals());
+                assertEqual(summary.profiles.map(p => p.goalCount).join(','), '1,1');
+            });
+        });
+
+        runner.describe('importProfiles', () => {
+            runner.it('should add goals to profiles with the same name and create the others', async () => {
+                await beforeEach();
+                await household.importProfiles([
+                    { name: 'my plan', goals: [goal('Car')] },
+                    { name: 'Partner', goals: [goal('Travel')] }
+                ]);
+
+                const profiles = household.getProfilesWithGoals(goalManager.getAllGoals());
+                assertEqual(profileManager.getActiveProfile().name, 'My Plan');
+                assertDeepEqual(names(), ['House', 'Car']);
+                assertDeepEqual(profiles[1].goals.map(g => g.name), ['Travel']);
+                assertEqual(history.getUndoLabel(), 'import 1 goal(s)');
+            });
+
+            runner.it('should reopen the profile open before when a profile fails to import', async () => {
+                await beforeEach();
+                const importGoals = goalManager.importGoals.bind(goalManager);
+                goalManager.importGoals = (goals) => {
+                    importGoals(goals);
+                    if (goals.some(g => g.name === 'Broken')) {
+                        throw new Error('Storage is full');
+                    }
+                };
+
+                const message = await rejectionMessage(household.importProfiles([
+                    { name: 'Partner', goals: [goal('Broken')] },
+                    { name: 'Child', goals: [goal('College')] }
+                ]));
+
+                assertEqual(message, 'Storage is full');
+                assertEqual(profileManager.getActiveProfile().name, 'My Plan');
+                assertDeepEqual(names(), ['House']);
+                assertTrue(!household.findProfileByName('Child'));
+
+                // The goals added before the failure can be undone in their profile
+                await household.openProfile(household.findProfileByName('Partner').id);
+                assertEqual(history.getUndoLabel(), 'import 1 goal(s)');
+            });
+        });
+    });
+}
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for ImportMerger
+ */
+
+import { ImportMerger } from '../../js/import-merge.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertLength,
+    assertNull
+} from '../test-runner.js';
+
+export function runImportMergeTests(runner) {
+    runner.describe('ImportMerger', () => {
+        const merger = new ImportMerger();
+        const goal = (id, name, changes = {}) => ({
+            id,
+            name,
+            currentPrice: 1000000,
+            inflationRate: 6,
+            years: 10,
+            expectedReturn: 12,
+            stepUpRate: 0,
+            startDate: '2024-01-01',
+            ...changes
+        });
+        const house = goal(1, 'House');
+        const car = goal(2, 'Car');
+
+        runner.it('should leave goals imported as they were unchanged', () => {
+            const plan = merger.plan([house, car], [{ ...house }, { ...car }]);
+            assertLength(plan.added, 0);
+            assertLength(plan.updated, 0);
+            assertLength(plan.missing, 0);
+            assertLength(plan.unchanged, 2);
+        });
+
+        runner.it('should update goals matched by ID, even if renamed', () => {
+            const plan = merger.plan([house, car], [goal(1, 'Bigger House', { currentPrice: 1500000 })]);
+            assertLength(plan.updated, 1);
+            assertEqual(plan.updated[0].goal, house);
+            assertDeepEqual(plan.updated[0].fields, ['name', 'currentPrice']);
+            assertEqual(plan.updated[0].changes.currentPrice, 1500000);
+            assertDeepEqual(plan.missing, [car]);
+        });
+
+        runner.it('should match by name when no goal has the ID', () => {
+            const plan = merger.plan([house], [goal(99, '  house ', { years: 12 })]);
+            assertLength(plan.added, 0);
+            assertEqual(plan.updated[0].goal.id, 1);
+            assertDeepEqual(plan.updated[0].fields, ['name', 'years']);
+        });
+
+        runner.it('should prefer an ID match over another goal with the same name', () => {
+            const renamed = goal(2, 'House');
+            const plan = merger.plan([house, car], [renamed, goal(3, 'House')]);
+            assertEqual(plan.updated[0].goal, car);
+            assertLength(plan.unchanged, 1);
+            assertEqual(plan.unchanged[0], house);
+        });
+
+        runner.it('should add goals matching nothing and match each existing goal once', () => {
+            const plan = merger.plan([house], [goal(5, 'House'), goal(6, 'House'), goal(7, 'Boat')]);
+            assertLength(plan.unchanged, 1);
+            assertDeepEqual(plan.added.map(g => g.id), [6, 7]);
+        });
+
+        runner.it('should remove optional fields the imported goal lacks', () => {
+            const withCorpus = goal(1, 'House', { existingCorpus: 50000, lumpSums: [{ year: 2, amount: 1000 }] });
+            const plan = merger.plan([withCorpus], [house]);
+            assertDeepEqual(plan.updated[0].fields, ['existingCorpus', 'lumpSums']);
+            assertNull(plan.updated[0].changes.existingCorpus);
+        });
+
+        runner.it('should keep tracking data the imported goal lacks', () => {
+            const tracked = goal(1, 'House', { contributions: [{ date: '2024-02-01', amount: 5000 }] });
+            const fromCSV = { ...house };
+            delete fromCSV.startDate;
+
+            const plan = merger.plan([tracked], [fromCSV]);
+            assertLength(plan.unchanged, 1);
+        });
+
+        runner.it('should compare nested values regardless of key order', () => {
+            const allocation = { weights: { equity: 60, debt: 30, gold: 10 }, returns: { equity: 12, debt: 7, gold: 8 }, glidePath: { years: 0, shift: 0 } };
+            const reordered = { glidePath: { shift: 0, years: 0 }, returns: allocation.returns, weights: { gold: 10, debt: 30, equity: 60 } };
+
+            const plan = merger.plan([goal(1, 'House', { allocation })], [goal(1, 'House', { allocation: reordered })]);
+            assertLength(plan.unchanged, 1);
+        });
+    });
+}
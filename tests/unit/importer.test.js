@@ -3,13 +3,18 @@
  */
 
 import { Importer } from '../../js/importer.js';
+import { EncryptionService } from '../../js/encryption.js';
+import { Exporter } from '../../js/exporter.js';
+import { SIPCalculator } from '../../js/calculator.js';
 import { 
-    assertEqual, 
+    assertEqual,
     assertLength,
     assertNotNull,
+    assertNull,
     assertTrue,
     assertThrows,
-    assertGreaterThan
+    assertGreaterThan,
+    assertFalse
 } from '../test-runner.js';
 
 export function runImporterTests(runner) {
@@ -203,95 +208,95 @@ House,5000000`;
             });
         });
 
-        runner.describe('validateGoal', () => {
-            runner.it('should validate goal with all required fields', () => {
+        runner.describe('previewJSON checks', () => {
+            const firstRow = (goal) => importer.previewJSON(JSON.stringify([goal])).rows[0];
+
+            runner.it('should accept a goal with all required fields', () => {
                 beforeEach();
-                const validGoal = {
+                const row = firstRow({
                     name: 'House',
                     currentPrice: 5000000,
                     inflationRate: 7,
                     years: 10,
                     expectedReturn: 12,
                     stepUpRate: 0
-                };
-                
-                const result = importer.validateGoal(validGoal, 1);
-                assertTrue(result.isValid);
+                });
+
+                assertNotNull(row.goal);
+                assertLength(row.errors, 0);
             });
 
             runner.it('should reject goal missing name', () => {
                 beforeEach();
-                const invalidGoal = {
+                const row = firstRow({
                     currentPrice: 5000000,
                     inflationRate: 7,
                     years: 10,
                     expectedReturn: 12
-                };
-                
-                const result = importer.validateGoal(invalidGoal, 1);
-                assertTrue(!result.isValid);
-                assertNotNull(result.error);
+                });
+
+                assertNull(row.goal);
+                assertEqual(row.errors[0].field, 'name');
             });
 
             runner.it('should reject goal with negative values', () => {
                 beforeEach();
-                const invalidGoal = {
+                const row = firstRow({
                     name: 'House',
                     currentPrice: -5000000,
                     inflationRate: 7,
                     years: 10,
                     expectedReturn: 12
-                };
-                
-                const result = importer.validateGoal(invalidGoal, 1);
-                assertTrue(!result.isValid);
+                });
+
+                assertNull(row.goal);
+                assertEqual(row.errors[0].field, 'currentPrice');
             });
 
             runner.it('should reject goal with zero years', () => {
                 beforeEach();
-                const invalidGoal = {
+                const row = firstRow({
                     name: 'House',
                     currentPrice: 5000000,
                     inflationRate: 7,
                     years: 0,
                     expectedReturn: 12
-                };
-                
-                const result = importer.validateGoal(invalidGoal, 1);
-                assertTrue(!result.isValid);
+                });
+
+                assertNull(row.goal);
+                assertEqual(row.errors[0].field, 'years');
             });
 
             runner.it('should accept goal without stepUpRate (defaults to 0)', () => {
                 beforeEach();
-                const validGoal = {
+                const row = firstRow({
                     name: 'House',
                     currentPrice: 5000000,
                     inflationRate: 7,
                     years: 10,
                     expectedReturn: 12
-                };
-                
-                const result = importer.validateGoal(validGoal, 1);
-                assertTrue(result.isValid);
+                });
+
+                assertEqual(row.goal.stepUpRate, 0);
             });
 
             runner.it('should reject goal with empty name', () => {
                 beforeEach();
-                const invalidGoal = {
+                const row = firstRow({
                     name: '',
                     currentPrice: 5000000,
                     inflationRate: 7,
                     years: 10,
                     expectedReturn: 12
-                };
-                
-                const result = importer.validateGoal(invalidGoal, 1);
-                assertTrue(!result.isValid);
+                });
+
+                assertNull(row.goal);
+                assertEqual(row.errors[0].field, 'name');
             });
         });
 
-        runner.describe('importCSV (async)', () => {
-            runner.it('should import goals from CSV file', async () => {
+        runner.describe('reading files', () => {
+            runner.it('should preview goals from a CSV file', async () => {
                 beforeEach();
                 const csvContent = `Goal Name,Current Price (₹),Inflation Rate (%),Time (Years),Expected Return (%),Step-up Rate (%),Future Target (₹),Monthly SIP (₹),Total Investment (₹),Wealth Gain (₹)
 House,5000000,7,10,12,0,9835757,43095,5171400,4664357`;
@@ -299,14 +304,12 @@ House,5000000,7,10,12,0,9835757,43095,5171400,4664357`;
                 const blob = new Blob([csvContent], { type: 'text/csv' });
                 const file = new File([blob], 'goals.csv', { type: 'text/csv' });
                 
-                const goals = await importer.importCSV(file);
-                assertLength(goals, 1);
-                assertEqual(goals[0].name, 'House');
+                const { rows } = importer.previewCSV(await importer.readFile(file));
+                assertLength(rows, 1);
+                assertEqual(rows[0].goal.name, 'House');
             });
-        });
 
-        runner.describe('importJSON (async)', () => {
-            runner.it('should import goals from JSON file', async () => {
+            runner.it('should preview goals from a JSON file', async () => {
                 beforeEach();
                 const jsonContent = JSON.stringify([{
                     name: 'House',
@@ -320,9 +323,9 @@ House,5000000,7,10,12,0,9835757,43095,5171400,4664357`;
                 const blob = new Blob([jsonContent], { type: 'application/json' });
                 const file = new File([blob], 'goals.json', { type: 'application/json' });
                 
-                const goals = await importer.importJSON(file);
-                assertLength(goals, 1);
-                assertEqual(goals[0].name, 'House');
+                const { rows } = importer.previewJSON(await importer.readFile(file));
+                assertLength(rows, 1);
+                assertEqual(rows[0].goal.name, 'House');
             });
         });
 
@@ -366,6 +369,603 @@ House,5000000,7,10,12,0,9835757,43095,5171400,4664357`;
                 assertEqual(goals[0].years, 5.5);
             });
         });
+
+        runner.describe('CSV dialects', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate';
+
+            runner.it('should round-trip exported names with line breaks, commas and quotes', () => {
+                beforeEach();
+                const exporter = new Exporter(new SIPCalculator());
+                const csv = exporter.exportToCSV([
+                    { id: 1, name: 'House,\n"phase 2"', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 },
+                    { id: 2, name: 'Car', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10, stepUpRate: 0 }
+                ]);
+
+                const goals = importer.parseCSV(csv);
+                assertLength(goals, 2);
+                assertEqual(goals[0].name, 'House,\n"phase 2"');
+                assertEqual(goals[1].name, 'Car');
+            });
+
+            runner.it('should keep the IDs of exported goals', () => {
+                beforeEach();
+                const exporter = new Exporter(new SIPCalculator());
+                const csv = exporter.exportToCSV([
+                    { id: 1712345678901, name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 },
+                    { id: '3b241101-e2bb-4255-8caf-4136c566a962', name: 'Car', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10, stepUpRate: 0 }
+                ]);
+
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].id, 1712345678901);
+                assertEqual(goals[1].id, '3b241101-e2bb-4255-8caf-4136c566a962');
+                assertNull(importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0`)[0].id);
+            });
+
+            runner.it('should read \\r\\n line endings', () => {
+                beforeEach();
+                const goals = importer.parseCSV(`${header}\r\nHouse,5000000,7,10,12,0\r\nCar,800000,5,4,10,0\r\n`);
+                assertLength(goals, 2);
+                assertEqual(goals[0].stepUpRate, 0);
+                assertEqual(goals[1].name, 'Car');
+            });
+
+            runner.it('should read semicolon-delimited files with a byte order mark and decimal commas', () => {
+                beforeEach();
+                const csv = `\uFEFF${header.replace(/,/g, ';')}\n"House; Villa";5000000;7,5;10;12;0`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].name, 'House; Villa');
+                assertEqual(goals[0].inflationRate, 7.5);
+            });
+
+            runner.it('should give the line a goal starts on in errors', () => {
+                beforeEach();
+                const csv = `${header}\n"Two\nlines",5000000,7,10,12,0\n\nCar,-1,5,4,10,0`;
+                let message = '';
+                try {
+                    importer.parseCSV(csv);
+                } catch (error) {
+                    message = error.message;
+                }
+                assertTrue(message.startsWith('Line 5:'));
+            });
+
+            runner.it('should report unclosed quotes', () => {
+                beforeEach();
+                let message = '';
+                try {
+                    importer.parseCSV(`${header}\n"House,5000000,7,10,12,0`);
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'Line 2: Quoted field is not closed');
+            });
+        });
+
+        runner.describe('column mapping', () => {
+            runner.it('should read columns by header in any order, ignoring extra columns', () => {
+                beforeEach();
+                const csv = 'Notes,Expected Return (%),Goal Name,Years,Inflation,Cost,Priority\n' +
+                    'Buy early,12,House,10,7,5000000,2';
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].name, 'House');
+                assertEqual(goals[0].currentPrice, 5000000);
+                assertEqual(goals[0].expectedReturn, 12);
+                assertEqual(goals[0].priority, 2);
+            });
+
+            runner.it('should name the missing columns', () => {
+                beforeEach();
+                let message = '';
+                try {
+                    importer.parseCSV('Goal Name,Amount,Years\nHouse,5000000,10');
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'CSV file has no column for Inflation rate (%), Expected return (%)');
+            });
+
+            runner.it('should use a given mapping instead of the headers', () => {
+                beforeEach();
+                const csv = 'A,B,C,D,E,F\nHouse,x,5000000,7,10,12';
+                const goals = importer.parseCSV(csv, ['name', null, 'currentPrice', 'inflationRate', 'years', 'expectedReturn']);
+                assertEqual(goals[0].name, 'House');
+                assertEqual(goals[0].expectedReturn, 12);
+                assertThrows(() => importer.parseCSV(csv, ['name', null, 'currentPrice']));
+            });
+
+            runner.it('should describe the columns for choosing a mapping', () => {
+                beforeEach();
+                const match = importer.matchCSVColumns('Goal Name,Notes,Price\n" House ",Buy early,5000000');
+                assertEqual(match.headers[1], 'Notes');
+                assertEqual(match.samples[0], 'House');
+                assertEqual(match.unknown[0], 1);
+                assertLength(match.missing, 3);
+                assertEqual(match.columns[2], 'currentPrice');
+                assertTrue(typeof match.signature === 'string');
+                assertLength(importer.getCSVFields(), 21);
+            });
+        });
+
+        runner.describe('inflation schedules', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,' +
+                'Future Target,Monthly SIP,Total Investment,Wealth Gain,Inflation Schedule';
+
+            runner.it('should read schedule column from exported CSV', () => {
+                beforeEach();
+                const csv = `${header}\nEducation,2000000,6,15,12,0,0,0,0,0,1-5:10; 6-15:7`;
+                const goals = importer.parseCSV(csv);
+                assertLength(goals[0].inflationSchedule, 2);
+                assertEqual(goals[0].inflationSchedule[1].rate, 7);
+            });
+
+            runner.it('should omit schedule when column is empty', () => {
+                beforeEach();
+                const csv = `${header}\nEducation,2000000,6,15,12,0,0,0,0,0,`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].inflationSchedule, undefined);
+            });
+
+            runner.it('should read schedule ranges from JSON', () => {
+                beforeEach();
+                const json = JSON.stringify([{
+                    name: 'Education',
+                    currentPrice: 2000000,
+                    inflationRate: 6,
+                    years: 15,
+                    expectedReturn: 12,
+                    inflationSchedule: [{ fromYear: 1, toYear: 5, rate: 10 }]
+                }]);
+                const goals = importer.parseJSON(json);
+                assertEqual(goals[0].inflationSchedule[0].toYear, 5);
+            });
+
+            runner.it('should reject invalid schedules with line number', () => {
+                beforeEach();
+                const csv = `${header}\nEducation,2000000,6,15,12,0,0,0,0,0,1-5:10; 4-8:7`;
+                let message = '';
+                try {
+                    importer.parseCSV(csv);
+                } catch (error) {
+                    message = error.message;
+                }
+                assertTrue(message.startsWith('Line 2:'));
+            });
+        });
+
+        runner.describe('asset allocation', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,' +
+                'Future Target,Monthly SIP,Total Investment,Wealth Gain,Inflation Schedule,' +
+                'Equity,Debt,Gold,Equity Return,Debt Return,Gold Return,Glide Path Years,Glide Path Shift';
+
+            runner.it('should read allocation columns from exported CSV', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,10.6,0,0,0,0,0,,70,20,10,12,7,8,3,20`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].allocation.weights.equity, 70);
+                assertEqual(goals[0].allocation.returns.debt, 7);
+                assertEqual(goals[0].allocation.glidePath.shift, 20);
+            });
+
+            runner.it('should read allocation from JSON', () => {
+                beforeEach();
+                const json = JSON.stringify([{
+                    name: 'House',
+                    currentPrice: 5000000,
+                    inflationRate: 7,
+                    years: 10,
+                    expectedReturn: 10.6,
+                    allocation: {
+                        weights: { equity: '60', debt: '40' },
+                        returns: { equity: 12, debt: 7 }
+                    }
+                }]);
+                const goals = importer.parseJSON(json);
+                assertEqual(goals[0].allocation.weights.equity, 60);
+                assertEqual(goals[0].allocation.weights.gold, 0);
+                assertEqual(goals[0].allocation.glidePath.years, 0);
+            });
+
+            runner.it('should reject weights that do not add up to 100%', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,10.6,0,0,0,0,0,,70,20,20,12,7,8,3,20`;
+                assertThrows(() => importer.parseCSV(csv));
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,' +
+                'Future Target,Monthly SIP,Total Investment,Wealth Gain,Inflation Schedule,' +
+                'Equity,Debt,Gold,Equity Return,Debt Return,Gold Return,Glide Path Years,Glide Path Shift,' +
+                'Existing Corpus,Lump Sums';
+
+            runner.it('should read corpus and lump sums from exported CSV', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,300000,3:200000; 5:100000`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].existingCorpus, 300000);
+                assertLength(goals[0].lumpSums, 2);
+                assertEqual(goals[0].lumpSums[1].amount, 100000);
+            });
+
+            runner.it('should omit the fields when the columns are missing', () => {
+                beforeEach();
+                const goals = importer.parseCSV('Goal Name,Current Price,Inflation Rate,Years,Expected Return\nHouse,5000000,7,10,12');
+                assertTrue(!('existingCorpus' in goals[0]));
+                assertTrue(!('lumpSums' in goals[0]));
+            });
+
+            runner.it('should read corpus and lump sums from JSON', () => {
+                beforeEach();
+                const json = JSON.stringify([{
+                    name: 'House',
+                    currentPrice: 5000000,
+                    inflationRate: 7,
+                    years: 10,
+                    expectedReturn: 12,
+                    existingCorpus: 250000,
+                    lumpSums: [{ year: 2, amount: 50000 }]
+                }]);
+                const goals = importer.parseJSON(json);
+                assertEqual(goals[0].existingCorpus, 250000);
+                assertEqual(goals[0].lumpSums[0].year, 2);
+            });
+
+            runner.it('should reject a negative corpus or malformed lump sums', () => {
+                beforeEach();
+                assertThrows(() => importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,-5,`));
+                assertThrows(() => importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,0,3-200000`));
+            });
+        });
+
+        runner.describe('priority', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,' +
+                'Future Target,Monthly SIP,Total Investment,Wealth Gain,Inflation Schedule,' +
+                'Equity,Debt,Gold,Equity Return,Debt Return,Gold Return,Glide Path Years,Glide Path Shift,' +
+                'Existing Corpus,Lump Sums,Priority,Allocated SIP,Funded,Projected Shortfall';
+
+            runner.it('should read priority from exported CSV and ignore budget columns', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,0,,1,12000,64.5,350000`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].priority, 1);
+                assertTrue(!('budget' in goals[0]));
+            });
+
+            runner.it('should read priority from JSON and drop exported budget results', () => {
+                beforeEach();
+                const json = JSON.stringify([{
+                    name: 'House',
+                    currentPrice: 5000000,
+                    inflationRate: 7,
+                    years: 10,
+                    expectedReturn: 12,
+                    priority: 3,
+                    budget: { allocatedSIP: 12000, fundedPercent: 64.5, shortfall: 350000 }
+                }]);
+                const goals = importer.parseJSON(json);
+                assertEqual(goals[0].priority, 3);
+                assertTrue(!('budget' in goals[0]));
+            });
+
+            runner.it('should reject an invalid priority', () => {
+                beforeEach();
+                assertThrows(() => importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,0,,high`));
+                assertThrows(() => importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,0,,0`));
+            });
+        });
+
+        runner.describe('retirement goals', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,' +
+                'Future Target,Monthly SIP,Total Investment,Wealth Gain,Inflation Schedule,' +
+                'Equity,Debt,Gold,Equity Return,Debt Return,Gold Return,Glide Path Years,Glide Path Shift,' +
+                'Existing Corpus,Lump Sums,Priority,Allocated SIP,Funded,Projected Shortfall,' +
+                'Retirement Years,Post-Retirement Return';
+
+            runner.it('should read retirement settings from exported CSV', () => {
+                beforeEach();
+                const csv = `${header}\nRetirement,50000,6,25,12,0,0,0,0,0,,,,,,,,,,0,,2,,,,25,8`;
+                const goals = importer.parseCSV(csv);
+                assertEqual(goals[0].retirement.retirementYears, 25);
+                assertEqual(goals[0].retirement.postRetirementReturn, 8);
+            });
+
+            runner.it('should leave goals without retirement columns unchanged', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,12,0,0,0,0,0,,,,,,,,,,0,,2,,,,,`;
+                const goals = importer.parseCSV(csv);
+                assertTrue(!('retirement' in goals[0]));
+            });
+
+            runner.it('should read retirement settings from JSON', () => {
+                beforeEach();
+                const json = JSON.stringify([{
+                    name: 'Retirement',
+                    currentPrice: 50000,
+                    inflationRate: 6,
+                    years: 25,
+                    expectedReturn: 12,
+                    retirement: { retirementYears: '30', postRetirementReturn: '7.5' }
+                }]);
+                const goals = importer.parseJSON(json);
+                assertEqual(goals[0].retirement.retirementYears, 30);
+                assertEqual(goals[0].retirement.postRetirementReturn, 7.5);
+            });
+
+            runner.it('should reject invalid retirement years', () => {
+                beforeEach();
+                assertThrows(() => importer.parseCSV(`${header}\nRetirement,50000,6,25,12,0,0,0,0,0,,,,,,,,,,0,,2,,,,0,8`));
+                assertThrows(() => importer.parseCSV(`${header}\nRetirement,50000,6,25,12,0,0,0,0,0,,,,,,,,,,0,,2,,,,2.5,8`));
+            });
+        });
+
+        runner.describe('contribution ledger', () => {
+            const goalJSON = ledger => JSON.stringify([{
+                name: 'Car',
+                currentPrice: 1000000,
+                inflationRate: 6,
+                years: 5,
+                expectedReturn: 12,
+                ...ledger
+            }]);
+
+            runner.it('should read the start date and ledgers from JSON', () => {
+                beforeEach();
+                const goals = importer.parseJSON(goalJSON({
+                    startDate: '2024-01-01',
+                    contributions: [{ date: '2024-01-05', amount: '10000' }],
+                    valuations: [{ date: '2024-06-30', value: 10500 }]
+                }));
+                assertEqual(goals[0].startDate, '2024-01-01');
+                assertEqual(goals[0].contributions[0].amount, 10000);
+                assertEqual(goals[0].valuations[0].value, 10500);
+            });
+
+            runner.it('should reject invalid ledger entries', () => {
+                beforeEach();
+                assertThrows(() => importer.parseJSON(goalJSON({ startDate: '01/01/2024' })));
+                assertThrows(() => importer.parseJSON(goalJSON({ contributions: [{ date: '2024-13-45', amount: 100 }] })));
+                assertThrows(() => importer.parseJSON(goalJSON({ valuations: [{ date: '2024-01-01', value: -5 }] })));
+            });
+        });
+
+        runner.describe('import preview', () => {
+            const header = 'Goal Name,Current Price,Inflation Rate,Years,Expected Return,Step-up Rate,Priority';
+            const existingGoals = [{ id: 7, name: 'Car', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10 }];
+
+            runner.it('should check every row and report every error per field', () => {
+                beforeEach();
+                const csv = `${header}\nHouse,5000000,7,10,12,0,1\n,abc,7,-2,12,x,high\nEducation,2000000,6,15,12,10,`;
+                const { fields, rows } = importer.previewCSV(csv);
+
+                assertLength(rows, 3);
+                assertEqual(fields[fields.length - 1].field, 'priority');
+                assertEqual(rows[0].goal.name, 'House');
+                assertLength(rows[0].errors, 0);
+                assertEqual(rows[1].goal, null);
+                assertEqual(rows[1].line, 3);
+                assertEqual(rows[1].errors.map(error => error.field).join(','), 'name,currentPrice,years,stepUpRate,priority');
+                assertEqual(rows[1].errors[1].message, 'Invalid current price');
+                assertEqual(rows[2].goal.stepUpRate, 10);
+            });
+
+            runner.it('should flag goals with the name of an existing goal', () => {
+                beforeEach();
+                const { rows } = importer.previewCSV(`${header}\n car ,900000,5,4,10,0,\nHouse,5000000,7,10,12,0,`, null, existingGoals);
+                assertEqual(rows[0].duplicateOf.id, 7);
+                assertTrue(rows[0].goal !== null);
+                assertEqual(rows[1].duplicateOf, null);
+            });
+
+            runner.it('should check a row again after its values are fixed', () => {
+                beforeEach();
+                const [row] = importer.previewCSV(`${header}\nHouse,5OOOOOO,7,10,12,0,`).rows;
+                const fixed = importer.checkImportRow({ ...row, values: { ...row.values, currentPrice: '5000000', name: 'Car' } }, existingGoals);
+
+                assertLength(fixed.errors, 0);
+                assertEqual(fixed.goal.currentPrice, 5000000);
+                assertEqual(fixed.goal.id, row.id);
+                assertEqual(fixed.duplicateOf.name, 'Car');
+                assertEqual(row.values.currentPrice, '5OOOOOO');
+            });
+
+            runner.it('should preview JSON goals, keeping IDs and ledgers', () => {
+                beforeEach();
+                const json = JSON.stringify([
+                    { id: 7, name: 'Car loan', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10,
+                        inflationSchedule: [{ fromYear: 1, toYear: 2, rate: 6 }],
+                        startDate: '2024-01-01', contributions: [{ date: '2024-02-01', amount: 5000 }] },
+                    { name: 'House', currentPrice: -1, inflationRate: 7, years: 10, expectedReturn: 0 }
+                ]);
+                const { fields, rows } = importer.previewJSON(json, existingGoals);
+
+                assertEqual(fields.map(field => field.field).join(','), 'name,currentPrice,inflationRate,years,expectedReturn,inflationSchedule');
+                assertEqual(rows[0].values.inflationSchedule, '1-2:6');
+                assertEqual(rows[0].goal.contributions[0].amount, 5000);
+                assertEqual(rows[0].duplicateOf.id, 7);
+                assertEqual(rows[1].errors.map(error => error.field).join(','), 'currentPrice,expectedReturn');
+                assertThrows(() => importer.previewJSON('{}'));
+            });
+
+            runner.it('should keep JSON IDs as they are and leave missing ones empty', () => {
+                beforeEach();
+                const json = JSON.stringify([
+                    { id: '1', name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12 },
+                    { name: 'Car', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10 }
+                ]);
+
+                const { rows } = importer.previewJSON(json);
+                assertEqual(rows[0].goal.id, '1');
+                assertNull(rows[1].goal.id);
+            });
+
+            runner.it('should match a JSON goal by ID before name', () => {
+                beforeEach();
+                const goals = [{ id: 1, name: 'House' }, { id: 2, name: 'Car' }];
+                const json = JSON.stringify([{ id: 2, name: 'House', currentPrice: 800000, inflationRate: 5, years: 4, expectedReturn: 10 }]);
+
+                assertEqual(importer.previewJSON(json, goals).rows[0].duplicateOf.id, 2);
+            });
+
+            runner.it('should fail on the first problem when parsing without a preview', () => {
+                beforeEach();
+                let message = '';
+                try {
+                    importer.parseCSV(`${header}\nHouse,5000000,7,10,12,0,1\n,abc,7,-2,12,x,high`);
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'Line 3: Goal name is required');
+            });
+        });
+
+        runner.describe('encrypted JSON', () => {
+            const encryption = new EncryptionService(globalThis.crypto, 1000);
+            const goals = [{ id: 1, name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 }];
+            const encryptedJSON = async () => JSON.stringify(await encryption.encryptExport(JSON.stringify(goals), 'correct horse'));
+
+            runner.it('should decrypt and parse an encrypted export', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                const content = await encryptedJSON();
+                const imported = await importer.parseJSON(content, 'correct horse');
+                assertEqual(imported[0].name, 'House');
+                assertEqual(imported[0].currentPrice, 5000000);
+            });
+
+            runner.it('should require a passphrase for an encrypted export', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                const content = await encryptedJSON();
+                assertThrows(() => importer.parseJSON(content));
+            });
+
+            runner.it('should reject the wrong passphrase', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                let message = '';
+                try {
+                    await importer.parseJSON(await encryptedJSON(), 'battery staple');
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'Incorrect passphrase or damaged data');
+            });
+
+            runner.it('should preview an encrypted file with the passphrase it asks for', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                const file = new File([await encryptedJSON()], 'goals.json', { type: 'application/json' });
+                const content = await importer.readFile(file);
+
+                const json = await importer.decryptJSONAskingPassphrase(content, async () => 'correct horse');
+                assertEqual(importer.previewJSON(json).rows[0].goal.name, 'House');
+                assertEqual(await importer.decryptJSONAskingPassphrase(content, () => null), null);
+            });
+
+            runner.it('should pass plain and invalid JSON through without asking for a passphrase', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                let asked = false;
+                const getPassphrase = () => {
+                    asked = true;
+                    return 'correct horse';
+                };
+
+                const json = await importer.decryptJSONAskingPassphrase(JSON.stringify(goals), getPassphrase);
+                assertEqual(importer.previewJSON(json).rows[0].goal.name, 'House');
+                assertEqual(await importer.decryptJSONAskingPassphrase('not json', getPassphrase), 'not json');
+                assertFalse(asked);
+            });
+
+            runner.it('should decrypt an export for the preview', async () => {
+                importer = new Importer(undefined, undefined, encryption);
+                const plain = JSON.stringify(goals);
+                assertEqual(await importer.decryptJSONAskingPassphrase(await encryptedJSON(), async () => 'correct horse'), plain);
+                assertEqual(await importer.decryptJSONAskingPassphrase(await encryptedJSON(), () => null), null);
+                assertEqual(await importer.decryptJSONAskingPassphrase(plain, () => 'unused'), plain);
+            });
+        });
+
+        runner.describe('household JSON', () => {
+            const goal = { id: 1, name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 };
+            const householdJSON = (profiles) => JSON.stringify({ format: 'multigoal-sip-household', version: 1, profiles });
+
+            runner.it('should parse each profile\'s goals', () => {
+                beforeEach();
+                const content = householdJSON([{ name: ' Me ', goals: [goal] }, { name: 'Spouse', goals: [] }]);
+                assertTrue(importer.isHouseholdJSON(content));
+
+                const profiles = importer.parseHouseholdJSON(content);
+                assertLength(profiles, 2);
+                assertEqual(profiles[0].name, 'Me');
+                assertEqual(profiles[0].goals[0].currentPrice, 5000000);
+                assertLength(profiles[1].goals, 0);
+            });
+
+            runner.it('should not treat other JSON as a household export', () => {
+                beforeEach();
+                assertFalse(importer.isHouseholdJSON(JSON.stringify([goal])));
+                assertFalse(importer.isHouseholdJSON('not json'));
+                assertThrows(() => importer.parseHouseholdJSON(JSON.stringify([goal])));
+                assertThrows(() => importer.parseHouseholdJSON('not json'));
+            });
+
+            runner.it('should name the profile with invalid data', () => {
+                beforeEach();
+                const message = (content) => {
+                    try {
+                        importer.parseHouseholdJSON(content);
+                    } catch (error) {
+                        return error.message;
+                    }
+                    return '';
+                };
+
+                assertEqual(message(householdJSON([{ name: '', goals: [] }])), 'Profile 1: Name is required');
+                assertEqual(message(householdJSON([{ name: 'Me', goals: {} }])), 'Profile "Me": Goals must be an array');
+                assertTrue(message(householdJSON([{ name: 'Me', goals: [{ ...goal, years: -1 }] }])).startsWith('Profile "Me": '));
+            });
+        });
+
+        runner.describe('Excel workbooks', () => {
+            const goals = [
+                { id: 'a1', name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 5, existingCorpus: 100000, lumpSums: [{ year: 3, amount: 200000 }] },
+                { id: 7, name: 'Goals', currentPrice: 800000, inflationRate: 5, years: 4.5, expectedReturn: 10, stepUpRate: 0, priority: 2 }
+            ];
+
+            runner.it('should read back the Goals sheet of an Excel export', async () => {
+                beforeEach();
+                const workbook = new Exporter(new SIPCalculator()).exportToXLSX(goals);
+                const table = await importer.readXLSX(workbook);
+                const imported = importer.parseXLSX(table);
+
+                assertEqual(table.source, 'Goals sheet');
+                assertLength(imported, 2);
+                assertEqual(imported[0].id, 'a1');
+                assertEqual(imported[0].stepUpRate, 5);
+                assertEqual(imported[0].lumpSums[0].amount, 200000);
+                assertEqual(imported[1].id, 7);
+                assertEqual(imported[1].name, 'Goals');
+                assertEqual(imported[1].years, 4.5);
+                assertEqual(imported[1].priority, 2);
+            });
+
+            runner.it('should match sheet columns by header and name the row of a problem', async () => {
+                beforeEach();
+                const { XLSXWorkbook } = await import('../../js/xlsx.js');
+                const workbook = new XLSXWorkbook();
+                workbook.addSheet('My goals', [
+                    ['Years', 'Goal', 'Price', 'Inflation', 'Return', 'Notes'],
+                    [10, 'House', 5000000, 7, 12, 'first'],
+                    [-1, 'Car', 800000, 5, 10, '']
+                ]);
+                const table = await importer.readXLSX(workbook.toBytes());
+                const match = importer.matchXLSXColumns(table);
+                const preview = importer.previewXLSX(table, match.columns.map((field, index) => index === 5 ? null : field));
+
+                assertEqual(table.source, 'My goals sheet');
+                assertEqual(match.columns.slice(0, 5).join(','), 'years,name,currentPrice,inflationRate,expectedReturn');
+                assertEqual(match.unknown.join(','), '5');
+                assertEqual(preview.rows[0].goal.currentPrice, 5000000);
+                assertNull(preview.rows[1].goal);
+                assertThrows(() => importer.parseXLSX(table));
+            });
+        });
     });
 }
 
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for IndexedDBAdapter
+ */
+
+import { IndexedDBAdapter } from '../../js/indexeddb-adapter.js';
+import {
+    assertEqual,
+    assertNull,
+    assertTrue,
+    assertFalse,
+    assertThrows
+} from '../test-runner.js';
+
+export function runIndexedDBAdapterTests(runner) {
+    runner.describe('IndexedDBAdapter', () => {
+        let databaseCount = 0;
+
+        // Each test uses its own database so tests do not see each other's data
+        const createAdapter = () => new IndexedDBAdapter(`multigoal-sip-test-${Date.now()}-${databaseCount++}`);
+
+        const deleteDatabase = adapter => new Promise(resolve => {
+            adapter.close();
+            const request = indexedDB.deleteDatabase(adapter.databaseName);
+            request.onsuccess = resolve;
+            request.onerror = resolve;
+        });
+
+        runner.it('should detect IndexedDB support', () => {
+            assertTrue(IndexedDBAdapter.isSupported());
+            assertFalse(IndexedDBAdapter.isSupported(null));
+        });
+
+        runner.it('should fail to open without IndexedDB', async () => {
+            const adapter = new IndexedDBAdapter('multigoal-sip-test', null);
+            let message = '';
+            try {
+                await adapter.open();
+            } catch (error) {
+                message = error.message;
+            }
+            assertEqual(message, 'IndexedDB is not supported');
+            assertFalse(adapter.isAvailable());
+        });
+
+        runner.it('should throw when writing before it is opened', () => {
+            assertThrows(() => createAdapter().setItem('key', 'value'));
+        });
+
+        runner.it('should read writes at once, before they are saved', async () => {
+            const adapter = createAdapter();
+            await adapter.open();
+            assertTrue(adapter.isAvailable());
+            assertNull(adapter.getItem('multigoal-sip-goals'));
+            adapter.setItem('multigoal-sip-goals', '[]');
+            assertEqual(adapter.getItem('multigoal-sip-goals'), '[]');
+            await adapter.flush();
+            await deleteDatabase(adapter);
+        });
+
+        runner.it('should keep values across connections', async () => {
+            const adapter = createAdapter();
+            await adapter.open();
+            adapter.setItem('multigoal-sip-goals', '{"schemaVersion":1,"goals":[]}');
+            adapter.setItem('multigoal-sip-theme', 'dark');
+            adapter.setItem('multigoal-sip-theme', 'light');
+            adapter.setItem('multigoal-sip-settings', '{}');
+            adapter.removeItem('multigoal-sip-settings');
+            await adapter.flush();
+            adapter.close();
+
+            const reopened = new IndexedDBAdapter(adapter.databaseName);
+            await reopened.open();
+            assertEqual(reopened.getItem('multigoal-sip-goals'), '{"schemaVersion":1,"goals":[]}');
+            assertEqual(reopened.getItem('multigoal-sip-theme'), 'light');
+            assertNull(reopened.getItem('multigoal-sip-settings'));
+            await deleteDatabase(reopened);
+        });
+
+        runner.it('should store large values', async () => {
+            const adapter = createAdapter();
+            await adapter.open();
+            const contributions = Array.from({ length: 20000 }, (_, index) => ({ date: '2024-01-01', amount: index }));
+            const value = JSON.stringify(contributions);
+            adapter.setItem('multigoal-sip-goals', value);
+            await adapter.flush();
+            adapter.close();
+
+            const reopened = new IndexedDBAdapter(adapter.databaseName);
+            await reopened.open();
+            assertEqual(reopened.getItem('multigoal-sip-goals').length, value.length);
+            await deleteDatabase(reopened);
+        });
+    });
+}
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for InflationScheduleParser
+ */
+
+import { InflationScheduleParser } from '../../js/inflation-schedule.js';
+import { 
+    assertEqual, 
+    assertDeepEqual,
+    assertLength,
+    assertThrows
+} from '../test-runner.js';
+
+export function runInflationScheduleTests(runner) {
+    runner.describe('InflationScheduleParser', () => {
+        let parser;
+
+        const beforeEach = () => {
+            parser = new InflationScheduleParser();
+        };
+
+        runner.describe('parse', () => {
+            runner.it('should parse year ranges with rates', () => {
+                beforeEach();
+                const schedule = parser.parse('1-5:10, 6-15:7');
+                assertDeepEqual(schedule, [
+                    { fromYear: 1, toYear: 5, rate: 10 },
+                    { fromYear: 6, toYear: 15, rate: 7 }
+                ]);
+            });
+
+            runner.it('should parse single years and semicolon separators', () => {
+                beforeEach();
+                const schedule = parser.parse('3:9.5; 4-6:8%');
+                assertDeepEqual(schedule, [
+                    { fromYear: 3, toYear: 3, rate: 9.5 },
+                    { fromYear: 4, toYear: 6, rate: 8 }
+                ]);
+            });
+
+            runner.it('should sort ranges by starting year', () => {
+                beforeEach();
+                const schedule = parser.parse('6-10:7, 1-5:10');
+                assertEqual(schedule[0].fromYear, 1);
+                assertEqual(schedule[1].fromYear, 6);
+            });
+
+            runner.it('should return empty array for blank text', () => {
+                beforeEach();
+                assertLength(parser.parse(''), 0);
+                assertLength(parser.parse('   '), 0);
+                assertLength(parser.parse(null), 0);
+            });
+
+            runner.it('should throw error for malformed entries', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('1-5'));
+                assertThrows(() => parser.parse('abc:7'));
+            });
+
+            runner.it('should throw error for overlapping ranges', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('1-5:10, 5-10:7'));
+            });
+
+            runner.it('should throw error for reversed ranges', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('5-1:10'));
+            });
+
+            runner.it('should throw error for year 0', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('0-3:10'));
+            });
+        });
+
+        runner.describe('format', () => {
+            runner.it('should format ranges as text', () => {
+                beforeEach();
+                const text = parser.format([
+                    { fromYear: 1, toYear: 5, rate: 10 },
+                    { fromYear: 6, toYear: 6, rate: 7 }
+                ]);
+                assertEqual(text, '1-5:10; 6:7');
+            });
+
+            runner.it('should return empty string for missing schedule', () => {
+                beforeEach();
+                assertEqual(parser.format(undefined), '');
+                assertEqual(parser.format([]), '');
+            });
+
+            runner.it('should round trip through parse', () => {
+                beforeEach();
+                const schedule = parser.parse('1-5:10, 6-15:7');
+                assertDeepEqual(parser.parse(parser.format(schedule)), schedule);
+            });
+        });
+
+        runner.describe('validate', () => {
+            runner.it('should coerce numeric strings', () => {
+                beforeEach();
+                const schedule = parser.validate([{ fromYear: '1', toYear: '3', rate: '9' }]);
+                assertDeepEqual(schedule, [{ fromYear: 1, toYear: 3, rate: 9 }]);
+            });
+
+            runner.it('should reject negative rates', () => {
+                beforeEach();
+                assertThrows(() => parser.validate([{ fromYear: 1, toYear: 3, rate: -2 }]));
+            });
+
+            runner.it('should reject non-array input', () => {
+                beforeEach();
+                assertThrows(() => parser.validate('1-3:9'));
+            });
+        });
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for LocalStorageAdapter
+ */
+
+import { LocalStorageAdapter } from '../../js/local-storage-adapter.js';
+import {
+    assertEqual,
+    assertNull,
+    assertTrue,
+    assertFalse,
+    assertThrows
+} from '../test-runner.js';
+import { MockHelper } from '../test-runner.js';
+
+export function runLocalStorageAdapterTests(runner) {
+    runner.describe('LocalStorageAdapter', () => {
+        let adapter;
+        let mockLocalStorage;
+        let originalLocalStorage;
+
+        const setLocalStorage = value => {
+            Object.defineProperty(window, 'localStorage', {
+                value,
+                writable: true,
+                configurable: true
+            });
+        };
+
+        const beforeEach = () => {
+            originalLocalStorage = window.localStorage;
+            mockLocalStorage = MockHelper.mockLocalStorage();
+            setLocalStorage(mockLocalStorage);
+            adapter = new LocalStorageAdapter();
+        };
+
+        const afterEach = () => {
+            setLocalStorage(originalLocalStorage);
+        };
+
+        runner.it('should write, read and remove values in localStorage', async () => {
+            beforeEach();
+            await adapter.open();
+            adapter.setItem('multigoal-sip-theme', 'dark');
+            assertEqual(mockLocalStorage.getItem('multigoal-sip-theme'), 'dark');
+            assertEqual(adapter.getItem('multigoal-sip-theme'), 'dark');
+            adapter.removeItem('multigoal-sip-theme');
+            assertNull(adapter.getItem('multigoal-sip-theme'));
+            await adapter.flush();
+            afterEach();
+        });
+
+        runner.it('should report whether localStorage works', () => {
+            beforeEach();
+            assertTrue(adapter.isAvailable());
+            setLocalStorage({
+                getItem: () => { throw new Error('Storage disabled'); },
+                setItem: () => { throw new Error('Storage disabled'); }
+            });
+            assertFalse(adapter.isAvailable());
+            afterEach();
+        });
+
+        runner.it('should throw when localStorage rejects a write', () => {
+            beforeEach();
+            setLocalStorage({
+                setItem: () => { throw new Error('Quota exceeded'); }
+            });
+            assertThrows(() => adapter.setItem('key', 'value'));
+            afterEach();
+        });
+    });
+}
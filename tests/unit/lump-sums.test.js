@@ -0,0 +1,100 @@
+/**
+ * Unit tests for LumpSumParser
+ */
+
+import { LumpSumParser } from '../../js/lump-sums.js';
+import { 
+    assertEqual, 
+    assertDeepEqual,
+    assertLength,
+    assertThrows
+} from '../test-runner.js';
+
+export function runLumpSumTests(runner) {
+    runner.describe('LumpSumParser', () => {
+        let parser;
+
+        const beforeEach = () => {
+            parser = new LumpSumParser();
+        };
+
+        runner.describe('parse', () => {
+            runner.it('should parse year:amount entries', () => {
+                beforeEach();
+                const lumpSums = parser.parse('3:200000, 5:100000');
+                assertDeepEqual(lumpSums, [
+                    { year: 3, amount: 200000 },
+                    { year: 5, amount: 100000 }
+                ]);
+            });
+
+            runner.it('should accept semicolons and sort by year', () => {
+                beforeEach();
+                const lumpSums = parser.parse('7:50000; 2:25000.5');
+                assertDeepEqual(lumpSums, [
+                    { year: 2, amount: 25000.5 },
+                    { year: 7, amount: 50000 }
+                ]);
+            });
+
+            runner.it('should return empty array for blank text', () => {
+                beforeEach();
+                assertLength(parser.parse(''), 0);
+                assertLength(parser.parse('   '), 0);
+                assertLength(parser.parse(null), 0);
+            });
+
+            runner.it('should throw on malformed entries', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('3-200000'));
+                assertThrows(() => parser.parse('three:200000'));
+            });
+
+            runner.it('should throw on year zero', () => {
+                beforeEach();
+                assertThrows(() => parser.parse('0:100000'));
+            });
+        });
+
+        runner.describe('format', () => {
+            runner.it('should serialize lump sums', () => {
+                beforeEach();
+                const text = parser.format([
+                    { year: 3, amount: 200000 },
+                    { year: 5, amount: 100000 }
+                ]);
+                assertEqual(text, '3:200000; 5:100000');
+            });
+
+            runner.it('should return empty string for no lump sums', () => {
+                beforeEach();
+                assertEqual(parser.format([]), '');
+                assertEqual(parser.format(undefined), '');
+            });
+
+            runner.it('should round-trip through parse', () => {
+                beforeEach();
+                const lumpSums = [{ year: 1, amount: 5000 }, { year: 4, amount: 75000 }];
+                assertDeepEqual(parser.parse(parser.format(lumpSums)), lumpSums);
+            });
+        });
+
+        runner.describe('validate', () => {
+            runner.it('should reject non-positive amounts', () => {
+                beforeEach();
+                assertThrows(() => parser.validate([{ year: 2, amount: 0 }]));
+                assertThrows(() => parser.validate([{ year: 2, amount: -100 }]));
+            });
+
+            runner.it('should reject fractional years', () => {
+                beforeEach();
+                assertThrows(() => parser.validate([{ year: 2.5, amount: 1000 }]));
+            });
+
+            runner.it('should throw when not an array', () => {
+                beforeEach();
+                assertThrows(() => parser.validate('3:1000'));
+            });
+        });
+    });
+}
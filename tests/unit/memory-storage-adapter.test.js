@@ -0,0 +1,40 @@
+/**
+ * Unit tests for MemoryStorageAdapter
+ */
+
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import {
+    assertEqual,
+    assertNull,
+    assertFalse
+} from '../test-runner.js';
+
+export function runMemoryStorageAdapterTests(runner) {
+    runner.describe('MemoryStorageAdapter', () => {
+        runner.it('should write, read and remove values', async () => {
+            const adapter = new MemoryStorageAdapter();
+            await adapter.open();
+            assertNull(adapter.getItem('key'));
+            adapter.setItem('key', 'value');
+            assertEqual(adapter.getItem('key'), 'value');
+            adapter.removeItem('key');
+            assertNull(adapter.getItem('key'));
+            await adapter.flush();
+        });
+
+        runner.it('should store values as strings', () => {
+            const adapter = new MemoryStorageAdapter();
+            adapter.setItem('count', 3);
+            assertEqual(adapter.getItem('count'), '3');
+        });
+
+        runner.it('should start with the given values', () => {
+            const adapter = new MemoryStorageAdapter({ theme: 'dark' });
+            assertEqual(adapter.getItem('theme'), 'dark');
+        });
+
+        runner.it('should report that data is not kept across page loads', () => {
+            assertFalse(new MemoryStorageAdapter().isAvailable());
+        });
+    });
+}
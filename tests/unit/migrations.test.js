@@ -0,0 +1,158 @@
+/**
+ * Unit tests for SchemaMigrator
+ */
+
+import { SchemaMigrator } from '../../js/migrations.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertTrue,
+    assertFalse,
+    assertThrows,
+    assertGreaterThan
+} from '../test-runner.js';
+
+export function runMigrationsTests(runner) {
+    runner.describe('SchemaMigrator', () => {
+        let migrator;
+
+        const beforeEach = () => {
+            migrator = new SchemaMigrator();
+        };
+
+        const baseGoal = {
+            id: 1700000000000,
+            name: 'House',
+            currentPrice: 5000000,
+            inflationRate: 7,
+            years: 10,
+            expectedReturn: 12,
+            stepUpRate: 0
+        };
+
+        // Goals as each earlier version of the app saved them (a bare array, schema 0)
+        const historicalGoals = {
+            'original goals': baseGoal,
+            'goals without a step-up rate': (({ stepUpRate, ...goal }) => goal)(baseGoal),
+            'inflation schedules': { ...baseGoal, inflationSchedule: [{ fromYear: 1, toYear: 5, rate: 10 }, { fromYear: 6, toYear: 10, rate: 7 }] },
+            'asset allocations': {
+                ...baseGoal,
+                allocation: {
+                    weights: { equity: 70, debt: 20, gold: 10 },
+                    returns: { equity: 12, debt: 7, gold: 8 },
+                    glidePath: { years: 3, shift: 20 }
+                }
+            },
+            'existing corpus and lump sums': { ...baseGoal, existingCorpus: 200000, lumpSums: [{ year: 2, amount: 100000 }] },
+            'priorities': { ...baseGoal, priority: 1 },
+            'retirement goals': { ...baseGoal, currentPrice: 50000, retirement: { retirementYears: 25, postRetirementReturn: 8 } },
+            'contribution ledgers': {
+                ...baseGoal,
+                startDate: '2024-01-01',
+                contributions: [{ date: '2024-01-01', amount: 20000 }],
+                valuations: [{ date: '2024-06-30', value: 21500 }]
+            }
+        };
+
+        runner.it('should be at schema version 1', () => {
+            beforeEach();
+            assertEqual(migrator.getCurrentVersion(), 1);
+        });
+
+        runner.describe('getVersion', () => {
+            runner.it('should treat a bare goals array as schema 0', () => {
+                beforeEach();
+                assertEqual(migrator.getVersion([]), 0);
+                assertTrue(migrator.needsMigration([baseGoal]));
+            });
+
+            runner.it('should read the version of an envelope', () => {
+                beforeEach();
+                const envelope = { schemaVersion: 1, savedAt: '2024-01-01T00:00:00.000Z', appVersion: '1.0.0', goals: [] };
+                assertEqual(migrator.getVersion(envelope), 1);
+                assertFalse(migrator.needsMigration(envelope));
+            });
+
+            runner.it('should reject unrecognized data', () => {
+                beforeEach();
+                assertThrows(() => migrator.getVersion({ not: 'array' }));
+                assertThrows(() => migrator.getVersion({ schemaVersion: 0, goals: [] }));
+                assertThrows(() => migrator.getVersion({ schemaVersion: 1, goals: 'none' }));
+                assertThrows(() => migrator.getVersion(null));
+            });
+        });
+
+        runner.describe('historical data', () => {
+            Object.entries(historicalGoals).forEach(([shape, goal]) => {
+                runner.it(`should load goals saved with ${shape}`, () => {
+                    beforeEach();
+                    const migrated = migrator.migrate([goal]);
+                    const loaded = migrated.goals[0];
+                    assertEqual(migrated.schemaVersion, migrator.getCurrentVersion());
+                    assertEqual(loaded.name, 'House');
+                    assertEqual(loaded.stepUpRate, 0);
+                    assertTrue(/^\d{4}-\d{2}-\d{2}$/.test(loaded.startDate));
+                    assertGreaterThan(new SIPCalculator().calculateGoalSIP(loaded), 0);
+                });
+            });
+
+            runner.it('should keep every optional property', () => {
+                beforeEach();
+                const goals = Object.values(historicalGoals);
+                const migrated = migrator.migrate(JSON.parse(JSON.stringify(goals))).goals;
+                goals.forEach((goal, index) => {
+                    Object.keys(goal).forEach(key => assertDeepEqual(migrated[index][key], goal[key]));
+                });
+            });
+
+            runner.it('should date goals from their creation timestamp', () => {
+                beforeEach();
+                assertEqual(migrator.migrate([baseGoal]).goals[0].startDate, '2023-11-14');
+                assertEqual(migrator.migrate([historicalGoals['contribution ledgers']]).goals[0].startDate, '2024-01-01');
+            });
+
+            runner.it('should leave goals without a timestamp ID undated', () => {
+                beforeEach();
+                const migrated = migrator.migrate([{ ...baseGoal, id: '1' }]).goals[0];
+                assertFalse('startDate' in migrated);
+            });
+
+            runner.it('should return current data unchanged', () => {
+                beforeEach();
+                const envelope = { schemaVersion: 1, savedAt: '2024-01-01T00:00:00.000Z', appVersion: '1.0.0', goals: [baseGoal] };
+                assertEqual(migrator.migrate(envelope), envelope);
+            });
+        });
+
+        runner.describe('migration chain', () => {
+            runner.it('should run each migration in order from the saved version', () => {
+                const calls = [];
+                const chained = new SchemaMigrator([
+                    goals => {
+                        calls.push(0);
+                        return { schemaVersion: 1, goals };
+                    },
+                    envelope => {
+                        calls.push(1);
+                        return { ...envelope, schemaVersion: 2, goals: envelope.goals.map(goal => ({ ...goal, tag: 'v2' })) };
+                    }
+                ]);
+
+                const fromArray = chained.migrate([{ name: 'House' }]);
+                assertDeepEqual(calls, [0, 1]);
+                assertEqual(fromArray.schemaVersion, 2);
+                assertEqual(fromArray.goals[0].tag, 'v2');
+
+                calls.length = 0;
+                chained.migrate({ schemaVersion: 1, goals: [{ name: 'Car' }] });
+                assertDeepEqual(calls, [1]);
+            });
+
+            runner.it('should reject a migration that skips a version', () => {
+                const broken = new SchemaMigrator([goals => ({ schemaVersion: 2, goals }), envelope => envelope]);
+                assertThrows(() => broken.migrate([]));
+            });
+        });
+    });
+}
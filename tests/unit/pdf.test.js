@@ -0,0 +1,112 @@
+/**
+ * Unit tests for PDFDocument
+ */
+
+import { PDFDocument } from '../../js/pdf.js';
+import {
+    assertEqual,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runPDFTests(runner) {
+    runner.describe('PDFDocument', () => {
+        const toText = (bytes) => String.fromCharCode(...bytes);
+
+        runner.it('should write a PDF file with a header, pages and trailer', () => {
+            const pdf = new PDFDocument('Plan');
+            pdf.addPage();
+            pdf.drawText('First', 40, 40);
+            pdf.addPage();
+            pdf.drawText('Second', 40, 40, { bold: true });
+            const text = toText(pdf.toBytes());
+
+            assertTrue(text.startsWith('%PDF-1.4'));
+            assertTrue(text.trimEnd().endsWith('%%EOF'));
+            assertTrue(text.includes('/Count 2'));
+            assertTrue(text.includes('(First) Tj'));
+            assertTrue(text.includes('/F2 10 Tf'));
+            assertTrue(text.includes('/Title (Plan)'));
+        });
+
+        runner.it('should point the cross-reference table at each object', () => {
+            const pdf = new PDFDocument();
+            pdf.addPage();
+            pdf.drawLine(40, 40, 200, 40);
+            const text = toText(pdf.toBytes());
+            const xrefOffset = Number(/startxref\n(\d+)/.exec(text)[1]);
+            const entries = text.slice(xrefOffset).split('\n').slice(3).filter(line => / n $/.test(line));
+
+            assertTrue(text.startsWith('xref', xrefOffset));
+            assertTrue(entries.length > 0);
+            entries.forEach((entry, index) => {
+                assertTrue(text.startsWith(`${index + 1} 0 obj`, Number(entry.slice(0, 10))));
+            });
+        });
+
+        runner.it('should escape parentheses and replace the rupee sign', () => {
+            const pdf = new PDFDocument();
+            pdf.addPage();
+            pdf.drawText('Car (new) ₹5,00,000', 40, 40);
+            const text = toText(pdf.toBytes());
+
+            assertTrue(text.includes('(Car \\(new\\) Rs.5,00,000) Tj'));
+        });
+
+        runner.it('should measure, wrap and shorten text', () => {
+            const pdf = new PDFDocument();
+
+            assertEqual(pdf.measureText('ab', 10), 11.12);
+            assertEqual(pdf.measureText('ab', 10, true), 11.67);
+            assertEqual(pdf.wrapText('one two three', pdf.measureText('one two', 10)).length, 2);
+            assertEqual(pdf.wrapText('one\ntwo', 1000).length, 2);
+            assertEqual(pdf.truncateText('short', 100), 'short');
+            assertTrue(pdf.truncateText('a rather long goal name', 50).endsWith('...'));
+            assertTrue(pdf.measureText(pdf.truncateText('a rather long goal name', 50)) <= 50);
+        });
+
+        runner.it('should embed JPEG images on the page drawing them', () => {
+            const pdf = new PDFDocument();
+            pdf.addPage();
+            pdf.drawJPEG(`data:image/jpeg;base64,${btoa('\xFF\xD8jpeg\xFF\xD9')}`, 4, 2, 40, 40, 200, 100);
+            pdf.addPage();
+            const text = toText(pdf.toBytes());
+
+            assertTrue(text.includes('/Subtype /Image /Width 4 /Height 2'));
+            assertTrue(text.includes('/Filter /DCTDecode'));
+            assertTrue(text.includes('/Im1 Do'));
+            assertEqual(text.match(/\/XObject << \/Im1/g).length, 1);
+        });
+
+        runner.it('should reject images that are not JPEG data URLs', () => {
+            const pdf = new PDFDocument();
+            pdf.addPage();
+
+            try {
+                pdf.drawJPEG('data:image/png;base64,AAAA', 1, 1, 0, 0, 1, 1);
+                assertFalse(true);
+            } catch (error) {
+                assertEqual(error.message, 'Image must be a JPEG data URL');
+            }
+        });
+
+        runner.it('should require a page before drawing and only go to existing pages', () => {
+            const pdf = new PDFDocument();
+
+            try {
+                pdf.drawText('Too early', 40, 40);
+                assertFalse(true);
+            } catch (error) {
+                assertEqual(error.message, 'Add a page before drawing');
+            }
+
+            pdf.addPage();
+            try {
+                pdf.goToPage(2);
+                assertFalse(true);
+            } catch (error) {
+                assertEqual(error.message, 'Page 2 does not exist');
+            }
+        });
+    });
+}
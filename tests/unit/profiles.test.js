@@ -0,0 +1,198 @@
+/**
+ * Unit tests for ProfileManager
+ */
+
+import { ProfileManager } from '../../js/profiles.js';
+import { StorageService } from '../../js/storage.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertLength,
+    assertNull,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runProfileTests(runner) {
+    runner.describe('ProfileManager', () => {
+        let adapter;
+        let storageService;
+        let profileManager;
+
+        const beforeEach = async () => {
+            adapter = new MemoryStorageAdapter();
+            storageService = new StorageService(adapter);
+            profileManager = new ProfileManager(storageService);
+            await profileManager.load();
+        };
+
+        const thrownMessage = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        const rejectionMessage = async (promise) => {
+            try {
+                await promise;
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        runner.describe('load', () => {
+            runner.it('should start with one profile holding the existing goals', async () => {
+                adapter = new MemoryStorageAdapter();
+                storageService = new StorageService(adapter);
+                storageService.saveGoals([{ id: 1, name: 'House' }]);
+
+                profileManager = new ProfileManager(storageService);
+                const active = await profileManager.load();
+                assertDeepEqual(active, { id: 'default', name: 'My Plan' });
+                assertLength(profileManager.getProfiles(), 1);
+                assertEqual(storageService.loadGoals()[0].name, 'House');
+            });
+
+            runner.it('should open the saved active profile', async () => {
+                adapter = new MemoryStorageAdapter();
+                storageService = new StorageService(adapter);
+                storageService.saveProfiles({
+                    activeProfileId: 'spouse',
+                    profiles: [{ id: 'default', name: 'Me' }, { id: 'spouse', name: 'Spouse' }]
+                });
+
+                profileManager = new ProfileManager(storageService);
+                const active = await profileManager.load();
+                assertEqual(active.name, 'Spouse');
+                assertEqual(storageService.getProfileId(), 'spouse');
+            });
+        });
+
+        runner.describe('createProfile', () => {
+            runner.it('should add a profile without opening it', async () => {
+                await beforeEach();
+                const profile = profileManager.createProfile('  Spouse  ');
+                assertEqual(profile.name, 'Spouse');
+                assertTrue(profile.id !== 'default');
+                assertLength(profileManager.getProfiles(), 2);
+                assertEqual(profileManager.getActiveProfile().id, 'default');
+                assertLength(storageService.loadProfiles().profiles, 2);
+            });
+
+            runner.it('should reject empty, long and duplicate names', async () => {
+                await beforeEach();
+                assertEqual(thrownMessage(() => profileManager.createProfile('   ')), 'Profile name is required');
+                assertEqual(thrownMessage(() => profileManager.createProfile('x'.repeat(41))), 'Profile name must be at most 40 characters');
+                assertEqual(thrownMessage(() => profileManager.createProfile('my plan')), 'A profile named "my plan" already exists');
+                assertLength(profileManager.getProfiles(), 1);
+            });
+
+            runner.it('should return copies of the profiles', async () => {
+                await beforeEach();
+                profileManager.getProfiles()[0].name = 'Changed';
+                assertEqual(profileManager.getActiveProfile().name, 'My Plan');
+            });
+        });
+
+        runner.describe('renameProfile', () => {
+            runner.it('should rename a profile and save the list', async () => {
+                await beforeEach();
+                const renamed = profileManager.renameProfile('default', 'Me');
+                assertEqual(renamed.name, 'Me');
+                assertEqual(storageService.loadProfiles().profiles[0].name, 'Me');
+            });
+
+            runner.it('should let a profile keep its own name in a different case', async () => {
+                await beforeEach();
+                assertEqual(profileManager.renameProfile('default', 'MY PLAN').name, 'MY PLAN');
+            });
+
+            runner.it('should reject unknown profiles', async () => {
+                await beforeEach();
+                assertEqual(thrownMessage(() => profileManager.renameProfile('missing', 'Me')), 'Profile not found');
+            });
+        });
+
+        runner.describe('switchProfile', () => {
+            runner.it('should open the profile and save it as active', async () => {
+                await beforeEach();
+                storageService.saveGoals([{ id: 1, name: 'House' }]);
+                const spouse = profileManager.createProfile('Spouse');
+
+                const active = await profileManager.switchProfile(spouse.id);
+                assertEqual(active.id, spouse.id);
+                assertEqual(storageService.getProfileId(), spouse.id);
+                assertEqual(storageService.loadProfiles().activeProfileId, spouse.id);
+                assertLength(storageService.loadGoals(), 0);
+            });
+
+            runner.it('should reject unknown profiles', async () => {
+                await beforeEach();
+                assertEqual(await rejectionMessage(profileManager.switchProfile('missing')), 'Profile not found');
+                assertEqual(storageService.getProfileId(), 'default');
+            });
+        });
+
+        runner.describe('deleteProfile', () => {
+            runner.it('should not delete the only profile', async () => {
+                await beforeEach();
+                assertEqual(await rejectionMessage(profileManager.deleteProfile('default')), 'The only profile cannot be deleted');
+            });
+
+            runner.it('should remove the profile and its saved data', async () => {
+                await beforeEach();
+                const spouse = profileManager.createProfile('Spouse');
+                await profileManager.switchProfile(spouse.id);
+                storageService.saveGoals([{ id: 1, name: 'Car' }]);
+                await profileManager.switchProfile('default');
+
+                await profileManager.deleteProfile(spouse.id);
+                assertLength(profileManager.getProfiles(), 1);
+                assertNull(adapter.getItem(`multigoal-sip-goals:${spouse.id}`));
+            });
+
+            runner.it('should open the first profile when the open one is deleted', async () => {
+                await beforeEach();
+                const spouse = profileManager.createProfile('Spouse');
+                await profileManager.switchProfile(spouse.id);
+
+                const active = await profileManager.deleteProfile(spouse.id);
+                assertEqual(active.id, 'default');
+                assertEqual(storageService.getProfileId(), 'default');
+                assertEqual(storageService.loadProfiles().activeProfileId, 'default');
+            });
+        });
+
+        runner.describe('reload', () => {
+            runner.it('should pick up profiles added in another tab', async () => {
+                await beforeEach();
+                const otherTab = new ProfileManager(new StorageService(adapter));
+                await otherTab.load();
+                otherTab.createProfile('Spouse');
+
+                assertFalse(await profileManager.reload());
+                assertLength(profileManager.getProfiles(), 2);
+                assertEqual(profileManager.getActiveProfile().id, 'default');
+            });
+
+            runner.it('should open the first profile when another tab deleted the open one', async () => {
+                await beforeEach();
+                const spouse = profileManager.createProfile('Spouse');
+                await profileManager.switchProfile(spouse.id);
+
+                const otherTab = new ProfileManager(new StorageService(adapter));
+                await otherTab.load();
+                await otherTab.deleteProfile(spouse.id);
+
+                assertTrue(await profileManager.reload());
+                assertEqual(profileManager.getActiveProfile().id, 'default');
+                assertEqual(storageService.getProfileId(), 'default');
+            });
+        });
+    });
+}
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for ProgressTracker
+ */
+
+import { ProgressTracker } from '../../js/progress.js';
+import { ChartManager } from '../../js/charts.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import { Formatter } from '../../js/formatter.js';
+import { 
+    assertEqual, 
+    assertGreaterThan,
+    assertLessThan,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runProgressTests(runner) {
+    runner.describe('ProgressTracker', () => {
+        let tracker;
+        let calculator;
+        let chartManager;
+        let sampleGoal;
+        let monthlySIP;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            chartManager = new ChartManager(calculator, new Formatter());
+            tracker = new ProgressTracker(calculator, chartManager);
+            sampleGoal = {
+                id: 1,
+                name: 'Car',
+                currentPrice: 1000000,
+                inflationRate: 6,
+                years: 5,
+                expectedReturn: 12,
+                stepUpRate: 0,
+                startDate: '2024-01-01'
+            };
+            monthlySIP = calculator.calculateGoalSIP(sampleGoal);
+        };
+
+        const monthlyContributions = (count, amount) => Array.from({ length: count }, (_, index) => ({
+            date: `${2024 + Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}-01`,
+            amount
+        }));
+
+        runner.it('should create progress tracker instance', () => {
+            beforeEach();
+            assertEqual(tracker instanceof ProgressTracker, true);
+        });
+
+        runner.describe('hasLedger', () => {
+            runner.it('should detect contributions or valuations', () => {
+                beforeEach();
+                assertFalse(tracker.hasLedger(sampleGoal));
+                assertTrue(tracker.hasLedger({ ...sampleGoal, contributions: [{ date: '2024-01-01', amount: 100 }] }));
+                assertTrue(tracker.hasLedger({ ...sampleGoal, valuations: [{ date: '2024-01-01', value: 100 }] }));
+            });
+        });
+
+        runner.describe('getCurrentValue', () => {
+            runner.it('should count contributions at cost without valuations', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, existingCorpus: 50000, contributions: monthlyContributions(3, 10000) };
+                assertEqual(tracker.getCurrentValue(goal), 80000);
+            });
+
+            runner.it('should add later contributions to the latest valuation', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoal,
+                    contributions: monthlyContributions(4, 10000),
+                    valuations: [{ date: '2024-01-15', value: 9000 }, { date: '2024-02-15', value: 21000 }]
+                };
+                assertEqual(tracker.getCurrentValue(goal), 41000);
+            });
+        });
+
+        runner.describe('calculateXIRR', () => {
+            runner.it('should return the annual return of a single investment', () => {
+                beforeEach();
+                const xirr = tracker.calculateXIRR([
+                    { date: '2023-01-01', amount: -100000 },
+                    { date: '2024-01-01', amount: 112000 }
+                ]);
+                assertTrue(Math.abs(xirr - 12) < 0.01);
+            });
+
+            runner.it('should return a negative rate for a loss', () => {
+                beforeEach();
+                const xirr = tracker.calculateXIRR([
+                    { date: '2023-01-01', amount: -100000 },
+                    { date: '2024-01-01', amount: 90000 }
+                ]);
+                assertTrue(Math.abs(xirr + 10) < 0.01);
+            });
+
+            runner.it('should return null without both investments and a value', () => {
+                beforeEach();
+                assertEqual(tracker.calculateXIRR([{ date: '2023-01-01', amount: -100 }]), null);
+                assertEqual(tracker.calculateXIRR([
+                    { date: '2023-01-01', amount: -100 },
+                    { date: '2023-01-01', amount: 100 }
+                ]), null);
+            });
+        });
+
+        runner.describe('calculateProgress', () => {
+            runner.it('should be on track when following the plan', () => {
+                beforeEach();
+                const contributions = monthlyContributions(12, monthlySIP);
+                const planned = chartManager.generateGoalData(sampleGoal).futureValues[1];
+                const goal = { ...sampleGoal, contributions, valuations: [{ date: '2024-12-31', value: planned }] };
+                const progress = tracker.calculateProgress(goal, new Date('2025-01-01'));
+                assertEqual(progress.status, 'on-track');
+                assertTrue(Math.abs(progress.xirr - 12.68) < 0.5);
+                assertTrue(Math.abs(progress.requiredSIP - monthlySIP) / monthlySIP < 0.02);
+            });
+
+            runner.it('should be behind without growth', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, contributions: monthlyContributions(12, monthlySIP) };
+                const progress = tracker.calculateProgress(goal, new Date('2025-01-01'));
+                assertEqual(progress.status, 'behind');
+                assertLessThan(progress.difference, 0);
+                assertGreaterThan(progress.requiredSIP, monthlySIP);
+            });
+
+            runner.it('should be ahead with a large valuation', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, valuations: [{ date: '2024-06-01', value: 500000 }] };
+                const progress = tracker.calculateProgress(goal, new Date('2025-01-01'));
+                assertEqual(progress.status, 'ahead');
+                assertLessThan(progress.requiredSIP, monthlySIP);
+            });
+
+            runner.it('should report the funded percentage of the target', () => {
+                beforeEach();
+                const target = calculator.calculateGoalTarget(sampleGoal);
+                const goal = { ...sampleGoal, valuations: [{ date: '2024-06-01', value: target / 4 }] };
+                const progress = tracker.calculateProgress(goal, new Date('2025-01-01'));
+                assertEqual(progress.fundedPercent, 25);
+                assertEqual(progress.target, target);
+            });
+
+            runner.it('should need no SIP after the goal date', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, contributions: monthlyContributions(1, 1000) };
+                const progress = tracker.calculateProgress(goal, new Date('2030-06-01'));
+                assertEqual(progress.elapsedYears, 5);
+                assertEqual(progress.requiredSIP, 0);
+            });
+
+            runner.it('should start goals without a start date at their first entry', () => {
+                beforeEach();
+                const { startDate, ...goal } = sampleGoal;
+                const progress = tracker.calculateProgress(
+                    { ...goal, contributions: [{ date: '2024-03-01', amount: 1000 }] },
+                    new Date('2025-03-01')
+                );
+                assertEqual(progress.startDate, '2024-03-01');
+                assertTrue(Math.abs(progress.elapsedYears - 1) < 0.01);
+            });
+        });
+    });
+}
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for ProjectionEngine
+ */
+
+import { ProjectionEngine } from '../../js/projection.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import {
+    assertEqual,
+    assertLength,
+    assertApproximately,
+    assertThrows
+} from '../test-runner.js';
+
+export function runProjectionTests(runner) {
+    runner.describe('ProjectionEngine', () => {
+        let engine;
+        let calculator;
+        let goal;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            engine = new ProjectionEngine(calculator);
+            goal = {
+                id: '1',
+                name: 'Education',
+                currentPrice: 2000000,
+                inflationRate: 8,
+                years: 5,
+                expectedReturn: 12,
+                stepUpRate: 10
+            };
+        };
+
+        runner.it('should project a row for today and each year', () => {
+            beforeEach();
+            const rows = engine.projectGoal(goal, 'year');
+
+            assertLength(rows, 6);
+            assertEqual(rows[0].period, 0);
+            assertEqual(rows[0].monthlySIP, null);
+            assertEqual(rows[0].target, goal.currentPrice);
+            assertEqual(rows[5].period, 5);
+            assertEqual(rows[5].target, calculator.calculateGoalTarget(goal));
+        });
+
+        runner.it('should project a row for today and each month', () => {
+            beforeEach();
+            const rows = engine.projectGoal(goal, 'month');
+
+            assertLength(rows, 61);
+            assertEqual(rows[60].period, 60);
+        });
+
+        runner.it('should step the SIP installment up at the start of each year', () => {
+            beforeEach();
+            const rows = engine.projectGoal(goal, 'month');
+            const sip = calculator.calculateGoalSIP(goal);
+
+            assertApproximately(rows[1].monthlySIP, sip);
+            assertApproximately(rows[12].monthlySIP, sip);
+            assertApproximately(rows[13].monthlySIP, sip * 1.1);
+            assertApproximately(rows[12].invested, sip * 12);
+        });
+
+        runner.it('should reach the corpus the calculator projects', () => {
+            beforeEach();
+            const rows = engine.projectGoal(goal, 'month');
+            const sip = calculator.calculateGoalSIP(goal);
+
+            assertApproximately(rows[60].value, calculator.calculateGoalCorpus(goal, sip));
+            assertApproximately(rows[60].invested, calculator.calculateGoalInvestment(goal, sip));
+        });
+
+        runner.it('should invest the existing corpus today and lump sums at the end of their year', () => {
+            beforeEach();
+            goal = { ...goal, existingCorpus: 100000, lumpSums: [{ year: 2, amount: 50000 }] };
+            const months = engine.projectGoal(goal, 'month');
+            const years = engine.projectGoal(goal, 'year');
+            const sip = calculator.calculateGoalSIP(goal);
+
+            assertEqual(months[0].invested, 100000);
+            assertEqual(months[0].value, 100000);
+            assertApproximately(months[24].invested - months[23].invested, months[24].monthlySIP + 50000);
+            assertApproximately(years[2].value, calculator.calculateVariableReturnFutureValue(
+                sip, 2, calculator.getAnnualReturns(goal), goal.stepUpRate
+            ) + calculator.calculateStartingBalanceValue(goal, 2));
+        });
+
+        runner.it('should end yearly schedules at the end of a part-year horizon', () => {
+            beforeEach();
+            goal = { ...goal, years: 2.5 };
+            const years = engine.projectGoal(goal, 'year');
+
+            assertLength(years, 4);
+            assertEqual(years[2].period, 2);
+            assertEqual(years[3].period, 2.5);
+            assertLength(engine.projectGoal(goal, 'month'), 31);
+        });
+
+        runner.it('should reach the calculator\'s corpus for a part-year horizon with lump sums', () => {
+            beforeEach();
+            goal = { ...goal, years: 3.5, existingCorpus: 100000, lumpSums: [{ year: 1.5, amount: 40000 }, { year: 3, amount: 50000 }] };
+            const sip = calculator.calculateGoalSIP(goal);
+            const corpus = calculator.calculateGoalCorpus(goal, sip);
+            const months = engine.projectGoal(goal, 'month');
+            const years = engine.projectGoal(goal, 'year');
+
+            assertApproximately(months[months.length - 1].value, corpus);
+            assertApproximately(years[years.length - 1].value, corpus);
+        });
+
+        runner.it('should reject unknown intervals', () => {
+            beforeEach();
+            assertThrows(() => engine.projectGoal(goal, 'week'));
+        });
+    });
+}
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for RetirementPlanner
+ */
+
+import { RetirementPlanner } from '../../js/retirement.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import { 
+    assertEqual, 
+    assertGreaterThan,
+    assertLessThan,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runRetirementTests(runner) {
+    runner.describe('RetirementPlanner', () => {
+        let planner;
+        let calculator;
+        let retirementGoal;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            planner = new RetirementPlanner(calculator);
+            retirementGoal = {
+                id: 1,
+                name: 'Retirement',
+                currentPrice: 50000,
+                inflationRate: 6,
+                years: 25,
+                expectedReturn: 12,
+                stepUpRate: 0,
+                retirement: { retirementYears: 25, postRetirementReturn: 8 }
+            };
+        };
+
+        runner.it('should create planner instance', () => {
+            beforeEach();
+            assertEqual(planner instanceof RetirementPlanner, true);
+        });
+
+        runner.describe('calculateFirstYearExpenses', () => {
+            runner.it('should inflate twelve months of expenses to retirement', () => {
+                beforeEach();
+                const expected = 50000 * 12 * Math.pow(1.06, 25);
+                assertTrue(Math.abs(planner.calculateFirstYearExpenses(retirementGoal) - expected) < 0.01);
+            });
+
+            runner.it('should follow an inflation schedule', () => {
+                beforeEach();
+                const goal = { ...retirementGoal, years: 2, inflationSchedule: [{ fromYear: 1, toYear: 2, rate: 10 }] };
+                assertTrue(Math.abs(planner.calculateFirstYearExpenses(goal) - 50000 * 12 * 1.21) < 0.01);
+            });
+        });
+
+        runner.describe('simulateWithdrawals', () => {
+            runner.it('should last exactly through retirement with the required corpus', () => {
+                beforeEach();
+                const plan = planner.simulateWithdrawals(retirementGoal);
+                assertEqual(plan.startingCorpus, calculator.calculateGoalTarget(retirementGoal));
+                assertEqual(plan.schedule.length, 25);
+                assertTrue(plan.lastsFullRetirement);
+                assertTrue(plan.remainingCorpus < plan.firstYearExpenses * 0.001);
+            });
+
+            runner.it('should withdraw first and grow the remainder', () => {
+                beforeEach();
+                const plan = planner.simulateWithdrawals(retirementGoal, 10000000);
+                const firstYear = plan.schedule[0];
+                assertEqual(firstYear.year, 1);
+                assertEqual(firstYear.openingBalance, 10000000);
+                assertEqual(firstYear.withdrawal, plan.firstYearExpenses);
+                assertTrue(Math.abs(firstYear.growth - (10000000 - firstYear.withdrawal) * 0.08) <= 1);
+                assertTrue(Math.abs(firstYear.closingBalance - (firstYear.openingBalance - firstYear.withdrawal + firstYear.growth)) <= 1);
+            });
+
+            runner.it('should grow withdrawals with inflation', () => {
+                beforeEach();
+                const plan = planner.simulateWithdrawals(retirementGoal);
+                const ratio = plan.schedule[1].withdrawal / plan.schedule[0].withdrawal;
+                assertTrue(Math.abs(ratio - 1.06) < 0.0001);
+            });
+
+            runner.it('should report the depletion year of a short corpus', () => {
+                beforeEach();
+                const required = calculator.calculateGoalTarget(retirementGoal);
+                const plan = planner.simulateWithdrawals(retirementGoal, required * 0.8);
+                assertLessThan(plan.depletionYear, 25);
+                assertFalse(plan.lastsFullRetirement);
+                assertEqual(plan.schedule.length, plan.depletionYear);
+                assertEqual(plan.remainingCorpus, 0);
+                assertEqual(plan.schedule[plan.schedule.length - 1].closingBalance, 0);
+            });
+
+            runner.it('should keep a surplus when the corpus exceeds the requirement', () => {
+                beforeEach();
+                const required = calculator.calculateGoalTarget(retirementGoal);
+                const plan = planner.simulateWithdrawals(retirementGoal, required * 1.2);
+                assertEqual(plan.depletionYear, null);
+                assertTrue(plan.lastsFullRetirement);
+                assertGreaterThan(plan.remainingCorpus, 0);
+            });
+
+            runner.it('should stop withdrawing at once without a corpus', () => {
+                beforeEach();
+                const plan = planner.simulateWithdrawals(retirementGoal, 0);
+                assertEqual(plan.depletionYear, 1);
+                assertEqual(plan.schedule[0].withdrawal, 0);
+            });
+        });
+    });
+}
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for MonteCarloSimulator
+ */
+
+import { MonteCarloSimulator } from '../../js/simulator.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import { 
+    assertEqual, 
+    assertDeepEqual,
+    assertApproximately,
+    assertGreaterThan,
+    assertLessThan,
+    assertTrue,
+    assertLength
+} from '../test-runner.js';
+
+export function runSimulatorTests(runner) {
+    runner.describe('MonteCarloSimulator', () => {
+        let simulator;
+        let calculator;
+        let sampleGoals;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            simulator = new MonteCarloSimulator(calculator, { iterations: 500, seed: 42 });
+
+            sampleGoals = [
+                {
+                    id: 1,
+                    name: 'House',
+                    currentPrice: 5000000,
+                    inflationRate: 7,
+                    years: 10,
+                    expectedReturn: 12,
+                    stepUpRate: 0
+                },
+                {
+                    id: 2,
+                    name: 'Education',
+                    currentPrice: 2000000,
+                    inflationRate: 6,
+                    years: 15,
+                    expectedReturn: 12,
+                    stepUpRate: 10
+                }
+            ];
+        };
+
+        runner.it('should create simulator instance', () => {
+            beforeEach();
+            assertEqual(simulator instanceof MonteCarloSimulator, true);
+        });
+
+        runner.describe('simulateGoal', () => {
+            runner.it('should produce identical results for the same seed', () => {
+                beforeEach();
+                const first = simulator.simulateGoal(sampleGoals[0]);
+                const second = simulator.simulateGoal(sampleGoals[0]);
+                assertDeepEqual(first, second);
+            });
+
+            runner.it('should produce different results for different seeds', () => {
+                beforeEach();
+                const first = simulator.simulateGoal(sampleGoals[0], { seed: 1 });
+                const second = simulator.simulateGoal(sampleGoals[0], { seed: 2 });
+                assertTrue(first.percentiles.p50 !== second.percentiles.p50);
+            });
+
+            runner.it('should match the deterministic corpus with zero volatility', () => {
+                beforeEach();
+                const result = simulator.simulateGoal(sampleGoals[0], { volatility: 0 });
+                assertApproximately(result.percentiles.p10, result.target, result.target * 0.001);
+                assertEqual(result.percentiles.p10, result.percentiles.p90);
+            });
+
+            runner.it('should report ordered percentiles', () => {
+                beforeEach();
+                const result = simulator.simulateGoal(sampleGoals[0]);
+                assertLessThan(result.percentiles.p10, result.percentiles.p50);
+                assertLessThan(result.percentiles.p50, result.percentiles.p90);
+            });
+
+            runner.it('should report probability between 0 and 1', () => {
+                beforeEach();
+                const result = simulator.simulateGoal(sampleGoals[0]);
+                assertTrue(result.probability >= 0 && result.probability <= 1);
+            });
+
+            runner.it('should show sequence risk lowering success below certainty', () => {
+                beforeEach();
+                const result = simulator.simulateGoal(sampleGoals[0], { volatility: 20 });
+                assertLessThan(result.probability, 0.9);
+            });
+
+            runner.it('should raise probability with a higher mean return', () => {
+                beforeEach();
+                const base = simulator.simulateGoal(sampleGoals[0]);
+                const optimistic = simulator.simulateGoal(sampleGoals[0], { mean: 16 });
+                assertGreaterThan(optimistic.probability, base.probability);
+            });
+
+            runner.it('should include goal identity, target and SIP', () => {
+                beforeEach();
+                const result = simulator.simulateGoal(sampleGoals[0]);
+                assertEqual(result.goalId, 1);
+                assertEqual(result.goalName, 'House');
+                assertEqual(result.target, calculator.calculateGoalTarget(sampleGoals[0]));
+                assertEqual(result.monthlySIP, calculator.calculateMonthlySIP(result.target, 10, 12, 0));
+            });
+        });
+
+        runner.describe('simulatePlan', () => {
+            runner.it('should report a result for every goal', () => {
+                beforeEach();
+                const result = simulator.simulatePlan(sampleGoals);
+                assertLength(result.goals, 2);
+                assertEqual(result.iterations, 500);
+            });
+
+            runner.it('should not exceed the weakest goal probability for the whole plan', () => {
+                beforeEach();
+                const result = simulator.simulatePlan(sampleGoals);
+                const weakest = Math.min(...result.goals.map(goal => goal.probability));
+                assertTrue(result.probability <= weakest);
+            });
+
+            runner.it('should total the targets of all goals', () => {
+                beforeEach();
+                const result = simulator.simulatePlan(sampleGoals);
+                assertEqual(result.totalTarget, result.goals[0].target + result.goals[1].target);
+            });
+
+            runner.it('should handle an empty plan', () => {
+                beforeEach();
+                const result = simulator.simulatePlan([]);
+                assertLength(result.goals, 0);
+                assertEqual(result.probability, 0);
+                assertEqual(result.percentiles.p50, 0);
+            });
+        });
+
+        runner.describe('calculatePercentile', () => {
+            runner.it('should interpolate between values', () => {
+                beforeEach();
+                assertEqual(simulator.calculatePercentile([10, 20, 30, 40, 50], 50), 30);
+                assertEqual(simulator.calculatePercentile([10, 20], 50), 15);
+            });
+
+            runner.it('should return 0 for no values', () => {
+                beforeEach();
+                assertEqual(simulator.calculatePercentile([], 90), 0);
+            });
+        });
+
+        runner.describe('asset allocation', () => {
+            runner.it('should follow the glide path returns with zero volatility', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoals[0],
+                    allocation: {
+                        weights: { equity: 80, debt: 20, gold: 0 },
+                        returns: { equity: 13, debt: 7, gold: 0 },
+                        glidePath: { years: 3, shift: 20 }
+                    }
+                };
+                const result = simulator.simulateGoal(goal, { volatility: 0 });
+                assertApproximately(result.percentiles.p50, result.target, result.target * 0.001);
+                assertEqual(result.monthlySIP, calculator.calculateGoalSIP(goal));
+            });
+        });
+
+        runner.describe('existing corpus and lump sums', () => {
+            runner.it('should reach the target with zero volatility', () => {
+                beforeEach();
+                const goal = { ...sampleGoals[0], existingCorpus: 500000, lumpSums: [{ year: 4, amount: 300000 }] };
+                const result = simulator.simulateGoal(goal, { volatility: 0 });
+                assertApproximately(result.percentiles.p50, result.target, result.target * 0.001);
+                assertLessThan(result.monthlySIP, calculator.calculateGoalSIP(sampleGoals[0]));
+            });
+        });
+    });
+}
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for SnapshotStore and SnapshotComparer
+ */
+
+import { SnapshotStore, SnapshotComparer } from '../../js/snapshots.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertLength,
+    assertTrue,
+    assertFalse,
+    assertNull
+} from '../test-runner.js';
+
+export function runSnapshotsTests(runner) {
+    runner.describe('SnapshotStore', () => {
+        const key = 'multigoal-sip-snapshots';
+        const envelope = goals => ({ schemaVersion: 1, savedAt: '2024-01-01T00:00:00.000Z', goals });
+
+        runner.it('should record snapshots under the given key and load them newest first', () => {
+            const adapter = new MemoryStorageAdapter();
+            const store = new SnapshotStore();
+
+            assertTrue(store.record(adapter, key, envelope([{ id: 1, name: 'House' }])));
+            assertTrue(store.record(adapter, key, envelope([])));
+
+            const snapshots = store.load(adapter, key);
+            assertDeepEqual(snapshots.map(snapshot => snapshot.id), [2, 1]);
+            assertEqual(snapshots[1].goals[0].name, 'House');
+            assertLength(store.load(adapter, `${key}:other`), 0);
+        });
+
+        runner.it('should not record goals that match the latest snapshot', () => {
+            const adapter = new MemoryStorageAdapter();
+            const store = new SnapshotStore();
+
+            store.record(adapter, key, envelope([{ id: 1, name: 'House' }]));
+            assertFalse(store.record(adapter, key, envelope([{ id: 1, name: 'House' }])));
+            assertLength(store.load(adapter, key), 1);
+        });
+
+        runner.it('should find a snapshot by ID', () => {
+            const adapter = new MemoryStorageAdapter();
+            const store = new SnapshotStore();
+            store.record(adapter, key, envelope([{ id: 1, name: 'House' }]));
+
+            assertEqual(store.find(adapter, key, 1).goals[0].name, 'House');
+            assertNull(store.find(adapter, key, 2));
+        });
+
+        runner.it('should not throw when the snapshots cannot be written', () => {
+            const adapter = new MemoryStorageAdapter();
+            adapter.setItem = () => {
+                throw new Error('Quota exceeded');
+            };
+
+            assertFalse(new SnapshotStore().record(adapter, key, envelope([])));
+        });
+    });
+
+    runner.describe('SnapshotComparer', () => {
+        const comparer = new SnapshotComparer();
+        const house = { id: 1, name: 'House', currentPrice: 5000000, years: 10 };
+        const car = { id: 2, name: 'Car', currentPrice: 800000, years: 3 };
+
+        runner.it('should find no differences between identical goals', () => {
+            const diff = comparer.compare([house, car], [{ ...house }, { ...car }]);
+            assertLength(diff.added, 0);
+            assertLength(diff.removed, 0);
+            assertLength(diff.changed, 0);
+            assertEqual(diff.unchanged, 2);
+        });
+
+        runner.it('should list added and removed goals', () => {
+            const diff = comparer.compare([house], [car]);
+            assertEqual(diff.added[0].name, 'Car');
+            assertEqual(diff.removed[0].name, 'House');
+            assertEqual(diff.unchanged, 0);
+        });
+
+        runner.it('should list the fields of changed goals', () => {
+            const after = { ...house, name: 'Bigger House', years: 12, lumpSums: [{ year: 2, amount: 100000 }] };
+            const diff = comparer.compare([house, car], [after, car]);
+
+            assertLength(diff.changed, 1);
+            assertEqual(diff.changed[0].id, 1);
+            assertEqual(diff.changed[0].name, 'Bigger House');
+            assertDeepEqual(diff.changed[0].fields, ['name', 'years', 'lumpSums']);
+            assertEqual(diff.changed[0].before.years, 10);
+            assertEqual(diff.changed[0].after.years, 12);
+            assertEqual(diff.unchanged, 1);
+        });
+
+        runner.it('should match goals by ID, not by position or name', () => {
+            const diff = comparer.compare([house, car], [car, { ...house, id: 3 }]);
+            assertEqual(diff.added[0].id, 3);
+            assertEqual(diff.removed[0].id, 1);
+            assertEqual(diff.unchanged, 1);
+        });
+
+        runner.it('should handle missing goal lists', () => {
+            const diff = comparer.compare(null, [house]);
+            assertLength(diff.added, 1);
+        });
+    });
+}
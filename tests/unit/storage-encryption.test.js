@@ -0,0 +1,81 @@
+/**
+ * Unit tests for StorageEncryption
+ */
+
+import { StorageEncryption } from '../../js/storage-encryption.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import { EncryptionService } from '../../js/encryption.js';
+import {
+    assertEqual,
+    assertNull,
+    assertTrue,
+    assertFalse
+} from '../test-runner.js';
+
+export function runStorageEncryptionTests(runner) {
+    runner.describe('StorageEncryption', () => {
+        const encryption = new EncryptionService(globalThis.crypto, 1000);
+        const keys = ['goals', 'settings'];
+
+        const rejectionMessage = async (promise) => {
+            try {
+                await promise;
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        runner.it('should encrypt the given keys and return an adapter that reads them', async () => {
+            const base = new MemoryStorageAdapter({ goals: '[{"name":"House"}]', theme: 'dark' });
+            const storageEncryption = new StorageEncryption(base, encryption);
+
+            const adapter = await storageEncryption.enable('correct horse', base, keys);
+
+            assertTrue(storageEncryption.isEncrypted());
+            assertTrue(encryption.isEncrypted(JSON.parse(base.getItem('goals'))));
+            assertEqual(base.getItem('theme'), 'dark');
+            assertEqual(adapter.getItem('goals'), '[{"name":"House"}]');
+        });
+
+        runner.it('should unlock only with the right passphrase', async () => {
+            const base = new MemoryStorageAdapter({ goals: '[]' });
+            await new StorageEncryption(base, encryption).enable('correct horse', base, keys);
+            const storageEncryption = new StorageEncryption(base, encryption);
+
+            assertEqual(await rejectionMessage(storageEncryption.unlock('battery staple', keys)), 'Incorrect passphrase');
+            assertEqual((await storageEncryption.unlock('correct horse', keys)).getItem('goals'), '[]');
+        });
+
+        runner.it('should save the keys unencrypted again and return the base adapter', async () => {
+            const base = new MemoryStorageAdapter({ goals: '[]' });
+            const storageEncryption = new StorageEncryption(base, encryption);
+            const adapter = await storageEncryption.enable('correct horse', base, keys);
+
+            assertEqual(await storageEncryption.disable('correct horse', adapter, keys), base);
+            assertFalse(storageEncryption.isEncrypted());
+            assertEqual(base.getItem('goals'), '[]');
+        });
+
+        runner.it('should refuse changes while the base adapter is in use', async () => {
+            const base = new MemoryStorageAdapter();
+            const storageEncryption = new StorageEncryption(base, encryption);
+            await storageEncryption.enable('correct horse', base, keys);
+
+            assertEqual(await rejectionMessage(storageEncryption.enable('correct horse', base, keys)), 'Saved data is already encrypted');
+            assertEqual(await rejectionMessage(storageEncryption.changePassphrase('correct horse', 'battery staple', base, keys)), 'Saved data is not unlocked');
+            assertEqual(await rejectionMessage(storageEncryption.disable('correct horse', base, keys)), 'Saved data is not unlocked');
+        });
+
+        runner.it('should erase the keys and the key parameters', async () => {
+            const base = new MemoryStorageAdapter({ goals: '[]', theme: 'dark' });
+            const storageEncryption = new StorageEncryption(base, encryption);
+            await storageEncryption.enable('correct horse', base, keys);
+
+            assertEqual(await storageEncryption.erase(keys), base);
+            assertFalse(storageEncryption.isEncrypted());
+            assertNull(base.getItem('goals'));
+            assertEqual(base.getItem('theme'), 'dark');
+        });
+    });
+}
@@ -3,13 +3,18 @@
  */
 
 import { StorageService } from '../../js/storage.js';
+import { SchemaMigrator } from '../../js/migrations.js';
+import { LocalStorageAdapter } from '../../js/local-storage-adapter.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import { EncryptionService } from '../../js/encryption.js';
 import { 
-    assertEqual, 
+    assertEqual,
     assertDeepEqual,
     assertNull,
     assertTrue,
     assertFalse,
-    assertLength
+    assertLength,
+    assertNotNull
 } from '../test-runner.js';
 import { MockHelper } from '../test-runner.js';
 
@@ -94,7 +99,7 @@ export function runStorageTests(runner) {
                 afterEach();
             });
 
-            runner.it('should save goals as JSON', () => {
+            runner.it('should save goals as JSON in a versioned envelope', () => {
                 beforeEach();
                 const goals = [
                     { id: '1', name: 'Goal 1', currentPrice: 100000, inflationRate: 6, years: 10, expectedReturn: 12, stepUpRate: 0 }
@@ -103,7 +108,10 @@ export function runStorageTests(runner) {
                 storageService.saveGoals(goals);
                 const stored = mockLocalStorage.getItem('multigoal-sip-goals');
                 const parsed = JSON.parse(stored);
-                assertDeepEqual(parsed, goals);
+                assertDeepEqual(parsed.goals, goals);
+                assertEqual(parsed.schemaVersion, 1);
+                assertEqual(parsed.appVersion, '1.0.0');
+                assertFalse(isNaN(Date.parse(parsed.savedAt)));
                 afterEach();
             });
 
@@ -111,7 +119,7 @@ export function runStorageTests(runner) {
                 beforeEach();
                 storageService.saveGoals([]);
                 const stored = mockLocalStorage.getItem('multigoal-sip-goals');
-                assertEqual(stored, '[]');
+                assertDeepEqual(JSON.parse(stored).goals, []);
                 afterEach();
             });
 
@@ -124,7 +132,7 @@ export function runStorageTests(runner) {
                 storageService.saveGoals(goals2);
                 
                 const stored = mockLocalStorage.getItem('multigoal-sip-goals');
-                const parsed = JSON.parse(stored);
+                const parsed = JSON.parse(stored).goals;
                 assertLength(parsed, 1);
                 assertEqual(parsed[0].id, '2');
                 afterEach();
@@ -207,6 +215,754 @@ export function runStorageTests(runner) {
                 afterEach();
             });
         });
+
+        runner.describe('settings', () => {
+            runner.it('should save and load settings', () => {
+                beforeEach();
+                const settings = { budget: 25000, strategy: 'proportional' };
+                assertTrue(storageService.saveSettings(settings));
+                assertDeepEqual(storageService.loadSettings(), settings);
+                afterEach();
+            });
+
+            runner.it('should keep settings separate from goals', () => {
+                beforeEach();
+                storageService.saveSettings({ budget: 25000 });
+                assertLength(storageService.loadGoals(), 0);
+                storageService.clearGoals();
+                assertEqual(storageService.loadSettings().budget, 25000);
+                afterEach();
+            });
+
+            runner.it('should return empty object when no settings are stored', () => {
+                beforeEach();
+                assertDeepEqual(storageService.loadSettings(), {});
+                afterEach();
+            });
+
+            runner.it('should return empty object for invalid settings data', () => {
+                beforeEach();
+                mockLocalStorage.setItem('multigoal-sip-settings', '[1, 2]');
+                assertDeepEqual(storageService.loadSettings(), {});
+                mockLocalStorage.setItem('multigoal-sip-settings', 'not json');
+                assertDeepEqual(storageService.loadSettings(), {});
+                afterEach();
+            });
+        });
+
+        runner.describe('history', () => {
+            runner.it('should save and load the undo/redo history', () => {
+                beforeEach();
+                const history = { undo: [{ label: 'add "House"', before: [], after: [{ id: 1 }] }], redo: [] };
+                assertTrue(storageService.saveHistory(history));
+                assertDeepEqual(storageService.loadHistory(), history);
+                assertLength(storageService.loadGoals(), 0);
+                afterEach();
+            });
+
+            runner.it('should return empty stacks when no history is stored', () => {
+                beforeEach();
+                assertDeepEqual(storageService.loadHistory(), { undo: [], redo: [] });
+                afterEach();
+            });
+
+            runner.it('should return empty stacks for invalid history data', () => {
+                beforeEach();
+                mockLocalStorage.setItem('multigoal-sip-history', '{"undo": 1}');
+                assertDeepEqual(storageService.loadHistory(), { undo: [], redo: [] });
+                mockLocalStorage.setItem('multigoal-sip-history', 'not json');
+                assertDeepEqual(storageService.loadHistory(), { undo: [], redo: [] });
+                afterEach();
+            });
+        });
+
+        runner.describe('schema migrations', () => {
+            const legacyGoals = [
+                { id: 1700000000000, name: 'House', currentPrice: 5000000, inflationRate: 7, years: 10, expectedReturn: 12, stepUpRate: 0 }
+            ];
+
+            runner.it('should migrate a bare goals array and save it in the current schema', () => {
+                beforeEach();
+                mockLocalStorage.setItem('multigoal-sip-goals', JSON.stringify(legacyGoals));
+                const loaded = storageService.loadGoals();
+                assertEqual(loaded[0].startDate, '2023-11-14');
+                const stored = JSON.parse(mockLocalStorage.getItem('multigoal-sip-goals'));
+                assertEqual(stored.schemaVersion, 1);
+                assertDeepEqual(stored.goals, loaded);
+                afterEach();
+            });
+
+            runner.it('should back up the data before migrating', () => {
+                beforeEach();
+                assertNull(storageService.loadBackup());
+                mockLocalStorage.setItem('multigoal-sip-goals', JSON.stringify(legacyGoals));
+                storageService.loadGoals();
+                assertDeepEqual(storageService.loadBackup(), legacyGoals);
+                afterEach();
+            });
+
+            runner.it('should not migrate or back up current data', () => {
+                beforeEach();
+                storageService.saveGoals(legacyGoals);
+                const stored = mockLocalStorage.getItem('multigoal-sip-goals');
+                assertDeepEqual(storageService.loadGoals(), legacyGoals);
+                assertEqual(mockLocalStorage.getItem('multigoal-sip-goals'), stored);
+                assertNull(storageService.loadBackup());
+                afterEach();
+            });
+
+            runner.it('should load data from a newer schema without migrating it', () => {
+                beforeEach();
+                const newer = { schemaVersion: 99, savedAt: '2030-01-01T00:00:00.000Z', appVersion: '9.0.0', goals: legacyGoals };
+                mockLocalStorage.setItem('multigoal-sip-goals', JSON.stringify(newer));
+                assertDeepEqual(storageService.loadGoals(), legacyGoals);
+                assertEqual(JSON.parse(mockLocalStorage.getItem('multigoal-sip-goals')).schemaVersion, 99);
+                afterEach();
+            });
+
+            runner.it('should keep the backup when a migration fails', () => {
+                beforeEach();
+                const failing = new SchemaMigrator([() => {
+                    throw new Error('Broken migration');
+                }]);
+                storageService = new StorageService(new LocalStorageAdapter(), 'multigoal-sip-goals', failing);
+                mockLocalStorage.setItem('multigoal-sip-goals', JSON.stringify(legacyGoals));
+                assertDeepEqual(storageService.loadGoals(), []);
+                assertDeepEqual(storageService.loadBackup(), legacyGoals);
+                afterEach();
+            });
+        });
+
+        runner.describe('storage adapters', () => {
+            runner.it('should read and write through the given adapter', () => {
+                beforeEach();
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveSettings({ budget: 25000 });
+                assertEqual(service.loadGoals()[0].name, 'House');
+                assertEqual(service.loadSettings().budget, 25000);
+                assertEqual(JSON.parse(adapter.getItem('multigoal-sip-goals')).goals.length, 1);
+                assertNull(mockLocalStorage.getItem('multigoal-sip-goals'));
+                assertFalse(service.isAvailable());
+                afterEach();
+            });
+
+            runner.it('should save and load the theme', () => {
+                beforeEach();
+                assertNull(storageService.loadTheme());
+                assertTrue(storageService.saveTheme('dark'));
+                assertEqual(storageService.loadTheme(), 'dark');
+                assertEqual(mockLocalStorage.getItem('multigoal-sip-theme'), 'dark');
+                afterEach();
+            });
+
+            runner.it('should move data saved through another adapter', async () => {
+                beforeEach();
+                storageService.saveGoals([{ id: 1, name: 'House' }]);
+                storageService.saveSettings({ budget: 25000 });
+                storageService.saveTheme('dark');
+                const target = new StorageService(new MemoryStorageAdapter());
+
+                const moved = await target.importFrom(new LocalStorageAdapter());
+                assertEqual(moved, 4);
+                assertEqual(target.loadGoals()[0].name, 'House');
+                assertEqual(target.loadSnapshots()[0].goals[0].name, 'House');
+                assertEqual(target.loadSettings().budget, 25000);
+                assertEqual(target.loadTheme(), 'dark');
+                assertNull(mockLocalStorage.getItem('multigoal-sip-goals'));
+                assertNull(mockLocalStorage.getItem('multigoal-sip-theme'));
+                afterEach();
+            });
+
+            runner.it('should keep data already saved in the target', async () => {
+                beforeEach();
+                storageService.saveTheme('dark');
+                const target = new StorageService(new MemoryStorageAdapter({ 'multigoal-sip-theme': 'light' }));
+                assertEqual(await target.importFrom(new LocalStorageAdapter()), 0);
+                assertEqual(target.loadTheme(), 'light');
+                assertEqual(mockLocalStorage.getItem('multigoal-sip-theme'), 'dark');
+                afterEach();
+            });
+
+            runner.it('should leave the source untouched when saving fails', async () => {
+                beforeEach();
+                storageService.saveGoals([{ id: 1, name: 'House' }]);
+                const failingAdapter = new MemoryStorageAdapter();
+                failingAdapter.flush = () => Promise.reject(new Error('Quota exceeded'));
+                const target = new StorageService(failingAdapter);
+
+                let message = '';
+                try {
+                    await target.importFrom(new LocalStorageAdapter());
+                } catch (error) {
+                    message = error.message;
+                }
+                assertEqual(message, 'Quota exceeded');
+                assertNotNull(mockLocalStorage.getItem('multigoal-sip-goals'));
+                afterEach();
+            });
+        });
+
+        runner.describe('sync', () => {
+            // Two channels that deliver to each other synchronously, like BroadcastChannel across tabs
+            const createChannelPair = () => {
+                const channels = [0, 1].map(() => ({
+                    listeners: [],
+                    closed: false,
+                    addEventListener(type, listener) {
+                        this.listeners.push(listener);
+                    },
+                    postMessage(data) {
+                        const other = channels.find(channel => channel !== this);
+                        if (!other.closed) {
+                            other.listeners.forEach(listener => listener({ data: JSON.parse(JSON.stringify(data)) }));
+                        }
+                    },
+                    close() {
+                        this.closed = true;
+                    }
+                }));
+                return channels;
+            };
+
+            runner.it('should send other tabs the goals before and after a save', () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const tabB = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tabA.startSync(channelA, () => {});
+                tabB.startSync(channelB, message => received.push(message));
+
+                tabA.saveGoals([{ id: 1, name: 'House' }]);
+                tabA.saveGoals([{ id: 1, name: 'House' }, { id: 2, name: 'Car' }]);
+
+                assertEqual(received.length, 2);
+                assertEqual(received[1].type, 'goals');
+                assertDeepEqual(received[1].previousGoals, [{ id: 1, name: 'House' }]);
+                assertEqual(received[1].goals.length, 2);
+                assertDeepEqual(received[1].revision, tabA.getLastRevision());
+                assertEqual(received[1].revision.tabId, tabA.tabSync.tabId);
+            });
+
+            runner.it('should compare the next save with goals received from another tab', () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const tabB = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tabA.startSync(channelA, message => received.push(message));
+                tabB.startSync(channelB, () => {});
+
+                tabA.saveGoals([{ id: 1, name: 'House' }]);
+                tabB.saveGoals([{ id: 1, name: 'House' }, { id: 2, name: 'Car' }]);
+
+                assertDeepEqual(received[0].previousGoals, [{ id: 1, name: 'House' }]);
+                assertEqual(tabB.getLastRevision().tabId, tabB.tabSync.tabId);
+            });
+
+            runner.it('should send theme changes', () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const tabB = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tabA.startSync(channelA, () => {});
+                tabB.startSync(channelB, message => received.push(message));
+
+                tabA.saveTheme('dark');
+                assertEqual(received[0].type, 'theme');
+                assertEqual(received[0].theme, 'dark');
+            });
+
+            runner.it('should ignore its own messages', () => {
+                const [channelA, channelB] = createChannelPair();
+                const tab = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tab.startSync(channelA, message => received.push(message));
+
+                channelB.postMessage({ type: 'theme', theme: 'dark', tabId: tab.tabSync.tabId });
+                channelB.postMessage({ type: 'theme', theme: 'dark', tabId: 'other' });
+                assertEqual(received.length, 1);
+            });
+
+            runner.it('should compare the next save with the goals as loaded, not as changed since', () => {
+                const [channelA, channelB] = createChannelPair();
+                const adapter = new MemoryStorageAdapter();
+                new StorageService(adapter).saveGoals([{ id: 1, name: 'House' }]);
+                const tab = new StorageService(adapter);
+                const received = [];
+                tab.startSync(channelA, () => {});
+                channelB.addEventListener('message', event => received.push(event.data));
+
+                const goals = tab.loadGoals();
+                goals.push({ id: 2, name: 'Car' });
+                tab.saveGoals(goals);
+
+                assertDeepEqual(received[0].previousGoals, [{ id: 1, name: 'House' }]);
+            });
+
+            runner.it('should use goals another tab saved when a profile is opened or read', async () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const tabB = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tabA.startSync(channelA, message => received.push(message));
+                tabB.startSync(channelB, () => {});
+
+                await tabB.useProfile('spouse');
+                tabB.saveGoals([{ id: 1, name: 'Car' }]);
+
+                assertEqual(received[0].profileId, 'spouse');
+                assertEqual(tabA.loadProfileGoals('spouse')[0].name, 'Car');
+                await tabA.useProfile('spouse');
+                assertEqual(tabA.loadGoals()[0].name, 'Car');
+            });
+
+            runner.it('should keep snapshots of goals another tab saved for the open profile', async () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const tabB = new StorageService(new MemoryStorageAdapter());
+                tabA.startSync(channelA, () => {});
+                tabB.startSync(channelB, () => {});
+
+                tabB.saveGoals([{ id: 1, name: 'House' }]);
+                assertEqual(tabA.loadSnapshots()[0].goals[0].name, 'House');
+                assertEqual(tabA.loadSnapshots()[0].savedAt, new Date(tabB.getLastRevision().time).toISOString());
+
+                await tabB.useProfile('spouse');
+                tabB.saveGoals([{ id: 2, name: 'Car' }]);
+                assertLength(tabA.loadSnapshots(), 1);
+            });
+
+            runner.it('should stop sending and close the channel', () => {
+                const [channelA, channelB] = createChannelPair();
+                const tabA = new StorageService(new MemoryStorageAdapter());
+                const received = [];
+                tabA.startSync(channelA, () => {});
+                channelB.addEventListener('message', event => received.push(event.data));
+
+                tabA.stopSync();
+                assertTrue(tabA.saveGoals([{ id: 1, name: 'House' }]));
+                assertTrue(channelA.closed);
+                assertEqual(received.length, 0);
+            });
+        });
+
+        runner.describe('encryption', () => {
+            const encryption = new EncryptionService(globalThis.crypto, 1000);
+            const goals = [{ id: 1, name: 'House', currentPrice: 5000000 }];
+
+            const createService = adapter => new StorageService(adapter, 'multigoal-sip-goals', new SchemaMigrator(), encryption);
+
+            const rejectionMessage = async (promise) => {
+                try {
+                    await promise;
+                } catch (error) {
+                    return error.message;
+                }
+                return '';
+            };
+
+            runner.it('should encrypt goals, settings and history but not the theme', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveGoals(goals);
+                service.saveSettings({ budget: 25000 });
+                service.saveTheme('dark');
+
+                await service.enableEncryption('correct horse');
+                service.saveHistory({ undo: [{ label: 'add "House"', before: [], after: goals }], redo: [] });
+                await service.adapter.flush();
+
+                assertTrue(service.isEncrypted());
+                assertFalse(service.isLocked());
+                ['multigoal-sip-goals', 'multigoal-sip-snapshots', 'multigoal-sip-settings', 'multigoal-sip-history'].forEach(key => {
+                    assertTrue(encryption.isEncrypted(JSON.parse(adapter.getItem(key))));
+                });
+                assertFalse(adapter.getItem('multigoal-sip-goals').includes('House'));
+                assertEqual(adapter.getItem('multigoal-sip-theme'), 'dark');
+                assertEqual(service.loadGoals()[0].name, 'House');
+                assertEqual(service.loadSettings().budget, 25000);
+            });
+
+            runner.it('should stay locked until unlocked with the passphrase', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveGoals(goals);
+                await service.enableEncryption('correct horse');
+
+                const reopened = createService(adapter);
+                assertTrue(reopened.isLocked());
+                assertEqual(reopened.loadTheme(), null);
+                assertEqual(await rejectionMessage(reopened.unlock('battery staple')), 'Incorrect passphrase');
+                assertTrue(reopened.isLocked());
+
+                await reopened.unlock('correct horse');
+                assertFalse(reopened.isLocked());
+                assertEqual(reopened.loadGoals()[0].name, 'House');
+            });
+
+            runner.it('should change the passphrase', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveGoals(goals);
+                await service.enableEncryption('correct horse');
+
+                assertEqual(await rejectionMessage(service.changePassphrase('wrong passphrase', 'battery staple')), 'Incorrect passphrase');
+                await service.changePassphrase('correct horse', 'battery staple');
+                service.saveGoals([...goals, { id: 2, name: 'Car' }]);
+                await service.adapter.flush();
+
+                const reopened = createService(adapter);
+                assertEqual(await rejectionMessage(reopened.unlock('correct horse')), 'Incorrect passphrase');
+                await reopened.unlock('battery staple');
+                assertLength(reopened.loadGoals(), 2);
+            });
+
+            runner.it('should turn encryption off', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveGoals(goals);
+                await service.enableEncryption('correct horse');
+
+                assertEqual(await rejectionMessage(service.disableEncryption('wrong passphrase')), 'Incorrect passphrase');
+                await service.disableEncryption('correct horse');
+
+                assertFalse(service.isEncrypted());
+                assertNull(adapter.getItem('multigoal-sip-encryption'));
+                assertEqual(JSON.parse(adapter.getItem('multigoal-sip-goals')).goals[0].name, 'House');
+                assertEqual(createService(adapter).loadGoals()[0].name, 'House');
+            });
+
+            runner.it('should refuse to encrypt twice or to change a passphrase while locked', async () => {
+                const adapter = new MemoryStorageAdapter();
+                await createService(adapter).enableEncryption('correct horse');
+
+                const locked = createService(adapter);
+                assertEqual(await rejectionMessage(locked.enableEncryption('battery staple')), 'Saved data is already encrypted');
+                assertEqual(await rejectionMessage(locked.changePassphrase('correct horse', 'battery staple')), 'Saved data is not unlocked');
+                assertEqual(await rejectionMessage(createService(new MemoryStorageAdapter()).disableEncryption('correct horse')), 'Saved data is not unlocked');
+            });
+
+            runner.it('should erase encrypted data but keep the theme', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveGoals(goals);
+                service.saveTheme('dark');
+                await service.enableEncryption('correct horse');
+
+                const locked = createService(adapter);
+                await locked.eraseEncryptedData();
+                assertFalse(locked.isEncrypted());
+                assertLength(locked.loadGoals(), 0);
+                assertEqual(locked.loadTheme(), 'dark');
+            });
+
+            runner.it('should move the encryption settings with the data', async () => {
+                const source = new MemoryStorageAdapter();
+                const service = createService(source);
+                service.saveGoals(goals);
+                await service.enableEncryption('correct horse');
+
+                const target = createService(new MemoryStorageAdapter());
+                await target.importFrom(source);
+                assertTrue(target.isLocked());
+                await target.unlock('correct horse');
+                assertEqual(target.loadGoals()[0].name, 'House');
+            });
+
+            runner.it('should encrypt the data of every profile, including profiles added later', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = createService(adapter);
+                service.saveProfiles({ activeProfileId: 'default', profiles: [{ id: 'default', name: 'Me' }, { id: 'spouse', name: 'Spouse' }] });
+                await service.useProfile('spouse');
+                service.saveGoals([{ id: 2, name: 'Car' }]);
+                await service.enableEncryption('correct horse');
+                assertFalse(adapter.getItem('multigoal-sip-goals:spouse').includes('Car'));
+
+                service.saveProfiles({ activeProfileId: 'spouse', profiles: [{ id: 'default', name: 'Me' }, { id: 'spouse', name: 'Spouse' }, { id: 'child', name: 'Child' }] });
+                await service.useProfile('child');
+                service.saveGoals([{ id: 3, name: 'School' }]);
+                await service.adapter.flush();
+                assertFalse(adapter.getItem('multigoal-sip-goals:child').includes('School'));
+
+                const reopened = createService(adapter);
+                await reopened.unlock('correct horse');
+                assertEqual(reopened.loadProfileGoals('child')[0].name, 'School');
+                assertEqual(reopened.loadProfileGoals('spouse')[0].name, 'Car');
+            });
+
+            runner.it('should tell other tabs when encryption changes', async () => {
+                const messages = [];
+                const service = createService(new MemoryStorageAdapter());
+                service.startSync({
+                    addEventListener: () => {},
+                    postMessage: message => messages.push(message),
+                    close: () => {}
+                }, () => {});
+
+                await service.enableEncryption('correct horse');
+                assertEqual(messages[messages.length - 1].type, 'encryption');
+            });
+        });
+
+        runner.describe('snapshots', () => {
+            runner.it('should keep a snapshot of each change, newest first', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                assertLength(service.loadSnapshots(), 0);
+
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveGoals([{ id: 1, name: 'House' }, { id: 2, name: 'Car' }]);
+
+                const snapshots = service.loadSnapshots();
+                assertLength(snapshots, 2);
+                assertEqual(snapshots[0].id, 2);
+                assertLength(snapshots[0].goals, 2);
+                assertEqual(snapshots[1].goals[0].name, 'House');
+                assertEqual(snapshots[0].schemaVersion, new SchemaMigrator().getCurrentVersion());
+                assertTrue(!Number.isNaN(Date.parse(snapshots[0].savedAt)));
+            });
+
+            runner.it('should not keep a snapshot when the goals did not change', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                assertLength(service.loadSnapshots(), 1);
+            });
+
+            runner.it('should keep at most 50 snapshots', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+
+                for (let i = 1; i <= 55; i++) {
+                    service.saveGoals([{ id: 1, name: 'House', years: i }]);
+                }
+
+                const snapshots = service.loadSnapshots();
+                assertLength(snapshots, 50);
+                assertEqual(snapshots[0].goals[0].years, 55);
+                assertEqual(snapshots[49].goals[0].years, 6);
+            });
+
+            runner.it('should drop the oldest snapshots when they grow too large', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                const notes = 'x'.repeat(200 * 1024);
+
+                service.saveGoals([{ id: 1, name: 'House', notes: `a${notes}` }]);
+                service.saveGoals([{ id: 1, name: 'House', notes: `b${notes}` }]);
+                service.saveGoals([{ id: 1, name: 'House', notes: `c${notes}` }]);
+
+                const snapshots = service.loadSnapshots();
+                assertLength(snapshots, 2);
+                assertEqual(snapshots[1].id, 2);
+            });
+
+            runner.it('should find a snapshot by ID', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveGoals([]);
+
+                assertEqual(service.getSnapshot(1).goals[0].name, 'House');
+                assertLength(service.getSnapshot(2).goals, 0);
+                assertNull(service.getSnapshot(3));
+            });
+
+            runner.it('should migrate snapshots saved with an older schema', () => {
+                const adapter = new MemoryStorageAdapter();
+                new StorageService(adapter).saveGoals([{ id: 1, name: 'House' }]);
+
+                const current = new SchemaMigrator();
+                const next = new SchemaMigrator([
+                    ...current.migrations,
+                    payload => ({ ...payload, schemaVersion: 2, goals: payload.goals.map(goal => ({ ...goal, migrated: true })) })
+                ]);
+                const snapshot = new StorageService(adapter, 'multigoal-sip-goals', next).getSnapshot(1);
+
+                assertEqual(snapshot.schemaVersion, 2);
+                assertTrue(snapshot.goals[0].migrated);
+            });
+
+            runner.it('should ignore invalid snapshot data', () => {
+                const service = new StorageService(new MemoryStorageAdapter({ 'multigoal-sip-snapshots': '[{"id":"x"}]' }));
+                assertLength(service.loadSnapshots(), 0);
+            });
+
+            runner.it('should save the goals even if the snapshot cannot be saved', () => {
+                const adapter = new MemoryStorageAdapter();
+                const setItem = adapter.setItem.bind(adapter);
+                adapter.setItem = (key, value) => {
+                    if (key === 'multigoal-sip-snapshots') {
+                        throw new Error('Quota exceeded');
+                    }
+                    setItem(key, value);
+                };
+                const service = new StorageService(adapter);
+
+                assertTrue(service.saveGoals([{ id: 1, name: 'House' }]));
+                assertEqual(service.loadGoals()[0].name, 'House');
+                assertLength(service.loadSnapshots(), 0);
+            });
+
+            runner.it('should keep each profile\'s snapshots separately', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+                service.saveGoals([{ id: 1, name: 'House' }]);
+
+                await service.useProfile('spouse');
+                assertLength(service.loadSnapshots(), 0);
+                service.saveGoals([{ id: 2, name: 'Car' }]);
+                assertEqual(service.loadSnapshots()[0].goals[0].name, 'Car');
+
+                service.removeProfileData('spouse');
+                assertNull(adapter.getItem('multigoal-sip-snapshots:spouse'));
+                await service.useProfile('default');
+                assertEqual(service.loadSnapshots()[0].goals[0].name, 'House');
+            });
+        });
+
+        runner.describe('CSV column mappings', () => {
+            const columns = ['name', null, 'currentPrice', 'inflationRate', 'years', 'expectedReturn'];
+
+            runner.it('should remember a mapping by header signature for every profile', async () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                assertNull(service.loadCSVMapping('["a"]'));
+
+                assertTrue(service.saveCSVMapping('["a"]', columns));
+                await service.useProfile('spouse');
+                assertDeepEqual(service.loadCSVMapping('["a"]'), columns);
+                assertNull(service.loadCSVMapping('["b"]'));
+            });
+
+            runner.it('should replace a mapping and drop the least recently saved beyond 20', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                for (let i = 0; i < 21; i++) {
+                    service.saveCSVMapping(`["${i}"]`, columns);
+                }
+                service.saveCSVMapping('["1"]', ['name']);
+
+                assertNull(service.loadCSVMapping('["0"]'));
+                assertDeepEqual(service.loadCSVMapping('["1"]'), ['name']);
+                assertDeepEqual(service.loadCSVMapping('["20"]'), columns);
+            });
+
+            runner.it('should ignore invalid saved mappings', () => {
+                const adapter = new MemoryStorageAdapter();
+                adapter.setItem('multigoal-sip-csv-mappings', '{"signature":1}');
+                assertNull(new StorageService(adapter).loadCSVMapping('["a"]'));
+            });
+        });
+
+        runner.describe('profiles', () => {
+            runner.it('should keep the default profile on the keys used before profiles', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+                assertEqual(service.getProfileId(), 'default');
+
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveTheme('dark');
+                assertNotNull(adapter.getItem('multigoal-sip-goals'));
+                assertEqual(adapter.getItem('multigoal-sip-theme'), 'dark');
+            });
+
+            runner.it('should save each profile\'s goals, settings and theme separately', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+                service.saveGoals([{ id: 1, name: 'House' }]);
+                service.saveSettings({ budget: 25000 });
+
+                await service.useProfile('spouse');
+                assertEqual(service.getProfileId(), 'spouse');
+                assertLength(service.loadGoals(), 0);
+                assertDeepEqual(service.loadSettings(), {});
+                service.saveGoals([{ id: 2, name: 'Car' }]);
+                service.saveTheme('dark');
+                assertEqual(JSON.parse(adapter.getItem('multigoal-sip-goals:spouse')).goals[0].name, 'Car');
+                assertEqual(adapter.getItem('multigoal-sip-theme:spouse'), 'dark');
+
+                await service.useProfile('default');
+                assertEqual(service.loadGoals()[0].name, 'House');
+                assertEqual(service.loadSettings().budget, 25000);
+                assertNull(service.loadTheme());
+            });
+
+            runner.it('should save and load the profile list', () => {
+                const service = new StorageService(new MemoryStorageAdapter());
+                assertDeepEqual(service.loadProfiles(), { activeProfileId: 'default', profiles: [] });
+
+                const profiles = { activeProfileId: 'spouse', profiles: [{ id: 'default', name: 'Me' }, { id: 'spouse', name: 'Spouse' }] };
+                assertTrue(service.saveProfiles(profiles));
+                assertDeepEqual(service.loadProfiles(), profiles);
+            });
+
+            runner.it('should fall back to the first profile or the default for a bad profile list', () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+
+                service.saveProfiles({ activeProfileId: 'gone', profiles: [{ id: 'spouse', name: 'Spouse' }] });
+                assertEqual(service.loadProfiles().activeProfileId, 'spouse');
+
+                adapter.setItem('multigoal-sip-profiles', '{"profiles":[{"id":1}]}');
+                assertDeepEqual(service.loadProfiles(), { activeProfileId: 'default', profiles: [] });
+            });
+
+            runner.it('should load another profile\'s goals without opening it', () => {
+                const adapter = new MemoryStorageAdapter({
+                    'multigoal-sip-goals:spouse': JSON.stringify([{ id: 1, name: 'Car', currentPrice: 800000, inflationRate: 6, years: 5, expectedReturn: 10 }])
+                });
+                const service = new StorageService(adapter);
+
+                const goals = service.loadProfileGoals('spouse');
+                assertEqual(goals[0].name, 'Car');
+                assertEqual(goals[0].stepUpRate, 0);
+                assertEqual(service.getProfileId(), 'default');
+                assertLength(service.loadProfileGoals('nobody'), 0);
+            });
+
+            runner.it('should remove all data of a profile', async () => {
+                const adapter = new MemoryStorageAdapter();
+                const service = new StorageService(adapter);
+                await service.useProfile('spouse');
+                service.saveGoals([{ id: 1, name: 'Car' }]);
+                service.saveSettings({ budget: 1000 });
+                service.saveTheme('dark');
+                await service.useProfile('default');
+
+                assertTrue(service.removeProfileData('spouse'));
+                assertNull(adapter.getItem('multigoal-sip-goals:spouse'));
+                assertNull(adapter.getItem('multigoal-sip-settings:spouse'));
+                assertNull(adapter.getItem('multigoal-sip-theme:spouse'));
+            });
+
+            runner.it('should move every profile\'s data to another adapter', async () => {
+                const source = new MemoryStorageAdapter();
+                const service = new StorageService(source);
+                service.saveProfiles({ activeProfileId: 'default', profiles: [{ id: 'default', name: 'Me' }, { id: 'spouse', name: 'Spouse' }] });
+                await service.useProfile('spouse');
+                service.saveGoals([{ id: 1, name: 'Car' }]);
+                service.saveTheme('dark');
+
+                const target = new StorageService(new MemoryStorageAdapter());
+                await target.importFrom(source);
+                assertEqual(target.loadProfiles().profiles.length, 2);
+                assertEqual(target.loadProfileGoals('spouse')[0].name, 'Car');
+                assertNull(source.getItem('multigoal-sip-theme:spouse'));
+            });
+
+            runner.it('should tell other tabs which profile changed', async () => {
+                const messages = [];
+                const service = new StorageService(new MemoryStorageAdapter());
+                service.startSync({
+                    addEventListener: () => {},
+                    postMessage: message => messages.push(message),
+                    close: () => {}
+                }, () => {});
+
+                await service.useProfile('spouse');
+                service.saveGoals([{ id: 1, name: 'Car' }]);
+                service.saveProfiles({ activeProfileId: 'spouse', profiles: [{ id: 'spouse', name: 'Spouse' }] });
+
+                assertEqual(messages[0].profileId, 'spouse');
+                assertEqual(messages[1].type, 'profiles');
+            });
+        });
     });
 }
 
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for SyncMerger
+ */
+
+import { SyncMerger } from '../../js/sync.js';
+import { StorageService } from '../../js/storage.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
+import { GoalManager } from '../../js/goal.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertTrue,
+    assertFalse,
+    assertLength
+} from '../test-runner.js';
+
+export function runSyncTests(runner) {
+    runner.describe('SyncMerger', () => {
+        let merger;
+
+        const beforeEach = () => {
+            merger = new SyncMerger();
+        };
+
+        const house = { id: 1, name: 'House', currentPrice: 5000000 };
+        const car = { id: 2, name: 'Car', currentPrice: 800000 };
+        const earlier = { time: 1000, tabId: 'a' };
+        const later = { time: 2000, tabId: 'b' };
+
+        runner.describe('merge', () => {
+            runner.it('should apply goals added, edited and removed in the other tab', () => {
+                beforeEach();
+                const edited = { ...house, currentPrice: 6000000 };
+                const travel = { id: 3, name: 'Travel', currentPrice: 300000 };
+
+                const { goals, conflicts } = merger.merge([house, car], {
+                    previousGoals: [house, car],
+                    goals: [edited, travel],
+                    revision: later
+                }, earlier);
+
+                assertDeepEqual(goals, [edited, travel]);
+                assertLength(conflicts, 0);
+            });
+
+            runner.it('should keep changes made here to goals the other tab did not change', () => {
+                beforeEach();
+                const editedHere = { ...car, currentPrice: 900000 };
+                const editedThere = { ...house, currentPrice: 6000000 };
+
+                const { goals, conflicts } = merger.merge([house, editedHere], {
+                    previousGoals: [house, car],
+                    goals: [editedThere, car],
+                    revision: earlier
+                }, later);
+
+                assertDeepEqual(goals, [editedThere, editedHere]);
+                assertLength(conflicts, 0);
+            });
+
+            runner.it('should not report a conflict when both tabs made the same change', () => {
+                beforeEach();
+                const edited = { ...house, currentPrice: 6000000 };
+                const { goals, conflicts } = merger.merge([edited], { previousGoals: [house], goals: [edited], revision: earlier }, later);
+                assertDeepEqual(goals, [edited]);
+                assertLength(conflicts, 0);
+            });
+
+            runner.it('should keep the later version when both tabs edited the same goal', () => {
+                beforeEach();
+                const editedHere = { ...house, currentPrice: 5500000 };
+                const editedThere = { ...house, currentPrice: 6000000 };
+                const change = { previousGoals: [house], goals: [editedThere], revision: later };
+
+                const remoteLater = merger.merge([editedHere], change, earlier);
+                assertDeepEqual(remoteLater.goals, [editedThere]);
+                assertDeepEqual(remoteLater.conflicts, [{ id: 1, name: 'House', keptRemote: true }]);
+
+                const localLater = merger.merge([editedHere], { ...change, revision: earlier }, later);
+                assertDeepEqual(localLater.goals, [editedHere]);
+                assertFalse(localLater.conflicts[0].keptRemote);
+            });
+
+            runner.it('should treat removing a goal edited in the other tab as a conflict', () => {
+                beforeEach();
+                const editedThere = { ...house, name: 'Bigger house' };
+
+                const { goals, conflicts } = merger.merge([car], {
+                    previousGoals: [house, car],
+                    goals: [editedThere, car],
+                    revision: later
+                }, earlier);
+
+                assertDeepEqual(goals, [editedThere, car]);
+                assertEqual(conflicts[0].name, 'Bigger house');
+            });
+        });
+
+        runner.describe('isNewer', () => {
+            runner.it('should order saves by time, then by tab ID', () => {
+                beforeEach();
+                assertTrue(merger.isNewer(later, earlier));
+                assertFalse(merger.isNewer(earlier, later));
+                assertTrue(merger.isNewer({ time: 1000, tabId: 'b' }, earlier));
+                assertFalse(merger.isNewer(earlier, { time: 1000, tabId: 'b' }));
+            });
+
+            runner.it('should treat any save as newer than none', () => {
+                beforeEach();
+                assertTrue(merger.isNewer(earlier, null));
+            });
+        });
+
+        runner.describe('two tabs', () => {
+            // Channels that queue messages until deliver() is called, so saves can cross
+            const createNetwork = () => {
+                const channels = [];
+                const queue = [];
+
+                return {
+                    createChannel() {
+                        const channel = {
+                            listeners: [],
+                            addEventListener: (type, listener) => channel.listeners.push(listener),
+                            postMessage: data => channels
+                                .filter(other => other !== channel)
+                                .forEach(other => queue.push({ other, data: JSON.parse(JSON.stringify(data)) })),
+                            close: () => {}
+                        };
+                        channels.push(channel);
+                        return channel;
+                    },
+                    pending() {
+                        return queue.length;
+                    },
+                    deliver() {
+                        while (queue.length > 0) {
+                            const { other, data } = queue.shift();
+                            other.listeners.forEach(listener => listener({ data }));
+                        }
+                    }
+                };
+            };
+
+            // Opens a tab on the shared storage that merges changes the way the app does
+            const openTab = (adapter, network) => {
+                const storage = new StorageService(adapter);
+                const goalManager = new GoalManager(storage);
+                goalManager.loadFromStorage();
+                storage.startSync(network.createChannel(), message => {
+                    const { goals } = merger.merge(goalManager.getAllGoals(), message, storage.getLastRevision());
+                    goalManager.replaceAllGoals(goals, JSON.stringify(goals) !== JSON.stringify(message.goals));
+                });
+                return goalManager;
+            };
+
+            const names = goalManager => goalManager.getAllGoals().map(goal => goal.name);
+            const savedNames = adapter => JSON.parse(adapter.getItem('multigoal-sip-goals')).goals.map(goal => goal.name);
+
+            runner.it('should keep goals added in both tabs at the same time', () => {
+                beforeEach();
+                const adapter = new MemoryStorageAdapter();
+                const network = createNetwork();
+                const tabA = openTab(adapter, network);
+                const tabB = openTab(adapter, network);
+
+                tabA.replaceAllGoals([house]);
+                tabB.replaceAllGoals([car]);
+                network.deliver();
+
+                assertDeepEqual(names(tabA).sort(), ['Car', 'House']);
+                assertDeepEqual(names(tabB).sort(), ['Car', 'House']);
+                assertDeepEqual(savedNames(adapter).sort(), ['Car', 'House']);
+            });
+
+            runner.it('should settle on the same version when both tabs edit a goal', () => {
+                beforeEach();
+                const adapter = new MemoryStorageAdapter();
+                const network = createNetwork();
+                const tabA = openTab(adapter, network);
+                const tabB = openTab(adapter, network);
+                const goal = tabA.addGoal('House', 5000000, 7, 10, 12);
+                network.deliver();
+
+                tabA.updateGoal(goal.id, { name: 'Flat' });
+                tabB.updateGoal(goal.id, { name: 'Villa' });
+                network.deliver();
+
+                assertDeepEqual(names(tabA), names(tabB));
+                assertDeepEqual(savedNames(adapter), names(tabA));
+            });
+
+            runner.it('should send an import to the other tab as one change', () => {
+                beforeEach();
+                const adapter = new MemoryStorageAdapter();
+                const network = createNetwork();
+                const tabA = openTab(adapter, network);
+                const tabB = openTab(adapter, network);
+
+                tabA.importGoals(Array.from({ length: 60 }, (_, index) => ({ ...house, id: undefined, name: `Goal ${index + 1}` })));
+
+                assertEqual(network.pending(), 1);
+                network.deliver();
+                assertLength(tabB.getAllGoals(), 60);
+            });
+        });
+    });
+}
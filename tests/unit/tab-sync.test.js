@@ -0,0 +1,110 @@
+/**
+ * Unit tests for TabSync
+ */
+
+import { TabSync } from '../../js/tab-sync.js';
+import {
+    assertEqual,
+    assertDeepEqual,
+    assertNull,
+    assertTrue,
+    assertLength
+} from '../test-runner.js';
+
+export function runTabSyncTests(runner) {
+    runner.describe('TabSync', () => {
+        // A channel that records posted messages and lets tests deliver others
+        const createChannel = () => ({
+            listeners: [],
+            posted: [],
+            closed: false,
+            addEventListener(type, listener) {
+                this.listeners.push(listener);
+            },
+            postMessage(data) {
+                this.posted.push(data);
+            },
+            close() {
+                this.closed = true;
+            },
+            deliver(data) {
+                this.listeners.forEach(listener => listener({ data }));
+            }
+        });
+
+        runner.it('should post each save with the goals before it', () => {
+            const channel = createChannel();
+            const tabSync = new TabSync('tab-a');
+            tabSync.useProfile('default');
+            tabSync.start(channel, () => {});
+
+            tabSync.goalsSaved([{ id: 1, name: 'House' }]);
+            tabSync.goalsSaved([{ id: 1, name: 'House' }, { id: 2, name: 'Car' }]);
+
+            assertLength(channel.posted, 2);
+            assertDeepEqual(channel.posted[1].previousGoals, [{ id: 1, name: 'House' }]);
+            assertEqual(channel.posted[1].tabId, 'tab-a');
+            assertEqual(channel.posted[1].profileId, 'default');
+            assertDeepEqual(channel.posted[1].revision, tabSync.getLastRevision());
+        });
+
+        runner.it('should pass on other tabs\' messages but not its own', () => {
+            const channel = createChannel();
+            const tabSync = new TabSync('tab-a');
+            const received = [];
+            tabSync.start(channel, message => received.push(message));
+
+            channel.deliver({ type: 'theme', theme: 'dark', tabId: 'tab-a' });
+            channel.deliver({ type: 'theme', theme: 'dark', tabId: 'tab-b' });
+
+            assertLength(received, 1);
+            assertEqual(received[0].tabId, 'tab-b');
+        });
+
+        runner.it('should keep goals another tab saved until this tab saves them', () => {
+            const channel = createChannel();
+            const tabSync = new TabSync('tab-a');
+            tabSync.useProfile('default');
+            tabSync.start(channel, () => {});
+
+            channel.deliver({ type: 'goals', tabId: 'tab-b', profileId: 'default', previousGoals: [], goals: [{ id: 1, name: 'House' }] });
+            channel.deliver({ type: 'goals', tabId: 'tab-b', profileId: 'spouse', previousGoals: [], goals: [{ id: 2, name: 'Car' }] });
+
+            assertEqual(tabSync.getOtherTabGoals('default')[0].name, 'House');
+            assertEqual(tabSync.getOtherTabGoals('spouse')[0].name, 'Car');
+
+            tabSync.goalsSaved([]);
+            assertDeepEqual(channel.posted[0].previousGoals, [{ id: 1, name: 'House' }]);
+            assertNull(tabSync.getOtherTabGoals('default'));
+
+            tabSync.forgetProfile('spouse');
+            assertNull(tabSync.getOtherTabGoals('spouse'));
+        });
+
+        runner.it('should start over when another profile is opened', () => {
+            const channel = createChannel();
+            const tabSync = new TabSync('tab-a');
+            tabSync.useProfile('default');
+            tabSync.start(channel, () => {});
+            tabSync.goalsSaved([{ id: 1, name: 'House' }]);
+
+            tabSync.useProfile('spouse');
+            assertNull(tabSync.getLastRevision());
+            tabSync.goalsSaved([{ id: 2, name: 'Car' }]);
+            assertLength(channel.posted[1].previousGoals, 0);
+            assertEqual(channel.posted[1].profileId, 'spouse');
+        });
+
+        runner.it('should stop posting once stopped', () => {
+            const channel = createChannel();
+            const tabSync = new TabSync('tab-a');
+            tabSync.start(channel, () => {});
+
+            tabSync.stop();
+            tabSync.post({ type: 'profiles' });
+
+            assertTrue(channel.closed);
+            assertLength(channel.posted, 0);
+        });
+    });
+}
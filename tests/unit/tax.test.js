@@ -0,0 +1,165 @@
+/**
+ * Unit tests for TaxCalculator
+ */
+
+import { TaxCalculator } from '../../js/tax.js';
+import { SIPCalculator } from '../../js/calculator.js';
+import { 
+    assertEqual, 
+    assertGreaterThan,
+    assertLessThan,
+    assertTrue,
+    assertThrows
+} from '../test-runner.js';
+
+export function runTaxTests(runner) {
+    runner.describe('TaxCalculator', () => {
+        let taxCalculator;
+        let calculator;
+        let sampleGoal;
+
+        const beforeEach = () => {
+            calculator = new SIPCalculator();
+            taxCalculator = new TaxCalculator(calculator);
+            sampleGoal = {
+                id: 1,
+                name: 'House',
+                currentPrice: 5000000,
+                inflationRate: 6,
+                years: 10,
+                expectedReturn: 12,
+                stepUpRate: 0
+            };
+        };
+
+        runner.it('should create tax calculator instance', () => {
+            beforeEach();
+            assertEqual(taxCalculator instanceof TaxCalculator, true);
+        });
+
+        runner.describe('rules', () => {
+            runner.it('should default to current Indian equity and debt rules', () => {
+                beforeEach();
+                const rules = taxCalculator.getRules();
+                assertEqual(rules.equity.ltcgRate, 12.5);
+                assertEqual(rules.equity.stcgRate, 20);
+                assertEqual(rules.equity.ltcgExemption, 125000);
+                assertEqual(rules.equity.holdingPeriodMonths, 12);
+                assertEqual(rules.debt.slabRate, 30);
+            });
+
+            runner.it('should fill missing rules from the defaults', () => {
+                beforeEach();
+                taxCalculator.setRules({ equity: { ltcgRate: '10' } });
+                const rules = taxCalculator.getRules();
+                assertEqual(rules.equity.ltcgRate, 10);
+                assertEqual(rules.equity.stcgRate, 20);
+                assertEqual(rules.debt.slabRate, 30);
+            });
+
+            runner.it('should return a copy of the rules', () => {
+                beforeEach();
+                taxCalculator.getRules().equity.ltcgRate = 50;
+                assertEqual(taxCalculator.getRules().equity.ltcgRate, 12.5);
+            });
+
+            runner.it('should reject invalid rules', () => {
+                beforeEach();
+                assertThrows(() => taxCalculator.setRules({ equity: { ltcgRate: -1 } }));
+                assertThrows(() => taxCalculator.setRules({ debt: { slabRate: 100 } }));
+                assertThrows(() => taxCalculator.setRules({ equity: { ltcgExemption: -5 } }));
+                assertThrows(() => taxCalculator.setRules({ equity: { holdingPeriodMonths: 1.5 } }));
+                assertEqual(taxCalculator.getRules().equity.ltcgRate, 12.5);
+            });
+        });
+
+        runner.describe('calculateTax', () => {
+            runner.it('should project the same gross corpus as the calculator', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, stepUpRate: 10, existingCorpus: 300000, lumpSums: [{ year: 4, amount: 200000 }] };
+                const sip = calculator.calculateGoalSIP(goal);
+                const result = taxCalculator.calculateTax(goal, sip);
+                assertEqual(result.grossCorpus, Math.round(calculator.calculateGoalCorpus(goal, sip)));
+                assertEqual(result.invested, Math.round(calculator.calculateGoalInvestment(goal, sip)));
+            });
+
+            runner.it('should treat the last year of SIP instalments as short-term', () => {
+                beforeEach();
+                const result = taxCalculator.calculateTax(sampleGoal, 10000);
+                const lastYearValue = calculator.calculateVariableReturnFutureValue(10000, 1, [12]);
+                assertEqual(result.shortTermGains, Math.round(lastYearValue - 120000));
+                assertTrue(Math.abs(result.longTermGains + result.shortTermGains - (result.grossCorpus - result.invested)) <= 1);
+            });
+
+            runner.it('should tax equity gains above the LTCG exemption', () => {
+                beforeEach();
+                const result = taxCalculator.calculateTax(sampleGoal, 10000);
+                const expected = (result.longTermGains - 125000) * 0.125 + result.shortTermGains * 0.2;
+                assertTrue(Math.abs(result.equityTax - expected) <= 1);
+                assertEqual(result.debtTax, 0);
+                assertEqual(result.postTaxCorpus, result.grossCorpus - result.tax);
+            });
+
+            runner.it('should not tax long-term gains within the exemption', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, years: 2 };
+                taxCalculator.setRules({ equity: { stcgRate: 0 } });
+                const result = taxCalculator.calculateTax(goal, 1000);
+                assertLessThan(result.longTermGains, 125000);
+                assertEqual(result.tax, 0);
+            });
+
+            runner.it('should tax the debt share of the final allocation at the slab rate', () => {
+                beforeEach();
+                const goal = {
+                    ...sampleGoal,
+                    allocation: {
+                        weights: { equity: 60, debt: 30, gold: 10 },
+                        returns: { equity: 12, debt: 7, gold: 8 },
+                        glidePath: { years: 2, shift: 20 }
+                    }
+                };
+                const result = taxCalculator.calculateTax(goal, 10000);
+                const gains = result.longTermGains + result.shortTermGains;
+                // Two years of glide path leave 20% equity at the goal date
+                assertTrue(Math.abs(result.debtTax - gains * 0.8 * 0.3) <= 1);
+            });
+
+            runner.it('should use the required SIP by default', () => {
+                beforeEach();
+                const result = taxCalculator.calculateTax(sampleGoal);
+                const target = calculator.calculateGoalTarget(sampleGoal);
+                assertTrue(Math.abs(result.grossCorpus - target) / target < 0.001);
+                assertLessThan(result.postTaxCorpus, target);
+            });
+        });
+
+        runner.describe('calculatePostTaxSIP', () => {
+            runner.it('should reach the target after tax', () => {
+                beforeEach();
+                const sip = taxCalculator.calculatePostTaxSIP(sampleGoal);
+                const target = calculator.calculateGoalTarget(sampleGoal);
+                assertTrue(taxCalculator.calculateTax(sampleGoal, sip).postTaxCorpus >= target);
+                assertLessThan(taxCalculator.calculateTax(sampleGoal, sip - 1).postTaxCorpus, target);
+            });
+
+            runner.it('should need more than the pre-tax SIP', () => {
+                beforeEach();
+                assertGreaterThan(taxCalculator.calculatePostTaxSIP(sampleGoal), calculator.calculateGoalSIP(sampleGoal));
+            });
+
+            runner.it('should match the pre-tax SIP with zero tax rates', () => {
+                beforeEach();
+                taxCalculator.setRules({ equity: { ltcgRate: 0, stcgRate: 0 }, debt: { slabRate: 0 } });
+                const difference = taxCalculator.calculatePostTaxSIP(sampleGoal) - calculator.calculateGoalSIP(sampleGoal);
+                assertTrue(Math.abs(difference) <= 1);
+            });
+
+            runner.it('should return 0 when the existing corpus covers the target after tax', () => {
+                beforeEach();
+                const goal = { ...sampleGoal, existingCorpus: 10000000 };
+                assertEqual(taxCalculator.calculatePostTaxSIP(goal), 0);
+            });
+        });
+    });
+}
@@ -87,6 +87,15 @@ export function runTemplatesTests(runner) {
                 assertEqual(goal, null);
             });
 
+            runner.it('should copy retirement settings into the goal', () => {
+                beforeEach();
+                const template = templateManager.getTemplate('retirement');
+                const goal = templateManager.createGoalFromTemplate('retirement');
+                assertEqual(goal.retirement.retirementYears, 25);
+                goal.retirement.retirementYears = 30;
+                assertEqual(template.retirement.retirementYears, 25);
+            });
+
             runner.it('should not include id and icon in goal', () => {
                 beforeEach();
                 const goal = templateManager.createGoalFromTemplate('education');
@@ -114,7 +123,9 @@ export function runTemplatesTests(runner) {
                 beforeEach();
                 const template = templateManager.getTemplate('retirement');
                 assertEqual(template.name, "Retirement Fund");
-                assertEqual(template.currentPrice, 20000000);
+                assertEqual(template.currentPrice, 50000);
+                assertEqual(template.retirement.retirementYears, 25);
+                assertEqual(template.retirement.postRetirementReturn, 8);
             });
 
             runner.it('should have car template', () => {
@@ -3,9 +3,13 @@
  */
 
 import { ThemeManager } from '../../js/theme.js';
+import { StorageService } from '../../js/storage.js';
+import { LocalStorageAdapter } from '../../js/local-storage-adapter.js';
+import { MemoryStorageAdapter } from '../../js/memory-storage-adapter.js';
 import { 
     assertEqual, 
     assertTrue,
+    assertFalse,
     assertContains
 } from '../test-runner.js';
 import { MockHelper } from '../test-runner.js';
@@ -13,7 +17,7 @@ import { MockHelper } from '../test-runner.js';
 export function runThemeTests(runner) {
     runner.describe('ThemeManager', () => {
         let themeManager;
-        let mockStorage;
+        let storageService;
         let mockLocalStorage;
         let originalLocalStorage;
         let originalMatchMedia;
@@ -39,16 +43,10 @@ export function runThemeTests(runner) {
                 removeEventListener: () => {}
             });
             
-            // Create mock storage service
-            mockStorage = {
-                saveGoals: MockHelper.mockFunction(),
-                loadGoals: MockHelper.mockFunction(),
-                clearGoals: MockHelper.mockFunction(),
-                isAvailable: MockHelper.mockFunction()
-            };
-            mockStorage.isAvailable.returnValue = true;
+            // Storage service on the mock localStorage
+            storageService = new StorageService(new LocalStorageAdapter());
             
-            themeManager = new ThemeManager(mockStorage);
+            themeManager = new ThemeManager(storageService);
         };
 
         const afterEach = () => {
@@ -98,7 +96,7 @@ export function runThemeTests(runner) {
                     removeEventListener: () => {}
                 });
                 
-                const manager = new ThemeManager(mockStorage);
+                const manager = new ThemeManager(storageService);
                 manager.initialize();
                 
                 assertTrue(!document.documentElement.classList.contains('dark'));
@@ -139,6 +137,45 @@ export function runThemeTests(runner) {
             });
         });
 
+        runner.describe('syncTheme', () => {
+            runner.it('should apply a theme from another tab without saving it', () => {
+                beforeEach();
+                themeManager.setTheme('light');
+                mockLocalStorage.removeItem('multigoal-sip-theme');
+                assertTrue(themeManager.syncTheme('dark'));
+                assertEqual(themeManager.getCurrentTheme(), 'dark');
+                assertTrue(document.documentElement.classList.contains('dark'));
+                assertEqual(mockLocalStorage.getItem('multigoal-sip-theme'), null);
+                afterEach();
+            });
+
+            runner.it('should ignore the current or an invalid theme', () => {
+                beforeEach();
+                themeManager.setTheme('dark');
+                assertFalse(themeManager.syncTheme('dark'));
+                assertFalse(themeManager.syncTheme('invalid'));
+                assertEqual(themeManager.getCurrentTheme(), 'dark');
+                afterEach();
+            });
+        });
+
+        runner.describe('reload', () => {
+            runner.it('should apply the theme saved for the open profile', async () => {
+                beforeEach();
+                const adapter = new MemoryStorageAdapter({ 'multigoal-sip-theme:spouse': 'dark' });
+                adapter.isAvailable = () => true;
+                const service = new StorageService(adapter);
+                const manager = new ThemeManager(service);
+                manager.setTheme('light');
+
+                await service.useProfile('spouse');
+                assertEqual(manager.reload(), 'dark');
+                assertTrue(document.documentElement.classList.contains('dark'));
+                assertEqual(adapter.getItem('multigoal-sip-theme'), 'light');
+                afterEach();
+            });
+        });
+
         runner.describe('toggleTheme', () => {
             runner.it('should toggle from light to dark', () => {
                 beforeEach();
@@ -217,7 +254,7 @@ export function runThemeTests(runner) {
                     removeEventListener: () => {}
                 });
                 
-                const manager = new ThemeManager(mockStorage);
+                const manager = new ThemeManager(storageService);
                 const theme = manager.loadTheme();
                 assertEqual(theme, 'light');
                 afterEach();
@@ -242,6 +279,16 @@ export function runThemeTests(runner) {
                 // Clean up
                 document.documentElement.classList.remove('dark');
             });
+
+            runner.it('should not save the theme without persistent storage', () => {
+                beforeEach();
+                const memoryStorage = new StorageService(new MemoryStorageAdapter());
+                const manager = new ThemeManager(memoryStorage);
+                manager.setTheme('light');
+                assertEqual(memoryStorage.loadTheme(), null);
+                assertEqual(mockLocalStorage.getItem('multigoal-sip-theme'), null);
+                afterEach();
+            });
         });
 
         runner.describe('persistence', () => {
@@ -250,7 +297,7 @@ export function runThemeTests(runner) {
                 themeManager.setTheme('dark');
                 
                 // Create new instance
-                const newManager = new ThemeManager(mockStorage);
+                const newManager = new ThemeManager(storageService);
                 newManager.initialize();
                 
                 assertEqual(newManager.getCurrentTheme(), 'dark');
@@ -270,7 +317,7 @@ export function runThemeTests(runner) {
                 // But user saved light
                 mockLocalStorage.setItem('multigoal-sip-theme', 'light');
                 
-                const manager = new ThemeManager(mockStorage);
+                const manager = new ThemeManager(storageService);
                 manager.initialize();
                 
                 assertEqual(manager.getCurrentTheme(), 'light');
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for XLSXWorkbook and XLSXReader
+ */
+
+import { XLSXWorkbook } from '../../js/xlsx.js';
+import { XLSXReader } from '../../js/xlsx-reader.js';
+import { ZipArchive } from '../../js/zip.js';
+import {
+    assertEqual,
+    assertTrue
+} from '../test-runner.js';
+
+export function runXLSXTests(runner) {
+    runner.describe('XLSXWorkbook', () => {
+        const readPart = async (bytes, name) => new TextDecoder().decode((await new ZipArchive().extract(bytes)).get(name));
+
+        runner.it('should write the parts Excel needs', async () => {
+            const workbook = new XLSXWorkbook();
+            workbook.addSheet('Goals', [['Name']]);
+            const files = await new ZipArchive().extract(workbook.toBytes());
+
+            ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml']
+                .forEach(name => assertTrue(files.has(name), name));
+        });
+
+        runner.it('should write styled numbers and escaped text', async () => {
+            const workbook = new XLSXWorkbook();
+            workbook.addSheet('Goals', [
+                [{ value: 'Name', style: 'header' }, 'Price'],
+                ['Car <new> & "fast"', { value: 800000, style: 'currency' }, null, 7.5]
+            ], { frozenRows: 1 });
+            const sheet = await readPart(workbook.toBytes(), 'xl/worksheets/sheet1.xml');
+
+            assertTrue(sheet.includes('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>'));
+            assertTrue(sheet.includes('Car &lt;new&gt; &amp; &quot;fast&quot;'));
+            assertTrue(sheet.includes('<c r="B2" s="2"><v>800000</v></c>'));
+            assertTrue(sheet.includes('<c r="D2"><v>7.5</v></c>'));
+            assertTrue(!sheet.includes('r="C2"'));
+            assertTrue(sheet.includes('state="frozen"'));
+        });
+
+        runner.it('should make sheet names valid and unique', () => {
+            const workbook = new XLSXWorkbook();
+
+            assertEqual(workbook.addSheet('Goals', []), 'Goals');
+            assertEqual(workbook.addSheet('goals', []), 'goals (2)');
+            assertEqual(workbook.addSheet('Retire: early?', []), 'Retire early');
+            assertEqual(workbook.addSheet('A very long goal name that Excel would refuse', []).length, 31);
+        });
+    });
+
+    runner.describe('XLSXReader', () => {
+        runner.it('should read back the sheets a workbook writes', async () => {
+            const workbook = new XLSXWorkbook();
+            workbook.addSheet('Summary', [['Plan']]);
+            workbook.addSheet('Goals', [['Goal Name', 'Years'], ['House', { value: 10, style: 'integer' }], [], ['Car', 4.5]]);
+            const sheets = await new XLSXReader().read(workbook.toBytes());
+
+            assertEqual(sheets.map(sheet => sheet.name).join(','), 'Summary,Goals');
+            assertEqual(sheets[1].records[1].values.join(','), 'House,10');
+            assertEqual(sheets[1].records[3].line, 4);
+            assertEqual(sheets[1].records[3].values.join(','), 'Car,4.5');
+        });
+
+        runner.it('should read shared strings, booleans, gaps and percentage formats as Excel saves them', async () => {
+            const main = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+            const bytes = new ZipArchive().create([
+                {
+                    name: 'xl/workbook.xml',
+                    data: `<workbook ${main} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Goals" sheetId="1" r:id="rId7"/></sheets></workbook>`
+                },
+                {
+                    name: 'xl/_rels/workbook.xml.rels',
+                    data: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId7" Type="worksheet" Target="/xl/worksheets/data.xml"/></Relationships>'
+                },
+                { name: 'xl/sharedStrings.xml', data: `<sst ${main}><si><t>Goal Name</t></si><si><r><t>Ho</t></r><r><t>use</t></r></si></sst>` },
+                {
+                    name: 'xl/styles.xml',
+                    data: `<styleSheet ${main}><numFmts count="1"><numFmt numFmtId="170" formatCode="0.0&quot; %&quot;"/></numFmts>` +
+                        '<cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="10"/><xf numFmtId="170"/></cellXfs></styleSheet>'
+                },
+                {
+                    name: 'xl/worksheets/data.xml',
+                    data: `<worksheet ${main}><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row>` +
+                        '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="C3" s="1"><v>7.0000000000000007E-2</v></c><c r="D3" s="2"><v>12</v></c><c r="E3" t="b"><v>1</v></c></row></sheetData></worksheet>'
+                }
+            ]);
+            const [sheet] = await new XLSXReader().read(bytes);
+
+            assertEqual(sheet.name, 'Goals');
+            assertEqual(sheet.records[0].values.join(','), 'Goal Name');
+            assertEqual(sheet.records[1].line, 3);
+            assertEqual(sheet.records[1].values.join(','), 'House,,7,12,TRUE');
+        });
+
+        runner.it('should reject files that are not workbooks', async () => {
+            let message = null;
+
+            try {
+                await new XLSXReader().read(new ZipArchive().create([{ name: 'a.txt', data: 'a' }]));
+            } catch (error) {
+                message = error.message;
+            }
+
+            assertEqual(message, 'File is not an Excel workbook');
+        });
+    });
+}
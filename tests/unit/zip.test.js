@@ -0,0 +1,86 @@
+/**
+ * Unit tests for ZipArchive
+ */
+
+import { ZipArchive } from '../../js/zip.js';
+import {
+    assertEqual,
+    assertTrue
+} from '../test-runner.js';
+
+export function runZipTests(runner) {
+    runner.describe('ZipArchive', () => {
+        const decode = (bytes) => new TextDecoder().decode(bytes);
+
+        /**
+         * Builds a one-file archive whose file is deflated, as Excel writes them
+         */
+        const createDeflatedArchive = async (name, text) => {
+            const data = new TextEncoder().encode(text);
+            const stream = new Response(data).body.pipeThrough(new CompressionStream('deflate-raw'));
+            const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+            const nameBytes = new TextEncoder().encode(name);
+            const bytes = new Uint8Array(30 + nameBytes.length + compressed.length + 46 + nameBytes.length + 22);
+            const view = new DataView(bytes.buffer);
+
+            view.setUint32(0, 0x04034b50, true);
+            view.setUint16(8, 8, true);
+            view.setUint32(18, compressed.length, true);
+            view.setUint32(22, data.length, true);
+            view.setUint16(26, nameBytes.length, true);
+            bytes.set(nameBytes, 30);
+            bytes.set(compressed, 30 + nameBytes.length);
+
+            const central = 30 + nameBytes.length + compressed.length;
+            view.setUint32(central, 0x02014b50, true);
+            view.setUint16(central + 10, 8, true);
+            view.setUint32(central + 20, compressed.length, true);
+            view.setUint32(central + 24, data.length, true);
+            view.setUint16(central + 28, nameBytes.length, true);
+            bytes.set(nameBytes, central + 46);
+
+            const end = central + 46 + nameBytes.length;
+            view.setUint32(end, 0x06054b50, true);
+            view.setUint16(end + 8, 1, true);
+            view.setUint16(end + 10, 1, true);
+            view.setUint32(end + 12, 46 + nameBytes.length, true);
+            view.setUint32(end + 16, central, true);
+            return bytes;
+        };
+
+        runner.it('should read back the files it writes', async () => {
+            const zip = new ZipArchive();
+            const archive = zip.create([
+                { name: 'a.txt', data: 'Hello' },
+                { name: 'folder/₹.xml', data: new Uint8Array([1, 2, 3]) }
+            ]);
+            const files = await zip.extract(archive);
+
+            assertEqual(files.size, 2);
+            assertEqual(decode(files.get('a.txt')), 'Hello');
+            assertEqual(Array.from(files.get('folder/₹.xml')).join(','), '1,2,3');
+        });
+
+        runner.it('should store the CRC-32 of each file', () => {
+            const archive = new ZipArchive().create([{ name: 'a.txt', data: 'The quick brown fox jumps over the lazy dog' }]);
+            assertEqual(new DataView(archive.buffer).getUint32(14, true), 0x414fa339);
+        });
+
+        runner.it('should read deflated files', async () => {
+            const files = await new ZipArchive().extract(await createDeflatedArchive('sheet.xml', '<row>'.repeat(100)));
+            assertEqual(decode(files.get('sheet.xml')), '<row>'.repeat(100));
+        });
+
+        runner.it('should reject content that is not a ZIP archive', async () => {
+            let message = null;
+
+            try {
+                await new ZipArchive().extract(new TextEncoder().encode('Goal Name,Years'));
+            } catch (error) {
+                message = error.message;
+            }
+
+            assertTrue(message === 'File is not a ZIP archive');
+        });
+    });
+}